@@ -1,7 +1,55 @@
 const DomUtils = require('./src/domutils');
 const ComputeSize = require('./src/computesize');
+const DomTraversal = require('./src/domtraversal');
+const HtmlSerializer = require('./src/htmlserializer');
+const HtmlSanitizer = require('./src/htmlsanitizer');
+const DatasetSchema = require('./src/datasetschema');
+const ClassStateSchema = require('./src/classstateschema');
+const StateObserver = require('./src/stateobserver');
+const Length = require('./src/length');
+const LayoutScheduler = require('./src/layoutscheduler');
+const BrowserLayoutProvider = require('./src/browserlayoutprovider');
+const NodeLayoutProvider = require('./src/nodelayoutprovider');
+const SizeObserver = require('./src/sizeobserver');
+const Placement = require('./src/placement');
+const ScrollUtils = require('./src/scrollutils');
+const ElementBuilder = require('./src/elementbuilder');
+const HtmlTemplate = require('./src/htmltemplate');
+const DomMorph = require('./src/dommorph');
+const EventDelegation = require('./src/eventdelegation');
+const FocusUtils = require('./src/focusutils');
+const RovingTabIndex = require('./src/rovingtabindex');
+const SelectionUtils = require('./src/selectionutils');
+const NodePath = require('./src/nodepath');
+const DomJson = require('./src/domjson');
+const CssVariables = require('./src/cssvariables');
+const ScopedStyleSheet = require('./src/scopedstylesheet');
 
 module.exports = {
     DomUtils: DomUtils,
-    ComputeSize: ComputeSize
+    ComputeSize: ComputeSize,
+    DomTraversal: DomTraversal,
+    HtmlSerializer: HtmlSerializer,
+    HtmlSanitizer: HtmlSanitizer,
+    DatasetSchema: DatasetSchema,
+    ClassStateSchema: ClassStateSchema,
+    StateObserver: StateObserver,
+    Length: Length,
+    LayoutScheduler: LayoutScheduler,
+    BrowserLayoutProvider: BrowserLayoutProvider,
+    NodeLayoutProvider: NodeLayoutProvider,
+    SizeObserver: SizeObserver,
+    Placement: Placement,
+    ScrollUtils: ScrollUtils,
+    ElementBuilder: ElementBuilder,
+    HtmlTemplate: HtmlTemplate,
+    DomMorph: DomMorph,
+    EventDelegation: EventDelegation,
+    FocusUtils: FocusUtils,
+    RovingTabIndex: RovingTabIndex,
+    SelectionUtils: SelectionUtils,
+    NodePath: NodePath,
+    DomJson: DomJson,
+    CssVariables: CssVariables,
+    ScopedStyleSheet: ScopedStyleSheet
 };
\ No newline at end of file
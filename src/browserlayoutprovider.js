@@ -0,0 +1,54 @@
+/**
+ * 浏览器环境的样式和几何信息提供者（layout provider）。
+ *
+ * ComputeSize 通过提供者来读取计算样式以及元素的大小、位置，提供者需要
+ * 实现以下方法：
+ *
+ * - getComputedStyle(element) 返回一个具有 getPropertyValue(name) 方法的对象；
+ * - getMetrics(element) 返回元素的大小和位置：
+ *   {offsetWidth, offsetHeight, clientWidth, clientHeight,
+ *    offsetLeft, offsetTop, offsetParent, left, top}
+ *   其中 left 和 top 为 border box 相对于视口（viewport）的坐标；
+ * - getViewport(doc) 返回视口的大小和页面的滚动位置：
+ *   {width, height, scrollX, scrollY}
+ *
+ * 这个提供者直接读取浏览器原生的 getComputedStyle() 以及 offsetWidth 等属性。
+ * 在后端环境（比如 nodejs）请使用 NodeLayoutProvider。
+ */
+class BrowserLayoutProvider {
+
+    getComputedStyle(element) {
+        let view = element.ownerDocument.defaultView || window;
+        return view.getComputedStyle(element);
+    }
+
+    getMetrics(element) {
+        let rect = element.getBoundingClientRect();
+
+        return {
+            offsetWidth: element.offsetWidth,
+            offsetHeight: element.offsetHeight,
+            clientWidth: element.clientWidth,
+            clientHeight: element.clientHeight,
+            offsetLeft: element.offsetLeft,
+            offsetTop: element.offsetTop,
+            offsetParent: element.offsetParent,
+            left: rect.left,
+            top: rect.top
+        };
+    }
+
+    getViewport(doc) {
+        let view = doc.defaultView || window;
+        let rootElement = doc.documentElement;
+
+        return {
+            width: rootElement.clientWidth,
+            height: rootElement.clientHeight,
+            scrollX: view.pageXOffset,
+            scrollY: view.pageYOffset
+        };
+    }
+}
+
+module.exports = BrowserLayoutProvider;
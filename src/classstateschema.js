@@ -0,0 +1,228 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DomUtils = require('./domutils');
+
+/**
+ * 样式列表（classList）状态结构描述（schema）
+ *
+ * 用于声明通过元素的样式列表来记录的状态，包括 boolean 类型的标记（flag）
+ * 以及枚举类型的选项组，然后一次性读取或者写入整个状态对象。
+ *
+ * 示例：
+ *
+ * let schema = new ClassStateSchema({
+ *     active: {type: 'boolean', prefix: 'is-'},
+ *     size: {type: 'enum', values: ['small', 'large'], prefix: 'size-', default: 'small'},
+ *     theme: ['light', 'dark']
+ * }, {strict: true});
+ *
+ * schema.write(element, {active: true, size: 'large'});
+ * // element.className === 'is-active size-large'
+ *
+ * 字段的定义有：
+ * - type 'boolean' 或者 'enum'，也可以直接使用 'boolean' 字符串或者
+ *   选项数组作为字段的定义；
+ * - values 枚举的选项数组；
+ * - prefix 可选，样式名称的前缀，比如 'is-'，对于 boolean 字段，
+ *   样式名称为 prefix + 字段名称，对于枚举字段，样式名称为 prefix + 选项；
+ * - default 可选，枚举字段的默认值，当元素不存在任何选项的样式时使用。
+ *
+ * 选项（options）有：
+ * - strict 是否检查冲突，即元素同时存在同一个选项组当中多个选项的样式，
+ *   当检查到冲突时抛出 IllegalArgumentException 异常。默认为 false。
+ */
+class ClassStateSchema {
+
+    constructor(fields, options = {}) {
+        if (fields === null || typeof fields !== 'object') {
+            throw new IllegalArgumentException('The schema fields should be an object.');
+        }
+
+        this.strict = (options.strict === true);
+        this.fields = {};
+
+        for (let name of Object.keys(fields)) {
+            let definition = fields[name];
+            if (definition === 'boolean') {
+                definition = { type: 'boolean' };
+            } else if (Array.isArray(definition)) {
+                definition = { type: 'enum', values: definition };
+            }
+
+            let { type, values, prefix = '' } = definition;
+            let field = { name, type, prefix };
+
+            if (type === 'boolean') {
+                field.className = prefix + name;
+
+            } else if (type === 'enum') {
+                if (!Array.isArray(values) || values.length === 0) {
+                    throw new IllegalArgumentException(
+                        `The enum field "${name}" requires a values array.`);
+                }
+
+                field.values = values;
+                field.classNames = values.map((value) => {
+                    return prefix + value;
+                });
+
+                if (definition.default !== undefined && !values.includes(definition.default)) {
+                    throw new IllegalArgumentException(
+                        `The default value "${definition.default}" is not one value of [${values.join(',')}].`);
+                }
+                field.defaultValue = definition.default;
+
+            } else {
+                throw new IllegalArgumentException(
+                    `The type "${type}" of field "${name}" is not one value of [boolean,enum].`);
+            }
+
+            this.fields[name] = field;
+        }
+    }
+
+    /**
+     * 读取元素的整个状态对象
+     *
+     * @param {*} element
+     * @returns 返回 {name: value} 对象，boolean 字段的值为 true 或者 false，
+     *     枚举字段的值为选项（不包括前缀），当元素不存在任何选项的样式时，
+     *     值为默认值（可能为 undefined）。
+     */
+    read(element) {
+        let state = {};
+        for (let name of Object.keys(this.fields)) {
+            state[name] = this.readField(element, name);
+        }
+        return state;
+    }
+
+    readField(element, name) {
+        let field = this.getField(name);
+
+        if (field.type === 'boolean') {
+            return DomUtils.getBooleanByClass(element, field.className);
+        }
+
+        this.checkConflict(element, field);
+
+        let className = DomUtils.getOptionByClass(element, field.classNames);
+        if (className === undefined) {
+            return field.defaultValue;
+        }
+
+        return field.values[field.classNames.indexOf(className)];
+    }
+
+    /**
+     * 写入状态
+     *
+     * 只有 state 之中存在的字段才会被写入，枚举字段的值为 undefined 或者 null 时，
+     * 会删除该选项组的所有样式。
+     *
+     * @param {*} element
+     * @param {*} state {name: value} 对象
+     */
+    write(element, state) {
+        // 先检查所有的值，以免只写入了部分的值
+        for (let name of Object.keys(state)) {
+            let field = this.getField(name);
+            let value = state[name];
+
+            if (field.type === 'boolean') {
+                if (typeof value !== 'boolean') {
+                    throw new IllegalArgumentException(
+                        `The value of field "${name}" should be a boolean.`);
+                }
+            } else if (value !== undefined && value !== null && !field.values.includes(value)) {
+                throw new IllegalArgumentException(
+                    `The value "${value}" is not one value of [${field.values.join(',')}].`);
+            }
+        }
+
+        for (let name of Object.keys(state)) {
+            this.writeField(element, this.fields[name], state[name]);
+        }
+    }
+
+    writeField(element, field, value) {
+        if (field.type === 'boolean') {
+            DomUtils.setBooleanByClass(element, field.className, value);
+        } else if (value === undefined || value === null) {
+            for (let className of field.classNames) {
+                element.classList.remove(className);
+            }
+        } else {
+            DomUtils.setOptionByClass(element, field.classNames, field.prefix + value);
+        }
+    }
+
+    /**
+     * 切换 boolean 字段的值
+     *
+     * @param {*} element
+     * @param {*} name
+     * @param {*} force 可选，如果指定了，则直接设置为这个值
+     * @returns 返回新的值
+     */
+    toggle(element, name, force) {
+        let field = this.getField(name);
+        if (field.type !== 'boolean') {
+            throw new IllegalArgumentException(`The field "${name}" is not a boolean field.`);
+        }
+
+        let value = (force === undefined) ?
+            !DomUtils.getBooleanByClass(element, field.className) :
+            force === true;
+
+        this.writeField(element, field, value);
+        return value;
+    }
+
+    /**
+     * 将枚举字段的值切换到下一个选项，到达最后一个选项之后，
+     * 转回第一个选项。
+     *
+     * @param {*} element
+     * @param {*} name
+     * @returns 返回新的值
+     */
+    cycle(element, name) {
+        let field = this.getField(name);
+        if (field.type !== 'enum') {
+            throw new IllegalArgumentException(`The field "${name}" is not an enum field.`);
+        }
+
+        let current = this.readField(element, name);
+        let index = field.values.indexOf(current);
+        let value = field.values[(index + 1) % field.values.length];
+
+        this.writeField(element, field, value);
+        return value;
+    }
+
+    getField(name) {
+        let field = this.fields[name];
+        if (field === undefined) {
+            throw new IllegalArgumentException(`The state field "${name}" is not declared.`);
+        }
+        return field;
+    }
+
+    checkConflict(element, field) {
+        if (!this.strict) {
+            return;
+        }
+
+        let classNames = field.classNames.filter((className) => {
+            return element.classList.contains(className);
+        });
+
+        if (classNames.length > 1) {
+            throw new IllegalArgumentException(
+                `Conflicting classes [${classNames.join(',')}] of state field "${field.name}".`);
+        }
+    }
+}
+
+module.exports = ClassStateSchema;
@@ -1,6 +1,22 @@
 const { IllegalArgumentException } = require('jsexception');
 const { StringUtils } = require('jsstringutils');
 
+const CssText = require('./csstext');
+const Length = require('./length');
+const LayoutScheduler = require('./layoutscheduler');
+const BrowserLayoutProvider = require('./browserlayoutprovider');
+const NodeLayoutProvider = require('./nodelayoutprovider');
+
+// 百分比相对于包含块（containing block）高度的样式，其他的长度样式
+// （包括 margin-top、padding-bottom 等）的百分比都相对于包含块的宽度。
+const VERTICAL_PROPERTIES = ['top', 'bottom', 'height', 'min-height', 'max-height'];
+
+// CSSOM 是否支持自定义属性，{document: boolean}，参见 supportsCustomProperties()
+const CUSTOM_PROPERTY_SUPPORT = new WeakMap();
+
+// 不带单位的数值字符串，比如 '10', '-2.5'
+const UNITLESS_NUMBER_PATTERN = /^\s*[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?\s*$/i;
+
 /**
  * 获取计算样式（compute style）的值。
  *
@@ -42,56 +58,368 @@ const { StringUtils } = require('jsstringutils');
  */
 class ComputeSize {
 
-    constructor(element) {
+    /**
+     *
+     * @param {*} element
+     * @param {*} options 可选，{deferred, scheduler, provider}
+     *     - deferred 是否延迟模式，默认为 false。在延迟模式下，所有的写入
+     *       （setValue() 以及各个 setter）都会被放入 LayoutScheduler 的写入队列，
+     *       在下一帧统一执行，同一个样式的多次写入只有最后一次有效。
+     *       读取则应该放在 ComputeSize.measure() 或者 LayoutScheduler.measure()
+     *       的回调函数之中进行。
+     *     - scheduler 延迟模式使用的 LayoutScheduler 对象，默认使用
+     *       LayoutScheduler.getDefault()。
+     *     - provider 样式和几何信息的提供者，参见 BrowserLayoutProvider，
+     *       默认使用 ComputeSize.getDefaultProvider()。
+     */
+    constructor(element, options = {}) {
 
         this.element = element;
+        this.provider = options.provider || ComputeSize.getDefaultProvider();
 
-        // 参考：
-        // https://developer.mozilla.org/en-US/docs/Web/API/Window/getComputedStyle
-        // https://developer.mozilla.org/en-US/docs/Web/API/CSSStyleDeclaration
-        // https://developer.mozilla.org/en-US/docs/Web/API/CSS_Object_Model/Determining_the_dimensions_of_elements
+        this.deferred = (options.deferred === true);
+        this.scheduler = options.scheduler || LayoutScheduler.getDefault();
+
+        // 延迟模式下等待写入的样式，{name: value}
+        this.pendingStyles = undefined;
+
+        // 延迟模式下最近一次写入任务的 Promise，参见 whenWritten()
+        this.pendingWrite = undefined;
+    }
+
+    /**
+     * 元素的计算样式对象，在第一次读取时才调用 getComputedStyle()，
+     * 以免仅用于写入的 ComputeSize 对象导致重新计算布局。
+     */
+    get computeStyle() {
+        if (this.cachedComputeStyle === undefined) {
+            // 参考：
+            // https://developer.mozilla.org/en-US/docs/Web/API/Window/getComputedStyle
+            // https://developer.mozilla.org/en-US/docs/Web/API/CSSStyleDeclaration
+            // https://developer.mozilla.org/en-US/docs/Web/API/CSS_Object_Model/Determining_the_dimensions_of_elements
+
+            this.cachedComputeStyle = this.provider.getComputedStyle(this.element);
+        }
 
-        this.computeStyle = window.getComputedStyle(element);
+        return this.cachedComputeStyle;
     }
 
     /**
      * 获取指定计算样式的值
      *
      * @param {*} name 样式名称，注意要使用减号分隔格式的名称，不要使用
-     *     驼峰或者其他格式，比如要使用 'margin-left'，而不应使用 'marginLeft'
+     *     驼峰或者其他格式，比如要使用 'margin-left'，而不应使用 'marginLeft'。
+     *     也可以是 CSS 自定义属性（变量），比如 '--gap'。
      * @returns
      */
     getValue(name) {
-        if (!StringUtils.isDashCase(name)) {
-            throw new IllegalArgumentException('Style name should be dash-case.');
-        }
+        ComputeSize.checkStyleName(name);
+
+        let value = this.computeStyle.getPropertyValue(name);
 
-        return this.computeStyle.getPropertyValue(name);
+        // 某些浏览器返回的自定义属性的值会保留声明时冒号之后的空格
+        return ComputeSize.isCustomProperty(name) ? value.trim() : value;
     }
 
     /**
      * 设置指定样式的值
      *
      * @param {*} name 样式名称，注意要使用减号分隔格式的名称，不要使用
-     *     驼峰或者其他格式，比如要使用 'margin-left'，而不应使用 'marginLeft'
+     *     驼峰或者其他格式，比如要使用 'margin-left'，而不应使用 'marginLeft'。
+     *     也可以是 CSS 自定义属性（变量），比如 '--gap'。
      * @param {*} value 样式的值，传递空字符串或者 undefined 可以
      *     清除指定的样式。注意需要带单位，比如 'px', 'em'。
      */
     setValue(name, value) {
-        if (!StringUtils.isDashCase(name)) {
-            throw new IllegalArgumentException('Style name should be dash-case.');
-        }
+        ComputeSize.checkStyleName(name);
 
         if (value === undefined) {
             value = '';
         }
 
-        this.element.style[name] = value;
+        if (!this.deferred) {
+            ComputeSize.applyStyle(this.element, name, value);
+            return;
+        }
+
+        if (this.pendingStyles === undefined) {
+            this.pendingStyles = {};
+            this.pendingWrite = this.scheduler.mutate(() => {
+                let styles = this.pendingStyles;
+                this.pendingStyles = undefined;
+
+                for (let styleName of Object.keys(styles)) {
+                    ComputeSize.applyStyle(this.element, styleName, styles[styleName]);
+                }
+            });
+
+            // 写入失败由 whenWritten() 的调用者处理，以免成为未处理的 Promise 拒绝
+            this.pendingWrite.catch(() => { });
+        }
+
+        this.pendingStyles[name] = value;
+    }
+
+    /**
+     * 延迟模式下，等待已经加入队列的写入执行完毕。
+     *
+     * @returns 返回 Promise，写入失败时被拒绝（reject）。如果没有写入，
+     *     则返回一个已完成的 Promise。
+     */
+    whenWritten() {
+        return this.pendingWrite || Promise.resolve();
     }
 
+    /**
+     * 判断是否 CSS 自定义属性（变量）的名称，即以 '--' 开头的名称，比如 '--gap'。
+     *
+     * 注意自定义属性的名称是区分大小写的。
+     *
+     * @param {*} name
+     * @returns
+     */
+    static isCustomProperty(name) {
+        return typeof name === 'string' && /^--[^\s:;{}()]+$/.test(name);
+    }
+
+    static checkStyleName(name) {
+        if (!StringUtils.isDashCase(name) && !ComputeSize.isCustomProperty(name)) {
+            throw new IllegalArgumentException('Style name should be dash-case or a custom property name.');
+        }
+    }
+
+    /**
+     * 将样式写入元素的内联样式
+     *
+     * 某些后端的 CSSOM 不支持自定义属性，比如 domino 2.1.6 的 setProperty()
+     * 对自定义属性会抛出异常，而且 style 特性之中含有自定义属性时无法写入
+     * 其他样式。在这种环境之中，自定义属性通过改写 style 特性的文本来写入。
+     *
+     * @param {*} element
+     * @param {*} name 减号分隔格式的样式名称，或者自定义属性的名称
+     * @param {*} value 空字符串表示删除该样式
+     */
+    static applyStyle(element, name, value) {
+        let isCustomProperty = ComputeSize.isCustomProperty(name);
+
+        if (ComputeSize.supportsCustomProperties(element)) {
+            // 自定义属性只能通过 setProperty() 和 removeProperty() 设置
+            if (!isCustomProperty) {
+                element.style[name] = value;
+            } else if (value === '') {
+                element.style.removeProperty(name);
+            } else {
+                element.style.setProperty(name, value);
+            }
+            return;
+        }
+
+        let customDeclarations = CssText.parseDeclarations(element.getAttribute('style') || '').filter((item) => {
+            return ComputeSize.isCustomProperty(item.name);
+        });
+
+        if (isCustomProperty) {
+            let index = customDeclarations.findIndex((item) => {
+                return item.name === name;
+            });
+
+            if (value === '') {
+                if (index !== -1) {
+                    customDeclarations.splice(index, 1);
+                }
+            } else if (index === -1) {
+                customDeclarations.push({ name: name, value: value, important: false });
+            } else {
+                customDeclarations[index] = { name: name, value: value, important: false };
+            }
+        } else {
+            // 先移除自定义属性，否则 CSSOM 无法解析 style 特性
+            ComputeSize.writeStyleAttribute(element, CssText.parseDeclarations(element.getAttribute('style') || '').filter((item) => {
+                return !ComputeSize.isCustomProperty(item.name);
+            }));
+            element.style[name] = value;
+        }
+
+        let declarations = CssText.parseDeclarations(element.getAttribute('style') || '').filter((item) => {
+            return !ComputeSize.isCustomProperty(item.name);
+        }).concat(customDeclarations);
+
+        ComputeSize.writeStyleAttribute(element, declarations);
+    }
+
+    /**
+     * 将样式声明写入 style 特性，没有声明时移除该特性
+     *
+     * @param {*} element
+     * @param {*} declarations [{name, value, important}, ...]
+     */
+    static writeStyleAttribute(element, declarations) {
+        if (declarations.length === 0) {
+            element.removeAttribute('style');
+        } else {
+            element.setAttribute('style', CssText.formatDeclarations(declarations));
+        }
+    }
+
+    /**
+     * 检查元素所在的环境的 CSSOM 是否支持自定义属性，每个 document 只检查一次。
+     *
+     * @param {*} element
+     * @returns
+     */
+    static supportsCustomProperties(element) {
+        let doc = element.ownerDocument;
+
+        // 没有 document 的对象（比如模拟的元素）直接使用 CSSOM
+        if (doc === undefined || doc === null) {
+            return true;
+        }
+
+        let supported = CUSTOM_PROPERTY_SUPPORT.get(doc);
+        if (supported === undefined) {
+            let probe = doc.createElement('div');
+            try {
+                probe.style.setProperty('--probe', '1');
+                supported = (probe.style.getPropertyValue('--probe').trim() === '1');
+            } catch (e) {
+                supported = false;
+            }
+
+            CUSTOM_PROPERTY_SUPPORT.set(doc, supported);
+        }
+
+        return supported;
+    }
+
+    /**
+     * 获取默认的样式和几何信息提供者。
+     *
+     * 在浏览器环境中默认使用 BrowserLayoutProvider，在后端环境（比如 nodejs）
+     * 中默认使用一个共享的 NodeLayoutProvider。
+     *
+     * @returns
+     */
+    static getDefaultProvider() {
+        if (ComputeSize.defaultProvider === undefined) {
+            ComputeSize.defaultProvider =
+                (typeof window !== 'undefined' && typeof window.getComputedStyle === 'function') ?
+                    new BrowserLayoutProvider() :
+                    new NodeLayoutProvider();
+        }
+        return ComputeSize.defaultProvider;
+    }
+
+    /**
+     * 设置默认的样式和几何信息提供者，比如在单元测试中设置一个
+     * 指定了视口大小的 NodeLayoutProvider。
+     *
+     * @param {*} provider 提供者对象，传入 undefined 则恢复自动选择。
+     */
+    static setDefaultProvider(provider) {
+        ComputeSize.defaultProvider = provider;
+    }
+
+    /**
+     * 元素的大小和位置，参见 BrowserLayoutProvider.getMetrics()
+     *
+     * @returns
+     */
+    getMetrics() {
+        return this.provider.getMetrics(this.element);
+    }
+
+    /**
+     * 在 LayoutScheduler 的读取阶段读取元素的大小。
+     *
+     * @param {*} element
+     * @param {*} fn function(computeSize)，在读取阶段调用
+     * @param {*} scheduler 可选，默认使用 LayoutScheduler.getDefault()
+     * @returns 返回 Promise，其值为 fn 的返回值
+     */
+    static measure(element, fn, scheduler = LayoutScheduler.getDefault()) {
+        return scheduler.measure(() => {
+            return fn(new ComputeSize(element, { deferred: true, scheduler: scheduler }));
+        });
+    }
+
+    /**
+     * 获取指定计算样式的长度值
+     *
+     * @param {*} name 样式名称，需要使用减号分隔格式的名称
+     * @returns 返回 Length 对象，对于 'auto' 和 'normal' 则返回
+     *     Length.AUTO 和 Length.NORMAL。
+     */
+    getLength(name) {
+        return Length.parse(this.getValue(name));
+    }
+
+    /**
+     * 获取指定计算样式的值，并转换为 px 数值。
+     *
+     * 支持各种长度单位（比如 'em', '%', 'rem', 'vh'）以及 calc() 表达式，
+     * 转换时使用元素的字体大小、根元素的字体大小以及包含块（containing block）
+     * 的大小。
+     *
+     * @param {*} name 样式名称，需要使用减号分隔格式的名称
+     * @returns 返回浮点数，如果值为 'auto' 或者 'normal'，或者不是长度（比如
+     *     max-width 的 'none'），则返回 undefined。
+     */
     getPixelValue(name) {
-        let pixel = this.getValue(name);
-        return parseInt(pixel.substring(0, pixel.length - 2), 10);
+        let length = Length.tryParse(this.getValue(name));
+        return length === undefined ? undefined : this.toPixels(length, name);
+    }
+
+    /**
+     * 将长度值转换为 px 数值
+     *
+     * @param {*} length Length 对象
+     * @param {*} name 样式名称，用于决定百分比的基数是包含块的宽度还是高度
+     * @returns 返回浮点数，如果长度为关键字（'auto' 或者 'normal'）则返回 undefined。
+     */
+    toPixels(length, name) {
+        if (length.isKeyword()) {
+            return;
+        }
+
+        if (length.unit === 'px') {
+            return length.value;
+        }
+
+        return length.toPixels(this.getLengthContext(name));
+    }
+
+    /**
+     * 获取转换长度单位所需的上下文，参见 Length
+     *
+     * @param {*} name 样式名称
+     * @returns
+     */
+    getLengthContext(name) {
+        let ownerDocument = this.element.ownerDocument;
+        let rootElement = ownerDocument.documentElement;
+        let viewport = this.provider.getViewport(ownerDocument);
+
+        // 绝对定位元素的包含块是其 offsetParent 的 padding box，
+        // 其他元素则近似使用父元素的 content box（这里使用 client 大小）。
+        let position = this.computeStyle.getPropertyValue('position');
+        let containingBlock = ((position === 'absolute' || position === 'fixed') ?
+            this.getMetrics().offsetParent :
+            this.element.parentElement) || rootElement;
+        let containingMetrics = this.provider.getMetrics(containingBlock);
+
+        let dashCaseName = name.replace(/[A-Z]/g, (c) => {
+            return '-' + c.toLowerCase();
+        });
+
+        return {
+            fontSize: parseFloat(this.computeStyle.getPropertyValue('font-size')),
+            rootFontSize: parseFloat(this.provider.getComputedStyle(rootElement).getPropertyValue('font-size')),
+            percentBase: VERTICAL_PROPERTIES.includes(dashCaseName) ?
+                containingMetrics.clientHeight :
+                containingMetrics.clientWidth,
+            viewportWidth: viewport.width,
+            viewportHeight: viewport.height
+        };
     }
 
     setPixelValue(name, value) {
@@ -103,12 +431,43 @@ class ComputeSize {
         }
     }
 
+    /**
+     * 设置指定样式的长度值
+     *
+     * @param {*} name 样式名称，需要使用减号分隔格式的名称
+     * @param {*} value 可以是数值（单位为 px）、带单位的字符串（比如 '2em',
+     *     '50%', 'auto', 'calc(100% - 10px)'）或者 Length 对象，传递空字符串
+     *     或者 undefined 可以清除指定的样式。不带单位的数值字符串（比如 '10'）
+     *     跟之前的版本一样按 px 处理。
+     */
+    setLength(name, value) {
+        this.setValue(name, ComputeSize.formatLength(value));
+    }
+
+    /**
+     * 将长度值转换为样式的文本，参见 setLength()
+     *
+     * @param {*} value 数值、带单位的字符串或者 Length 对象
+     * @returns 返回样式的文本，对于空字符串或者 undefined 则返回空字符串。
+     */
+    static formatLength(value) {
+        if (value === undefined || value === '') {
+            return '';
+        } else if (typeof value === 'string' && UNITLESS_NUMBER_PATTERN.test(value)) {
+            return Length.parse(parseFloat(value)).toString();
+        } else if (value instanceof Length) {
+            return value.toString();
+        } else {
+            return Length.parse(value).toString();
+        }
+    }
+
     get left() {
         return this.getPixelValue('left');
     }
 
     set left(value) {
-        this.setPixelValue('left', value);
+        this.setLength('left', value);
     }
 
     get top() {
@@ -116,7 +475,7 @@ class ComputeSize {
     }
 
     set top(value) {
-        this.setPixelValue('top', value);
+        this.setLength('top', value);
     }
 
     get right() {
@@ -124,7 +483,7 @@ class ComputeSize {
     }
 
     set right(value) {
-        this.setPixelValue('right', value);
+        this.setLength('right', value);
     }
 
     get bottom() {
@@ -132,7 +491,7 @@ class ComputeSize {
     }
 
     set bottom(value) {
-        this.setPixelValue('bottom', value);
+        this.setLength('bottom', value);
     }
 
     get marginLeft() {
@@ -140,7 +499,7 @@ class ComputeSize {
     }
 
     set marginLeft(value) {
-        this.setPixelValue('margin-left', value);
+        this.setLength('margin-left', value);
     }
 
     get marginTop() {
@@ -148,7 +507,7 @@ class ComputeSize {
     }
 
     set marginTop(value) {
-        this.setPixelValue('margin-top', value);
+        this.setLength('margin-top', value);
     }
 
     get marginRight() {
@@ -156,7 +515,7 @@ class ComputeSize {
     }
 
     set marginRight(value) {
-        this.setPixelValue('margin-right', value);
+        this.setLength('margin-right', value);
     }
 
     get marginBottom() {
@@ -164,7 +523,7 @@ class ComputeSize {
     }
 
     set marginBottom(value) {
-        this.setPixelValue('margin-bottom', value);
+        this.setLength('margin-bottom', value);
     }
 
     get paddingLeft() {
@@ -172,7 +531,7 @@ class ComputeSize {
     }
 
     set paddingLeft(value) {
-        this.setPixelValue('padding-left', value);
+        this.setLength('padding-left', value);
     }
 
     get paddingTop() {
@@ -180,7 +539,7 @@ class ComputeSize {
     }
 
     set paddingTop(value) {
-        this.setPixelValue('padding-top', value);
+        this.setLength('padding-top', value);
     }
 
     get paddingRight() {
@@ -188,7 +547,7 @@ class ComputeSize {
     }
 
     set paddingRight(value) {
-        this.setPixelValue('padding-right', value);
+        this.setLength('padding-right', value);
     }
 
     get paddingBottom() {
@@ -196,7 +555,7 @@ class ComputeSize {
     }
 
     set paddingBottom(value) {
-        this.setPixelValue('padding-bottom', value);
+        this.setLength('padding-bottom', value);
     }
 
     get height() {
@@ -204,7 +563,7 @@ class ComputeSize {
     }
 
     set height(value) {
-        this.setPixelValue('height', value);
+        this.setLength('height', value);
     }
 
     get width() {
@@ -212,7 +571,275 @@ class ComputeSize {
     }
 
     set width(value) {
-        this.setPixelValue('width', value);
+        this.setLength('width', value);
+    }
+
+    get borderLeftWidth() {
+        return this.getPixelValue('border-left-width');
+    }
+
+    get borderTopWidth() {
+        return this.getPixelValue('border-top-width');
+    }
+
+    get borderRightWidth() {
+        return this.getPixelValue('border-right-width');
+    }
+
+    get borderBottomWidth() {
+        return this.getPixelValue('border-bottom-width');
+    }
+
+    /**
+     * 'content-box' 或者 'border-box'
+     */
+    get boxSizing() {
+        return this.getValue('box-sizing');
+    }
+
+    /**
+     * 垂直滚动条所占的宽度
+     *
+     * scrollbar width = offset width - client width - border left - border right
+     */
+    get scrollbarWidth() {
+        let { left, right } = this.getSides('border-', '-width');
+        let { offsetWidth, clientWidth } = this.getMetrics();
+        return Math.max(0, Math.round(offsetWidth - clientWidth - left - right));
+    }
+
+    /**
+     * 水平滚动条所占的高度
+     */
+    get scrollbarHeight() {
+        let { top, bottom } = this.getSides('border-', '-width');
+        let { offsetHeight, clientHeight } = this.getMetrics();
+        return Math.max(0, Math.round(offsetHeight - clientHeight - top - bottom));
+    }
+
+    /**
+     * 内容区域的宽度，不包括 padding 和滚动条
+     *
+     * inner width = client width - padding left - padding right
+     */
+    get innerWidth() {
+        let { left, right } = this.getSides('padding-', '');
+        return this.getMetrics().clientWidth - left - right;
+    }
+
+    /**
+     * 内容区域的高度，不包括 padding 和滚动条
+     *
+     * inner height = client height - padding top - padding bottom
+     */
+    get innerHeight() {
+        let { top, bottom } = this.getSides('padding-', '');
+        return this.getMetrics().clientHeight - top - bottom;
+    }
+
+    /**
+     * 内容盒子（content box）的宽度，跟 box-sizing 无关。
+     *
+     * 当 box-sizing 为 'border-box' 时，样式 width 包括 padding 和 border，
+     * 这个属性会自动加上或者减去它们。
+     */
+    get contentWidth() {
+        let width = this.width;
+        if (width === undefined || this.boxSizing !== 'border-box') {
+            return width;
+        }
+
+        return width - this.getHorizontalExtra();
+    }
+
+    set contentWidth(value) {
+        if (typeof value === 'number' && this.boxSizing === 'border-box') {
+            value += this.getHorizontalExtra();
+        }
+
+        this.width = value;
+    }
+
+    /**
+     * 内容盒子（content box）的高度，跟 box-sizing 无关。
+     */
+    get contentHeight() {
+        let height = this.height;
+        if (height === undefined || this.boxSizing !== 'border-box') {
+            return height;
+        }
+
+        return height - this.getVerticalExtra();
+    }
+
+    set contentHeight(value) {
+        if (typeof value === 'number' && this.boxSizing === 'border-box') {
+            value += this.getVerticalExtra();
+        }
+
+        this.height = value;
+    }
+
+    /**
+     * 水平方向的 padding 与 border 之和
+     */
+    getHorizontalExtra() {
+        let padding = this.getSides('padding-', '');
+        let border = this.getSides('border-', '-width');
+        return padding.left + padding.right + border.left + border.right;
+    }
+
+    /**
+     * 垂直方向的 padding 与 border 之和
+     */
+    getVerticalExtra() {
+        let padding = this.getSides('padding-', '');
+        let border = this.getSides('border-', '-width');
+        return padding.top + padding.bottom + border.top + border.bottom;
+    }
+
+    /**
+     * outer width = offset width + margin left + margin right
+     */
+    get outerWidth() {
+        let { left, right } = this.getSides('margin-', '');
+        return this.getMetrics().offsetWidth + left + right;
+    }
+
+    /**
+     * outer height = offset height + margin top + margin bottom
+     */
+    get outerHeight() {
+        let { top, bottom } = this.getSides('margin-', '');
+        return this.getMetrics().offsetHeight + top + bottom;
+    }
+
+    /**
+     * 获取四个方向的 px 数值，比如 getSides('margin-', '') 获取
+     * margin-top, margin-right, margin-bottom 和 margin-left，
+     * getSides('border-', '-width') 获取四个方向的边框宽度。
+     *
+     * 值为 'auto' 等关键字时按 0 计算。
+     *
+     * @param {*} prefix
+     * @param {*} suffix
+     * @returns 返回 {top, right, bottom, left}
+     */
+    getSides(prefix, suffix) {
+        let sides = {};
+        for (let side of ['top', 'right', 'bottom', 'left']) {
+            sides[side] = this.getPixelValue(prefix + side + suffix) || 0;
+        }
+        return sides;
+    }
+
+    /**
+     * 获取完整的盒模型（box model）几何信息
+     *
+     * 返回的对象包括：
+     * - boxSizing 'content-box' 或者 'border-box'
+     * - margin、border、padding 四个方向的 px 数值，{top, right, bottom, left}
+     * - scrollbar 滚动条所占的大小，{width, height}，width 是垂直滚动条的宽度，
+     *   height 是水平滚动条的高度
+     * - innerWidth、innerHeight 内容区域的大小，不包括 padding 和滚动条
+     * - contentBox、paddingBox、borderBox、marginBox 各个盒子的矩形，
+     *   {left, top, right, bottom, width, height}，坐标的原点由 origin 参数决定。
+     *   注意 paddingBox 和 contentBox 不包括滚动条所占的区域。
+     *
+     * @param {*} origin 坐标的原点，可以是：
+     *     - 'page'（默认值）相对于页面（即文档）的左上角；
+     *     - 'viewport' 相对于视口的左上角；
+     *     - 'offsetParent' 相对于 offsetParent 元素的 padding box 左上角。
+     * @returns
+     */
+    getBoxModel(origin = 'page') {
+        let metrics = this.getMetrics();
+        let margin = this.getSides('margin-', '');
+        let border = this.getSides('border-', '-width');
+        let padding = this.getSides('padding-', '');
+
+        let left, top;
+        switch (origin) {
+            case 'page':
+            case 'viewport':
+                {
+                    left = metrics.left;
+                    top = metrics.top;
+
+                    if (origin === 'page') {
+                        let viewport = this.provider.getViewport(this.element.ownerDocument);
+                        left += viewport.scrollX;
+                        top += viewport.scrollY;
+                    }
+                }
+                break;
+
+            case 'offsetParent':
+                left = metrics.offsetLeft;
+                top = metrics.offsetTop;
+                break;
+
+            default:
+                throw new IllegalArgumentException(
+                    `The origin "${origin}" is not one value of [page,viewport,offsetParent].`);
+        }
+
+        let borderBox = ComputeSize.createRect(left, top, metrics.offsetWidth, metrics.offsetHeight);
+
+        let paddingBox = ComputeSize.createRect(
+            left + border.left,
+            top + border.top,
+            metrics.clientWidth,
+            metrics.clientHeight);
+
+        let contentBox = ComputeSize.createRect(
+            paddingBox.left + padding.left,
+            paddingBox.top + padding.top,
+            metrics.clientWidth - padding.left - padding.right,
+            metrics.clientHeight - padding.top - padding.bottom);
+
+        let marginBox = ComputeSize.createRect(
+            left - margin.left,
+            top - margin.top,
+            borderBox.width + margin.left + margin.right,
+            borderBox.height + margin.top + margin.bottom);
+
+        return {
+            boxSizing: this.boxSizing,
+            margin: margin,
+            border: border,
+            padding: padding,
+            scrollbar: {
+                width: this.scrollbarWidth,
+                height: this.scrollbarHeight
+            },
+            innerWidth: contentBox.width,
+            innerHeight: contentBox.height,
+            contentBox: contentBox,
+            paddingBox: paddingBox,
+            borderBox: borderBox,
+            marginBox: marginBox
+        };
+    }
+
+    /**
+     * 构造一个矩形对象
+     *
+     * @param {*} left
+     * @param {*} top
+     * @param {*} width
+     * @param {*} height
+     * @returns 返回 {left, top, right, bottom, width, height}
+     */
+    static createRect(left, top, width, height) {
+        return {
+            left: left,
+            top: top,
+            right: left + width,
+            bottom: top + height,
+            width: width,
+            height: height
+        };
     }
 }
 
@@ -0,0 +1,143 @@
+// 左括号及其对应的右括号
+const BRACKETS = {
+    '(': ')',
+    '[': ']'
+};
+
+/**
+ * CSS 文本（样式声明、选择器等）的简单解析。
+ *
+ * 跟直接按字符拆分不同，字符串（比如 'url("data:image/png;base64,...")'）、
+ * 括号以及注释之中的分隔符都会被忽略。
+ */
+class CssText {
+
+    /**
+     * 按顶层的分隔符拆分文本
+     *
+     * @param {*} text
+     * @param {*} separators 分隔符，比如 ';' 或者 ';{}'
+     * @returns 返回片段数组。如果字符串或者注释没有结束，或者括号不匹配，
+     *     则返回 undefined。
+     */
+    static split(text, separators) {
+        let parts = [];
+        let closing = [];
+        let quote;
+        let start = 0;
+
+        for (let idx = 0; idx < text.length; idx++) {
+            let c = text[idx];
+
+            if (c === '\\') {
+                // 转义字符
+                idx++;
+            } else if (quote !== undefined) {
+                if (c === quote) {
+                    quote = undefined;
+                }
+            } else if (c === '"' || c === '\'') {
+                quote = c;
+            } else if (text.startsWith('/*', idx)) {
+                let end = text.indexOf('*/', idx + 2);
+                if (end === -1) {
+                    return;
+                }
+                idx = end + 1;
+            } else if (BRACKETS[c] !== undefined) {
+                closing.push(BRACKETS[c]);
+            } else if (c === ')' || c === ']') {
+                if (closing.pop() !== c) {
+                    return;
+                }
+            } else if (closing.length === 0 && separators.includes(c)) {
+                parts.push(text.substring(start, idx));
+                start = idx + 1;
+            }
+        }
+
+        if (quote !== undefined || closing.length > 0) {
+            return;
+        }
+
+        parts.push(text.substring(start));
+        return parts;
+    }
+
+    /**
+     * 解析样式声明，比如 'color: red; background: url("a;b.png") !important'
+     *
+     * @param {*} text
+     * @returns 返回 [{name, value, important}, ...]，简写样式不会被展开。
+     */
+    static parseDeclarations(text) {
+        // 格式错误时按分号拆分，尽量保留有效的声明
+        let items = CssText.split(text, ';') || text.split(';');
+        let declarations = [];
+
+        for (let item of items) {
+            let index = item.indexOf(':');
+            if (index === -1) {
+                continue;
+            }
+
+            // 自定义属性的名称区分大小写
+            let name = item.substring(0, index).trim();
+            if (!name.startsWith('--')) {
+                name = name.toLowerCase();
+            }
+
+            let value = item.substring(index + 1).trim();
+            let important = /!\s*important$/i.test(value);
+            if (important) {
+                value = value.replace(/!\s*important$/i, '').trim();
+            }
+
+            if (name !== '' && value !== '') {
+                declarations.push({ name, value, important });
+            }
+        }
+
+        return declarations;
+    }
+
+    /**
+     * 将样式声明转换为文本，即 parseDeclarations() 的逆操作。
+     *
+     * @param {*} declarations [{name, value, important}, ...]
+     * @returns
+     */
+    static formatDeclarations(declarations) {
+        return declarations.map(({ name, value, important }) => {
+            return `${name}: ${value}${important ? ' !important' : ''};`;
+        }).join(' ');
+    }
+    /**
+     * 检查样式的值是否为单个有效的值，即顶层没有 ';'、'{' 和 '}'，
+     * 字符串和括号都是完整的。
+     *
+     * 值也不能包含 '</style'，否则写入 <style> 元素之后，在服务端渲染的
+     * HTML 之中会提前结束该元素。
+     *
+     * @param {*} value
+     * @returns
+     */
+    static isValidValue(value) {
+        let parts = CssText.split(value, ';{}');
+        return parts !== undefined && parts.length === 1 && !/<\/style/i.test(value);
+    }
+
+    /**
+     * 检查选择器（以及 scope、媒体查询等样式规则的前缀）是否有效，即不为空，
+     * 顶层没有 ';'、'{' 和 '}'，并且不包含 '<'。
+     *
+     * @param {*} text
+     * @returns
+     */
+    static isValidSelector(text) {
+        let parts = CssText.split(text, ';{}');
+        return parts !== undefined && parts.length === 1 && text.trim() !== '' && !text.includes('<');
+    }
+}
+
+module.exports = CssText;
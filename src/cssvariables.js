@@ -0,0 +1,293 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const ComputeSize = require('./computesize');
+const Length = require('./length');
+
+const DOCUMENT_NODE = 9;
+
+// CSS 的基本颜色关键字
+// https://developer.mozilla.org/en-US/docs/Web/CSS/named-color
+const NAMED_COLORS = {
+    black: [0, 0, 0], silver: [192, 192, 192], gray: [128, 128, 128], grey: [128, 128, 128],
+    white: [255, 255, 255], maroon: [128, 0, 0], red: [255, 0, 0], purple: [128, 0, 128],
+    fuchsia: [255, 0, 255], green: [0, 128, 0], lime: [0, 255, 0], olive: [128, 128, 0],
+    yellow: [255, 255, 0], navy: [0, 0, 128], blue: [0, 0, 255], teal: [0, 128, 128],
+    aqua: [0, 255, 255], orange: [255, 165, 0]
+};
+
+const NUMBER_PATTERN = /^[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?$/i;
+
+/**
+ * CSS 自定义属性（变量）的读写，比如 '--gap'。
+ *
+ * 读取的是计算样式的值，所以变量可以来自元素自身、祖先元素（变量会被继承）
+ * 或者样式表（比如 ':root { --gap: 8px; }'），写入的则是元素的内联样式。
+ * 读写都通过 ComputeSize 进行，所以在后端环境中同样可以使用
+ * （参见 NodeLayoutProvider）。
+ *
+ * 变量名称可以带也可以不带 '--' 前缀，即 'gap' 和 '--gap' 是相同的。
+ * 元素参数也可以是 Document 对象，表示其根元素（即 ':root'）。
+ *
+ * 读取时可以指定类型：
+ * - 'string' 原始文本（去除前后空白），默认值；
+ * - 'length' Length 对象，参见 Length.parse()；
+ * - 'number' 数值；
+ * - 'color' 颜色对象 {r, g, b, a}，r、g、b 为 0~255 的整数，a 为 0~1 的数值，
+ *   支持十六进制（#rgb、#rgba、#rrggbb、#rrggbbaa）、rgb()、rgba()、hsl()、
+ *   hsla()、transparent 以及基本的颜色关键字。
+ */
+class CssVariables {
+
+    /**
+     * 读取变量的值
+     *
+     * @param {*} element 元素或者 Document 对象
+     * @param {*} name 变量名称，比如 'gap' 或者 '--gap'
+     * @param {*} type 可选，'string'、'length'、'number' 或者 'color'，默认为 'string'
+     * @param {*} options 可选，{provider}，参见 ComputeSize 的构造函数
+     * @returns 如果变量没有定义则返回 undefined
+     * @throws 当变量的值不能解析为指定的类型时，抛出 IllegalArgumentException 异常。
+     */
+    static get(element, name, type = 'string', options = {}) {
+        let computeSize = new ComputeSize(CssVariables.getTargetElement(element), options);
+        let value = computeSize.getValue(CssVariables.toPropertyName(name));
+
+        if (value === '') {
+            return;
+        }
+
+        switch (type) {
+            case 'string':
+                return value;
+
+            case 'length':
+                return Length.parse(value);
+
+            case 'number':
+                return CssVariables.parseNumber(value);
+
+            case 'color':
+                return CssVariables.parseColor(value);
+
+            default:
+                throw new IllegalArgumentException(`Unsupported variable type "${type}".`);
+        }
+    }
+
+    /**
+     * 设置变量的值（元素的内联样式）
+     *
+     * @param {*} element 元素或者 Document 对象
+     * @param {*} name 变量名称
+     * @param {*} value 字符串、数值、Length 对象或者颜色对象 {r, g, b, a}。
+     *     传递 undefined 或者空字符串可以删除变量。
+     * @param {*} options 可选，{deferred, scheduler}，参见 ComputeSize 的构造函数
+     */
+    static set(element, name, value, options = {}) {
+        let computeSize = new ComputeSize(CssVariables.getTargetElement(element), options);
+        computeSize.setValue(CssVariables.toPropertyName(name), CssVariables.formatValue(value));
+    }
+
+    /**
+     * 删除元素内联样式之中的变量
+     *
+     * @param {*} element
+     * @param {*} name
+     * @param {*} options 可选，{deferred, scheduler}
+     */
+    static remove(element, name, options = {}) {
+        CssVariables.set(element, name, undefined, options);
+    }
+
+    static getTargetElement(element) {
+        return element.nodeType === DOCUMENT_NODE ? element.documentElement : element;
+    }
+
+    /**
+     * 将变量名称转换为自定义属性的名称，即添加 '--' 前缀。
+     *
+     * @param {*} name
+     * @returns
+     */
+    static toPropertyName(name) {
+        let propertyName = (typeof name === 'string' && !name.startsWith('--')) ? '--' + name : name;
+        if (!ComputeSize.isCustomProperty(propertyName)) {
+            throw new IllegalArgumentException(`The variable name "${name}" is invalid.`);
+        }
+        return propertyName;
+    }
+
+    static formatValue(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+
+        if (typeof value === 'string') {
+            return value;
+        }
+
+        if (typeof value === 'number') {
+            return String(value);
+        }
+
+        if (value instanceof Length) {
+            return value.toString();
+        }
+
+        if (typeof value === 'object' && ['r', 'g', 'b'].every((key) => { return typeof value[key] === 'number'; })) {
+            return CssVariables.formatColor(value);
+        }
+
+        throw new IllegalArgumentException('The variable value should be a string, number, Length or color.');
+    }
+
+    static parseNumber(text) {
+        let trimmed = text.trim();
+        if (!NUMBER_PATTERN.test(trimmed)) {
+            throw new IllegalArgumentException(`The value "${text}" is not a valid number.`);
+        }
+        return parseFloat(trimmed);
+    }
+
+    /**
+     * 解析颜色文本
+     *
+     * @param {*} text 比如 '#0af'、'rgb(0 170 255 / 50%)'、'hsl(200, 100%, 50%)'、'red'
+     * @returns 返回 {r, g, b, a}
+     * @throws 当文本不是一个支持的颜色时，抛出 IllegalArgumentException 异常。
+     */
+    static parseColor(text) {
+        let trimmed = text.trim().toLowerCase();
+
+        if (trimmed === 'transparent') {
+            return { r: 0, g: 0, b: 0, a: 0 };
+        }
+
+        let named = NAMED_COLORS[trimmed];
+        if (named !== undefined) {
+            return { r: named[0], g: named[1], b: named[2], a: 1 };
+        }
+
+        let hexMatch = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(trimmed);
+        if (hexMatch !== null) {
+            let hex = hexMatch[1];
+            if (hex.length <= 4) {
+                hex = hex.split('').map((c) => { return c + c; }).join('');
+            }
+
+            let channels = hex.match(/../g).map((item) => { return parseInt(item, 16); });
+            return {
+                r: channels[0],
+                g: channels[1],
+                b: channels[2],
+                a: channels.length === 4 ? CssVariables.round(channels[3] / 255) : 1
+            };
+        }
+
+        let functionMatch = /^(rgba?|hsla?)\((.*)\)$/.exec(trimmed);
+        if (functionMatch !== null) {
+            // 支持逗号分隔的旧语法，以及空格分隔、'/' 分隔透明度的新语法
+            let args = functionMatch[2].trim().split(/\s*,\s*|\s*\/\s*|\s+/);
+            if (args.length === 3 || args.length === 4) {
+                let alpha = args.length === 4 ? CssVariables.parseChannel(args[3], 1) : 1;
+
+                let color = functionMatch[1].startsWith('rgb') ?
+                    CssVariables.createRgbColor(args) :
+                    CssVariables.createHslColor(args);
+
+                if (color !== undefined && !isNaN(alpha)) {
+                    color.a = Math.min(1, Math.max(0, alpha));
+                    return color;
+                }
+            }
+        }
+
+        throw new IllegalArgumentException(`The value "${text}" is not a supported color.`);
+    }
+
+    static createRgbColor(args) {
+        let [r, g, b] = args.slice(0, 3).map((arg) => {
+            return CssVariables.parseChannel(arg, 255);
+        });
+
+        if ([r, g, b].some(isNaN)) {
+            return;
+        }
+
+        return { r: CssVariables.clampByte(r), g: CssVariables.clampByte(g), b: CssVariables.clampByte(b) };
+    }
+
+    static createHslColor(args) {
+        let hue = parseFloat(args[0].replace(/deg$/, ''));
+        let saturation = CssVariables.parsePercentage(args[1]);
+        let lightness = CssVariables.parsePercentage(args[2]);
+
+        if ([hue, saturation, lightness].some(isNaN)) {
+            return;
+        }
+
+        // https://www.w3.org/TR/css-color-4/#hsl-to-rgb
+        let h = ((hue % 360) + 360) % 360;
+        let s = Math.min(1, Math.max(0, saturation));
+        let l = Math.min(1, Math.max(0, lightness));
+
+        let convert = (n) => {
+            let k = (n + h / 30) % 12;
+            let a = s * Math.min(l, 1 - l);
+            return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        };
+
+        return {
+            r: CssVariables.clampByte(convert(0) * 255),
+            g: CssVariables.clampByte(convert(8) * 255),
+            b: CssVariables.clampByte(convert(4) * 255)
+        };
+    }
+
+    /**
+     * 解析颜色的通道值，百分比按 max 换算。
+     *
+     * @param {*} text 比如 '128'、'50%'、'0.5'
+     * @param {*} max 百分比 100% 对应的值
+     * @returns 如果无效则返回 NaN
+     */
+    static parseChannel(text, max) {
+        if (text.endsWith('%')) {
+            let percentage = CssVariables.parsePercentage(text);
+            return percentage * max;
+        }
+
+        return NUMBER_PATTERN.test(text) ? parseFloat(text) : NaN;
+    }
+
+    static parsePercentage(text) {
+        if (!text.endsWith('%') || !NUMBER_PATTERN.test(text.substring(0, text.length - 1))) {
+            return NaN;
+        }
+
+        return parseFloat(text) / 100;
+    }
+
+    static clampByte(value) {
+        return Math.min(255, Math.max(0, Math.round(value)));
+    }
+
+    static round(value) {
+        return Math.round(value * 1000) / 1000;
+    }
+
+    /**
+     * 将颜色对象转换为 CSS 文本
+     *
+     * @param {*} color {r, g, b, a}，a 为可选，默认为 1
+     * @returns 不透明的颜色返回 'rgb(r, g, b)'，否则返回 'rgba(r, g, b, a)'
+     */
+    static formatColor(color) {
+        let { r, g, b, a = 1 } = color;
+        return (a === 1) ?
+            `rgb(${r}, ${g}, ${b})` :
+            `rgba(${r}, ${g}, ${b}, ${a})`;
+    }
+}
+
+module.exports = CssVariables;
@@ -0,0 +1,366 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const FIELD_TYPES = ['string', 'int', 'float', 'boolean', 'json', 'date', 'enum', 'stringArray'];
+
+/**
+ * dataset 结构描述（schema）
+ *
+ * 用于声明元素 dataset 之中各个属性的名称、数据类型以及默认值，然后
+ * 一次性读取或者写入所有属性，并对值进行检查。
+ *
+ * 示例：
+ *
+ * let schema = new DatasetSchema({
+ *     id: 'int',
+ *     title: {type: 'string', default: ''},
+ *     'created-at': 'date',
+ *     size: {type: 'enum', values: ['small', 'large'], default: 'small'},
+ *     tags: {type: 'stringArray', separator: ','},
+ *     options: {type: 'json', default: {}}
+ * });
+ *
+ * schema.write(element, {id: 1, createdAt: new Date()});
+ * let values = schema.read(element);
+ *
+ * 属性名称可以是 camel case（比如 'createdAt'）或者 kebab case
+ * （比如 'created-at'），读取所得的对象的属性名称统一为 camel case。
+ *
+ * 数据类型有：
+ * - 'string'
+ * - 'int' 整数
+ * - 'float' 浮点数
+ * - 'boolean' 储存为 'true' 或者 'false'
+ * - 'json' 任何可以转为 JSON 的值
+ * - 'date' Date 对象，储存为 ISO 8601 格式的字符串
+ * - 'enum' 枚举，需要通过 values 指定值列表
+ * - 'stringArray' 字符串数组，储存为使用 separator（默认为 ','）连接的字符串
+ *
+ * 注意值是通过元素的 data-* 属性来读写的，而不是 element.dataset，因为
+ * 后端的 DOM 实现（比如 domino）不一定支持 element.dataset。
+ */
+class DatasetSchema {
+
+    /**
+     *
+     * @param {*} fields {name: type} 或者 {name: {type, default, values, separator}}
+     */
+    constructor(fields) {
+        if (fields === null || typeof fields !== 'object') {
+            throw new IllegalArgumentException('The schema fields should be an object.');
+        }
+
+        this.fields = {};
+
+        for (let name of Object.keys(fields)) {
+            let definition = fields[name];
+            if (typeof definition === 'string') {
+                definition = { type: definition };
+            }
+
+            let { type, values, separator = ',' } = definition;
+
+            if (!FIELD_TYPES.includes(type)) {
+                throw new IllegalArgumentException(
+                    `The type "${type}" of field "${name}" is not one value of [${FIELD_TYPES.join(',')}].`);
+            }
+
+            if (type === 'enum' && !Array.isArray(values)) {
+                throw new IllegalArgumentException(
+                    `The enum field "${name}" requires a values array.`);
+            }
+
+            let camelCaseName = DatasetSchema.toCamelCaseName(name);
+
+            let field = {
+                name: camelCaseName,
+                attributeName: DatasetSchema.toAttributeName(camelCaseName),
+                type: type,
+                values: values,
+                separator: separator,
+                defaultValue: definition.default
+            };
+
+            if (field.defaultValue !== undefined) {
+                this.validate(field, field.defaultValue);
+            }
+
+            this.fields[camelCaseName] = field;
+        }
+    }
+
+    /**
+     * 读取元素 dataset 之中所有已声明的属性的值
+     *
+     * @param {*} element
+     * @returns 返回 {name: value} 对象，属性名称为 camel case 格式。
+     *     当某个属性不存在时，使用其默认值（可能为 undefined）。
+     * @throws 当属性值不符合其数据类型时，抛出 IllegalArgumentException 异常。
+     */
+    read(element) {
+        let values = {};
+        for (let name of Object.keys(this.fields)) {
+            values[name] = this.readField(element, name);
+        }
+        return values;
+    }
+
+    /**
+     * 读取单个属性的值
+     *
+     * @param {*} element
+     * @param {*} name camel case 或者 kebab case 格式的属性名称
+     * @returns
+     */
+    readField(element, name) {
+        let field = this.getField(name);
+        let value = element.getAttribute(field.attributeName);
+
+        if (value === null) {
+            return DatasetSchema.cloneValue(field.defaultValue);
+        }
+
+        return this.parse(field, value);
+    }
+
+    /**
+     * 将值写入元素的 dataset
+     *
+     * 只有 values 之中存在的属性才会被写入，值为 undefined 或者 null 的
+     * 属性会从 dataset 之中删除。
+     *
+     * @param {*} element
+     * @param {*} values {name: value} 对象，属性名称可以是 camel case
+     *     或者 kebab case 格式。
+     * @throws 当属性未声明，或者值不符合其数据类型时，抛出 IllegalArgumentException 异常，
+     *     此时不会写入任何值。
+     */
+    write(element, values) {
+        let entries = Object.keys(values).map((name) => {
+            let field = this.getField(name);
+            let value = values[name];
+
+            if (value === undefined || value === null) {
+                return { field, text: null };
+            }
+
+            this.validate(field, value);
+            return { field, text: this.format(field, value) };
+        });
+
+        for (let { field, text } of entries) {
+            if (text === null) {
+                element.removeAttribute(field.attributeName);
+            } else {
+                element.setAttribute(field.attributeName, text);
+            }
+        }
+    }
+
+    getField(name) {
+        let field = this.fields[DatasetSchema.toCamelCaseName(name)];
+        if (field === undefined) {
+            throw new IllegalArgumentException(`The dataset field "${name}" is not declared.`);
+        }
+        return field;
+    }
+
+    /**
+     * 将 dataset 之中的字符串值转为指定数据类型的值
+     *
+     * @param {*} field
+     * @param {*} text
+     * @returns
+     */
+    parse(field, text) {
+        let invalid = () => {
+            return new IllegalArgumentException(
+                `The value "${text}" of dataset field "${field.name}" is not a valid ${field.type}.`);
+        };
+
+        switch (field.type) {
+            case 'string':
+                return text;
+
+            case 'int':
+                if (!/^[-+]?\d+$/.test(text.trim())) {
+                    throw invalid();
+                }
+                return parseInt(text, 10);
+
+            case 'float':
+                {
+                    let value = Number(text);
+                    if (text.trim() === '' || !Number.isFinite(value)) {
+                        throw invalid();
+                    }
+                    return value;
+                }
+
+            case 'boolean':
+                if (text === 'true') {
+                    return true;
+                } else if (text === 'false') {
+                    return false;
+                }
+                throw invalid();
+
+            case 'json':
+                try {
+                    return JSON.parse(text);
+                } catch (e) {
+                    throw invalid();
+                }
+
+            case 'date':
+                {
+                    let value = new Date(text);
+                    if (isNaN(value.getTime())) {
+                        throw invalid();
+                    }
+                    return value;
+                }
+
+            case 'enum':
+                if (!field.values.includes(text)) {
+                    throw invalid();
+                }
+                return text;
+
+            case 'stringArray':
+                return text === '' ? [] : text.split(field.separator);
+        }
+    }
+
+    /**
+     * 检查值是否符合字段的数据类型
+     *
+     * @param {*} field
+     * @param {*} value
+     */
+    validate(field, value) {
+        let valid;
+
+        switch (field.type) {
+            case 'string':
+                valid = (typeof value === 'string');
+                break;
+
+            case 'int':
+                valid = Number.isInteger(value);
+                break;
+
+            case 'float':
+                valid = (typeof value === 'number' && Number.isFinite(value));
+                break;
+
+            case 'boolean':
+                valid = (typeof value === 'boolean');
+                break;
+
+            case 'json':
+                try {
+                    valid = (JSON.stringify(value) !== undefined);
+                } catch (e) {
+                    valid = false;
+                }
+                break;
+
+            case 'date':
+                valid = (value instanceof Date && !isNaN(value.getTime()));
+                break;
+
+            case 'enum':
+                valid = field.values.includes(value);
+                break;
+
+            case 'stringArray':
+                valid = Array.isArray(value) && value.every((item) => {
+                    return typeof item === 'string' && !item.includes(field.separator);
+                });
+                break;
+        }
+
+        if (!valid) {
+            throw new IllegalArgumentException(
+                `The value of dataset field "${field.name}" is not a valid ${field.type}.`);
+        }
+    }
+
+    /**
+     * 将值转为储存在 dataset 之中的字符串
+     *
+     * @param {*} field
+     * @param {*} value
+     * @returns
+     */
+    format(field, value) {
+        switch (field.type) {
+            case 'json':
+                return JSON.stringify(value);
+
+            case 'date':
+                return value.toISOString();
+
+            case 'stringArray':
+                return value.join(field.separator);
+
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * 复制默认值，以免读取所得的对象（比如 JSON 对象、数组）被修改之后
+     * 影响默认值。
+     *
+     * @param {*} value
+     * @returns
+     */
+    static cloneValue(value) {
+        if (value instanceof Date) {
+            return new Date(value.getTime());
+        } else if (value !== null && typeof value === 'object') {
+            return JSON.parse(JSON.stringify(value));
+        }
+
+        return value;
+    }
+
+    /**
+     * 将 kebab case 格式的 dataset 属性名称转为 camel case，比如
+     * 'created-at' 转为 'createdAt'，camel case 格式的名称保持不变。
+     *
+     * 跟浏览器的 dataset 一样，只有 '-' 之后的小写字母会被转换，
+     * '-' 之后的数字保持不变，比如 'item-1' 仍然为 'item-1'。
+     *
+     * @param {*} name
+     * @returns
+     */
+    static toCamelCaseName(name) {
+        let camelCaseName = name.replace(/-([a-z])/g, (match, c) => {
+            return c.toUpperCase();
+        });
+
+        if (!/^[a-z][a-zA-Z0-9]*(-[0-9][a-zA-Z0-9]*)*$/.test(camelCaseName)) {
+            throw new IllegalArgumentException(
+                `The dataset name "${name}" should be in camel case or kebab case.`);
+        }
+
+        return camelCaseName;
+    }
+
+    /**
+     * 将 dataset 的属性名（camel case）转换为对应的 HTML 属性名，
+     * 比如 'fooBar' 转换为 'data-foo-bar'。
+     *
+     * @param {*} name
+     * @returns
+     */
+    static toAttributeName(name) {
+        return 'data-' + name.replace(/[A-Z]/g, (c) => {
+            return '-' + c.toLowerCase();
+        });
+    }
+}
+
+module.exports = DatasetSchema;
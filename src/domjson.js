@@ -0,0 +1,260 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DatasetSchema = require('./datasetschema');
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// 带前缀的属性的命名空间，比如 SVG 的 'xlink:href'
+const ATTRIBUTE_NAMESPACES = {
+    xlink: 'http://www.w3.org/1999/xlink',
+    xml: 'http://www.w3.org/XML/1998/namespace',
+    xmlns: 'http://www.w3.org/2000/xmlns/'
+};
+
+// HTML 的空白字符，参见 https://infra.spec.whatwg.org/#ascii-whitespace
+const WHITESPACE_PATTERN = /^[ \t\n\f\r]*$/;
+
+const DEFAULT_OPTIONS = {
+    ignoreWhitespace: false,
+    ignoreComments: false
+};
+
+/**
+ * DOM 节点和普通 JSON 对象之间的转换。
+ *
+ * JSON 对象不依赖于 DOM 环境，所以可以储存、在 Web Worker 之间传递，
+ * 也可以直接比较（比如 assert.deepEqual()），转换回 DOM 时可以选择
+ * 浏览器的 document 或者 domino 的 document。
+ *
+ * JSON 对象的格式：
+ * - 元素：{type: 'element', tag, namespace, attributes, dataset, classList, children}
+ *   - tag 标签名称，HTML 元素为小写；
+ *   - namespace 只有非 HTML 元素（比如 SVG）才有这个属性；
+ *   - attributes 除了 class 和 data-* 之外的属性，{name: value}；
+ *   - dataset data-* 属性，名称为 camel case 格式，{name: value}；
+ *   - classList 样式名称数组；
+ *   - children 子节点数组，<template> 元素的子节点为其 content 的子节点；
+ * - 文本：{type: 'text', text}
+ * - 注释：{type: 'comment', text}
+ * - 处理指令：{type: 'processingInstruction', target, text}
+ * - DocumentFragment（以及 Document）：{type: 'fragment', children}
+ *
+ * 转换不是完全无损的，以下信息会丢失：
+ * - DOCTYPE 节点会被丢弃，Document 转换为 fragment；
+ * - 空的 class 属性（class=""）会被丢弃，因为 classList 为空数组时不会设置
+ *   class 属性，样式名称之间的空白也会被规范为一个空格；
+ * - 属性的顺序，转换回 DOM 时先设置 attributes，再设置 class 和 dataset。
+ *
+ * 选项（options）有：
+ * - ignoreWhitespace 是否丢弃仅包含空白字符的文本节点，默认为 false；
+ * - ignoreComments 是否丢弃注释节点，默认为 false。
+ */
+class DomJson {
+
+    /**
+     *
+     * @param {*} options 参见类的说明
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    }
+
+    /**
+     * 将 DOM 节点转换为 JSON 对象
+     *
+     * @param {*} node Element、Text、Comment、ProcessingInstruction、DocumentFragment
+     *     或者 Document
+     * @returns 如果节点被选项忽略（比如空白文本节点），则返回 undefined。
+     */
+    toJSON(node) {
+        if (node === null || node === undefined || node.nodeType === undefined) {
+            throw new IllegalArgumentException('The object to be converted should be a DOM node.');
+        }
+
+        switch (node.nodeType) {
+            case 1: // ELEMENT_NODE
+                return this.elementToJSON(node);
+
+            case 3: // TEXT_NODE
+            case 4: // CDATA_SECTION_NODE
+                if (this.options.ignoreWhitespace && WHITESPACE_PATTERN.test(node.data)) {
+                    return;
+                }
+                return { type: 'text', text: node.data };
+
+            case 7: // PROCESSING_INSTRUCTION_NODE
+                return { type: 'processingInstruction', target: node.target, text: node.data };
+
+            case 8: // COMMENT_NODE
+                if (this.options.ignoreComments) {
+                    return;
+                }
+                return { type: 'comment', text: node.data };
+
+            case 9: // DOCUMENT_NODE
+            case 11: // DOCUMENT_FRAGMENT_NODE
+                return { type: 'fragment', children: this.childNodesToJSON(node) };
+
+            case 10: // DOCUMENT_TYPE_NODE
+                return;
+
+            default:
+                throw new IllegalArgumentException(`Unsupported node type "${node.nodeType}".`);
+        }
+    }
+
+    elementToJSON(element) {
+        let isHTML = (element.namespaceURI === HTML_NAMESPACE);
+        let json = {
+            type: 'element',
+            tag: isHTML ? element.localName : element.tagName
+        };
+
+        if (!isHTML) {
+            json.namespace = element.namespaceURI;
+        }
+
+        let attributes = {};
+        let dataset = {};
+        let classList = [];
+
+        for (let attribute of Array.from(element.attributes)) {
+            let name = attribute.name;
+            if (name === 'class') {
+                classList = attribute.value.split(/[ \t\n\f\r]+/).filter((className) => {
+                    return className !== '';
+                });
+            } else if (DomJson.isDatasetAttribute(name)) {
+                dataset[DatasetSchema.toCamelCaseName(name.substring('data-'.length))] = attribute.value;
+            } else {
+                attributes[name] = attribute.value;
+            }
+        }
+
+        json.attributes = attributes;
+        json.dataset = dataset;
+        json.classList = classList;
+
+        // <template> 元素的内容储存在 content 属性（DocumentFragment）当中
+        let container = (isHTML && json.tag === 'template' && element.content !== undefined) ?
+            element.content : element;
+        json.children = this.childNodesToJSON(container);
+
+        return json;
+    }
+
+    childNodesToJSON(node) {
+        let children = [];
+        for (let childNode of Array.from(node.childNodes)) {
+            let child = this.toJSON(childNode);
+            if (child !== undefined) {
+                children.push(child);
+            }
+        }
+        return children;
+    }
+
+    /**
+     * 将 JSON 对象转换为 DOM 节点
+     *
+     * @param {*} json toJSON() 的结果
+     * @param {*} doc 用于创建节点的 document，可以是浏览器的 document，
+     *     也可以是 domino 的 document（比如 DomUtils.createHTMLDocument()）。
+     * @returns 返回 Element、Text、Comment、ProcessingInstruction 或者
+     *     DocumentFragment。如果节点被选项忽略，则返回 undefined。
+     */
+    toDOM(json, doc) {
+        if (doc === null || doc === undefined || typeof doc.createElement !== 'function') {
+            throw new IllegalArgumentException('The document should be provided.');
+        }
+
+        if (json === null || typeof json !== 'object') {
+            throw new IllegalArgumentException('The JSON node should be an object.');
+        }
+
+        switch (json.type) {
+            case 'element':
+                return this.elementToDOM(json, doc);
+
+            case 'text':
+                if (this.options.ignoreWhitespace && WHITESPACE_PATTERN.test(json.text)) {
+                    return;
+                }
+                return doc.createTextNode(json.text);
+
+            case 'comment':
+                if (this.options.ignoreComments) {
+                    return;
+                }
+                return doc.createComment(json.text);
+
+            case 'processingInstruction':
+                return doc.createProcessingInstruction(json.target, json.text);
+
+            case 'fragment':
+                {
+                    let fragment = doc.createDocumentFragment();
+                    this.appendChildren(fragment, json.children, doc);
+                    return fragment;
+                }
+
+            default:
+                throw new IllegalArgumentException(`Unsupported JSON node type "${json.type}".`);
+        }
+    }
+
+    elementToDOM(json, doc) {
+        let { tag, namespace, attributes = {}, dataset = {}, classList = [], children = [] } = json;
+
+        let element = (namespace === undefined || namespace === HTML_NAMESPACE) ?
+            doc.createElement(tag) :
+            doc.createElementNS(namespace, tag);
+
+        for (let name of Object.keys(attributes)) {
+            let index = name.indexOf(':');
+            let attributeNamespace = (index === -1) ? undefined : ATTRIBUTE_NAMESPACES[name.substring(0, index)];
+
+            if (attributeNamespace === undefined) {
+                element.setAttribute(name, attributes[name]);
+            } else {
+                element.setAttributeNS(attributeNamespace, name, attributes[name]);
+            }
+        }
+
+        if (classList.length > 0) {
+            element.setAttribute('class', classList.join(' '));
+        }
+
+        for (let name of Object.keys(dataset)) {
+            element.setAttribute(DatasetSchema.toAttributeName(name), dataset[name]);
+        }
+
+        let container = (element.localName === 'template' && element.content !== undefined) ?
+            element.content : element;
+        this.appendChildren(container, children, doc);
+
+        return element;
+    }
+
+    appendChildren(parentNode, children, doc) {
+        for (let child of children) {
+            let node = this.toDOM(child, doc);
+            if (node !== undefined) {
+                parentNode.appendChild(node);
+            }
+        }
+    }
+
+    /**
+     * 判断 data-* 属性是否可以无损地转换为 dataset 的名称，即 'data-' 之后
+     * 只包含小写字母、数字和 '-'，以小写字母开头，且每一段都不为空。
+     *
+     * @param {*} name
+     * @returns
+     */
+    static isDatasetAttribute(name) {
+        return /^data-[a-z][a-z0-9]*(-[a-z0-9]+)*$/.test(name);
+    }
+}
+
+module.exports = DomJson;
@@ -0,0 +1,281 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DatasetSchema = require('./datasetschema');
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+const DOCUMENT_FRAGMENT_NODE = 11;
+
+// 需要同步实时状态的表单控件
+const FORM_CONTROL_SELECTOR = 'input, textarea, option';
+
+/**
+ * 将现有的节点树修补（patch）为跟新的节点树一致，即 morph。
+ *
+ * 跟直接替换节点不同，相同的节点会被保留，所以元素的焦点、选区、滚动位置
+ * 以及事件监听器都不会丢失：
+ * - 子节点按键（key，默认为 dataset 之中的 key 属性，即 data-key）匹配，
+ *   键相同的元素会被移动（而不是重新创建）到新的位置；
+ * - 没有键的子节点按顺序匹配相同类型（标签名）的节点；
+ * - 匹配的元素会就地更新其属性（包括 class 和 data-* 属性）以及子节点，
+ *   文本和注释节点会就地更新其内容；
+ * - 表单控件（input、textarea、select 之中的 option）的实时状态，即 value、
+ *   checked 和 selected 属性（property），会被同步为新节点的值，即使特性
+ *   （attribute）没有变化；
+ * - 没有匹配的新节点会被复制（importNode）并插入，多余的旧节点会被删除。
+ *
+ * 新的节点树不会被修改，它可以来自另一个 document（比如 DomUtils.parse() 的结果）。
+ *
+ * 选项（options）有：
+ * - key 键的来源，可以是 dataset 的属性名（camel case 格式），默认为 'key'，
+ *   也可以是一个函数 function(node)，返回键或者 undefined；
+ * - onBeforeNodeAdded function(node)，返回 false 则不插入该节点；
+ * - onNodeAdded function(node)；
+ * - onBeforeNodeRemoved function(node)，返回 false 则不删除该节点；
+ * - onNodeRemoved function(node)；
+ * - onBeforeNodeUpdated function(fromNode, toNode)，返回 false 则不更新该节点
+ *   （对于元素，也不更新其子节点）；
+ * - onNodeUpdated function(node)，节点有变化时调用。
+ *
+ * 对于插入和删除的节点，只有顶层的节点会触发回调，其子孙节点不会。
+ */
+class DomMorph {
+
+    constructor(options = {}) {
+        let { key = 'key' } = options;
+
+        if (typeof key === 'function') {
+            this.getKey = key;
+        } else if (typeof key === 'string') {
+            let attributeName = DatasetSchema.toAttributeName(DatasetSchema.toCamelCaseName(key));
+            this.getKey = (node) => {
+                let value = node.getAttribute(attributeName);
+                return value === null ? undefined : value;
+            };
+        } else {
+            throw new IllegalArgumentException('The key option should be a string or a function.');
+        }
+
+        this.options = options;
+    }
+
+    /**
+     * 将 fromNode 修补为跟 toNode 一致
+     *
+     * @param {*} fromNode 现有的节点
+     * @param {*} toNode 新的节点，如果是 DocumentFragment，则只修补 fromNode 的子节点。
+     * @returns 返回修补后的节点，通常为 fromNode 本身，当两者的类型（标签名）
+     *     不同时，fromNode 会被替换，返回替换后的新节点。
+     */
+    morph(fromNode, toNode) {
+        if (toNode.nodeType === DOCUMENT_FRAGMENT_NODE) {
+            this.morphChildren(fromNode, toNode);
+            return fromNode;
+        }
+
+        if (DomMorph.isSameType(fromNode, toNode)) {
+            this.morphNode(fromNode, toNode);
+            return fromNode;
+        }
+
+        let parentNode = fromNode.parentNode;
+        let newNode = fromNode.ownerDocument.importNode(toNode, true);
+
+        if (parentNode === null || this.callHook('onBeforeNodeAdded', newNode) === false) {
+            return fromNode;
+        }
+
+        if (this.callHook('onBeforeNodeRemoved', fromNode) === false) {
+            return fromNode;
+        }
+
+        parentNode.replaceChild(newNode, fromNode);
+        this.callHook('onNodeRemoved', fromNode);
+        this.callHook('onNodeAdded', newNode);
+        return newNode;
+    }
+
+    morphNode(fromNode, toNode) {
+        if (typeof fromNode.isEqualNode === 'function' && fromNode.isEqualNode(toNode)) {
+            // 特性相同的表单控件，其实时状态仍然可能不同
+            if (fromNode.nodeType === ELEMENT_NODE) {
+                DomMorph.morphFormControls(fromNode, toNode);
+            }
+            return;
+        }
+
+        if (this.callHook('onBeforeNodeUpdated', fromNode, toNode) === false) {
+            return;
+        }
+
+        if (fromNode.nodeType === ELEMENT_NODE) {
+            this.morphAttributes(fromNode, toNode);
+            this.morphChildren(fromNode, toNode);
+            DomMorph.morphFormProperties(fromNode, toNode);
+        } else if (fromNode.nodeType === TEXT_NODE || fromNode.nodeType === COMMENT_NODE) {
+            if (fromNode.data !== toNode.data) {
+                fromNode.data = toNode.data;
+            }
+        }
+
+        this.callHook('onNodeUpdated', fromNode);
+    }
+
+    morphAttributes(fromElement, toElement) {
+        for (let attribute of Array.from(fromElement.attributes)) {
+            if (!toElement.hasAttributeNS(attribute.namespaceURI, attribute.localName)) {
+                fromElement.removeAttributeNS(attribute.namespaceURI, attribute.localName);
+            }
+        }
+
+        for (let attribute of Array.from(toElement.attributes)) {
+            let value = fromElement.getAttributeNS(attribute.namespaceURI, attribute.localName);
+            if (value !== attribute.value) {
+                fromElement.setAttributeNS(attribute.namespaceURI, attribute.name, attribute.value);
+            }
+        }
+    }
+
+    /**
+     * 同步两个相同的（isEqualNode()）子树之中所有表单控件的实时状态
+     *
+     * @param {*} fromElement
+     * @param {*} toElement
+     */
+    static morphFormControls(fromElement, toElement) {
+        let fromControls = [fromElement, ...Array.from(fromElement.querySelectorAll(FORM_CONTROL_SELECTOR))];
+        let toControls = [toElement, ...Array.from(toElement.querySelectorAll(FORM_CONTROL_SELECTOR))];
+
+        fromControls.forEach((control, index) => {
+            DomMorph.morphFormProperties(control, toControls[index]);
+        });
+    }
+
+    /**
+     * 同步表单控件的实时状态。value、checked 和 selected 特性只是控件的默认值，
+     * 用户输入之后，修改特性不会再改变控件的状态，所以需要直接设置对应的属性。
+     *
+     * @param {*} fromElement
+     * @param {*} toElement
+     */
+    static morphFormProperties(fromElement, toElement) {
+        let sync = (name, value) => {
+            if (fromElement[name] !== value) {
+                fromElement[name] = value;
+            }
+        };
+
+        switch (fromElement.nodeName) {
+            case 'INPUT':
+                sync('checked', toElement.hasAttribute('checked'));
+                // 文件输入框的值不能由脚本设置，保留用户选择的文件
+                if (fromElement.type !== 'file') {
+                    sync('value', toElement.value);
+                }
+                break;
+
+            case 'TEXTAREA':
+                sync('value', toElement.value);
+                break;
+
+            case 'OPTION':
+                // 单选的 select 没有选中的 option 时，浏览器会自动选中第一个 option
+                sync('selected', toElement.hasAttribute('selected'));
+                break;
+        }
+    }
+
+    morphChildren(fromParent, toParent) {
+        // 现有的有键的子元素，{key: element}
+        let keyedNodes = new Map();
+        for (let child of Array.from(fromParent.childNodes)) {
+            let key = this.getNodeKey(child);
+            if (key !== undefined && !keyedNodes.has(key)) {
+                keyedNodes.set(key, child);
+            }
+        }
+
+        let current = fromParent.firstChild;
+
+        for (let toChild of Array.from(toParent.childNodes)) {
+            let key = this.getNodeKey(toChild);
+            let match;
+
+            if (key !== undefined) {
+                let candidate = keyedNodes.get(key);
+                if (candidate !== undefined && DomMorph.isSameType(candidate, toChild)) {
+                    match = candidate;
+                    keyedNodes.delete(key);
+                }
+            } else {
+                // 寻找尚未匹配的、没有键的相同类型的节点
+                for (let node = current; node !== null; node = node.nextSibling) {
+                    if (this.getNodeKey(node) === undefined && DomMorph.isSameType(node, toChild)) {
+                        match = node;
+                        break;
+                    }
+                }
+            }
+
+            if (match !== undefined) {
+                if (match !== current) {
+                    fromParent.insertBefore(match, current);
+                } else {
+                    current = current.nextSibling;
+                }
+
+                this.morphNode(match, toChild);
+                continue;
+            }
+
+            let newNode = fromParent.ownerDocument.importNode(toChild, true);
+            if (this.callHook('onBeforeNodeAdded', newNode) !== false) {
+                fromParent.insertBefore(newNode, current);
+                this.callHook('onNodeAdded', newNode);
+            }
+        }
+
+        // 剩下的都是没有匹配的旧节点
+        while (current !== null) {
+            let next = current.nextSibling;
+            this.removeNode(current);
+            current = next;
+        }
+    }
+
+    removeNode(node) {
+        if (this.callHook('onBeforeNodeRemoved', node) === false) {
+            return;
+        }
+
+        node.parentNode.removeChild(node);
+        this.callHook('onNodeRemoved', node);
+    }
+
+    getNodeKey(node) {
+        return node.nodeType === ELEMENT_NODE ? this.getKey(node) : undefined;
+    }
+
+    callHook(name, ...args) {
+        let hook = this.options[name];
+        if (typeof hook === 'function') {
+            return hook(...args);
+        }
+    }
+
+    static isSameType(fromNode, toNode) {
+        if (fromNode.nodeType !== toNode.nodeType) {
+            return false;
+        }
+
+        if (fromNode.nodeType === ELEMENT_NODE) {
+            return fromNode.localName === toNode.localName &&
+                fromNode.namespaceURI === toNode.namespaceURI;
+        }
+
+        return true;
+    }
+}
+
+module.exports = DomMorph;
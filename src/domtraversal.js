@@ -0,0 +1,461 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DatasetSchema = require('./datasetschema');
+
+// Node.ELEMENT_NODE，在后端环境（比如 nodejs）里没有全局的 Node 对象，
+// 所以这里直接使用常量值。
+const ELEMENT_NODE = 1;
+
+/**
+ * 元素遍历（traversal）的核心。
+ *
+ * DomUtils 的 find* 系列方法都建立在这个类之上，它由两部分组成：
+ *
+ * - 匹配器（matcher），用于判断一个元素是否符合条件，
+ *   通过 DomTraversal.createMatcher() 构造；
+ * - 轴（axis），用于决定遍历的方向和范围，有：
+ *   - 'selfAndAncestors' 从当前节点开始，往父节点方向遍历；
+ *   - 'ancestors' 从当前节点的父节点开始，往父节点方向遍历；
+ *   - 'previous' 从当前节点的排在之前的姐妹节点开始，若到达第一个
+ *     姐妹节点则转到父节点，以及父节点的排在之前的姐妹节点，依此类推；
+ *   - 'next' 从当前节点的排在之后的姐妹节点开始，若到达最后一个
+ *     姐妹节点则转到父节点的排在之后的姐妹节点（不包括父节点本身），依此类推；
+ *   - 'previousInDocument' 跟 'previous' 类似，但会进入每个姐妹节点的子孙节点，
+ *     即按文档的逆序遍历排在当前节点之前的所有节点（包括父节点）；
+ *   - 'nextInDocument' 跟 'next' 类似，但会进入每个姐妹节点的子孙节点，
+ *     即按文档顺序遍历排在当前节点之后的所有节点（不包括当前节点自己的子孙节点）；
+ *   - 'descendants' 按文档顺序遍历当前节点的所有子孙节点。
+ *
+ * 除了 'descendants' 之外，其他的轴都在到达 topElement 元素或者 BODY 元素时
+ * 停止，且 topElement 和 BODY 元素本身不会被遍历。
+ */
+class DomTraversal {
+
+    /**
+     * 构造一个匹配器。
+     *
+     * @param {*} criteria 匹配条件，可以是：
+     *     - 一个函数：function(element) {return boolean;}，直接作为匹配器；
+     *     - 一个字符串：CSS 选择器（selector），比如 'li.item[data-state="open"]:not(.disabled)'；
+     *     - 一个对象：{selector, className, classNames, tagName, attributes, dataset, predicate}，
+     *       所有的属性都是可选的，但不能全部为 undefined，当指定了多个属性时，
+     *       元素需要同时满足所有条件。
+     *       - selector CSS 选择器；
+     *       - className 样式名称；
+     *       - classNames 样式名称数组，元素需要包含所有的样式；
+     *       - tagName 标签名称，不区分大小写（包括 XML 文档之中的元素），
+     *         比如 'li' 和 'LI' 都匹配 <li> 元素；
+     *       - attributes 属性条件对象，比如 {name: value, ...}，value 可以是
+     *         字符串（要求属性值相等）、true（要求存在该属性）或者 RegExp 对象；
+     *       - dataset 跟 attributes 类似，但匹配的是 element.dataset，
+     *         名称需要使用 camel case 格式；
+     *       - predicate 一个函数，function(element) {return boolean;}
+     * @returns 返回 function(element) {return boolean;}
+     */
+    static createMatcher(criteria) {
+        if (typeof criteria === 'function') {
+            return criteria;
+        }
+
+        if (typeof criteria === 'string') {
+            return DomTraversal.createSelectorMatcher(criteria);
+        }
+
+        if (criteria === null || typeof criteria !== 'object') {
+            throw new IllegalArgumentException('Unsupported match criteria.');
+        }
+
+        let { selector, className, classNames, tagName, attributes, dataset, predicate } = criteria;
+
+        let tests = [];
+
+        if (selector !== undefined) {
+            tests.push(DomTraversal.createSelectorMatcher(selector));
+        }
+
+        if (className !== undefined) {
+            tests.push((element) => {
+                return element.classList.contains(className);
+            });
+        }
+
+        if (classNames !== undefined) {
+            tests.push((element) => {
+                return classNames.every((item) => {
+                    return element.classList.contains(item);
+                });
+            });
+        }
+
+        if (tagName !== undefined) {
+            let upperCaseTagName = tagName.toUpperCase();
+            tests.push((element) => {
+                return element.tagName.toUpperCase() === upperCaseTagName;
+            });
+        }
+
+        if (attributes !== undefined) {
+            let names = Object.keys(attributes);
+            tests.push((element) => {
+                return names.every((name) => {
+                    return DomTraversal.matchValue(
+                        element.getAttribute(name), attributes[name]);
+                });
+            });
+        }
+
+        if (dataset !== undefined) {
+            let names = Object.keys(dataset);
+            tests.push((element) => {
+                // 后端的 DOM 实现（比如 domino）不一定支持 element.dataset，
+                // 所以这里通过对应的 data-* 属性来读取值。
+                return names.every((name) => {
+                    return DomTraversal.matchValue(
+                        element.getAttribute(DatasetSchema.toAttributeName(name)), dataset[name]);
+                });
+            });
+        }
+
+        if (predicate !== undefined) {
+            tests.push(predicate);
+        }
+
+        if (tests.length === 0) {
+            throw new IllegalArgumentException('At least one match criterion is required.');
+        }
+
+        return (element) => {
+            return tests.every((test) => {
+                return test(element);
+            });
+        };
+    }
+
+    /**
+     * 构造一个 CSS 选择器匹配器。
+     *
+     * 使用 Element.matches() 方法来匹配，浏览器和后端的 DOM 实现（比如 domino）
+     * 都支持这个方法，所以同样的选择器可以在两个环境中使用。
+     *
+     * @param {*} selector
+     * @returns 返回 function(element) {return boolean;}
+     */
+    static createSelectorMatcher(selector) {
+        if (selector.trim() === '') {
+            throw new IllegalArgumentException('The selector should not be empty.');
+        }
+
+        return (element) => {
+            // see also:
+            // https://developer.mozilla.org/en-US/docs/Web/API/Element/matches
+            let matches = element.matches ||
+                element.webkitMatchesSelector ||
+                element.msMatchesSelector;
+
+            try {
+                return matches.call(element, selector);
+            } catch (e) {
+                throw new IllegalArgumentException(
+                    `The selector "${selector}" is invalid.`);
+            }
+        };
+    }
+
+    /**
+     * 判断属性值是否符合条件
+     *
+     * @param {*} actualValue 属性的值，当属性不存在时为 null
+     * @param {*} expectedValue 字符串、true 或者 RegExp 对象
+     * @returns
+     */
+    static matchValue(actualValue, expectedValue) {
+        if (actualValue === null) {
+            return false;
+        }
+
+        if (expectedValue === true) {
+            return true;
+        } else if (expectedValue instanceof RegExp) {
+            return expectedValue.test(actualValue);
+        } else {
+            return actualValue === String(expectedValue);
+        }
+    }
+
+    /**
+     * 判断节点是否遍历的边界，即 null、topElement 或者 BODY 元素。
+     *
+     * @param {*} node
+     * @param {*} topElement
+     * @returns
+     */
+    static isBoundary(node, topElement) {
+        return node === null || node === topElement || node.tagName === 'BODY';
+    }
+
+    /**
+     * 按指定的轴遍历元素。
+     *
+     * 注意只有元素（Element）会被遍历，文本节点等其他节点会被跳过。
+     *
+     * @param {*} node 起始节点
+     * @param {*} axis 轴的名称，参见类的说明
+     * @param {*} topElement 可选，默认情况下遍历到 BODY 元素即停止
+     * @returns 返回一个迭代器（iterator）
+     */
+    static *iterate(node, axis, topElement) {
+        switch (axis) {
+            case 'selfAndAncestors':
+                yield* DomTraversal.iterateAncestors(node, topElement);
+                break;
+
+            case 'ancestors':
+                if (!DomTraversal.isBoundary(node, topElement)) {
+                    yield* DomTraversal.iterateAncestors(node.parentNode, topElement);
+                }
+                break;
+
+            case 'previous':
+                yield* DomTraversal.iteratePrevious(node, topElement);
+                break;
+
+            case 'next':
+                yield* DomTraversal.iterateNext(node, topElement);
+                break;
+
+            case 'previousInDocument':
+                yield* DomTraversal.iteratePreviousInDocument(node, topElement);
+                break;
+
+            case 'nextInDocument':
+                yield* DomTraversal.iterateNextInDocument(node, topElement);
+                break;
+
+            case 'descendants':
+                yield* DomTraversal.iterateDescendants(node);
+                break;
+
+            default:
+                throw new IllegalArgumentException(`Unsupported axis "${axis}".`);
+        }
+    }
+
+    static *iterateAncestors(node, topElement) {
+        let element = node;
+        while (!DomTraversal.isBoundary(element, topElement)) {
+            if (element.nodeType === ELEMENT_NODE) {
+                yield element;
+            }
+
+            element = element.parentNode;
+        }
+    }
+
+    static *iteratePrevious(node, topElement) {
+        let element = node;
+        while (!DomTraversal.isBoundary(element, topElement)) {
+
+            // see also:
+            // https://developer.mozilla.org/en-US/docs/Web/API/Node/previousSibling
+            let previousElement = element.previousSibling;
+            if (previousElement === null) {
+                // reach the first child, go up parent node
+                element = element.parentNode;
+            } else {
+                element = previousElement;
+            }
+
+            if (DomTraversal.isBoundary(element, topElement)) {
+                break;
+            }
+
+            if (element.nodeType === ELEMENT_NODE) {
+                yield element;
+            }
+        }
+    }
+
+    static *iterateNext(node, topElement) {
+        let element = node;
+        while (!DomTraversal.isBoundary(element, topElement)) {
+
+            // see also:
+            // https://developer.mozilla.org/en-US/docs/Web/API/Node/nextSibling
+            let nextElement = element.nextSibling;
+            if (nextElement === null) {
+                // reach the last child, go up parent node, the parent node
+                // itself is placed before the start node, so it is skipped.
+                element = element.parentNode;
+                continue;
+            }
+
+            element = nextElement;
+
+            if (DomTraversal.isBoundary(element, topElement)) {
+                break;
+            }
+
+            if (element.nodeType === ELEMENT_NODE) {
+                yield element;
+            }
+        }
+    }
+
+    static *iteratePreviousInDocument(node, topElement) {
+        let element = node;
+        while (!DomTraversal.isBoundary(element, topElement)) {
+
+            let previousElement = element.previousSibling;
+            if (previousElement === null) {
+                // reach the first child, go up parent node
+                element = element.parentNode;
+
+                if (DomTraversal.isBoundary(element, topElement)) {
+                    break;
+                }
+
+                if (element.nodeType === ELEMENT_NODE) {
+                    yield element;
+                }
+
+                continue;
+            }
+
+            element = previousElement;
+
+            if (DomTraversal.isBoundary(element, topElement)) {
+                break;
+            }
+
+            // 子孙节点在文档中排在该节点之后，所以按逆序遍历时需要先遍历它们。
+            yield* DomTraversal.iterateDescendantsReversely(element);
+
+            if (element.nodeType === ELEMENT_NODE) {
+                yield element;
+            }
+        }
+    }
+
+    static *iterateNextInDocument(node, topElement) {
+        let element = node;
+        while (!DomTraversal.isBoundary(element, topElement)) {
+
+            let nextElement = element.nextSibling;
+            if (nextElement === null) {
+                // reach the last child, go up parent node
+                element = element.parentNode;
+                continue;
+            }
+
+            element = nextElement;
+
+            if (DomTraversal.isBoundary(element, topElement)) {
+                break;
+            }
+
+            if (element.nodeType === ELEMENT_NODE) {
+                yield element;
+            }
+
+            yield* DomTraversal.iterateDescendants(element);
+        }
+    }
+
+    /**
+     * 按文档的逆序遍历所有子孙节点，即最后一个子孙节点排在最前。
+     *
+     * @param {*} node
+     */
+    static *iterateDescendantsReversely(node) {
+        let element = node.lastChild;
+        if (element === null) {
+            return;
+        }
+
+        while (element.lastChild !== null) {
+            element = element.lastChild;
+        }
+
+        while (element !== node) {
+            if (element.nodeType === ELEMENT_NODE) {
+                yield element;
+            }
+
+            if (element.previousSibling !== null) {
+                element = element.previousSibling;
+                while (element.lastChild !== null) {
+                    element = element.lastChild;
+                }
+            } else {
+                element = element.parentNode;
+            }
+        }
+    }
+
+    static *iterateDescendants(node) {
+        let element = node.firstChild;
+        while (element !== null) {
+            if (element.nodeType === ELEMENT_NODE) {
+                yield element;
+            }
+
+            if (element.firstChild !== null) {
+                element = element.firstChild;
+                continue;
+            }
+
+            while (element !== node && element.nextSibling === null) {
+                element = element.parentNode;
+            }
+
+            if (element === node) {
+                break;
+            }
+
+            element = element.nextSibling;
+        }
+    }
+
+    /**
+     * 按指定的轴寻找第一个符合条件的元素。
+     *
+     * @param {*} node
+     * @param {*} criteria 匹配条件，参见 DomTraversal.createMatcher()
+     * @param {*} axis 轴的名称
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static find(node, criteria, axis, topElement) {
+        let matcher = DomTraversal.createMatcher(criteria);
+        for (let element of DomTraversal.iterate(node, axis, topElement)) {
+            if (matcher(element)) {
+                return element;
+            }
+        }
+
+        // 找不到符合的元素，返回 undefined
+    }
+
+    /**
+     * 按指定的轴寻找所有符合条件的元素。
+     *
+     * @param {*} node
+     * @param {*} criteria 匹配条件，参见 DomTraversal.createMatcher()
+     * @param {*} axis 轴的名称
+     * @param {*} topElement
+     * @returns 返回元素数组，元素的顺序即遍历的顺序。如果找不到符合的元素
+     *     则返回空数组。
+     */
+    static findAll(node, criteria, axis, topElement) {
+        let matcher = DomTraversal.createMatcher(criteria);
+        let elements = [];
+        for (let element of DomTraversal.iterate(node, axis, topElement)) {
+            if (matcher(element)) {
+                elements.push(element);
+            }
+        }
+        return elements;
+    }
+}
+
+module.exports = DomTraversal;
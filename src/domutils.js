@@ -4,6 +4,14 @@ const { IllegalArgumentException } = require('jsexception');
 const { StringUtils } = require('jsstringutils');
 
 const ComputeSize = require('./computesize');
+const Length = require('./length');
+const DomTraversal = require('./domtraversal');
+const XmlParser = require('./xmlparser');
+const HtmlSerializer = require('./htmlserializer');
+const HtmlSanitizer = require('./htmlsanitizer');
+const DomMorph = require('./dommorph');
+const NodePath = require('./nodepath');
+const DomJson = require('./domjson');
 
 class DomUtils {
 
@@ -23,6 +31,8 @@ class DomUtils {
      * 则往父节点寻找，直到到达指定的 topElement 元素或者 BODY 元素为止。
      *
      * - className 和 tagName 都是可选的，但不能同时为 undefined
+     * - tagName 不区分大小写，比如 'li' 和 'LI' 都匹配 <li> 元素，XML 文档之中的
+     *   元素也一样（比如 'item' 同时匹配 <item> 和 <Item>）
      * - topElement 也是可选的，默认情况下搜索到 BODY 元素即停止
      * - 结果有可能是起始节点，如果它的条件匹配的话。
      *
@@ -41,30 +51,48 @@ class DomUtils {
         // Node.nodeType: TEXT_NODE =3
         // Node.nodeName: a Text node will have the '#text' string.
 
-        let element = node;
-        while (element !== null && element !== topElement && element.tagName !== 'BODY') {
-
-            if (element.nodeType === Node.ELEMENT_NODE) {
-                if (className !== undefined && tagName !== undefined) {
-                    if (DomUtils.containsClassName(element.classList, className) &&
-                        element.tagName === tagName) {
-                        return element;
-                    }
-                } else if (className !== undefined) {
-                    if (DomUtils.containsClassName(element.classList, className)) {
-                        return element;
-                    }
-                } else if (tagName !== undefined) {
-                    if (element.tagName === tagName) {
-                        return element;
-                    }
-                }
-            }
+        return DomTraversal.find(node, { className, tagName }, 'selfAndAncestors', topElement);
+    }
 
-            element = element.parentNode;
-        }
+    /**
+     * 跟 findElementAndParent() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} className
+     * @param {*} tagName
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllElementAndParent(node, className, tagName, topElement) {
+        return DomTraversal.findAll(node, { className, tagName }, 'selfAndAncestors', topElement);
+    }
+
+    /**
+     * 根据指定的 CSS 选择器，从当前元素开始寻找符合的元素，找不到
+     * 则往父节点寻找，直到到达指定的 topElement 元素或者 BODY 元素为止。
+     *
+     * - topElement 是可选的，默认情况下搜索到 BODY 元素即停止
+     * - 结果有可能是起始节点，如果它的条件匹配的话。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器，比如 'li.item[data-state="open"]:not(.disabled)'
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findElementAndParentBySelector(node, selector, topElement) {
+        return DomTraversal.find(node, selector, 'selfAndAncestors', topElement);
+    }
 
-        // 找不到符合的元素，返回 undefined
+    /**
+     * 跟 findElementAndParentBySelector() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllElementAndParentBySelector(node, selector, topElement) {
+        return DomTraversal.findAll(node, selector, 'selfAndAncestors', topElement);
     }
 
     /**
@@ -72,6 +100,8 @@ class DomUtils {
      * 父节点，直到到达指定的 topElement 元素或者 BODY 元素为止。
      *
      * - className 和 tagName 都是可选的，但不能同时为 undefined
+     * - tagName 不区分大小写，比如 'li' 和 'LI' 都匹配 <li> 元素，XML 文档之中的
+     *   元素也一样（比如 'item' 同时匹配 <item> 和 <Item>）
      * - topElement 也是可选的，默认情况下搜索到 BODY 元素即停止
      * - 结果不会是起始节点，即使它的条件匹配。
      *
@@ -82,29 +112,45 @@ class DomUtils {
      * @returns 如果找不到符合的元素则返回 undefined
      */
     static findParentElement(node, className, tagName, topElement) {
-        let element = node;
-        while (element !== null && element !== topElement && element.tagName !== 'BODY') {
-            element = element.parentNode;
-
-            if (element.nodeType === Node.ELEMENT_NODE) {
-                if (className !== undefined && tagName !== undefined) {
-                    if (DomUtils.containsClassName(element.classList, className) &&
-                        element.tagName === tagName) {
-                        return element;
-                    }
-                } else if (className !== undefined) {
-                    if (DomUtils.containsClassName(element.classList, className)) {
-                        return element;
-                    }
-                } else if (tagName !== undefined) {
-                    if (element.tagName === tagName) {
-                        return element;
-                    }
-                }
-            }
-        }
+        return DomTraversal.find(node, { className, tagName }, 'ancestors', topElement);
+    }
 
-        // 找不到符合的元素，返回 undefined
+    /**
+     * 跟 findParentElement() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} className
+     * @param {*} tagName
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllParentElements(node, className, tagName, topElement) {
+        return DomTraversal.findAll(node, { className, tagName }, 'ancestors', topElement);
+    }
+
+    /**
+     * 根据指定的 CSS 选择器，从当前元素的父节点开始寻找符合的
+     * 父节点，直到到达指定的 topElement 元素或者 BODY 元素为止。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findParentElementBySelector(node, selector, topElement) {
+        return DomTraversal.find(node, selector, 'ancestors', topElement);
+    }
+
+    /**
+     * 跟 findParentElementBySelector() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllParentElementsBySelector(node, selector, topElement) {
+        return DomTraversal.findAll(node, selector, 'ancestors', topElement);
     }
 
     /**
@@ -114,49 +160,32 @@ class DomUtils {
      * 或者 BODY 元素为止。
      *
      * - className 和 tagName 都是可选的，但不能同时为 undefined
+     * - tagName 不区分大小写，比如 'li' 和 'LI' 都匹配 <li> 元素，XML 文档之中的
+     *   元素也一样（比如 'item' 同时匹配 <item> 和 <Item>）
      * - topElement 也是可选的，默认情况下搜索到 BODY 元素即停止
      * - 结果不会是起始节点，即使它的条件匹配。
      *
      * @param {*} node
      * @param {*} className
+     * @param {*} tagName
      * @param {*} topElement
      * @returns 如果找不到符合的元素则返回 undefined
      */
     static findPreviousElementAndParent(node, className, tagName, topElement) {
-        let element = node;
-        while (element !== null && element !== topElement && element.tagName !== 'BODY') {
-
-            // see also:
-            // https://developer.mozilla.org/en-US/docs/Web/API/Node/previousSibling
-            let previousElement = element.previousSibling;
-            if (previousElement === null) {
-                // reach the first child, go up parent node
-                element = element.parentNode;
-            } else {
-                element = previousElement;
-            }
-
-            if (element.nodeType === Node.ELEMENT_NODE) {
-                if (className !== undefined && tagName !== undefined) {
-                    if (DomUtils.containsClassName(element.classList, className) &&
-                        element.tagName === tagName) {
-                        return element;
-                    }
-
-                } else if (className !== undefined) {
-                    if (DomUtils.containsClassName(element.classList, className)) {
-                        return element;
-                    }
-
-                } else if (tagName !== undefined) {
-                    if (element.tagName === tagName) {
-                        return element;
-                    }
-                }
-            }
-        }
+        return DomTraversal.find(node, { className, tagName }, 'previous', topElement);
+    }
 
-        // 找不到符合的元素，返回 undefined
+    /**
+     * 跟 findPreviousElementAndParent() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} className
+     * @param {*} tagName
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllPreviousElementAndParent(node, className, tagName, topElement) {
+        return DomTraversal.findAll(node, { className, tagName }, 'previous', topElement);
     }
 
     /**
@@ -174,28 +203,323 @@ class DomUtils {
      * @returns 如果找不到符合的元素则返回 undefined
      */
     static findPreviousElementAndParentByClassNames(node, classNames, topElement) {
+        return DomTraversal.find(node, { classNames }, 'previous', topElement);
+    }
 
-        let element = node;
-        while (element !== null && element !== topElement && element.tagName !== 'BODY') {
+    /**
+     * 跟 findPreviousElementAndParentByClassNames() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} classNames 样式名称数组
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllPreviousElementAndParentByClassNames(node, classNames, topElement) {
+        return DomTraversal.findAll(node, { classNames }, 'previous', topElement);
+    }
 
-            // see also:
-            // https://developer.mozilla.org/en-US/docs/Web/API/Node/previousSibling
-            let previousElement = element.previousSibling;
-            if (previousElement === null) {
-                // reach the first child, go up parent node
-                element = element.parentNode;
-            } else {
-                element = previousElement;
-            }
+    /**
+     * 跟 findPreviousElementAndParent() 一样，但使用 CSS 选择器来匹配元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findPreviousElementAndParentBySelector(node, selector, topElement) {
+        return DomTraversal.find(node, selector, 'previous', topElement);
+    }
 
-            if (element.nodeType === Node.ELEMENT_NODE) {
-                if (DomUtils.containsAllClassNames(element.classList, classNames)) {
-                    return element;
-                }
-            }
-        }
+    /**
+     * 跟 findPreviousElementAndParentBySelector() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllPreviousElementAndParentBySelector(node, selector, topElement) {
+        return DomTraversal.findAll(node, selector, 'previous', topElement);
+    }
+
+    /**
+     * 根据指定的样式名或者标签名，从当前元素的同层的排在之后的
+     * 姐妹节点（next sibling nodes）开始寻找符合的元素，若找不到则
+     * 转到父节点的排在之后的姐妹节点，直到到达指定的 topElement 元素
+     * 或者 BODY 元素为止。
+     *
+     * - className 和 tagName 都是可选的，但不能同时为 undefined
+     * - tagName 不区分大小写，比如 'li' 和 'LI' 都匹配 <li> 元素，XML 文档之中的
+     *   元素也一样（比如 'item' 同时匹配 <item> 和 <Item>）
+     * - topElement 也是可选的，默认情况下搜索到 BODY 元素即停止
+     * - 结果不会是起始节点，也不会是起始节点的父节点，因为它们都排在起始节点之前。
+     *
+     * @param {*} node
+     * @param {*} className
+     * @param {*} tagName
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findNextElementAndParent(node, className, tagName, topElement) {
+        return DomTraversal.find(node, { className, tagName }, 'next', topElement);
+    }
+
+    /**
+     * 跟 findNextElementAndParent() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} className
+     * @param {*} tagName
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllNextElementAndParent(node, className, tagName, topElement) {
+        return DomTraversal.findAll(node, { className, tagName }, 'next', topElement);
+    }
 
-        // 找不到符合的元素，返回 undefined
+    /**
+     * 根据指定的一组样式名，从当前元素的同层的排在之后的
+     * 姐妹节点（next sibling nodes）开始寻找符合的元素，若找不到则
+     * 转到父节点的排在之后的姐妹节点，直到到达指定的 topElement 元素
+     * 或者 BODY 元素为止。
+     *
+     * - topElement 是可选的，默认情况下搜索到 BODY 元素即停止
+     * - 结果不会是起始节点，也不会是起始节点的父节点。
+     *
+     * @param {*} node
+     * @param {*} classNames 样式名称数组
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findNextElementAndParentByClassNames(node, classNames, topElement) {
+        return DomTraversal.find(node, { classNames }, 'next', topElement);
+    }
+
+    /**
+     * 跟 findNextElementAndParentByClassNames() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} classNames 样式名称数组
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllNextElementAndParentByClassNames(node, classNames, topElement) {
+        return DomTraversal.findAll(node, { classNames }, 'next', topElement);
+    }
+
+    /**
+     * 跟 findNextElementAndParent() 一样，但使用 CSS 选择器来匹配元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findNextElementAndParentBySelector(node, selector, topElement) {
+        return DomTraversal.find(node, selector, 'next', topElement);
+    }
+
+    /**
+     * 跟 findNextElementAndParentBySelector() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllNextElementAndParentBySelector(node, selector, topElement) {
+        return DomTraversal.findAll(node, selector, 'next', topElement);
+    }
+
+    /**
+     * 根据指定的样式名或者标签名，按文档的逆序寻找排在当前元素之前的符合的元素。
+     *
+     * 跟 findPreviousElementAndParent() 不同，这个方法会进入每个
+     * 姐妹节点的子孙节点寻找，比如用于寻找 "上一个" 可以获得焦点的块。
+     *
+     * - className 和 tagName 都是可选的，但不能同时为 undefined
+     * - tagName 不区分大小写，比如 'li' 和 'LI' 都匹配 <li> 元素，XML 文档之中的
+     *   元素也一样（比如 'item' 同时匹配 <item> 和 <Item>）
+     * - topElement 也是可选的，默认情况下搜索到 BODY 元素即停止
+     * - 结果不会是起始节点，但有可能是起始节点的父节点。
+     *
+     * @param {*} node
+     * @param {*} className
+     * @param {*} tagName
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findPreviousElementInDocument(node, className, tagName, topElement) {
+        return DomTraversal.find(node, { className, tagName }, 'previousInDocument', topElement);
+    }
+
+    /**
+     * 根据指定的一组样式名，按文档的逆序寻找排在当前元素之前的符合的元素。
+     *
+     * @param {*} node
+     * @param {*} classNames 样式名称数组
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findPreviousElementInDocumentByClassNames(node, classNames, topElement) {
+        return DomTraversal.find(node, { classNames }, 'previousInDocument', topElement);
+    }
+
+    /**
+     * 跟 findPreviousElementInDocument() 一样，但使用 CSS 选择器来匹配元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findPreviousElementInDocumentBySelector(node, selector, topElement) {
+        return DomTraversal.find(node, selector, 'previousInDocument', topElement);
+    }
+
+    /**
+     * 跟 findPreviousElementInDocumentBySelector() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllPreviousElementInDocumentBySelector(node, selector, topElement) {
+        return DomTraversal.findAll(node, selector, 'previousInDocument', topElement);
+    }
+
+    /**
+     * 根据指定的样式名或者标签名，按文档顺序寻找排在当前元素之后的符合的元素。
+     *
+     * 跟 findNextElementAndParent() 不同，这个方法会进入每个
+     * 姐妹节点的子孙节点寻找，比如用于寻找 "下一个" 可以获得焦点的块。
+     *
+     * - className 和 tagName 都是可选的，但不能同时为 undefined
+     * - tagName 不区分大小写，比如 'li' 和 'LI' 都匹配 <li> 元素，XML 文档之中的
+     *   元素也一样（比如 'item' 同时匹配 <item> 和 <Item>）
+     * - topElement 也是可选的，默认情况下搜索到 BODY 元素即停止
+     * - 结果不会是起始节点，也不会是起始节点的父节点或者子孙节点。
+     *
+     * @param {*} node
+     * @param {*} className
+     * @param {*} tagName
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findNextElementInDocument(node, className, tagName, topElement) {
+        return DomTraversal.find(node, { className, tagName }, 'nextInDocument', topElement);
+    }
+
+    /**
+     * 根据指定的一组样式名，按文档顺序寻找排在当前元素之后的符合的元素。
+     *
+     * @param {*} node
+     * @param {*} classNames 样式名称数组
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findNextElementInDocumentByClassNames(node, classNames, topElement) {
+        return DomTraversal.find(node, { classNames }, 'nextInDocument', topElement);
+    }
+
+    /**
+     * 跟 findNextElementInDocument() 一样，但使用 CSS 选择器来匹配元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findNextElementInDocumentBySelector(node, selector, topElement) {
+        return DomTraversal.find(node, selector, 'nextInDocument', topElement);
+    }
+
+    /**
+     * 跟 findNextElementInDocumentBySelector() 一样，但返回所有符合的元素。
+     *
+     * @param {*} node
+     * @param {*} selector CSS 选择器
+     * @param {*} topElement
+     * @returns 返回元素数组，最靠近起始节点的元素排在前面。
+     */
+    static findAllNextElementInDocumentBySelector(node, selector, topElement) {
+        return DomTraversal.findAll(node, selector, 'nextInDocument', topElement);
+    }
+
+    /**
+     * 按指定的轴寻找第一个符合条件的元素。
+     *
+     * 跟其他 find* 方法不同，这个方法可以通过 CSS 选择器、属性、dataset
+     * 或者一个函数来匹配元素。
+     *
+     * @param {*} node
+     * @param {*} criteria 匹配条件，参见 DomTraversal.createMatcher()
+     * @param {*} axis 轴的名称，参见 DomTraversal
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findElement(node, criteria, axis, topElement) {
+        return DomTraversal.find(node, criteria, axis, topElement);
+    }
+
+    /**
+     * 按指定的轴寻找所有符合条件的元素。
+     *
+     * @param {*} node
+     * @param {*} criteria 匹配条件，参见 DomTraversal.createMatcher()
+     * @param {*} axis 轴的名称，参见 DomTraversal
+     * @param {*} topElement
+     * @returns 返回元素数组，如果找不到符合的元素则返回空数组。
+     */
+    static findAllElements(node, criteria, axis, topElement) {
+        return DomTraversal.findAll(node, criteria, axis, topElement);
+    }
+
+    /**
+     * 计算从根节点到指定节点的路径（子节点索引数组），参见 NodePath。
+     *
+     * @param {*} node
+     * @param {*} root
+     * @param {*} options 可选，{ignoreWhitespace}
+     * @returns
+     */
+    static getNodePath(node, root, options) {
+        return NodePath.getPath(node, root, options);
+    }
+
+    /**
+     * 根据路径寻找节点，参见 NodePath。
+     *
+     * @param {*} path
+     * @param {*} root
+     * @param {*} options 可选，{ignoreWhitespace}
+     * @returns 如果路径不存在则返回 undefined
+     */
+    static resolveNodePath(path, root, options) {
+        return NodePath.resolve(path, root, options);
+    }
+
+    /**
+     * 比较两个节点在文档之中的先后顺序
+     *
+     * @param {*} nodeA
+     * @param {*} nodeB
+     * @returns -1 表示 nodeA 在前，1 表示 nodeB 在前，0 表示同一个节点。
+     */
+    static compareNodePosition(nodeA, nodeB) {
+        return NodePath.compare(nodeA, nodeB);
+    }
+
+    /**
+     * 寻找两个节点的最近的公共祖先节点
+     *
+     * @param {*} nodeA
+     * @param {*} nodeB
+     * @returns 如果两个节点不在同一个节点树之中则返回 undefined
+     */
+    static findCommonAncestor(nodeA, nodeB) {
+        return NodePath.getCommonAncestor(nodeA, nodeB);
     }
 
     /**
@@ -232,6 +556,181 @@ class DomUtils {
         return doc.body;
     }
 
+    /**
+     * 将 HTML 或者 XML 文本转为 Dom 对象。
+     *
+     * 跟 parseHTML() 和 parseHTMLbackend() 不同，这个方法会自动检测运行环境，
+     * 在浏览器环境中使用原生的 DOMParser 对象，在后端环境（比如 nodejs）
+     * 中使用 domino 库（以及 XmlParser）来解析，并且不会丢失 <head>、
+     * 开头的空白文本等内容。
+     *
+     * mode 的值可以是：
+     * - 'fragment'（默认值）返回 DocumentFragment 对象，通过 <template> 元素
+     *   来解析，所以诸如 '<tr>...</tr>', '<li>...</li>', '<option>...</option>'
+     *   这样需要特定上下文（context）的片段也能被正确解析；
+     * - 'document' 返回完整的 HTML Document 对象；
+     * - 'xml' 返回 XML Document 对象；
+     * - 'svg' 返回 SVG（XML）Document 对象。
+     *
+     * @param {*} text
+     * @param {*} mode
+     * @returns 根据 mode 的值返回 DocumentFragment 或者 Document 对象。
+     * @throws 当 XML 文本格式不正确时，抛出 IllegalArgumentException 异常。
+     */
+    static parse(text, mode = 'fragment') {
+        if (typeof text !== 'string') {
+            throw new IllegalArgumentException('The text to be parsed should be a string.');
+        }
+
+        switch (mode) {
+            case 'fragment':
+                {
+                    let doc = DomUtils.createHTMLDocument();
+                    let template = doc.createElement('template');
+                    template.innerHTML = text;
+                    return template.content;
+                }
+
+            case 'document':
+                return DomUtils.createHTMLDocument(text);
+
+            case 'xml':
+                return DomUtils.parseXML(text, 'application/xml');
+
+            case 'svg':
+                return DomUtils.parseXML(text, 'image/svg+xml');
+
+            default:
+                throw new IllegalArgumentException(
+                    `The parse mode "${mode}" is not one value of [fragment,document,xml,svg].`);
+        }
+    }
+
+    /**
+     * 检测当前是否在浏览器环境中运行，即是否存在原生的 DOMParser 对象。
+     *
+     * @returns
+     */
+    static isBrowserEnvironment() {
+        return typeof DOMParser !== 'undefined';
+    }
+
+    /**
+     * 创建一个 HTML Document 对象，在浏览器环境中使用原生的 DOMParser 对象，
+     * 在后端环境中使用 domino 库。
+     *
+     * @param {*} html 可选，默认创建一个空白的 document
+     * @returns
+     */
+    static createHTMLDocument(html = '') {
+        if (DomUtils.isBrowserEnvironment()) {
+            let parser = new DOMParser();
+            return parser.parseFromString(html, 'text/html');
+        } else {
+            return domino.createDocument(html, true);
+        }
+    }
+
+    /**
+     * 将 XML 文本转为 XML Document 对象
+     *
+     * @param {*} xml
+     * @param {*} mimeType 'application/xml' 或者 'image/svg+xml'
+     * @returns
+     */
+    static parseXML(xml, mimeType) {
+        if (DomUtils.isBrowserEnvironment()) {
+            let parser = new DOMParser();
+            let doc = parser.parseFromString(xml, mimeType);
+
+            // 当 XML 文本格式不正确时，DOMParser 不会抛出异常，而是返回一个
+            // 包含 <parsererror> 元素的 document。
+            // https://developer.mozilla.org/en-US/docs/Web/API/DOMParser/parseFromString#error_handling
+            let errorElement = doc.getElementsByTagName('parsererror')[0];
+            if (errorElement !== undefined) {
+                throw new IllegalArgumentException(
+                    `XML parse error: ${errorElement.textContent.trim()}`);
+            }
+
+            return doc;
+        } else {
+            let implementation = domino.createDOMImplementation();
+            let doc = implementation.createDocument(null, null, null);
+            let parser = new XmlParser(doc);
+            return parser.parse(xml);
+        }
+    }
+
+    /**
+     * 将 DOM 节点转为 HTML 文本，在浏览器和后端环境中输出的结果一致。
+     *
+     * @param {*} node Element、DocumentFragment 或者 Document 等节点
+     * @param {*} options 可选，参见 HtmlSerializer
+     * @returns
+     */
+    static serialize(node, options) {
+        let serializer = new HtmlSerializer(options);
+        return serializer.serialize(node);
+    }
+
+    /**
+     * 净化 HTML，删除不安全的元素和属性。
+     *
+     * @param {*} input HTML 文本，或者 DOM 节点（比如 parseHTML()、
+     *     parseHTMLbackend() 返回的 body 元素，或者 parse() 返回的
+     *     DocumentFragment）。
+     * @param {*} options 可选，参见 HtmlSanitizer
+     * @param {*} report 可选，用于收集被删除内容的数组，参见 HtmlSanitizer.sanitize()
+     * @returns 如果 input 是 HTML 文本，则返回 DocumentFragment 对象（跟
+     *     parse() 的返回值一致）；如果 input 是 DOM 节点，则直接修改并返回该节点。
+     */
+    static sanitize(input, options, report) {
+        let node = (typeof input === 'string') ? DomUtils.parse(input) : input;
+        let sanitizer = new HtmlSanitizer(options);
+        return sanitizer.sanitize(node, report);
+    }
+
+    /**
+     * 将现有的节点树修补为跟新的节点树一致，相同的节点会被保留。
+     *
+     * @param {*} fromNode 现有的节点
+     * @param {*} toNode 新的节点，或者 HTML 文本。HTML 文本会被解析为
+     *     DocumentFragment，即只修补 fromNode 的子节点。
+     * @param {*} options 可选，参见 DomMorph
+     * @returns 返回修补后的节点，参见 DomMorph.morph()
+     */
+    static morph(fromNode, toNode, options) {
+        let node = (typeof toNode === 'string') ? DomUtils.parse(toNode) : toNode;
+        let domMorph = new DomMorph(options);
+        return domMorph.morph(fromNode, node);
+    }
+
+    /**
+     * 将 DOM 节点转换为普通的 JSON 对象
+     *
+     * @param {*} node
+     * @param {*} options 可选，参见 DomJson
+     * @returns 参见 DomJson.toJSON()
+     */
+    static toJSON(node, options) {
+        let domJson = new DomJson(options);
+        return domJson.toJSON(node);
+    }
+
+    /**
+     * 将 toJSON() 的结果转换回 DOM 节点
+     *
+     * @param {*} json
+     * @param {*} doc 可选，用于创建节点的 document，默认为一个新建的
+     *     document（参见 createHTMLDocument()）。
+     * @param {*} options 可选，参见 DomJson
+     * @returns 参见 DomJson.toDOM()
+     */
+    static fromJSON(json, doc, options) {
+        let domJson = new DomJson(options);
+        return domJson.toDOM(json, doc || DomUtils.createHTMLDocument());
+    }
+
     /**
      * 通过元素的样式列表（classList ）来记录一个 boolean 类型的数据
      *
@@ -401,8 +900,10 @@ class DomUtils {
     }
 
     /**
-     * 设置指定元素样式当中单位为 pixel 的样式值
+     * 设置指定元素样式当中的长度值
      *
+     * 数值的单位为 pixel，也可以传递带单位的字符串（比如 '2em', '50%',
+     * 'calc(100% - 10px)'）或者 Length 对象，参见 ComputeSize.setLength()。
      * 传递 undefined 或者空字符串给 pixelValue 参数将会删除相应的样式值。
      *
      * @param {*} element
@@ -410,19 +911,19 @@ class DomUtils {
      * @param {*} pixelValue
      */
     static setPixelValueInStyle(element, name, pixelValue) {
-        if (pixelValue === undefined || pixelValue === '') {
-            element.style[name] = '';
-        } else {
-            element.style[name] = pixelValue + 'px';
-        }
+        element.style[name] = ComputeSize.formatLength(pixelValue);
     }
 
     /**
      * 获取指定元素单位为 pixel 的指定样式的值
      *
+     * 如果样式的值使用了其他单位（比如 'em', '%'），则会通过 ComputeSize
+     * 转换为 px 数值。
+     *
      * @param {*} element
      * @param {*} name
-     * @returns 如果指定的样式没有设置值，则返回 undefined
+     * @returns 返回浮点数，如果指定的样式没有设置值，或者值为 'auto' 或 'normal'，
+     *     或者不是长度（比如 'none'、'inherit'），则返回 undefined
      */
     static getPixelValueInStyle(element, name) {
 
@@ -436,18 +937,27 @@ class DomUtils {
             return;
         }
 
-        let integer = value.substring(0, value.length - 2);
-        return parseInt(integer, 10);
+        let length = Length.tryParse(value);
+        if (length === undefined) {
+            return;
+        }
+
+        if (length.unit === 'px' || length.isKeyword()) {
+            return length.value;
+        }
+
+        return DomUtils.getComputeSize(element).toPixels(length, name);
     }
 
     /**
      * 获得一个元素关于计算大小的对象。
      *
      * @param {*} element
+     * @param {*} options 可选，参见 ComputeSize 的构造函数
      * @returns 返回 ComputeSize 对象。
      */
-    static getComputeSize(element) {
-        return new ComputeSize(element);
+    static getComputeSize(element, options) {
+        return new ComputeSize(element, options);
     }
 
     /**
@@ -455,11 +965,12 @@ class DomUtils {
      * outer height = offset height + margin top + margin bottom
      *
      * @param {*} element
+     * @param {*} options 可选，参见 ComputeSize 的构造函数，比如
+     *     {provider} 可以指定样式和几何信息的提供者。
      * @returns
      */
-    static getOuterHeight(element) {
-        let computeSize = DomUtils.getComputeSize(element);
-        return element.offsetHeight + computeSize.marginTop + computeSize.marginBottom;
+    static getOuterHeight(element, options) {
+        return DomUtils.getComputeSize(element, options).outerHeight;
     }
 
     /**
@@ -468,7 +979,7 @@ class DomUtils {
      * @returns
      */
     static getOuterHeightByComputeSize(computeSize) {
-        return computeSize.element.offsetHeight + computeSize.marginTop + computeSize.marginBottom;
+        return computeSize.outerHeight;
     }
 
     /**
@@ -476,11 +987,12 @@ class DomUtils {
      * outer width = offset width + margin left + margin right
      *
      * @param {*} element
+     * @param {*} options 可选，参见 ComputeSize 的构造函数，比如
+     *     {provider} 可以指定样式和几何信息的提供者。
      * @returns
      */
-    static getOuterWidth(element) {
-        let computeSize = DomUtils.getComputeSize(element);
-        return element.offsetWidth + computeSize.marginLeft + computeSize.marginRight;
+    static getOuterWidth(element, options) {
+        return DomUtils.getComputeSize(element, options).outerWidth;
     }
 
     /**
@@ -489,7 +1001,19 @@ class DomUtils {
      * @returns
      */
     static getOuterWidthByComputeSize(computeSize) {
-        return computeSize.element.offsetWidth + computeSize.marginLeft + computeSize.marginRight;
+        return computeSize.outerWidth;
+    }
+
+    /**
+     * 获取元素完整的盒模型（box model）几何信息
+     *
+     * @param {*} element
+     * @param {*} origin 坐标的原点，'page'（默认值）、'viewport' 或者 'offsetParent'
+     * @param {*} options 可选，参见 ComputeSize 的构造函数
+     * @returns 参见 ComputeSize.getBoxModel()
+     */
+    static getBoxModel(element, origin, options) {
+        return DomUtils.getComputeSize(element, options).getBoxModel(origin);
     }
 }
 
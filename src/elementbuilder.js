@@ -0,0 +1,314 @@
+const { IllegalArgumentException } = require('jsexception');
+const { StringUtils } = require('jsstringutils');
+
+const ComputeSize = require('./computesize');
+const DomUtils = require('./domutils');
+const DatasetSchema = require('./datasetschema');
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// 数值不需要加上 'px' 单位的样式
+const UNITLESS_STYLES = [
+    'opacity', 'z-index', 'flex', 'flex-grow', 'flex-shrink', 'order',
+    'line-height', 'font-weight', 'zoom', 'column-count', 'tab-size'
+];
+
+const TAG_PATTERN = /^([a-zA-Z][\w-]*)?((?:[#.][\w-]+)*)$/;
+
+/**
+ * 声明式地构造元素（即 hyperscript 风格的 API）。
+ *
+ * 构造器绑定一个 document 对象，可以是浏览器的 document，也可以是
+ * domino 的 document（比如 DomUtils.createHTMLDocument() 所得的对象），
+ * 所以同一份组件模板可以同时用于前端和后端。
+ *
+ * 示例：
+ *
+ * let builder = new ElementBuilder(document);
+ * let h = builder.create.bind(builder);
+ *
+ * let element = h('ul#menu.list', {
+ *         role: 'menu',
+ *         classList: ['dark', { active: isActive }],
+ *         dataset: { itemCount: 2 },
+ *         style: { width: 200, 'line-height': 1.5 },
+ *         on: { click: (e) => { ... } }
+ *     },
+ *     h('li', 'First'),
+ *     h('li', null, 'Second', h('b', '!'))
+ * );
+ *
+ * 标签名可以包括 id 和 class 的简写，比如 'div#main.panel.dark'。
+ *
+ * 属性对象（props）之中：
+ * - classList 样式名称，可以是字符串、数组，或者 {name: boolean} 对象，
+ *   数组的项目也可以是 {name: boolean} 对象；
+ * - dataset {name: value} 对象，name 必须是 camel case 格式（跟
+ *   DomUtils.setStringInDataset() 一样），值为 null 或者 undefined 的项目会被忽略；
+ * - style {name: value} 对象，name 可以是 dash case 或者 camel case 格式，
+ *   数值会被加上 'px' 单位（跟 DomUtils.setPixelValueInStyle() 一样），
+ *   'opacity'、'z-index' 等不需要单位的样式除外；
+ * - on {eventName: listener} 对象，listener 也可以是 [listener, options] 数组；
+ * - 其他的项目作为元素的属性（attributes），值为 true 时设置为空字符串（即
+ *   boolean 属性），值为 false、null 或者 undefined 时不设置。
+ *
+ * 子节点可以是节点、字符串、数字或者它们的数组（可以嵌套），
+ * null、undefined 以及 boolean 值会被忽略，以方便按条件构造子节点。
+ */
+class ElementBuilder {
+
+    /**
+     *
+     * @param {*} doc 可选，默认为当前的 document 对象，在后端环境中
+     *     则使用 DomUtils.createHTMLDocument() 创建一个新的 document 对象。
+     */
+    constructor(doc) {
+        if (doc === undefined) {
+            doc = (typeof document !== 'undefined') ?
+                document :
+                DomUtils.createHTMLDocument();
+        }
+
+        this.document = doc;
+    }
+
+    /**
+     * 构造 HTML 元素
+     *
+     * 标签名为 'svg' 时会自动构造 SVG 元素，但其子元素需要使用 svg() 方法构造。
+     *
+     * @param {*} tag 标签名，可以包括 id 和 class 的简写，比如 'div#main.panel'
+     * @param {*} props 可选，属性对象，参见类的说明。如果第二个参数是
+     *     子节点（节点、字符串、数组等），则视为省略了属性对象。
+     * @param  {...any} children 子节点
+     * @returns 返回元素
+     */
+    create(tag, props, ...children) {
+        let { tagName } = ElementBuilder.parseTag(tag);
+        let namespace = (tagName.toLowerCase() === 'svg') ? SVG_NAMESPACE : undefined;
+        return this.build(namespace, tag, props, children);
+    }
+
+    /**
+     * 构造 SVG 元素
+     *
+     * @param {*} tag
+     * @param {*} props
+     * @param  {...any} children
+     * @returns
+     */
+    svg(tag, props, ...children) {
+        return this.build(SVG_NAMESPACE, tag, props, children);
+    }
+
+    /**
+     * 构造 DocumentFragment
+     *
+     * @param  {...any} children
+     * @returns
+     */
+    fragment(...children) {
+        let fragment = this.document.createDocumentFragment();
+        this.appendChildren(fragment, children);
+        return fragment;
+    }
+
+    build(namespace, tag, props, children) {
+        if (!ElementBuilder.isProps(props)) {
+            if (props !== undefined) {
+                children.unshift(props);
+            }
+            props = {};
+        }
+
+        let { tagName, id, classNames } = ElementBuilder.parseTag(tag);
+
+        let element = (namespace === undefined) ?
+            this.document.createElement(tagName) :
+            this.document.createElementNS(namespace, tagName);
+
+        if (id !== undefined) {
+            element.setAttribute('id', id);
+        }
+
+        for (let className of classNames) {
+            element.classList.add(className);
+        }
+
+        for (let name of Object.keys(props)) {
+            let value = props[name];
+
+            switch (name) {
+                case 'classList':
+                    ElementBuilder.setClassList(element, value);
+                    break;
+
+                case 'dataset':
+                    ElementBuilder.setDataset(element, value);
+                    break;
+
+                case 'style':
+                    ElementBuilder.setStyle(element, value);
+                    break;
+
+                case 'on':
+                    ElementBuilder.addEventListeners(element, value);
+                    break;
+
+                default:
+                    ElementBuilder.setAttribute(element, name, value);
+            }
+        }
+
+        this.appendChildren(element, children);
+        return element;
+    }
+
+    appendChildren(parent, children) {
+        for (let child of children) {
+            if (Array.isArray(child)) {
+                this.appendChildren(parent, child);
+            } else if (child === null || child === undefined || typeof child === 'boolean') {
+                continue;
+            } else if (typeof child === 'string' || typeof child === 'number') {
+                parent.appendChild(this.document.createTextNode(String(child)));
+            } else if (typeof child === 'object' && typeof child.nodeType === 'number') {
+                parent.appendChild(child);
+            } else {
+                throw new IllegalArgumentException('The child should be a node, a string or a number.');
+            }
+        }
+    }
+
+    /**
+     * 判断参数是否属性对象（而不是子节点）
+     *
+     * @param {*} value
+     * @returns
+     */
+    static isProps(value) {
+        return value !== null &&
+            typeof value === 'object' &&
+            !Array.isArray(value) &&
+            typeof value.nodeType !== 'number';
+    }
+
+    /**
+     * 解析标签名
+     *
+     * @param {*} tag 比如 'div', 'div#main.panel.dark', '.item'（省略标签名时为 'div'）
+     * @returns 返回 {tagName, id, classNames}
+     */
+    static parseTag(tag) {
+        let match = (typeof tag === 'string') ? TAG_PATTERN.exec(tag) : null;
+        if (match === null || tag === '') {
+            throw new IllegalArgumentException(`The tag "${tag}" is not valid.`);
+        }
+
+        let tagName = match[1] || 'div';
+        let id;
+        let classNames = [];
+
+        for (let part of match[2].match(/[#.][\w-]+/g) || []) {
+            if (part[0] === '#') {
+                id = part.substring(1);
+            } else {
+                classNames.push(part.substring(1));
+            }
+        }
+
+        return { tagName, id, classNames };
+    }
+
+    static setClassList(element, value) {
+        if (typeof value === 'string') {
+            for (let className of value.split(/\s+/)) {
+                if (className !== '') {
+                    element.classList.add(className);
+                }
+            }
+        } else if (Array.isArray(value)) {
+            for (let item of value) {
+                ElementBuilder.setClassList(element, item);
+            }
+        } else if (value !== null && typeof value === 'object') {
+            for (let className of Object.keys(value)) {
+                DomUtils.setBooleanByClass(element, className, value[className] === true);
+            }
+        } else if (value !== null && value !== undefined && value !== false) {
+            throw new IllegalArgumentException('The classList should be a string, an array or an object.');
+        }
+    }
+
+    static setDataset(element, dataset) {
+        for (let name of Object.keys(dataset)) {
+            if (!StringUtils.isCamelCase(name)) {
+                throw new IllegalArgumentException(
+                    'The dataset name should be in camel case.');
+            }
+
+            let value = dataset[name];
+            if (value !== null && value !== undefined) {
+                // 后端的 DOM 实现（比如 domino）没有 dataset 属性，所以直接设置 data-* 属性
+                element.setAttribute(DatasetSchema.toAttributeName(name), String(value));
+            }
+        }
+    }
+
+    static setStyle(element, style) {
+        if (typeof style === 'string') {
+            element.setAttribute('style', style);
+            return;
+        }
+
+        for (let name of Object.keys(style)) {
+            let value = style[name];
+            if (value === null || value === undefined) {
+                continue;
+            }
+
+            let dashCaseName = name.startsWith('--') ?
+                name :
+                name.replace(/[A-Z]/g, (c) => {
+                    return '-' + c.toLowerCase();
+                });
+
+            if (typeof value === 'number' && !UNITLESS_STYLES.includes(dashCaseName) &&
+                !dashCaseName.startsWith('--')) {
+                value = value + 'px';
+            }
+
+            // 后端的 DOM 实现（比如 domino）不一定支持通过 setProperty() 设置自定义属性，
+            // 而且 style 特性之中有自定义属性时也无法写入其他样式
+            ComputeSize.applyStyle(element, dashCaseName, String(value));
+        }
+    }
+
+    static addEventListeners(element, listeners) {
+        for (let eventName of Object.keys(listeners)) {
+            let listener = listeners[eventName];
+            let options;
+
+            if (Array.isArray(listener)) {
+                [listener, options] = listener;
+            }
+
+            if (typeof listener !== 'function') {
+                throw new IllegalArgumentException(
+                    `The listener of event "${eventName}" should be a function.`);
+            }
+
+            element.addEventListener(eventName, listener, options);
+        }
+    }
+
+    static setAttribute(element, name, value) {
+        if (value === false || value === null || value === undefined) {
+            return;
+        }
+
+        element.setAttribute(name, value === true ? '' : String(value));
+    }
+}
+
+module.exports = ElementBuilder;
@@ -0,0 +1,144 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DomTraversal = require('./domtraversal');
+
+// 各个容器上注册的委托，{container: [registration, ...]}
+const registrations = new WeakMap();
+
+/**
+ * 事件委托（event delegation），即在容器元素上监听事件，然后从事件的目标
+ * 元素向上寻找符合条件的元素，跟 DomUtils.findElementAndParent() 一样，
+ * 向上寻找到容器为止（不包括容器本身）。
+ *
+ * 示例：
+ *
+ * let unsubscribe = EventDelegation.on(listElement, 'click', '.item', (event, itemElement) => {
+ *     // itemElement 为被点击的 '.item' 元素
+ * });
+ *
+ * // 取消一个委托
+ * unsubscribe();
+ *
+ * // 取消容器上的所有委托
+ * EventDelegation.off(listElement);
+ *
+ * 注意 focus、blur 等事件不会冒泡，需要使用 capture 选项或者改用
+ * focusin、focusout 事件。
+ */
+class EventDelegation {
+
+    /**
+     * 注册一个委托
+     *
+     * @param {*} container 容器元素
+     * @param {*} eventType 事件名称，比如 'click'
+     * @param {*} criteria 匹配条件，可以是：
+     *     - CSS 选择器，比如 '.item', 'li[data-id]'；
+     *     - {className, tagName, selector, ...} 对象，参见 DomTraversal.createMatcher()；
+     *     - 函数 function(element)，返回 true 表示匹配。
+     * @param {*} handler function(event, matchedElement)
+     * @param {*} options 可选，{once, capture, passive}
+     *     - once 第一次匹配并调用 handler 之后即取消这个委托，默认为 false；
+     *     - capture 是否在捕获阶段监听，默认为 false；
+     *     - passive 是否 passive 监听器，默认为 false。
+     * @returns 返回一个函数，调用它可以取消这个委托，可以重复调用。
+     */
+    static on(container, eventType, criteria, handler, options = {}) {
+        if (typeof handler !== 'function') {
+            throw new IllegalArgumentException('The handler should be a function.');
+        }
+
+        let { once = false, capture = false, passive = false } = options;
+        let matcher = DomTraversal.createMatcher(criteria);
+
+        let registration = {
+            type: eventType,
+            listenerOptions: { capture, passive },
+            listener: (event) => {
+                let element = EventDelegation.findMatchedElement(event.target, matcher, container);
+                if (element === undefined) {
+                    return;
+                }
+
+                if (once) {
+                    unsubscribe();
+                }
+
+                handler(event, element);
+            }
+        };
+
+        let unsubscribe = () => {
+            let items = registrations.get(container);
+            let index = (items === undefined) ? -1 : items.indexOf(registration);
+            if (index === -1) {
+                return;
+            }
+
+            items.splice(index, 1);
+            container.removeEventListener(eventType, registration.listener, registration.listenerOptions);
+        };
+
+        let items = registrations.get(container);
+        if (items === undefined) {
+            items = [];
+            registrations.set(container, items);
+        }
+
+        items.push(registration);
+        container.addEventListener(eventType, registration.listener, registration.listenerOptions);
+
+        return unsubscribe;
+    }
+
+    /**
+     * 取消容器上的委托
+     *
+     * @param {*} container
+     * @param {*} eventType 可选，只取消指定事件的委托，默认取消所有的委托。
+     */
+    static off(container, eventType) {
+        let items = registrations.get(container);
+        if (items === undefined) {
+            return;
+        }
+
+        let remains = [];
+        for (let registration of items) {
+            if (eventType === undefined || registration.type === eventType) {
+                container.removeEventListener(registration.type, registration.listener, registration.listenerOptions);
+            } else {
+                remains.push(registration);
+            }
+        }
+
+        if (remains.length === 0) {
+            registrations.delete(container);
+        } else {
+            registrations.set(container, remains);
+        }
+    }
+
+    /**
+     * 从事件的目标节点开始向上寻找符合条件的元素，到容器为止（不包括容器）。
+     *
+     * @param {*} target 事件的目标节点，可能是文本节点
+     * @param {*} matcher
+     * @param {*} container
+     * @returns 如果找不到则返回 undefined
+     */
+    static findMatchedElement(target, matcher, container) {
+        if (target === null || target === undefined || typeof target.nodeType !== 'number') {
+            return;
+        }
+
+        // 目标节点需要在容器之内
+        if (target === container || !container.contains(target)) {
+            return;
+        }
+
+        return DomTraversal.find(target, matcher, 'selfAndAncestors', container);
+    }
+}
+
+module.exports = EventDelegation;
@@ -0,0 +1,316 @@
+const ComputeSize = require('./computesize');
+const DomTraversal = require('./domtraversal');
+
+// 可以获得焦点的元素
+const FOCUSABLE_SELECTOR = [
+    'a[href]', 'area[href]', 'button', 'input:not([type="hidden"])', 'select',
+    'textarea', 'iframe', 'object', 'embed', 'summary', 'audio[controls]',
+    'video[controls]', '[contenteditable]:not([contenteditable="false"])', '[tabindex]'
+].join(',');
+
+// 可以被禁用（disabled）的表单元素
+const DISABLEABLE_TAGS = ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'OPTGROUP', 'OPTION', 'FIELDSET'];
+
+/**
+ * 焦点（focus）管理的工具方法
+ *
+ * - getFocusableElements() 和 getTabbableElements() 列出容器之内可以获得焦点的
+ *   元素，以及可以通过 Tab 键到达的元素（按 Tab 键的顺序）；
+ * - findNextFocusable() 和 findPreviousFocusable() 按文档顺序寻找下一个或者
+ *   上一个可获得焦点的元素；
+ * - trapFocus() 将焦点限制在容器之内（比如模态对话框）。
+ *
+ * 不可获得焦点的元素包括：被禁用（disabled）的表单元素、自身或者祖先元素
+ * 有 hidden 或者 inert 属性的元素，以及不可见（display 为 none 或者
+ * visibility 为 hidden）的元素。
+ *
+ * 可见性通过 ComputeSize 读取计算样式，所以在后端环境中需要
+ * NodeLayoutProvider（ComputeSize 会自动选择）。
+ */
+class FocusUtils {
+
+    /**
+     * 判断元素是否可以获得焦点
+     *
+     * @param {*} element
+     * @param {*} provider 可选，样式和几何信息的提供者，参见 ComputeSize 的构造函数
+     * @param {*} cache 可选，参见 isHiddenOrInert()
+     * @returns
+     */
+    static isFocusable(element, provider, cache) {
+        if (element.nodeType !== 1 || !element.matches(FOCUSABLE_SELECTOR)) {
+            return false;
+        }
+
+        if (FocusUtils.isDisabled(element)) {
+            return false;
+        }
+
+        return !FocusUtils.isHiddenOrInert(element, provider, cache);
+    }
+
+    /**
+     * 判断元素是否可以通过 Tab 键获得焦点，即可以获得焦点，且 tabindex 不小于 0。
+     *
+     * @param {*} element
+     * @param {*} provider
+     * @param {*} cache 可选，参见 isHiddenOrInert()
+     * @returns
+     */
+    static isTabbable(element, provider, cache) {
+        return FocusUtils.getTabIndex(element) >= 0 && FocusUtils.isFocusable(element, provider, cache);
+    }
+
+    /**
+     * 获取元素的 tabindex，没有 tabindex 属性（或者属性值无效）的
+     * 可获得焦点的元素为 0。
+     *
+     * @param {*} element
+     * @returns
+     */
+    static getTabIndex(element) {
+        let value = element.getAttribute('tabindex');
+        let tabIndex = (value === null) ? NaN : parseInt(value, 10);
+        return isNaN(tabIndex) ? 0 : tabIndex;
+    }
+
+    static isDisabled(element) {
+        if (DISABLEABLE_TAGS.includes(element.tagName) && element.hasAttribute('disabled')) {
+            return true;
+        }
+
+        // 被禁用的 fieldset 之内的表单元素也被禁用（第一个 legend 之内的元素除外）
+        if (DISABLEABLE_TAGS.includes(element.tagName)) {
+            for (let fieldset of DomTraversal.iterate(element, 'ancestors')) {
+                if (fieldset.tagName !== 'FIELDSET' || !fieldset.hasAttribute('disabled')) {
+                    continue;
+                }
+
+                let legend = Array.from(fieldset.children).find((child) => {
+                    return child.tagName === 'LEGEND';
+                });
+
+                if (legend === undefined || !legend.contains(element)) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * 判断元素是否被隐藏或者是惰性（inert）的，即自身或者祖先元素有 hidden 或者
+     * inert 属性，或者 display 为 none，或者元素自身不可见。
+     *
+     * @param {*} element
+     * @param {*} provider
+     * @param {*} cache 可选，一个 Map 对象，用于缓存祖先元素的检查结果。
+     *     遍历多个元素时（比如 getFocusableElements()）共享同一个 Map，
+     *     以免重复检查相同的祖先元素。注意 DOM 或者样式改变之后缓存即失效。
+     * @returns
+     */
+    static isHiddenOrInert(element, provider, cache = new Map()) {
+        if (FocusUtils.isSubtreeHidden(element, provider, cache)) {
+            return true;
+        }
+
+        let body = element.ownerDocument.body;
+        if (body !== null && (body.hasAttribute('inert') || body.hasAttribute('hidden'))) {
+            return true;
+        }
+
+        // visibility 会被继承，所以只需要检查元素自身
+        let visibility = new ComputeSize(element, { provider }).getValue('visibility');
+        return visibility === 'hidden' || visibility === 'collapse';
+    }
+
+    /**
+     * 判断元素自身或者祖先元素是否有 hidden 或者 inert 属性，或者 display 为 none。
+     * 沿用 find* 方法的祖先遍历，遍历到 BODY 元素为止（不包括 BODY）。
+     *
+     * 遍历经过的元素的结果都会被写入 cache：如果找到了被隐藏的元素，则它及其
+     * 之下的元素都被隐藏，否则都没有被隐藏。
+     *
+     * @param {*} element
+     * @param {*} provider
+     * @param {*} cache
+     * @returns
+     */
+    static isSubtreeHidden(element, provider, cache) {
+        let visited = [];
+        let hidden = false;
+
+        for (let current of DomTraversal.iterate(element, 'selfAndAncestors')) {
+            if (cache.has(current)) {
+                hidden = cache.get(current);
+                break;
+            }
+
+            visited.push(current);
+
+            if (current.hasAttribute('hidden') || current.hasAttribute('inert') ||
+                new ComputeSize(current, { provider }).getValue('display') === 'none') {
+                hidden = true;
+                break;
+            }
+        }
+
+        for (let current of visited) {
+            cache.set(current, hidden);
+        }
+
+        return hidden;
+    }
+
+    /**
+     * 列出容器之内所有可获得焦点的元素，按文档顺序排列。
+     *
+     * @param {*} container
+     * @param {*} provider
+     * @returns 返回元素数组
+     */
+    static getFocusableElements(container, provider) {
+        let cache = new Map();
+        return DomTraversal.findAll(container, (element) => {
+            return FocusUtils.isFocusable(element, provider, cache);
+        }, 'descendants');
+    }
+
+    /**
+     * 列出容器之内所有可通过 Tab 键获得焦点的元素，按 Tab 键的顺序排列，
+     * 即 tabindex 为正数的元素按 tabindex 从小到大排在前面，tabindex 为 0
+     * 的元素按文档顺序排在后面。
+     *
+     * @param {*} container
+     * @param {*} provider
+     * @returns 返回元素数组
+     */
+    static getTabbableElements(container, provider) {
+        let cache = new Map();
+        let elements = DomTraversal.findAll(container, (element) => {
+            return FocusUtils.isTabbable(element, provider, cache);
+        }, 'descendants');
+
+        let positives = elements.filter((element) => {
+            return FocusUtils.getTabIndex(element) > 0;
+        });
+
+        // Array.prototype.sort() 是稳定的排序，tabindex 相同的元素保持文档顺序
+        positives.sort((left, right) => {
+            return FocusUtils.getTabIndex(left) - FocusUtils.getTabIndex(right);
+        });
+
+        return positives.concat(elements.filter((element) => {
+            return FocusUtils.getTabIndex(element) === 0;
+        }));
+    }
+
+    /**
+     * 按文档顺序寻找下一个可获得焦点的元素，包括元素自己的子孙元素。
+     *
+     * @param {*} element
+     * @param {*} container 可选，只在容器之内寻找
+     * @param {*} provider
+     * @returns 如果找不到则返回 undefined
+     */
+    static findNextFocusable(element, container, provider) {
+        let cache = new Map();
+        let matcher = (item) => {
+            return FocusUtils.isFocusable(item, provider, cache);
+        };
+
+        return DomTraversal.find(element, matcher, 'descendants') ||
+            DomTraversal.find(element, matcher, 'nextInDocument', container);
+    }
+
+    /**
+     * 按文档的逆序寻找上一个可获得焦点的元素，包括祖先元素。
+     *
+     * @param {*} element
+     * @param {*} container 可选，只在容器之内寻找
+     * @param {*} provider
+     * @returns 如果找不到则返回 undefined
+     */
+    static findPreviousFocusable(element, container, provider) {
+        let cache = new Map();
+        return DomTraversal.find(element, (item) => {
+            return FocusUtils.isFocusable(item, provider, cache);
+        }, 'previousInDocument', container);
+    }
+
+    /**
+     * 将焦点限制在容器之内，即按 Tab 键或者 Shift+Tab 键时在容器之内循环，
+     * 焦点移到容器之外时（比如鼠标点击）会被移回容器之内。
+     *
+     * @param {*} container
+     * @param {*} options 可选，{initialFocus, returnFocus, provider}
+     *     - initialFocus 开始时获得焦点的元素，默认为容器之内第一个可通过 Tab 键
+     *       获得焦点的元素，如果没有，则为容器本身（需要有 tabindex 属性）；
+     *       传入 false 则不移动焦点；
+     *     - returnFocus 解除时是否将焦点还给开始时获得焦点的元素，默认为 true；
+     *     - provider 样式和几何信息的提供者。
+     * @returns 返回一个函数，调用它可以解除限制，可以重复调用。
+     */
+    static trapFocus(container, options = {}) {
+        let { initialFocus, returnFocus = true, provider } = options;
+        let doc = container.ownerDocument;
+        let previousActiveElement = doc.activeElement;
+
+        let getEdges = () => {
+            let elements = FocusUtils.getTabbableElements(container, provider);
+            return {
+                first: elements.length > 0 ? elements[0] : container,
+                last: elements.length > 0 ? elements[elements.length - 1] : container
+            };
+        };
+
+        let handleKeyDown = (event) => {
+            if (event.key !== 'Tab') {
+                return;
+            }
+
+            let { first, last } = getEdges();
+            let active = doc.activeElement;
+
+            if (event.shiftKey && (active === first || active === container || !container.contains(active))) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && (active === last || !container.contains(active))) {
+                event.preventDefault();
+                first.focus();
+            }
+        };
+
+        let handleFocusIn = (event) => {
+            if (!container.contains(event.target)) {
+                getEdges().first.focus();
+            }
+        };
+
+        doc.addEventListener('keydown', handleKeyDown, true);
+        doc.addEventListener('focusin', handleFocusIn, true);
+
+        if (initialFocus !== false) {
+            (initialFocus || getEdges().first).focus();
+        }
+
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+
+            released = true;
+            doc.removeEventListener('keydown', handleKeyDown, true);
+            doc.removeEventListener('focusin', handleFocusIn, true);
+
+            if (returnFocus && previousActiveElement !== null && previousActiveElement !== undefined &&
+                typeof previousActiveElement.focus === 'function') {
+                previousActiveElement.focus();
+            }
+        };
+    }
+}
+
+module.exports = FocusUtils;
@@ -0,0 +1,284 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// 无论如何配置，这些元素连同其内容都会被删除
+const FORBIDDEN_ELEMENTS = [
+    'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+    'applet', 'base', 'link', 'meta', 'template', 'noscript'
+];
+
+// 值为 URL 的属性
+const URL_ATTRIBUTES = [
+    'href', 'src', 'cite', 'action', 'formaction', 'poster', 'background',
+    'longdesc', 'xlink:href', 'data', 'codebase', 'classid', 'manifest',
+    'icon', 'dynsrc', 'lowsrc'
+];
+
+// 值为图像候选项列表（'url 1x, url 2x'）的属性
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+
+const DEFAULT_OPTIONS = {
+    allowedTags: [
+        'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'col',
+        'colgroup', 'dd', 'del', 'div', 'dl', 'dt', 'em', 'h1', 'h2', 'h3',
+        'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol',
+        'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table',
+        'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+    ],
+    allowedAttributes: {
+        '*': ['class', 'id', 'title', 'lang', 'dir'],
+        a: ['href', 'name', 'target', 'rel'],
+        img: ['src', 'alt', 'width', 'height'],
+        td: ['colspan', 'rowspan'],
+        th: ['colspan', 'rowspan', 'scope'],
+        col: ['span'],
+        colgroup: ['span'],
+        ol: ['start', 'type'],
+        blockquote: ['cite'],
+        q: ['cite'],
+        del: ['cite'],
+        ins: ['cite']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowRelativeUrls: true,
+    allowDataAttributes: false,
+    removeContentTags: ['textarea', 'select', 'button', 'title']
+};
+
+/**
+ * 基于白名单（allowlist）的 HTML 净化器（sanitizer）。
+ *
+ * 直接在 DOM 节点上进行处理，所以浏览器（DomUtils.parseHTML()）以及
+ * 后端（DomUtils.parseHTMLbackend()）解析所得的节点都适用。
+ *
+ * - 不在 allowedTags 之中的元素会被删除，但其子节点会被保留（unwrap）；
+ *   allowedTags 只适用于 HTML 名称空间的元素，SVG、MathML 等其他名称空间的
+ *   元素即使名称相同（比如 SVG 的 <a>）也会被删除（unwrap）；
+ * - removeContentTags 之中的元素，以及 script、style、iframe 等元素
+ *   连同其内容都会被删除；
+ * - 注释、处理指令（processing instruction）等节点都会被删除；
+ * - 不在 allowedAttributes 之中的属性会被删除，事件属性（比如 onclick）
+ *   无论如何配置都会被删除；
+ * - URL 属性（比如 href、src）的协议（scheme）不在 allowedSchemes 之中的，
+ *   比如 'javascript:'，属性会被删除。
+ *
+ * 选项（options）有：
+ * - allowedTags 允许的元素名称数组（小写）；
+ * - allowedAttributes 允许的属性，{tagName: [attributeName, ...]}，
+ *   其中 '*' 表示适用于所有元素的属性；
+ * - allowedSchemes URL 属性允许的协议数组；
+ * - allowRelativeUrls 是否允许相对 URL（即不带协议的 URL），默认为 true；
+ * - allowDataAttributes 是否允许 data-* 属性，默认为 false；
+ * - removeContentTags 需要连同内容一起删除的元素名称数组。
+ *
+ * 没有指定的选项将使用默认值。
+ */
+class HtmlSanitizer {
+
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+    }
+
+    /**
+     * 净化节点的所有子孙节点
+     *
+     * 注意这个方法会直接修改传入的节点。
+     *
+     * @param {*} node Element（比如 parseHTML() 返回的 body 元素）、
+     *     DocumentFragment 或者 Document，节点本身不会被删除。Document 的
+     *     html、head 和 body 元素会被保留，但它们的属性以及 head 之中的内容
+     *     （比如 <script>、<meta>）同样会被净化。
+     * @param {*} report 可选，一个数组，被删除的内容会添加到这个数组，
+     *     每一项的格式是：
+     *     {type: 'element'|'attribute'|'comment'|'node', name, value}
+     *     其中 value 只有当 type 为 'attribute' 时才有值。
+     * @returns 返回传入的节点
+     */
+    sanitize(node, report = []) {
+        if (node === null || node === undefined || node.nodeType === undefined) {
+            throw new IllegalArgumentException('The object to be sanitized should be a DOM node.');
+        }
+
+        if (node.nodeType === 9) {
+            this.sanitizeDocument(node, report);
+        } else {
+            this.sanitizeChildNodes(node, report);
+        }
+
+        return node;
+    }
+
+    sanitizeDocument(doc, report) {
+        let root = doc.documentElement;
+        if (root === null) {
+            return;
+        }
+
+        this.sanitizeAttributes(root, 'html', report);
+
+        for (let childNode of Array.from(root.childNodes)) {
+            let tagName = (childNode.nodeType === 1) ? childNode.localName.toLowerCase() : '';
+            if (tagName === 'head' || tagName === 'body') {
+                this.sanitizeChildNodes(childNode, report);
+                this.sanitizeAttributes(childNode, tagName, report);
+            } else {
+                this.sanitizeNode(childNode, report);
+            }
+        }
+    }
+
+    sanitizeChildNodes(parentNode, report) {
+        for (let childNode of Array.from(parentNode.childNodes)) {
+            this.sanitizeNode(childNode, report);
+        }
+    }
+
+    sanitizeNode(node, report) {
+        switch (node.nodeType) {
+            case 1: // ELEMENT_NODE
+                this.sanitizeElement(node, report);
+                break;
+
+            case 3: // TEXT_NODE
+                break;
+
+            case 8: // COMMENT_NODE
+                node.parentNode.removeChild(node);
+                report.push({ type: 'comment', name: '#comment' });
+                break;
+
+            default:
+                node.parentNode.removeChild(node);
+                report.push({ type: 'node', name: node.nodeName });
+                break;
+        }
+    }
+
+    sanitizeElement(element, report) {
+        let tagName = element.localName.toLowerCase();
+        let parentNode = element.parentNode;
+
+        if (FORBIDDEN_ELEMENTS.includes(tagName) ||
+            this.options.removeContentTags.includes(tagName)) {
+            parentNode.removeChild(element);
+            report.push({ type: 'element', name: tagName });
+            return;
+        }
+
+        this.sanitizeChildNodes(element, report);
+
+        // 解除 <svg>、<math> 之后，其中的子孙元素仍然在原来的名称空间之中
+        if (element.namespaceURI !== HTML_NAMESPACE || !this.options.allowedTags.includes(tagName)) {
+            // 保留子节点，只删除元素本身
+            while (element.firstChild !== null) {
+                parentNode.insertBefore(element.firstChild, element);
+            }
+            parentNode.removeChild(element);
+            report.push({ type: 'element', name: tagName });
+            return;
+        }
+
+        this.sanitizeAttributes(element, tagName, report);
+    }
+
+    sanitizeAttributes(element, tagName, report) {
+        for (let { name, value } of Array.from(element.attributes)) {
+            if (!this.isAttributeAllowed(tagName, name, value)) {
+                element.removeAttribute(name);
+                report.push({ type: 'attribute', name: name, value: value });
+            }
+        }
+    }
+
+    isAttributeAllowed(tagName, name, value) {
+        name = name.toLowerCase();
+
+        // 事件属性
+        if (name.startsWith('on')) {
+            return false;
+        }
+
+        let { allowedAttributes } = this.options;
+        let allowed = (allowedAttributes['*'] || []).includes(name) ||
+            (allowedAttributes[tagName] || []).includes(name) ||
+            (this.options.allowDataAttributes && name.startsWith('data-'));
+
+        if (!allowed) {
+            return false;
+        }
+
+        if (HtmlSanitizer.isUrlAttribute(name)) {
+            return this.isUrlAllowed(value);
+        }
+
+        if (HtmlSanitizer.isSrcsetAttribute(name)) {
+            return this.isSrcsetAllowed(value);
+        }
+
+        return true;
+    }
+
+    /**
+     * 检查 URL 的协议是否被允许
+     *
+     * @param {*} url
+     * @returns
+     */
+    isUrlAllowed(url) {
+        // 浏览器会忽略 URL 之中的空白和控制字符，比如 'java\tscript:' 也会
+        // 被当作 'javascript:'，所以需要先删除这些字符再检查。
+        let normalized = url.replace(/[\u0000- \u007F-\u009F]/g, '').toLowerCase();
+
+        let match = /^([a-z][a-z0-9+.-]*):/.exec(normalized);
+        if (match === null) {
+            return this.options.allowRelativeUrls;
+        }
+
+        return this.options.allowedSchemes.includes(match[1]);
+    }
+
+    /**
+     * 检查 srcset 之中每个候选项的 URL 的协议是否被允许
+     *
+     * 按 srcset 的语法，候选项的 URL 到空白为止（URL 之中可以有 ','，比如
+     * 'data:image/png;base64,...'），之后的描述符（比如 '2x'）到 ',' 为止。
+     *
+     * @param {*} value
+     * @returns
+     */
+    isSrcsetAllowed(value) {
+        let pattern = /[\s,]*(\S+)[^,]*/g;
+        let match;
+
+        while ((match = pattern.exec(value)) !== null) {
+            if (!this.isUrlAllowed(match[1])) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * 判断属性的值是否 URL，比如 href、src
+     *
+     * @param {*} name 属性名称（小写）
+     * @returns
+     */
+    static isUrlAttribute(name) {
+        return URL_ATTRIBUTES.includes(name);
+    }
+
+    /**
+     * 判断属性的值是否图像候选项列表，比如 srcset
+     *
+     * @param {*} name 属性名称（小写）
+     * @returns
+     */
+    static isSrcsetAttribute(name) {
+        return SRCSET_ATTRIBUTES.includes(name);
+    }
+}
+
+module.exports = HtmlSanitizer;
@@ -0,0 +1,303 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+// https://html.spec.whatwg.org/multipage/syntax.html#void-elements
+const VOID_ELEMENTS = [
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+];
+
+// 内容不需要转义的元素
+// https://html.spec.whatwg.org/multipage/parsing.html#serialising-html-fragments
+const RAW_TEXT_ELEMENTS = [
+    'script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'plaintext'
+];
+
+// 格式化输出时需要保留空白字符的元素
+const PREFORMATTED_ELEMENTS = ['pre', 'textarea', 'script', 'style'];
+
+// 格式化输出时，如果一个元素的子节点全部都是文本或者下列的行内元素，
+// 则其子节点不换行，以免改变页面的呈现效果。
+const INLINE_ELEMENTS = [
+    'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'button', 'cite', 'code', 'data',
+    'dfn', 'em', 'i', 'img', 'input', 'kbd', 'label', 'mark', 'q', 's', 'samp',
+    'select', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr'
+];
+
+// https://html.spec.whatwg.org/multipage/indices.html#attributes-3
+const BOOLEAN_ATTRIBUTES = [
+    'allowfullscreen', 'async', 'autofocus', 'autoplay', 'checked', 'controls',
+    'default', 'defer', 'disabled', 'formnovalidate', 'hidden', 'inert',
+    'ismap', 'itemscope', 'loop', 'multiple', 'muted', 'nomodule', 'novalidate',
+    'open', 'playsinline', 'readonly', 'required', 'reversed', 'selected'
+];
+
+const DEFAULT_OPTIONS = {
+    indent: undefined,
+    newline: '\n',
+    sortAttributes: false,
+    minimizeBooleanAttributes: false,
+    xhtml: false
+};
+
+/**
+ * 将 DOM 节点转为 HTML 文本。
+ *
+ * 跟 outerHTML/innerHTML 不同，这个类自己遍历节点来构造文本，所以在浏览器
+ * 和后端的 DOM 实现（比如 domino）中输出的结果是一致的，可以用于快照测试
+ * （snapshot test）。
+ *
+ * 选项（options）有：
+ * - indent 缩进，可以是空格的数量，或者缩进字符串（比如 '\t'），
+ *   默认为 undefined，即不进行格式化（pretty print）；
+ * - newline 格式化时使用的换行符，默认为 '\n'；
+ * - sortAttributes 是否按名称排列属性，默认为 false；
+ * - minimizeBooleanAttributes 是否省略 boolean 属性的值，比如
+ *   'disabled=""' 输出为 'disabled'，默认为 false；
+ * - xhtml 是否输出 XHTML 风格的文本，比如 '<br />'，以及 boolean 属性
+ *   输出为 'disabled="disabled"'，默认为 false。
+ *
+ * 格式化时：
+ * - 块元素的每一个子节点都会独占一行，空白的文本节点会被忽略，文本节点
+ *   会去除前后的空白；
+ * - 子节点全部都是文本或者行内元素的元素，其子节点不换行；
+ * - pre、textarea、script 和 style 元素的内容保持不变。
+ */
+class HtmlSerializer {
+
+    /**
+     *
+     * @param {*} options 参见类的说明
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+        let { indent } = this.options;
+        if (typeof indent === 'number') {
+            this.indentString = ' '.repeat(indent);
+        } else if (typeof indent === 'string') {
+            this.indentString = indent;
+        } else if (indent !== undefined) {
+            throw new IllegalArgumentException('The indent should be a number or a string.');
+        }
+
+        this.pretty = (this.indentString !== undefined);
+    }
+
+    /**
+     * 将节点转为 HTML 文本
+     *
+     * @param {*} node 可以是 Element、DocumentFragment、Document 以及
+     *     Text、Comment 等节点。
+     * @returns 对于 Element 返回包括元素自身的文本（即 outerHTML），
+     *     对于 DocumentFragment 和 Document 返回其所有子节点的文本。
+     */
+    serialize(node) {
+        if (node === null || node === undefined || node.nodeType === undefined) {
+            throw new IllegalArgumentException('The object to be serialized should be a DOM node.');
+        }
+
+        let lines = [];
+        this.serializeNode(node, 0, lines, this.pretty);
+        return lines.join(this.pretty ? this.options.newline : '');
+    }
+
+    /**
+     * 将节点的文本添加到 lines。
+     *
+     * 格式化时，lines 的每一项就是一行；不格式化时，lines 的所有项直接连接。
+     *
+     * @param {*} node
+     * @param {*} depth 缩进的层级
+     * @param {*} lines
+     * @param {*} pretty 当前节点是否需要格式化
+     */
+    serializeNode(node, depth, lines, pretty) {
+        let indent = pretty ? this.indentString.repeat(depth) : '';
+
+        switch (node.nodeType) {
+            case 1: // ELEMENT_NODE
+                this.serializeElement(node, depth, lines, pretty);
+                break;
+
+            case 3: // TEXT_NODE
+                {
+                    let text = this.escapeText(node.data);
+                    if (pretty) {
+                        text = text.trim();
+                        if (text !== '') {
+                            lines.push(indent + text);
+                        }
+                    } else {
+                        lines.push(text);
+                    }
+                }
+                break;
+
+            case 4: // CDATA_SECTION_NODE
+                lines.push(indent + `<![CDATA[${node.data}]]>`);
+                break;
+
+            case 7: // PROCESSING_INSTRUCTION_NODE
+                lines.push(indent + `<?${node.target} ${node.data}?>`);
+                break;
+
+            case 8: // COMMENT_NODE
+                lines.push(indent + `<!--${node.data}-->`);
+                break;
+
+            case 9: // DOCUMENT_NODE
+            case 11: // DOCUMENT_FRAGMENT_NODE
+                for (let childNode of node.childNodes) {
+                    this.serializeNode(childNode, depth, lines, pretty);
+                }
+                break;
+
+            case 10: // DOCUMENT_TYPE_NODE
+                lines.push(indent + `<!DOCTYPE ${node.name}>`);
+                break;
+
+            default:
+                throw new IllegalArgumentException(`Unsupported node type "${node.nodeType}".`);
+        }
+    }
+
+    serializeElement(element, depth, lines, pretty) {
+        let indent = pretty ? this.indentString.repeat(depth) : '';
+        let isHTML = (element.namespaceURI === HTML_NAMESPACE);
+        let tagName = HtmlSerializer.getTagName(element);
+        let startTag = '<' + tagName + this.serializeAttributes(element, isHTML);
+
+        // <template> 元素的内容储存在 content 属性（DocumentFragment）当中
+        let container = (isHTML && tagName === 'template' && element.content !== undefined) ?
+            element.content : element;
+        let childNodes = Array.from(container.childNodes);
+
+        if (isHTML && VOID_ELEMENTS.includes(tagName)) {
+            lines.push(indent + startTag + (this.options.xhtml ? ' />' : '>'));
+            return;
+        }
+
+        if (!isHTML && childNodes.length === 0) {
+            lines.push(indent + startTag + (this.options.xhtml ? ' />' : '/>'));
+            return;
+        }
+
+        startTag += '>';
+        let endTag = `</${tagName}>`;
+
+        if (isHTML && RAW_TEXT_ELEMENTS.includes(tagName)) {
+            let content = childNodes.map((childNode) => {
+                return childNode.nodeType === 3 ? childNode.data : this.serialize(childNode);
+            }).join('');
+            lines.push(indent + startTag + content + endTag);
+            return;
+        }
+
+        let inline = !pretty ||
+            (isHTML && PREFORMATTED_ELEMENTS.includes(tagName)) ||
+            childNodes.every((childNode) => {
+                return HtmlSerializer.isInlineNode(childNode);
+            });
+
+        if (inline) {
+            let content = [];
+            for (let childNode of childNodes) {
+                this.serializeNode(childNode, 0, content, false);
+            }
+
+            let text = content.join('');
+            if (pretty && !(isHTML && PREFORMATTED_ELEMENTS.includes(tagName))) {
+                text = text.trim();
+            }
+
+            lines.push(indent + startTag + text + endTag);
+            return;
+        }
+
+        lines.push(indent + startTag);
+        for (let childNode of childNodes) {
+            this.serializeNode(childNode, depth + 1, lines, true);
+        }
+        lines.push(indent + endTag);
+    }
+
+    serializeAttributes(element, isHTML) {
+        let attributes = Array.from(element.attributes).map((attribute) => {
+            return { name: attribute.name, value: attribute.value };
+        });
+
+        if (this.options.sortAttributes) {
+            attributes.sort((left, right) => {
+                return left.name < right.name ? -1 : (left.name > right.name ? 1 : 0);
+            });
+        }
+
+        return attributes.map(({ name, value }) => {
+            if (isHTML && BOOLEAN_ATTRIBUTES.includes(name) &&
+                (value === '' || value.toLowerCase() === name)) {
+                if (this.options.xhtml) {
+                    return ` ${name}="${name}"`;
+                } else if (this.options.minimizeBooleanAttributes) {
+                    return ` ${name}`;
+                }
+            }
+
+            return ` ${name}="${this.escapeAttribute(value)}"`;
+        }).join('');
+    }
+
+    escapeText(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/\u00A0/g, this.options.xhtml ? '&#160;' : '&nbsp;');
+    }
+
+    escapeAttribute(value) {
+        let escaped = value
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/\u00A0/g, this.options.xhtml ? '&#160;' : '&nbsp;');
+
+        if (this.options.xhtml) {
+            escaped = escaped.replace(/</g, '&lt;');
+        }
+
+        return escaped;
+    }
+
+    /**
+     * 获取用于输出的元素名称，HTML 元素使用小写的名称，其他元素
+     * （比如 SVG、XML 元素）则使用包括前缀（prefix）的名称。
+     *
+     * @param {*} element
+     * @returns
+     */
+    static getTagName(element) {
+        if (element.namespaceURI === HTML_NAMESPACE) {
+            return element.localName.toLowerCase();
+        }
+
+        return element.prefix ?
+            element.prefix + ':' + element.localName :
+            element.localName;
+    }
+
+    static isInlineNode(node) {
+        if (node.nodeType === 3) {
+            return true;
+        }
+
+        return node.nodeType === 1 &&
+            node.namespaceURI === HTML_NAMESPACE &&
+            INLINE_ELEMENTS.includes(node.localName.toLowerCase()) &&
+            Array.from(node.childNodes).every((childNode) => {
+                return HtmlSerializer.isInlineNode(childNode);
+            });
+    }
+}
+
+module.exports = HtmlSerializer;
@@ -0,0 +1,489 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DomUtils = require('./domutils');
+const HtmlSanitizer = require('./htmlsanitizer');
+const HtmlSerializer = require('./htmlserializer');
+
+// 内容为原始文本的元素，不允许在其中插值
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+// 插入节点时使用的占位注释
+const NODE_PLACEHOLDER_PREFIX = 'jsdomutils-node-';
+
+// 协议不被允许的 URL 会被替换为这个值
+const INVALID_URL = 'about:invalid';
+
+/**
+ * HTML 模板，即 html`...` 标签模板（tagged template）的结果。
+ *
+ * 插入的值会按其所在的上下文自动转义：
+ * - 文本：转义 '&'、'<'、'>'；
+ * - 属性值：转义引号等字符，属性值必须使用引号括起来；
+ * - URL 属性（比如 href、src、data）：当值以插值开头时，会检查 URL 的协议，不被
+ *   允许的 URL（比如 'javascript:...'）会被替换为 'about:invalid'；插值在 URL 中间时
+ *   （比如 href="/users/${id}"）则使用 encodeURIComponent() 编码。
+ * - srcset 等属性：插值在候选项的开头时检查其中每个候选项的 URL，否则使用
+ *   encodeURIComponent() 编码，以免插入新的候选项。
+ * - 事件属性（比如 onclick）、srcdoc 属性、注释、<script> 和 <style> 等元素之中以及
+ *   属性名的位置不允许插值，会抛出 IllegalArgumentException 异常。
+ *
+ * 插入的值可以是：
+ * - 字符串、数字，null、undefined 和 false 输出为空；
+ * - 另一个 HtmlTemplate（即嵌套的模板），原样插入；
+ * - 数组，即逐项插入（只能用于文本的位置）；
+ * - 节点（比如 Element、DocumentFragment），只能用于文本的位置，在 toFragment()
+ *   时插入节点本身，在 toString() 时插入节点序列化的结果；
+ * - HtmlTemplate.raw() 的结果，即不转义的（可信的）HTML 文本。
+ *
+ * 示例：
+ *
+ * const html = HtmlTemplate.html;
+ *
+ * let items = ['<b>', 'a & b'];
+ * let template = html`<ul class="${className}">${items.map((item) => html`<li>${item}</li>`)}</ul>`;
+ *
+ * template.toString();    // '<ul class="list"><li>&lt;b&gt;</li><li>a &amp; b</li></ul>'
+ * template.toFragment();  // DocumentFragment
+ * template.toElement();   // <ul> 元素
+ */
+class HtmlTemplate {
+
+    constructor(strings, values) {
+        this.strings = strings;
+        this.values = values;
+    }
+
+    /**
+     * 标签模板函数
+     *
+     * @param {*} strings
+     * @param  {...any} values
+     * @returns 返回 HtmlTemplate 对象
+     */
+    static html(strings, ...values) {
+        return new HtmlTemplate(strings, values);
+    }
+
+    /**
+     * 将可信的 HTML 文本标记为不需要转义，只能用于文本的位置。
+     *
+     * 注意不要用于不可信的内容（比如用户的输入），否则可能导致 XSS 漏洞。
+     *
+     * @param {*} text
+     * @returns
+     */
+    static raw(text) {
+        return new RawHtml(String(text));
+    }
+
+    /**
+     * 输出为 HTML 文本，插入的节点会被序列化。
+     *
+     * @returns
+     */
+    toString() {
+        return this.render((node) => {
+            return new HtmlSerializer().serialize(node);
+        });
+    }
+
+    /**
+     * 转换为 DocumentFragment
+     *
+     * @param {*} doc 可选，用于创建节点的 document 对象。默认为插入的第一个
+     *     节点的 document，如果没有插入节点，在浏览器环境中为当前的 document，
+     *     在后端环境中则为 domino 创建的 document。
+     * @returns
+     */
+    toFragment(doc) {
+        let nodes = [];
+        let text = this.render((node) => {
+            nodes.push(node);
+            return `<!--${NODE_PLACEHOLDER_PREFIX}${nodes.length - 1}-->`;
+        });
+
+        if (doc === undefined && nodes.length > 0) {
+            doc = nodes[0].ownerDocument;
+        }
+
+        let fragment;
+        if (doc === undefined) {
+            fragment = DomUtils.parse(text, 'fragment');
+        } else {
+            let template = doc.createElement('template');
+            template.innerHTML = text;
+            fragment = template.content;
+        }
+
+        HtmlTemplate.replacePlaceholders(fragment, nodes);
+        return fragment;
+    }
+
+    /**
+     * 转换为元素，模板的顶层（忽略空白文本）必须只有一个元素。
+     *
+     * @param {*} doc 可选，参见 toFragment()
+     * @returns
+     */
+    toElement(doc) {
+        let fragment = this.toFragment(doc);
+        let elements = Array.from(fragment.childNodes).filter((node) => {
+            return node.nodeType === 1;
+        });
+
+        let hasOtherContent = Array.from(fragment.childNodes).some((node) => {
+            return node.nodeType !== 1 && !(node.nodeType === 3 && node.data.trim() === '');
+        });
+
+        if (elements.length !== 1 || hasOtherContent) {
+            throw new IllegalArgumentException('The template should contain exactly one top-level element.');
+        }
+
+        return elements[0];
+    }
+
+    /**
+     * 输出为 HTML 文本
+     *
+     * @param {*} renderNode function(node)，返回插入节点时输出的文本
+     * @returns
+     */
+    render(renderNode) {
+        let state = { mode: 'text' };
+        return this.renderWithState(state, renderNode);
+    }
+
+    renderWithState(state, renderNode) {
+        let output = '';
+
+        for (let i = 0; i < this.strings.length; i++) {
+            let text = this.strings[i];
+            HtmlTemplate.scan(text, state);
+            output += text;
+
+            if (i < this.values.length) {
+                let rendered = HtmlTemplate.renderValue(this.values[i], state, renderNode);
+                output += rendered;
+
+                if (state.mode === 'attributeValue') {
+                    state.value += rendered;
+                }
+            }
+        }
+
+        return output;
+    }
+
+    static renderValue(value, state, renderNode) {
+        switch (state.mode) {
+            case 'text':
+                return HtmlTemplate.renderText(value, renderNode);
+
+            case 'attributeValue':
+                return HtmlTemplate.renderAttributeValue(value, state);
+
+            case 'beforeAttributeValue':
+            case 'unquotedAttributeValue':
+                throw new IllegalArgumentException(
+                    `The value of attribute "${state.attributeName}" should be quoted when it contains interpolations.`);
+
+            case 'rawText':
+                throw new IllegalArgumentException(
+                    `Interpolations are not allowed inside <${state.rawTextTagName}>.`);
+
+            case 'comment':
+                throw new IllegalArgumentException('Interpolations are not allowed inside comments.');
+
+            case 'tagOpen':
+            case 'tagName':
+                throw new IllegalArgumentException('Interpolations are not allowed in tag names.');
+
+            default:
+                throw new IllegalArgumentException(
+                    'Interpolations are only allowed in text and quoted attribute values.');
+        }
+    }
+
+    static renderText(value, renderNode) {
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+
+        if (Array.isArray(value)) {
+            return value.map((item) => {
+                return HtmlTemplate.renderText(item, renderNode);
+            }).join('');
+        }
+
+        if (value instanceof HtmlTemplate) {
+            // 嵌套的模板从文本状态开始，并且其顶层的标签需要完整
+            let nestedState = { mode: 'text' };
+            let text = value.renderWithState(nestedState, renderNode);
+            if (nestedState.mode !== 'text') {
+                throw new IllegalArgumentException('The nested template is incomplete.');
+            }
+            return text;
+        }
+
+        if (value instanceof RawHtml) {
+            return value.text;
+        }
+
+        if (typeof value === 'object' && typeof value.nodeType === 'number') {
+            return renderNode(value);
+        }
+
+        return HtmlTemplate.escapeText(String(value));
+    }
+
+    static renderAttributeValue(value, state) {
+        let name = state.attributeName;
+
+        if (name.startsWith('on')) {
+            throw new IllegalArgumentException(
+                `Interpolations are not allowed in event attribute "${name}".`);
+        }
+
+        // srcdoc 的值是一个完整的 HTML 文档
+        if (name === 'srcdoc') {
+            throw new IllegalArgumentException('Interpolations are not allowed in attribute "srcdoc".');
+        }
+
+        if (value === null || value === undefined || value === false) {
+            return '';
+        }
+
+        if (typeof value === 'object') {
+            throw new IllegalArgumentException(
+                `The value of attribute "${name}" should be a string or a number.`);
+        }
+
+        let text = String(value);
+
+        if (HtmlSanitizer.isUrlAttribute(name)) {
+            if (state.value.trim() === '') {
+                if (!new HtmlSanitizer().isUrlAllowed(text)) {
+                    text = INVALID_URL;
+                }
+            } else {
+                text = encodeURIComponent(text);
+            }
+        } else if (HtmlSanitizer.isSrcsetAttribute(name)) {
+            // 插值在候选项的开头，即属性值的开头或者 ',' 之后
+            if (/(?:^|,)\s*$/.test(state.value)) {
+                if (!new HtmlSanitizer().isSrcsetAllowed(text)) {
+                    text = INVALID_URL;
+                }
+            } else {
+                text = encodeURIComponent(text);
+            }
+        }
+
+        return HtmlTemplate.escapeAttribute(text);
+    }
+
+    /**
+     * 扫描模板的静态文本，更新当前所在的上下文（state）。
+     *
+     * state.mode 可以是：
+     * - 'text' 文本；
+     * - 'tagOpen' '<' 或者 '</' 之后，标签名之前；
+     * - 'tagName' 标签名之中，结束标签的 state.tagName 以 '/' 开头；
+     * - 'tag' 标签之内（属性之间）；
+     * - 'attributeName' 属性名之中；
+     * - 'beforeAttributeValue' 属性名的 '=' 之后；
+     * - 'attributeValue' 使用引号的属性值之中，state.quote 为引号；
+     * - 'unquotedAttributeValue' 不使用引号的属性值之中；
+     * - 'comment' 注释之中；
+     * - 'rawText' <script>、<style> 等元素的内容之中。
+     *
+     * @param {*} text
+     * @param {*} state
+     */
+    static scan(text, state) {
+        let position = 0;
+
+        let closeTag = () => {
+            let tagName = state.tagName.toLowerCase();
+            if (RAW_TEXT_ELEMENTS.includes(tagName)) {
+                state.mode = 'rawText';
+                state.rawTextTagName = tagName;
+            } else {
+                state.mode = 'text';
+            }
+        };
+
+        while (position < text.length) {
+            let c = text[position];
+
+            switch (state.mode) {
+                case 'text':
+                    if (text.startsWith('<!--', position)) {
+                        state.mode = 'comment';
+                        position += 4;
+                        continue;
+                    } else if (c === '<') {
+                        // '<' 可能在静态文本的末尾，即紧接着插值，因此先进入 tagOpen 状态
+                        state.mode = 'tagOpen';
+                        state.tagName = '';
+                    }
+                    break;
+
+                case 'tagOpen':
+                    if (c === '/' && state.tagName === '') {
+                        state.tagName = '/';
+                    } else if (/[a-zA-Z]/.test(c)) {
+                        state.mode = 'tagName';
+                        continue;
+                    } else {
+                        // 不是标签，'<' 只是普通的文本
+                        state.mode = 'text';
+                        continue;
+                    }
+                    break;
+
+                case 'tagName':
+                    if (/[\s/>]/.test(c)) {
+                        state.mode = 'tag';
+                        continue;
+                    }
+                    state.tagName += c;
+                    break;
+
+                case 'tag':
+                    if (c === '>') {
+                        // 结束标签（即 tagName 以 '/' 开头）之后回到文本状态
+                        if (state.tagName.startsWith('/')) {
+                            state.mode = 'text';
+                        } else {
+                            closeTag();
+                        }
+                    } else if (c === '=') {
+                        state.mode = 'beforeAttributeValue';
+                    } else if (!/[\s/]/.test(c)) {
+                        state.mode = 'attributeName';
+                        state.attributeName = '';
+                        continue;
+                    }
+                    break;
+
+                case 'attributeName':
+                    if (/[\s/>=]/.test(c)) {
+                        state.mode = 'tag';
+                        continue;
+                    }
+                    state.attributeName += c.toLowerCase();
+                    break;
+
+                case 'beforeAttributeValue':
+                    if (c === '"' || c === '\'') {
+                        state.mode = 'attributeValue';
+                        state.quote = c;
+                        state.value = '';
+                    } else if (c === '>') {
+                        state.mode = 'tag';
+                        continue;
+                    } else if (!/\s/.test(c)) {
+                        state.mode = 'unquotedAttributeValue';
+                    }
+                    break;
+
+                case 'attributeValue':
+                    if (c === state.quote) {
+                        state.mode = 'tag';
+                    } else {
+                        state.value += c;
+                    }
+                    break;
+
+                case 'unquotedAttributeValue':
+                    if (/[\s>]/.test(c)) {
+                        state.mode = 'tag';
+                        continue;
+                    }
+                    break;
+
+                case 'comment':
+                    if (text.startsWith('-->', position)) {
+                        state.mode = 'text';
+                        position += 3;
+                        continue;
+                    }
+                    break;
+
+                case 'rawText':
+                    if (text.substring(position, position + 2 + state.rawTextTagName.length).toLowerCase() ===
+                        '</' + state.rawTextTagName) {
+                        state.mode = 'tagOpen';
+                        state.tagName = '';
+                    }
+                    break;
+            }
+
+            position++;
+        }
+    }
+
+    /**
+     * 将占位注释替换为插入的节点
+     *
+     * @param {*} fragment
+     * @param {*} nodes
+     */
+    static replacePlaceholders(fragment, nodes) {
+        let comments = [];
+        let collect = (parent) => {
+            for (let child of Array.from(parent.childNodes)) {
+                if (child.nodeType === 8 && child.data.startsWith(NODE_PLACEHOLDER_PREFIX)) {
+                    comments.push(child);
+                } else if (child.nodeType === 1) {
+                    collect(child);
+                }
+            }
+        };
+
+        collect(fragment);
+
+        for (let comment of comments) {
+            let index = parseInt(comment.data.substring(NODE_PLACEHOLDER_PREFIX.length), 10);
+            let node = nodes[index];
+            if (node === undefined) {
+                continue;
+            }
+
+            let ownerDocument = comment.ownerDocument;
+            if (node.ownerDocument !== ownerDocument) {
+                node = ownerDocument.adoptNode(node);
+            }
+
+            comment.parentNode.replaceChild(node, comment);
+        }
+    }
+
+    static escapeText(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    static escapeAttribute(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+}
+
+/**
+ * 不需要转义的 HTML 文本，参见 HtmlTemplate.raw()
+ */
+class RawHtml {
+    constructor(text) {
+        this.text = text;
+    }
+}
+
+module.exports = HtmlTemplate;
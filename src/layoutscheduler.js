@@ -0,0 +1,150 @@
+/**
+ * 布局读写调度器，用于避免布局抖动（layout thrashing）。
+ *
+ * 交替地读取布局（比如 offsetHeight、getComputedStyle()）和写入样式
+ * 会导致浏览器在每一次读取时都重新计算布局（reflow）。这个调度器将读取
+ * 任务（measure）和写入任务（mutate）分别放入队列，然后在下一个动画帧
+ * （requestAnimationFrame）之中先执行所有的读取任务，再执行所有的写入任务。
+ *
+ * - 在读取阶段加入的读取任务，会在同一个读取阶段之中执行；
+ * - 在读取阶段加入的写入任务，会在同一帧的写入阶段之中执行；
+ * - 在写入阶段加入的写入任务，会在同一个写入阶段之中执行；
+ * - 在写入阶段加入的读取任务，会在下一帧执行，以免强制重新计算布局。
+ *
+ * 示例：
+ *
+ * let scheduler = LayoutScheduler.getDefault();
+ * for (let element of elements) {
+ *     scheduler.measure(() => DomUtils.getOuterHeight(element))
+ *         .then((height) => scheduler.mutate(() => {
+ *             element.style.height = height + 'px';
+ *         }));
+ * }
+ */
+class LayoutScheduler {
+
+    /**
+     *
+     * @param {*} requestFrame 可选，用于请求下一帧的函数，默认使用
+     *     window.requestAnimationFrame，在没有这个函数的环境（比如 nodejs）中
+     *     使用 setTimeout。
+     */
+    constructor(requestFrame) {
+        this.requestFrame = requestFrame || LayoutScheduler.getDefaultRequestFrame();
+
+        this.reads = [];
+        this.writes = [];
+        this.scheduled = false;
+        this.phase = undefined;
+    }
+
+    /**
+     * 加入一个读取任务
+     *
+     * @param {*} fn 读取布局的函数
+     * @returns 返回 Promise，其值为 fn 的返回值
+     */
+    measure(fn) {
+        return this.enqueue(this.reads, fn);
+    }
+
+    /**
+     * 加入一个写入任务
+     *
+     * @param {*} fn 写入样式的函数
+     * @returns 返回 Promise，其值为 fn 的返回值
+     */
+    mutate(fn) {
+        return this.enqueue(this.writes, fn);
+    }
+
+    enqueue(queue, fn) {
+        return new Promise((resolve, reject) => {
+            queue.push({ fn, resolve, reject });
+            this.schedule();
+        });
+    }
+
+    schedule() {
+        // 在读取阶段加入的任务会在当前帧之中执行
+        if (this.scheduled || this.phase === 'read') {
+            return;
+        }
+
+        // 在写入阶段只有加入读取任务才需要请求下一帧，写入任务会在当前帧执行
+        if (this.phase === 'write' && this.reads.length === 0) {
+            return;
+        }
+
+        this.scheduled = true;
+        this.requestFrame(() => {
+            this.scheduled = false;
+            this.flush();
+        });
+    }
+
+    /**
+     * 立即执行所有的读取任务，然后执行所有的写入任务。
+     *
+     * 通常不需要直接调用这个方法，调度器会在下一帧自动调用。
+     */
+    flush() {
+        this.phase = 'read';
+        LayoutScheduler.runTasks(this.reads);
+
+        this.phase = 'write';
+        LayoutScheduler.runTasks(this.writes);
+
+        this.phase = undefined;
+
+        // 在写入阶段加入的读取任务
+        if (this.reads.length > 0) {
+            this.schedule();
+        }
+    }
+
+    /**
+     * 执行队列之中的所有任务，包括执行过程中新加入的任务。
+     *
+     * 某个任务抛出的异常只会导致其对应的 Promise 被拒绝（reject），
+     * 不影响其他任务的执行。
+     *
+     * @param {*} queue
+     */
+    static runTasks(queue) {
+        while (queue.length > 0) {
+            let { fn, resolve, reject } = queue.shift();
+            try {
+                resolve(fn());
+            } catch (e) {
+                reject(e);
+            }
+        }
+    }
+
+    static getDefaultRequestFrame() {
+        if (typeof requestAnimationFrame === 'function') {
+            return (callback) => {
+                requestAnimationFrame(callback);
+            };
+        }
+
+        return (callback) => {
+            setTimeout(callback, 16);
+        };
+    }
+
+    /**
+     * 获取默认的（共享的）调度器
+     *
+     * @returns
+     */
+    static getDefault() {
+        if (LayoutScheduler.defaultScheduler === undefined) {
+            LayoutScheduler.defaultScheduler = new LayoutScheduler();
+        }
+        return LayoutScheduler.defaultScheduler;
+    }
+}
+
+module.exports = LayoutScheduler;
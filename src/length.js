@@ -0,0 +1,345 @@
+const { IllegalArgumentException } = require('jsexception');
+
+// 绝对长度单位与 px 的比例
+// https://developer.mozilla.org/en-US/docs/Web/CSS/length#absolute_length_units
+const ABSOLUTE_UNITS = {
+    px: 1,
+    in: 96,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    q: 96 / 25.4 / 4,
+    pt: 96 / 72,
+    pc: 16
+};
+
+const RELATIVE_UNITS = ['em', 'rem', 'ex', 'ch', '%', 'vw', 'vh', 'vmin', 'vmax'];
+
+const KEYWORDS = ['auto', 'normal'];
+
+const LENGTH_PATTERN = /^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-z]+|%)?$/i;
+
+/**
+ * 长度值，由数值和单位组成，比如 '12.5px', '2em', '50%'，
+ * 也可以是关键字 'auto'、'normal' 或者 calc() 表达式。
+ *
+ * 关键字使用 Length.AUTO 和 Length.NORMAL 两个常量对象表示，可以通过
+ * isKeyword() 方法或者直接比较对象来判断。
+ *
+ * 转换为 px 时需要提供上下文（context）对象：
+ * {
+ *     fontSize,        // 元素的字体大小（px），用于 em、ex、ch
+ *     rootFontSize,    // 根元素的字体大小（px），用于 rem
+ *     percentBase,     // 百分比的基数（px），比如包含块（containing block）的宽度
+ *     viewportWidth,   // 视口的宽度（px），用于 vw、vmin、vmax
+ *     viewportHeight   // 视口的高度（px），用于 vh、vmin、vmax
+ * }
+ *
+ * 注意 ex 和 ch 按 0.5em 近似计算。
+ */
+class Length {
+
+    /**
+     *
+     * @param {*} value 数值，对于关键字为 undefined
+     * @param {*} unit 单位（小写），比如 'px', '%'，对于关键字则为关键字本身，
+     *     对于 calc() 表达式则为 'calc'
+     * @param {*} expression calc() 表达式的内容
+     */
+    constructor(value, unit, expression) {
+        this.value = value;
+        this.unit = unit;
+        this.expression = expression;
+    }
+
+    /**
+     * 解析长度文本
+     *
+     * @param {*} text 比如 '12px', '1.5em', '0', 'auto', 'calc(100% - 2em)'
+     * @returns 返回 Length 对象
+     * @throws 当文本不是一个有效的长度时，抛出 IllegalArgumentException 异常。
+     */
+    static parse(text) {
+        if (typeof text === 'number') {
+            return new Length(text, 'px');
+        }
+
+        if (typeof text !== 'string') {
+            throw new IllegalArgumentException('The length should be a string or a number.');
+        }
+
+        let trimmed = text.trim().toLowerCase();
+
+        if (trimmed === 'auto') {
+            return Length.AUTO;
+        } else if (trimmed === 'normal') {
+            return Length.NORMAL;
+        }
+
+        if (/^calc\(.*\)$/.test(trimmed)) {
+            let expression = trimmed.substring(5, trimmed.length - 1);
+            // 检查表达式的语法
+            new CalcExpression(expression);
+            return new Length(undefined, 'calc', expression);
+        }
+
+        let match = LENGTH_PATTERN.exec(trimmed);
+        if (match === null) {
+            throw new IllegalArgumentException(`The value "${text}" is not a valid length.`);
+        }
+
+        let value = parseFloat(match[1]);
+        let unit = match[2];
+
+        if (unit === undefined) {
+            // 只有 0 可以省略单位
+            if (value !== 0) {
+                throw new IllegalArgumentException(`The length "${text}" requires a unit.`);
+            }
+            unit = 'px';
+        }
+
+        if (ABSOLUTE_UNITS[unit] === undefined && !RELATIVE_UNITS.includes(unit)) {
+            throw new IllegalArgumentException(`The unit "${unit}" is not supported.`);
+        }
+
+        return new Length(value, unit);
+    }
+
+    /**
+     * 解析长度文本，跟 parse() 不同，无法解析的值（比如 'none'、'inherit'）
+     * 不会抛出异常。
+     *
+     * @param {*} text
+     * @returns 返回 Length 对象，如果不是有效的长度则返回 undefined。
+     */
+    static tryParse(text) {
+        try {
+            return Length.parse(text);
+        } catch (e) {
+            if (e instanceof IllegalArgumentException) {
+                return;
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * 是否关键字，即 'auto' 或者 'normal'
+     *
+     * @returns
+     */
+    isKeyword() {
+        return KEYWORDS.includes(this.unit);
+    }
+
+    /**
+     * 转换为 px 数值
+     *
+     * @param {*} context 参见类的说明，只有需要用到的属性才需要提供，
+     *     比如转换 'em' 只需要提供 fontSize。
+     * @returns 返回浮点数。
+     * @throws 关键字无法转换，会抛出 IllegalArgumentException 异常。
+     */
+    toPixels(context = {}) {
+        if (this.isKeyword()) {
+            throw new IllegalArgumentException(
+                `The keyword "${this.unit}" can not be converted to pixels.`);
+        }
+
+        if (this.unit === 'calc') {
+            return new CalcExpression(this.expression).evaluate(context);
+        }
+
+        return Length.convert(this.value, this.unit, context);
+    }
+
+    static convert(value, unit, context) {
+        let absolute = ABSOLUTE_UNITS[unit];
+        if (absolute !== undefined) {
+            return value * absolute;
+        }
+
+        let getContextValue = (name) => {
+            let base = context[name];
+            if (typeof base !== 'number' || isNaN(base)) {
+                throw new IllegalArgumentException(
+                    `The context "${name}" is required to convert unit "${unit}".`);
+            }
+            return base;
+        };
+
+        switch (unit) {
+            case 'em':
+                return value * getContextValue('fontSize');
+            case 'ex':
+            case 'ch':
+                return value * getContextValue('fontSize') / 2;
+            case 'rem':
+                return value * getContextValue('rootFontSize');
+            case '%':
+                return value * getContextValue('percentBase') / 100;
+            case 'vw':
+                return value * getContextValue('viewportWidth') / 100;
+            case 'vh':
+                return value * getContextValue('viewportHeight') / 100;
+            case 'vmin':
+                return value * Math.min(getContextValue('viewportWidth'), getContextValue('viewportHeight')) / 100;
+            case 'vmax':
+                return value * Math.max(getContextValue('viewportWidth'), getContextValue('viewportHeight')) / 100;
+        }
+    }
+
+    toString() {
+        if (this.isKeyword()) {
+            return this.unit;
+        } else if (this.unit === 'calc') {
+            return `calc(${this.expression})`;
+        }
+
+        return String(this.value) + this.unit;
+    }
+}
+
+Length.AUTO = new Length(undefined, 'auto');
+Length.NORMAL = new Length(undefined, 'normal');
+
+/**
+ * calc() 表达式，支持 +、-、*、/ 以及括号，比如 '100% - (2em + 4px) / 2'。
+ *
+ * 表达式在构造时解析（解析失败时抛出 IllegalArgumentException 异常），
+ * 在 evaluate() 时按给定的上下文计算为 px 数值。
+ */
+class CalcExpression {
+
+    constructor(expression) {
+        this.tokens = CalcExpression.tokenize(expression);
+        this.position = 0;
+        this.tree = this.parseSum();
+
+        if (this.position < this.tokens.length) {
+            throw new IllegalArgumentException(`Unexpected token in calc expression "${expression}".`);
+        }
+    }
+
+    static tokenize(expression) {
+        let tokens = [];
+        let pattern = /\s*(?:((?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)([a-z]+|%)?|([-+*/()]))/iy;
+
+        while (pattern.lastIndex < expression.length) {
+            if (/^\s*$/.test(expression.substring(pattern.lastIndex))) {
+                break;
+            }
+
+            let match = pattern.exec(expression);
+            if (match === null) {
+                throw new IllegalArgumentException(`Invalid calc expression "${expression}".`);
+            }
+
+            if (match[1] !== undefined) {
+                let unit = match[2] === undefined ? undefined : match[2].toLowerCase();
+                if (unit !== undefined && ABSOLUTE_UNITS[unit] === undefined &&
+                    !RELATIVE_UNITS.includes(unit)) {
+                    throw new IllegalArgumentException(`The unit "${unit}" is not supported.`);
+                }
+
+                tokens.push({ type: 'number', value: parseFloat(match[1]), unit: unit });
+            } else {
+                tokens.push({ type: 'operator', value: match[3] });
+            }
+        }
+
+        return tokens;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    isOperator(token, values) {
+        return token !== undefined && token.type === 'operator' && values.includes(token.value);
+    }
+
+    parseSum() {
+        let node = this.parseProduct();
+        while (this.isOperator(this.peek(), ['+', '-'])) {
+            let operator = this.tokens[this.position++].value;
+            node = { operator, left: node, right: this.parseProduct() };
+        }
+        return node;
+    }
+
+    parseProduct() {
+        let node = this.parseFactor();
+        while (this.isOperator(this.peek(), ['*', '/'])) {
+            let operator = this.tokens[this.position++].value;
+            node = { operator, left: node, right: this.parseFactor() };
+        }
+        return node;
+    }
+
+    parseFactor() {
+        let token = this.tokens[this.position++];
+
+        if (token === undefined) {
+            throw new IllegalArgumentException('Unexpected end of calc expression.');
+        }
+
+        if (this.isOperator(token, ['('])) {
+            let node = this.parseSum();
+            if (!this.isOperator(this.tokens[this.position++], [')'])) {
+                throw new IllegalArgumentException('Missing ")" in calc expression.');
+            }
+            return node;
+        }
+
+        if (this.isOperator(token, ['-'])) {
+            return { operator: '*', left: { value: -1 }, right: this.parseFactor() };
+        }
+
+        if (token.type !== 'number') {
+            throw new IllegalArgumentException(`Unexpected "${token.value}" in calc expression.`);
+        }
+
+        // 不带单位的数值只能用于乘除，所以这里不转换为 px
+        return { value: token.value, unit: token.unit };
+    }
+
+    evaluate(context) {
+        return CalcExpression.evaluateNode(this.tree, context).value;
+    }
+
+    /**
+     * 计算节点的值
+     *
+     * @param {*} node
+     * @param {*} context
+     * @returns 返回 {value, isLength}，isLength 为 false 时表示不带单位的数值
+     */
+    static evaluateNode(node, context) {
+        if (node.operator === undefined) {
+            if (node.unit === undefined) {
+                return { value: node.value, isLength: false };
+            }
+            return { value: Length.convert(node.value, node.unit, context), isLength: true };
+        }
+
+        let left = CalcExpression.evaluateNode(node.left, context);
+        let right = CalcExpression.evaluateNode(node.right, context);
+
+        switch (node.operator) {
+            case '+':
+                return { value: left.value + right.value, isLength: left.isLength || right.isLength };
+            case '-':
+                return { value: left.value - right.value, isLength: left.isLength || right.isLength };
+            case '*':
+                return { value: left.value * right.value, isLength: left.isLength || right.isLength };
+            case '/':
+                if (right.isLength) {
+                    throw new IllegalArgumentException('Can not divide by a length in calc expression.');
+                }
+                return { value: left.value / right.value, isLength: left.isLength };
+        }
+    }
+}
+
+module.exports = Length;
@@ -0,0 +1,936 @@
+const CssText = require('./csstext');
+const Length = require('./length');
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+
+// 会被子元素继承的样式
+const INHERITED_PROPERTIES = [
+    'color', 'cursor', 'direction', 'font-family', 'font-size', 'font-style',
+    'font-weight', 'line-height', 'text-align', 'visibility', 'white-space'
+];
+
+// 样式的初始值，注意这里把所有元素都当作块元素（block）
+const INITIAL_VALUES = {
+    'display': 'block',
+    'position': 'static',
+    'box-sizing': 'content-box',
+    'overflow': 'visible',
+    'visibility': 'visible',
+    'font-size': '16px',
+    'line-height': 'normal',
+    'width': 'auto',
+    'height': 'auto',
+    'top': 'auto',
+    'right': 'auto',
+    'bottom': 'auto',
+    'left': 'auto'
+};
+
+for (let side of SIDES) {
+    INITIAL_VALUES[`margin-${side}`] = '0px';
+    INITIAL_VALUES[`padding-${side}`] = '0px';
+    INITIAL_VALUES[`border-${side}-width`] = 'medium';
+    INITIAL_VALUES[`border-${side}-style`] = 'none';
+}
+
+const BORDER_WIDTH_KEYWORDS = { thin: '1px', medium: '3px', thick: '5px' };
+
+const BORDER_STYLES = [
+    'none', 'hidden', 'dotted', 'dashed', 'solid', 'double',
+    'groove', 'ridge', 'inset', 'outset'
+];
+
+const FONT_SIZE_KEYWORDS = {
+    'xx-small': 9, 'x-small': 10, 'small': 13, 'medium': 16,
+    'large': 18, 'x-large': 24, 'xx-large': 32
+};
+
+/**
+ * 后端环境（比如 nodejs 中的 domino）的样式和几何信息提供者（layout provider）。
+ *
+ * 后端的 DOM 实现没有布局引擎，这个提供者模拟了一个简单的布局引擎，以便
+ * ComputeSize 以及 DomUtils.getOuterHeight() 等方法可以在单元测试中使用。
+ * 提供者需要实现的方法参见 BrowserLayoutProvider。
+ *
+ * 计算样式：
+ * - 读取元素的内联样式（style 属性）以及文档中 <style> 元素的简单规则，
+ *   按 !important、选择器优先级（specificity）和出现的顺序计算层叠（cascade），
+ *   不支持 @media 等 @ 规则；
+ * - 展开 margin、padding、border、border-width、inset 等简写样式；
+ * - 支持自定义属性（变量，比如 '--gap'）的继承以及 var() 的替换；
+ * - font-size 会被转换为 px；跟浏览器一样，width 和 height 返回布局所得的
+ *   使用值（used value，按 box-sizing 为 content box 或者 border box 的大小），
+ *   所以 auto 和百分比也会被转换为 px（隐藏的元素除外）；其他长度值保持声明的
+ *   值（ComputeSize 会负责转换）。
+ *
+ * 几何信息：
+ * - 所有元素都被当作块元素，按普通流（normal flow）从上到下排列，
+ *   绝对定位（absolute、fixed）的元素则按 left、top 定位；
+ * - 宽度为 auto 的元素填满包含块，高度为 auto 的元素的高度为其子元素的
+ *   高度之和（文本不占高度）；
+ * - 子元素的位置会随父元素的 scrollLeft、scrollTop 移动，可以直接为元素的
+ *   这两个属性赋值来模拟滚动；
+ * - 可以通过 setBox() 方法直接声明元素的大小和位置，覆盖计算所得的值。
+ *
+ * 选项（options）有：
+ * - viewportWidth、viewportHeight 视口的大小，默认为 1024 和 768；
+ * - scrollX、scrollY 页面的滚动位置，默认为 0。
+ */
+class NodeLayoutProvider {
+
+    constructor(options = {}) {
+        let {
+            viewportWidth = 1024,
+            viewportHeight = 768,
+            scrollX = 0,
+            scrollY = 0 } = options;
+
+        this.viewport = { width: viewportWidth, height: viewportHeight, scrollX, scrollY };
+
+        this.boxes = new WeakMap();
+
+        // 解析过的样式表，{cssText: rules}
+        this.styleSheetCache = new Map();
+
+        // 一次读取之中的缓存，{key: {element: value}}，参见 withCache()
+        this.cache = undefined;
+
+        // 正在替换的变量，[{element, name}]，用于检查循环引用
+        this.resolvingVariables = [];
+    }
+
+    /**
+     * 声明元素的大小和位置
+     *
+     * @param {*} element
+     * @param {*} box {width, height, left, top, scrollbarWidth, scrollbarHeight}，
+     *     所有属性都是可选的，单位为 px。width 和 height 为 border box 的大小，
+     *     left 和 top 为 border box 相对于页面的坐标，scrollbarWidth 和
+     *     scrollbarHeight 为滚动条所占的大小（默认为 0）。
+     */
+    setBox(element, box) {
+        this.boxes.set(element, Object.assign({}, box));
+    }
+
+    getComputedStyle(element) {
+        return {
+            getPropertyValue: (name) => {
+                return this.withCache(() => {
+                    if (name === 'width' || name === 'height') {
+                        return this.getUsedSize(element, name);
+                    }
+                    return this.getPropertyValue(element, name);
+                });
+            }
+        };
+    }
+
+    getViewport() {
+        return Object.assign({}, this.viewport);
+    }
+
+    getMetrics(element) {
+        return this.withCache(() => {
+            return this.computeMetrics(element);
+        });
+    }
+
+    computeMetrics(element) {
+        if (this.isHidden(element)) {
+            return {
+                offsetWidth: 0,
+                offsetHeight: 0,
+                clientWidth: 0,
+                clientHeight: 0,
+                offsetLeft: 0,
+                offsetTop: 0,
+                offsetParent: null,
+                left: 0,
+                top: 0
+            };
+        }
+
+        let box = this.boxes.get(element) || {};
+        let width = this.getWidth(element);
+        let height = this.getHeight(element);
+        let position = this.getPosition(element);
+        let border = this.getPixelSides(element, 'border-', '-width');
+
+        let offsetParent = this.getOffsetParent(element);
+        let offsetLeft = position.left;
+        let offsetTop = position.top;
+
+        // offsetLeft/offsetTop 相对于 offsetParent 的 padding box，
+        // 当 offsetParent 是 BODY 时则相对于页面。
+        if (offsetParent !== null && offsetParent.tagName !== 'BODY') {
+            let parentPosition = this.getPosition(offsetParent);
+            let parentBorder = this.getPixelSides(offsetParent, 'border-', '-width');
+            offsetLeft -= parentPosition.left + parentBorder.left;
+            offsetTop -= parentPosition.top + parentBorder.top;
+        }
+
+        return {
+            offsetWidth: width,
+            offsetHeight: height,
+            clientWidth: Math.max(0, width - border.left - border.right - (box.scrollbarWidth || 0)),
+            clientHeight: Math.max(0, height - border.top - border.bottom - (box.scrollbarHeight || 0)),
+            offsetLeft: offsetLeft,
+            offsetTop: offsetTop,
+            offsetParent: offsetParent,
+            left: position.left - this.viewport.scrollX,
+            top: position.top - this.viewport.scrollY
+        };
+    }
+
+    /**
+     * 在一次读取之中缓存中间结果，布局的计算是递归的，同一个元素的样式和
+     * 几何信息会被多次用到。每次读取结束之后缓存即被丢弃，所以修改样式
+     * 或者 DOM 之后不需要通知提供者。
+     *
+     * @param {*} fn
+     * @returns 返回 fn 的返回值
+     */
+    withCache(fn) {
+        if (this.cache !== undefined) {
+            return fn();
+        }
+
+        this.cache = new Map();
+        try {
+            return fn();
+        } finally {
+            this.cache = undefined;
+        }
+    }
+
+    memoize(key, element, fn) {
+        if (this.cache === undefined) {
+            return fn();
+        }
+
+        let values = this.cache.get(key);
+        if (values === undefined) {
+            values = new Map();
+            this.cache.set(key, values);
+        }
+
+        if (!values.has(element)) {
+            values.set(element, fn());
+        }
+
+        return values.get(element);
+    }
+
+    // 计算样式
+
+    getPropertyValue(element, name) {
+        return this.memoize('style:' + name, element, () => {
+            let declared = this.getDeclaredValues(element)[name];
+            let parent = NodeLayoutProvider.getParentElement(element);
+
+            // 自定义属性（变量）总是会被继承
+            let inherited = INHERITED_PROPERTIES.includes(name) || name.startsWith('--');
+
+            if (declared === 'inherit' || (declared === undefined && inherited)) {
+                return parent === null ?
+                    INITIAL_VALUES[name] || '' :
+                    this.getPropertyValue(parent, name);
+            }
+
+            if (declared === undefined || declared === 'initial') {
+                declared = INITIAL_VALUES[name] || '';
+            }
+
+            if (declared.includes('var(')) {
+                declared = this.resolveVariables(element, declared);
+            }
+
+            if (name === 'font-size') {
+                return this.resolveFontSize(element, declared) + 'px';
+            }
+
+            let borderWidthMatch = /^border-(top|right|bottom|left)-width$/.exec(name);
+            if (borderWidthMatch !== null) {
+                let style = this.getPropertyValue(element, `border-${borderWidthMatch[1]}-style`);
+                if (style === 'none' || style === 'hidden') {
+                    return '0px';
+                }
+                return BORDER_WIDTH_KEYWORDS[declared] || declared;
+            }
+
+            return declared;
+        });
+    }
+
+    /**
+     * 替换样式值之中的 var() 函数，比如 'var(--gap, 4px)'，
+     * 不支持嵌套的 var() 作为默认值。
+     *
+     * @param {*} element
+     * @param {*} value
+     * @returns
+     */
+    resolveVariables(element, value) {
+        return value.replace(/var\(\s*(--[^\s,)]+)\s*(?:,\s*([^)]*))?\)/g, (match, name, fallback) => {
+            // 循环引用（比如 '--a: var(--a)'）的变量无效
+            let cyclic = this.resolvingVariables.some((item) => {
+                return item.element === element && item.name === name;
+            });
+
+            let variable = '';
+            if (!cyclic) {
+                this.resolvingVariables.push({ element, name });
+                try {
+                    variable = this.getPropertyValue(element, name);
+                } finally {
+                    this.resolvingVariables.pop();
+                }
+            }
+
+            return variable !== '' ? variable : (fallback || '').trim();
+        });
+    }
+
+    /**
+     * 计算层叠之后元素声明的样式值
+     *
+     * @param {*} element
+     * @returns 返回 {name: value} 对象，不包括继承的值和初始值。
+     */
+    getDeclaredValues(element) {
+        return this.memoize('declared', element, () => {
+            let candidates = [];
+            let order = 0;
+
+            for (let styleElement of Array.from(element.ownerDocument.querySelectorAll('style'))) {
+                for (let rule of this.getStyleSheetRules(styleElement.textContent)) {
+                    if (!NodeLayoutProvider.matches(element, rule.selector)) {
+                        continue;
+                    }
+
+                    for (let declaration of rule.declarations) {
+                        candidates.push({ declaration, specificity: rule.specificity, order: order++ });
+                    }
+                }
+            }
+
+            let inlineStyle = element.getAttribute('style');
+            if (inlineStyle !== null) {
+                for (let declaration of NodeLayoutProvider.parseDeclarations(inlineStyle)) {
+                    candidates.push({ declaration, specificity: [1, 0, 0, 0], order: order++ });
+                }
+            }
+
+            candidates.sort((left, right) => {
+                if (left.declaration.important !== right.declaration.important) {
+                    return left.declaration.important ? 1 : -1;
+                }
+
+                for (let i = 0; i < 4; i++) {
+                    if (left.specificity[i] !== right.specificity[i]) {
+                        return left.specificity[i] - right.specificity[i];
+                    }
+                }
+
+                return left.order - right.order;
+            });
+
+            let values = {};
+            for (let { declaration } of candidates) {
+                values[declaration.name] = declaration.value;
+            }
+            return values;
+        });
+    }
+
+    getStyleSheetRules(cssText) {
+        let rules = this.styleSheetCache.get(cssText);
+        if (rules === undefined) {
+            rules = NodeLayoutProvider.parseStyleSheet(cssText);
+            this.styleSheetCache.set(cssText, rules);
+        }
+        return rules;
+    }
+
+    resolveFontSize(element, value) {
+        let parent = NodeLayoutProvider.getParentElement(element);
+        let parentFontSize = (parent === null) ?
+            FONT_SIZE_KEYWORDS.medium :
+            parseFloat(this.getPropertyValue(parent, 'font-size'));
+
+        if (FONT_SIZE_KEYWORDS[value] !== undefined) {
+            return FONT_SIZE_KEYWORDS[value];
+        } else if (value === 'larger') {
+            return parentFontSize * 1.2;
+        } else if (value === 'smaller') {
+            return parentFontSize / 1.2;
+        }
+
+        try {
+            let length = Length.parse(value);
+            if (length.unit === 'rem') {
+                let rootElement = element.ownerDocument.documentElement;
+                let rootFontSize = (rootElement === element) ?
+                    FONT_SIZE_KEYWORDS.medium :
+                    parseFloat(this.getPropertyValue(rootElement, 'font-size'));
+                return length.value * rootFontSize;
+            }
+
+            // font-size 的 em 和百分比都相对于父元素的字体大小
+            return length.toPixels({
+                fontSize: parentFontSize,
+                percentBase: parentFontSize,
+                viewportWidth: this.viewport.width,
+                viewportHeight: this.viewport.height
+            });
+        } catch (e) {
+            return parentFontSize;
+        }
+    }
+
+    /**
+     * 获取样式的 px 数值
+     *
+     * @param {*} element
+     * @param {*} name
+     * @param {*} percentBase 百分比的基数
+     * @returns 如果值为 'auto' 等关键字或者无法转换，则返回 undefined
+     */
+    getPixelValue(element, name, percentBase) {
+        let value = this.getPropertyValue(element, name);
+
+        try {
+            let length = Length.parse(value);
+            if (length.isKeyword()) {
+                return;
+            }
+
+            let rootElement = element.ownerDocument.documentElement;
+            return length.toPixels({
+                fontSize: parseFloat(this.getPropertyValue(element, 'font-size')),
+                rootFontSize: parseFloat(this.getPropertyValue(rootElement, 'font-size')),
+                percentBase: percentBase,
+                viewportWidth: this.viewport.width,
+                viewportHeight: this.viewport.height
+            });
+        } catch (e) {
+            // 返回 undefined
+        }
+    }
+
+    getPixelSides(element, prefix, suffix, percentBase) {
+        let sides = {};
+        for (let side of SIDES) {
+            sides[side] = this.getPixelValue(element, prefix + side + suffix, percentBase) || 0;
+        }
+        return sides;
+    }
+
+    // 几何信息
+
+    isHidden(element) {
+        return this.memoize('hidden', element, () => {
+            for (let current = element; current !== null; current = NodeLayoutProvider.getParentElement(current)) {
+                if (this.getPropertyValue(current, 'display') === 'none') {
+                    return true;
+                }
+            }
+            return false;
+        });
+    }
+
+    isOutOfFlow(element) {
+        let position = this.getPropertyValue(element, 'position');
+        return position === 'absolute' || position === 'fixed';
+    }
+
+    getOffsetParent(element) {
+        return this.memoize('offsetParent', element, () => {
+            let tagName = element.tagName;
+            if (tagName === 'BODY' || tagName === 'HTML' || this.isHidden(element)) {
+                return null;
+            }
+
+            let fixed = (this.getPropertyValue(element, 'position') === 'fixed');
+
+            for (let parent = NodeLayoutProvider.getParentElement(element);
+                parent !== null;
+                parent = NodeLayoutProvider.getParentElement(parent)) {
+
+                if (parent.tagName === 'BODY') {
+                    return fixed ? null : parent;
+                }
+
+                if (!fixed && this.getPropertyValue(parent, 'position') !== 'static') {
+                    return parent;
+                }
+            }
+
+            return null;
+        });
+    }
+
+    /**
+     * 获取包含块（containing block）的大小和位置，普通流的元素的包含块
+     * 是父元素的 content box，绝对定位元素的包含块是 offsetParent 的
+     * padding box，fixed 元素的包含块是视口。
+     *
+     * @param {*} element
+     * @returns 返回 {left, top, width, height}，height 可能为 undefined，
+     *     即父元素的高度为 auto。
+     */
+    getContainingBlock(element) {
+        return this.memoize('containingBlock', element, () => {
+            let parent = NodeLayoutProvider.getParentElement(element);
+            let position = this.getPropertyValue(element, 'position');
+
+            if (parent === null || position === 'fixed') {
+                return {
+                    left: this.viewport.scrollX,
+                    top: this.viewport.scrollY,
+                    width: this.viewport.width,
+                    height: this.viewport.height
+                };
+            }
+
+            let container = (position === 'absolute') ? this.getOffsetParent(element) : parent;
+            if (container === null) {
+                container = element.ownerDocument.documentElement;
+            }
+
+            let containerPosition = this.getPosition(container);
+            let box = this.boxes.get(container) || {};
+            let border = this.getPixelSides(container, 'border-', '-width');
+            let width = this.getWidth(container) - border.left - border.right - (box.scrollbarWidth || 0);
+            let height = this.getSpecifiedHeight(container);
+            if (height !== undefined) {
+                height -= border.top + border.bottom + (box.scrollbarHeight || 0);
+            }
+
+            let left = containerPosition.left + border.left;
+            let top = containerPosition.top + border.top;
+
+            // 滚动容器的内容随滚动位置移动，BODY 和 HTML 的滚动即页面的滚动，不影响页面坐标
+            if (container.tagName !== 'BODY' && container.tagName !== 'HTML') {
+                left -= container.scrollLeft || 0;
+                top -= container.scrollTop || 0;
+            }
+
+            if (position !== 'absolute') {
+                let padding = this.getPixelSides(container, 'padding-', '', width);
+                left += padding.left;
+                top += padding.top;
+                width -= padding.left + padding.right;
+                if (height !== undefined) {
+                    height -= padding.top + padding.bottom;
+                }
+            }
+
+            return { left, top, width, height };
+        });
+    }
+
+    /**
+     * 获取 width 或者 height 的使用值（used value）
+     *
+     * @param {*} element
+     * @param {*} name 'width' 或者 'height'
+     * @returns 返回带单位的值，比如 '120px'。隐藏的元素没有布局，返回声明的值。
+     */
+    getUsedSize(element, name) {
+        if (this.isHidden(element)) {
+            return this.getPropertyValue(element, name);
+        }
+
+        let size;
+        if (name === 'width') {
+            size = this.getWidth(element);
+            if (this.getPropertyValue(element, 'box-sizing') !== 'border-box') {
+                size -= this.getExtraSize(element, this.getContainingBlock(element).width, 'left', 'right');
+            }
+        } else {
+            size = this.getHeight(element);
+            if (this.getPropertyValue(element, 'box-sizing') !== 'border-box') {
+                size -= this.getExtraSize(element, this.getContainingBlock(element).width, 'top', 'bottom');
+            }
+        }
+
+        return Math.max(0, size) + 'px';
+    }
+
+    /**
+     * 获取 border box 的宽度
+     *
+     * @param {*} element
+     * @returns
+     */
+    getWidth(element) {
+        return this.memoize('width', element, () => {
+            let box = this.boxes.get(element) || {};
+            if (box.width !== undefined) {
+                return box.width;
+            }
+
+            if (this.isHidden(element)) {
+                return 0;
+            }
+
+            let containingBlock = this.getContainingBlock(element);
+            let extra = this.getExtraSize(element, containingBlock.width, 'left', 'right');
+            let width = this.getPixelValue(element, 'width', containingBlock.width);
+
+            if (width !== undefined) {
+                return this.getPropertyValue(element, 'box-sizing') === 'border-box' ?
+                    Math.max(width, extra) : width + extra;
+            }
+
+            // 绝对定位的元素的宽度为 auto 时按内容收缩，这里没有内容的宽度，只计算 padding 和 border
+            if (this.isOutOfFlow(element)) {
+                return extra;
+            }
+
+            let margin = this.getPixelSides(element, 'margin-', '', containingBlock.width);
+            return Math.max(0, containingBlock.width - margin.left - margin.right);
+        });
+    }
+
+    /**
+     * 获取指定的（即不是 auto 的）border box 高度
+     *
+     * @param {*} element
+     * @returns 如果高度为 auto，则返回 undefined
+     */
+    getSpecifiedHeight(element) {
+        return this.memoize('specifiedHeight', element, () => {
+            let box = this.boxes.get(element) || {};
+            if (box.height !== undefined) {
+                return box.height;
+            }
+
+            let parent = NodeLayoutProvider.getParentElement(element);
+            let percentBase = (parent === null) ?
+                this.viewport.height :
+                this.getSpecifiedHeight(parent);
+
+            let value = this.getPropertyValue(element, 'height');
+            if (value.trim().endsWith('%') && percentBase === undefined) {
+                return;
+            }
+
+            let height = this.getPixelValue(element, 'height', percentBase);
+            if (height === undefined) {
+                return;
+            }
+
+            let containingWidth = this.getContainingBlock(element).width;
+            let extra = this.getExtraSize(element, containingWidth, 'top', 'bottom');
+            return this.getPropertyValue(element, 'box-sizing') === 'border-box' ?
+                Math.max(height, extra) : height + extra;
+        });
+    }
+
+    /**
+     * 获取 border box 的高度
+     *
+     * @param {*} element
+     * @returns
+     */
+    getHeight(element) {
+        return this.memoize('height', element, () => {
+            if (this.isHidden(element)) {
+                return 0;
+            }
+
+            let height = this.getSpecifiedHeight(element);
+            if (height !== undefined) {
+                return height;
+            }
+
+            let containingWidth = this.getContainingBlock(element).width;
+            let contentHeight = 0;
+            for (let child of NodeLayoutProvider.getChildElements(element)) {
+                contentHeight += this.getFlowHeight(child);
+            }
+
+            return contentHeight + this.getExtraSize(element, containingWidth, 'top', 'bottom');
+        });
+    }
+
+    /**
+     * 获取元素在普通流中所占的高度，即 margin box 的高度，
+     * 隐藏或者绝对定位的元素不占高度。
+     *
+     * @param {*} element
+     * @returns
+     */
+    getFlowHeight(element) {
+        if (this.isHidden(element) || this.isOutOfFlow(element)) {
+            return 0;
+        }
+
+        let containingWidth = this.getContainingBlock(element).width;
+        let margin = this.getPixelSides(element, 'margin-', '', containingWidth);
+        return this.getHeight(element) + margin.top + margin.bottom;
+    }
+
+    /**
+     * 获取指定方向上的 padding 与 border 之和
+     */
+    getExtraSize(element, percentBase, start, end) {
+        let padding = this.getPixelSides(element, 'padding-', '', percentBase);
+        let border = this.getPixelSides(element, 'border-', '-width');
+        return padding[start] + padding[end] + border[start] + border[end];
+    }
+
+    /**
+     * 获取 border box 相对于页面的坐标
+     *
+     * @param {*} element
+     * @returns 返回 {left, top}
+     */
+    getPosition(element) {
+        return this.memoize('position', element, () => {
+            let box = this.boxes.get(element) || {};
+            let left = box.left;
+            let top = box.top;
+
+            if (left !== undefined && top !== undefined) {
+                return { left, top };
+            }
+
+            let containingBlock = this.getContainingBlock(element);
+            let margin = this.getPixelSides(element, 'margin-', '', containingBlock.width);
+            let position = this.getPropertyValue(element, 'position');
+
+            let computedLeft = containingBlock.left + margin.left;
+            let computedTop = containingBlock.top + margin.top;
+
+            if (position === 'absolute' || position === 'fixed' || position === 'relative') {
+                computedLeft += this.getPixelValue(element, 'left', containingBlock.width) || 0;
+                computedTop += this.getPixelValue(element, 'top', containingBlock.height) || 0;
+            }
+
+            if (position !== 'absolute' && position !== 'fixed') {
+                // 普通流之中，排在之前的姐妹元素占用的高度
+                let sibling = element.previousSibling;
+                while (sibling !== null) {
+                    if (sibling.nodeType === 1) {
+                        computedTop += this.getFlowHeight(sibling);
+                    }
+                    sibling = sibling.previousSibling;
+                }
+            }
+
+            return {
+                left: left === undefined ? computedLeft : left,
+                top: top === undefined ? computedTop : top
+            };
+        });
+    }
+
+    // 工具方法
+
+    static getParentElement(element) {
+        let parent = element.parentNode;
+        return (parent !== null && parent.nodeType === 1) ? parent : null;
+    }
+
+    static getChildElements(element) {
+        return Array.from(element.childNodes).filter((node) => {
+            return node.nodeType === 1;
+        });
+    }
+
+    static matches(element, selector) {
+        try {
+            return element.matches(selector);
+        } catch (e) {
+            // 后端的 DOM 实现不支持的选择器
+            return false;
+        }
+    }
+
+    /**
+     * 解析样式表，忽略 @ 规则（比如 @media、@font-face）
+     *
+     * @param {*} cssText
+     * @returns 返回 [{selector, specificity, declarations}, ...]，
+     *     选择器列表会被拆分为多个规则。
+     */
+    static parseStyleSheet(cssText) {
+        let text = cssText.replace(/\/\*[\s\S]*?\*\//g, '');
+        let rules = [];
+        let position = 0;
+
+        while (position < text.length) {
+            let open = text.indexOf('{', position);
+            if (open === -1) {
+                break;
+            }
+
+            let prelude = text.substring(position, open).trim();
+
+            // 找到对应的 '}'，@ 规则的内容可能包含嵌套的 '{}'
+            let depth = 1;
+            let close = open + 1;
+            while (close < text.length && depth > 0) {
+                if (text[close] === '{') {
+                    depth++;
+                } else if (text[close] === '}') {
+                    depth--;
+                }
+                close++;
+            }
+
+            let body = text.substring(open + 1, close - 1);
+            position = close;
+
+            if (prelude.startsWith('@')) {
+                continue;
+            }
+
+            let declarations = NodeLayoutProvider.parseDeclarations(body);
+            for (let selector of prelude.split(',')) {
+                selector = selector.trim();
+                if (selector !== '') {
+                    rules.push({
+                        selector: selector,
+                        specificity: NodeLayoutProvider.getSpecificity(selector),
+                        declarations: declarations
+                    });
+                }
+            }
+        }
+
+        return rules;
+    }
+
+    /**
+     * 解析样式声明，比如 'margin: 0 4px; color: red !important'
+     *
+     * @param {*} text
+     * @returns 返回 [{name, value, important}, ...]，简写样式会被展开。
+     */
+    static parseDeclarations(text) {
+        let declarations = [];
+
+        for (let { name, value, important } of CssText.parseDeclarations(text)) {
+            for (let [longhandName, longhandValue] of NodeLayoutProvider.expandShorthand(name, value)) {
+                declarations.push({ name: longhandName, value: longhandValue, important: important });
+            }
+        }
+
+        return declarations;
+    }
+
+    /**
+     * 展开简写样式
+     *
+     * @param {*} name
+     * @param {*} value
+     * @returns 返回 [[name, value], ...]
+     */
+    static expandShorthand(name, value) {
+        let expandSides = (prefix, suffix) => {
+            let values = NodeLayoutProvider.splitValues(value);
+            let [top, right = top, bottom = top, left = right] = values;
+            return [
+                [`${prefix}top${suffix}`, top],
+                [`${prefix}right${suffix}`, right],
+                [`${prefix}bottom${suffix}`, bottom],
+                [`${prefix}left${suffix}`, left]
+            ];
+        };
+
+        switch (name) {
+            case 'margin':
+                return expandSides('margin-', '');
+            case 'padding':
+                return expandSides('padding-', '');
+            case 'inset':
+                return expandSides('', '');
+            case 'border-width':
+                return expandSides('border-', '-width');
+            case 'border-style':
+                return expandSides('border-', '-style');
+        }
+
+        let borderMatch = /^border(?:-(top|right|bottom|left))?$/.exec(name);
+        if (borderMatch !== null) {
+            let sides = borderMatch[1] === undefined ? SIDES : [borderMatch[1]];
+            let width = 'medium';
+            let style = 'none';
+
+            for (let token of NodeLayoutProvider.splitValues(value)) {
+                if (BORDER_STYLES.includes(token)) {
+                    style = token;
+                } else if (BORDER_WIDTH_KEYWORDS[token] !== undefined || /^[-+.\d]|^calc\(/.test(token)) {
+                    width = token;
+                }
+            }
+
+            let longhands = [];
+            for (let side of sides) {
+                longhands.push([`border-${side}-width`, width]);
+                longhands.push([`border-${side}-style`, style]);
+            }
+            return longhands;
+        }
+
+        return [[name, value]];
+    }
+
+    /**
+     * 按空白拆分样式值，括号之内的空白不拆分，比如 'calc(1px + 2px) 0'
+     *
+     * @param {*} value
+     * @returns
+     */
+    static splitValues(value) {
+        let values = [];
+        let current = '';
+        let depth = 0;
+
+        for (let c of value.trim()) {
+            if (c === '(') {
+                depth++;
+            } else if (c === ')') {
+                depth--;
+            }
+
+            if (/\s/.test(c) && depth === 0) {
+                if (current !== '') {
+                    values.push(current);
+                    current = '';
+                }
+            } else {
+                current += c;
+            }
+        }
+
+        if (current !== '') {
+            values.push(current);
+        }
+
+        return values;
+    }
+
+    /**
+     * 计算选择器的优先级（specificity）
+     *
+     * @param {*} selector
+     * @returns 返回 [0, id 数量, class/属性/伪类数量, 元素/伪元素数量]
+     */
+    static getSpecificity(selector) {
+        let ids = (selector.match(/#[\w-]+/g) || []).length;
+        let classes = (selector.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length;
+        let types = (selector
+            .replace(/#[\w-]+|\.[\w-]+|\[[^\]]*\]|:+[\w-]+(\([^)]*\))?/g, ' ')
+            .match(/[a-zA-Z][\w-]*/g) || []).length;
+        let pseudoElements = (selector.match(/::[\w-]+/g) || []).length;
+
+        return [0, ids, classes, types + pseudoElements];
+    }
+}
+
+module.exports = NodeLayoutProvider;
@@ -0,0 +1,158 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const TEXT_NODE = 3;
+
+// Node.DOCUMENT_POSITION_*
+const DOCUMENT_POSITION_DISCONNECTED = 1;
+const DOCUMENT_POSITION_PRECEDING = 2;
+const DOCUMENT_POSITION_FOLLOWING = 4;
+
+// HTML 的空白字符，参见 https://infra.spec.whatwg.org/#ascii-whitespace
+const WHITESPACE_PATTERN = /^[ \t\n\f\r]*$/;
+
+/**
+ * 节点路径（node path），即从根节点到某个节点的子节点索引数组，
+ * 比如 [0, 2] 表示 root.childNodes[0].childNodes[2]。
+ *
+ * 路径是普通的数组，可以序列化（比如 JSON）之后在另一个环境中使用，
+ * 比如在服务端的 DomUtils.parseHTMLbackend() 节点树和浏览器的 DOM 之间
+ * 引用相同位置的节点。
+ *
+ * 由于服务端和浏览器对空白文本节点的处理有可能不同（比如 HTML 格式化时
+ * 加入的换行符），可以通过 ignoreWhitespace 选项在计算索引时跳过仅包含
+ * 空白字符的文本节点。
+ */
+class NodePath {
+
+    /**
+     * 计算从根节点到指定节点的路径
+     *
+     * @param {*} node
+     * @param {*} root
+     * @param {*} options 可选，{ignoreWhitespace}
+     *     - ignoreWhitespace 是否跳过仅包含空白字符的文本节点，默认为 false。
+     * @returns 返回子节点索引数组，如果 node 就是 root，则返回空数组。
+     */
+    static getPath(node, root, options = {}) {
+        let { ignoreWhitespace = false } = options;
+
+        if (ignoreWhitespace && NodePath.isWhitespaceText(node)) {
+            throw new IllegalArgumentException('Can not get the path of a whitespace text node when ignoring whitespace.');
+        }
+
+        let path = [];
+        let current = node;
+
+        while (current !== root) {
+            if (current === null) {
+                throw new IllegalArgumentException('The node is not inside the root node.');
+            }
+
+            path.unshift(NodePath.getIndex(current, ignoreWhitespace));
+            current = current.parentNode;
+        }
+
+        return path;
+    }
+
+    /**
+     * 根据路径寻找节点
+     *
+     * @param {*} path
+     * @param {*} root
+     * @param {*} options 可选，{ignoreWhitespace}，需要跟 getPath() 的选项一致。
+     * @returns 如果路径不存在则返回 undefined
+     */
+    static resolve(path, root, options = {}) {
+        let { ignoreWhitespace = false } = options;
+
+        let node = root;
+        for (let index of path) {
+            node = NodePath.getChildNodes(node, ignoreWhitespace)[index];
+            if (node === undefined) {
+                return;
+            }
+        }
+
+        return node;
+    }
+
+    /**
+     * 获取节点在其父节点之中的索引
+     *
+     * @param {*} node
+     * @param {*} ignoreWhitespace 可选，是否跳过仅包含空白字符的文本节点，默认为 false。
+     * @returns
+     */
+    static getIndex(node, ignoreWhitespace = false) {
+        return NodePath.getChildNodes(node.parentNode, ignoreWhitespace).indexOf(node);
+    }
+
+    static getChildNodes(node, ignoreWhitespace) {
+        let childNodes = Array.from(node.childNodes);
+        if (!ignoreWhitespace) {
+            return childNodes;
+        }
+
+        return childNodes.filter((childNode) => {
+            return !NodePath.isWhitespaceText(childNode);
+        });
+    }
+
+    static isWhitespaceText(node) {
+        return node.nodeType === TEXT_NODE && WHITESPACE_PATTERN.test(node.data);
+    }
+
+    /**
+     * 比较两个节点在文档之中的先后顺序，祖先节点排在子孙节点之前。
+     *
+     * @param {*} nodeA
+     * @param {*} nodeB
+     * @returns -1 表示 nodeA 在前，1 表示 nodeB 在前，0 表示同一个节点。
+     */
+    static compare(nodeA, nodeB) {
+        if (nodeA === nodeB) {
+            return 0;
+        }
+
+        let position = nodeA.compareDocumentPosition(nodeB);
+
+        if ((position & DOCUMENT_POSITION_DISCONNECTED) !== 0) {
+            throw new IllegalArgumentException('The nodes are not in the same tree.');
+        }
+
+        if ((position & DOCUMENT_POSITION_FOLLOWING) !== 0) {
+            return -1;
+        }
+
+        if ((position & DOCUMENT_POSITION_PRECEDING) !== 0) {
+            return 1;
+        }
+
+        // 兜底，不应该到达这里
+        return 0;
+    }
+
+    /**
+     * 寻找两个节点的最近的公共祖先节点，如果一个节点是另一个节点的祖先，
+     * 则返回该祖先节点。
+     *
+     * @param {*} nodeA
+     * @param {*} nodeB
+     * @returns 如果两个节点不在同一个节点树之中则返回 undefined
+     */
+    static getCommonAncestor(nodeA, nodeB) {
+        let ancestors = new Set();
+        for (let node = nodeA; node !== null; node = node.parentNode) {
+            ancestors.add(node);
+        }
+
+        for (let node = nodeB; node !== null; node = node.parentNode) {
+            if (ancestors.has(node)) {
+                return node;
+            }
+        }
+    }
+}
+
+module.exports = NodePath;
@@ -0,0 +1,513 @@
+const { IllegalArgumentException, UnsupportedOperationException } = require('jsexception');
+
+const ComputeSize = require('./computesize');
+const LayoutScheduler = require('./layoutscheduler');
+
+const SIDES = ['top', 'right', 'bottom', 'left'];
+const ALIGNMENTS = ['start', 'end'];
+
+const OPPOSITE_SIDES = {
+    top: 'bottom',
+    right: 'left',
+    bottom: 'top',
+    left: 'right'
+};
+
+/**
+ * 浮动元素（比如弹出框 popover、提示 tooltip、下拉菜单 dropdown）的定位。
+ *
+ * 浮动元素需要是绝对定位（position: absolute 或者 fixed）的元素，它会被放置在
+ * 锚点（anchor）的指定一侧，锚点可以是一个元素，也可以是页面上的一个点
+ * {left, top} 或者一个矩形 {left, top, width, height}（页面坐标）。
+ *
+ * 示例：
+ *
+ * let result = Placement.position(menuElement, buttonElement, {
+ *     placement: 'bottom-start',
+ *     offset: 4,
+ *     arrow: arrowElement
+ * });
+ *
+ * // 在页面滚动或者窗口大小变化时自动重新定位
+ * let dispose = Placement.autoUpdate(menuElement, buttonElement, {placement: 'bottom-start'});
+ * dispose();
+ *
+ * 选项（options）有：
+ * - placement 位置，由方向（side）和对齐方式（alignment）组成，比如 'top'、
+ *   'top-start'、'bottom-end'、'left-start'，方向可以是 top、right、bottom、left，
+ *   对齐方式可以是 start、end，省略对齐方式则表示居中。默认为 'bottom'；
+ * - offset 浮动元素与锚点之间的距离（px），也可以是 {mainAxis, crossAxis}，
+ *   crossAxis 为沿对齐方向的偏移。默认为 0；
+ * - flip 当浮动元素在指定方向溢出边界，而另一侧的空间更大时，是否放置到
+ *   相反的一侧，默认为 true；
+ * - shift 当浮动元素在对齐方向溢出边界时，是否沿对齐方向移动，使其尽量
+ *   留在边界之内（但仍然跟锚点相邻），默认为 true；
+ * - boundary 边界，可以是：
+ *   - 'clippingAncestors'（默认值）视口与所有裁剪内容（overflow 不是 visible）
+ *     的祖先元素的交集；
+ *   - 'viewport' 视口；
+ *   - 一个元素，即该元素的 padding box。
+ * - padding 浮动元素与边界之间需要保留的距离（px），默认为 0；
+ * - arrow 箭头元素，它需要是浮动元素的绝对定位的子元素；
+ * - arrowPadding 箭头与浮动元素边缘之间需要保留的距离（px），默认为 0；
+ * - provider 样式和几何信息的提供者，参见 ComputeSize 的构造函数。
+ */
+class Placement {
+
+    /**
+     * 计算浮动元素的位置，但不修改元素的样式。
+     *
+     * @param {*} floating 浮动元素
+     * @param {*} anchor 锚点元素，或者页面坐标 {left, top, width, height}，
+     *     width 和 height 可以省略。
+     * @param {*} options 参见类的说明
+     * @returns 返回
+     *     {
+     *         placement,  // 最终的位置，比如翻转之后 'bottom-start' 可能变为 'top-start'
+     *         left, top,  // 样式 left 和 top 的 px 数值
+     *         rect,       // 浮动元素 border box 的矩形（页面坐标）
+     *         flipped,    // 是否已翻转到相反的一侧
+     *         shift,      // 沿对齐方向移动的距离（px）
+     *         arrow       // 箭头的位置 {left, top, side}，相对于浮动元素的 padding box，
+     *                     // 其中一个为 undefined，side 为箭头所在的浮动元素的边，
+     *                     // 没有 arrow 选项时为 undefined
+     *     }
+     */
+    static compute(floating, anchor, options = {}) {
+        let {
+            placement = 'bottom',
+            offset = 0,
+            flip = true,
+            shift = true,
+            boundary = 'clippingAncestors',
+            padding = 0,
+            arrow,
+            arrowPadding = 0,
+            provider } = options;
+
+        let { side, alignment } = Placement.parsePlacement(placement);
+        let { mainAxis, crossAxis } = (typeof offset === 'number') ?
+            { mainAxis: offset, crossAxis: 0 } :
+            Object.assign({ mainAxis: 0, crossAxis: 0 }, offset);
+
+        let floatingSize = new ComputeSize(floating, { provider });
+        let floatingBoxModel = floatingSize.getBoxModel();
+        let width = floatingBoxModel.borderBox.width;
+        let height = floatingBoxModel.borderBox.height;
+
+        let anchorRect = Placement.getAnchorRect(anchor, provider);
+        let boundaryRect = Placement.getBoundaryRect(floating, boundary, provider);
+
+        let place = (placeSide) => {
+            let point = Placement.getPlacementPoint(
+                anchorRect, width, height, placeSide, alignment, mainAxis, crossAxis);
+            return ComputeSize.createRect(point.left, point.top, width, height);
+        };
+
+        let rect = place(side);
+        let flipped = false;
+
+        if (flip) {
+            let overflow = Placement.getOverflow(rect, boundaryRect, padding)[side];
+            if (overflow > 0) {
+                let oppositeSide = OPPOSITE_SIDES[side];
+                let oppositeRect = place(oppositeSide);
+                if (Placement.getOverflow(oppositeRect, boundaryRect, padding)[oppositeSide] < overflow) {
+                    side = oppositeSide;
+                    rect = oppositeRect;
+                    flipped = true;
+                }
+            }
+        }
+
+        let vertical = (side === 'top' || side === 'bottom');
+        let shiftDistance = 0;
+
+        if (shift) {
+            let overflow = Placement.getOverflow(rect, boundaryRect, padding);
+            let [start, end] = vertical ? ['left', 'right'] : ['top', 'bottom'];
+            let size = vertical ? width : height;
+
+            // 先移动到边界之内，起始边优先
+            if (overflow[end] > 0) {
+                shiftDistance = -overflow[end];
+            }
+            if (overflow[start] > 0) {
+                shiftDistance = overflow[start];
+            }
+
+            // 然后限制移动的距离，使浮动元素仍然跟锚点相邻
+            let position = rect[start] + shiftDistance;
+            position = Math.min(position, anchorRect[end]);
+            position = Math.max(position, anchorRect[start] - size);
+            shiftDistance = position - rect[start];
+
+            rect = vertical ?
+                ComputeSize.createRect(rect.left + shiftDistance, rect.top, width, height) :
+                ComputeSize.createRect(rect.left, rect.top + shiftDistance, width, height);
+        }
+
+        let style = Placement.toStylePosition(floating, floatingBoxModel, rect, provider);
+
+        return {
+            placement: alignment === undefined ? side : `${side}-${alignment}`,
+            left: style.left,
+            top: style.top,
+            rect: rect,
+            flipped: flipped,
+            shift: shiftDistance,
+            arrow: arrow === undefined ?
+                undefined :
+                Placement.getArrowPosition(
+                    arrow, rect, floatingBoxModel.border, anchorRect, side, arrowPadding, provider)
+        };
+    }
+
+    /**
+     * 计算浮动元素的位置，并设置浮动元素（以及箭头元素）的 left 和 top 样式。
+     *
+     * @param {*} floating
+     * @param {*} anchor
+     * @param {*} options 参见类的说明
+     * @returns 参见 compute() 方法的返回值
+     */
+    static position(floating, anchor, options = {}) {
+        let result = Placement.compute(floating, anchor, options);
+        Placement.apply(floating, result, options);
+        return result;
+    }
+
+    /**
+     * 将 compute() 方法的结果写入元素的样式
+     *
+     * @param {*} floating
+     * @param {*} result compute() 方法的返回值
+     * @param {*} options 可选，{arrow, provider}
+     */
+    static apply(floating, result, options = {}) {
+        let { arrow, provider } = options;
+
+        let computeSize = new ComputeSize(floating, { provider });
+        computeSize.left = result.left;
+        computeSize.top = result.top;
+
+        if (arrow !== undefined && result.arrow !== undefined) {
+            let arrowSize = new ComputeSize(arrow, { provider });
+            arrowSize.left = result.arrow.left;
+            arrowSize.top = result.arrow.top;
+        }
+    }
+
+    /**
+     * 自动定位，即立即定位一次，然后在页面（或者任意滚动容器）滚动、窗口
+     * 大小变化以及浮动元素或锚点元素的大小变化时重新定位。
+     *
+     * 重新定位的读取和写入通过 LayoutScheduler 在下一帧进行。
+     *
+     * @param {*} floating
+     * @param {*} anchor
+     * @param {*} options 参见类的说明，另外还可以有：
+     *     - onUpdate function(result)，每次定位之后调用；
+     *     - onError function(error)，定位失败时调用，包括立即进行的第一次定位，
+     *       默认忽略重新定位的失败，即保持元素原来的位置；
+     *     - scheduler LayoutScheduler 对象，默认使用 LayoutScheduler.getDefault()。
+     * @returns 返回一个函数，调用它可以停止自动定位。
+     * @throws 如果第一次定位失败并且没有指定 onError，则抛出该异常，
+     *     此时不会开始自动定位。
+     */
+    static autoUpdate(floating, anchor, options = {}) {
+        let view = floating.ownerDocument.defaultView ||
+            (typeof window === 'undefined' ? undefined : window);
+
+        if (view === undefined) {
+            throw new UnsupportedOperationException(
+                'Auto update requires a window object in the current environment.');
+        }
+
+        let { onUpdate, onError, scheduler = LayoutScheduler.getDefault() } = options;
+
+        let update = () => {
+            let result = Placement.position(floating, anchor, options);
+            if (onUpdate !== undefined) {
+                onUpdate(result);
+            }
+        };
+
+        let pending = false;
+        let disposed = false;
+
+        let handleChange = () => {
+            if (pending) {
+                return;
+            }
+
+            pending = true;
+            scheduler.measure(() => {
+                pending = false;
+                if (disposed) {
+                    return;
+                }
+
+                let result = Placement.compute(floating, anchor, options);
+                return scheduler.mutate(() => {
+                    if (disposed) {
+                        return;
+                    }
+
+                    Placement.apply(floating, result, options);
+                    if (onUpdate !== undefined) {
+                        onUpdate(result);
+                    }
+                });
+            }).catch((e) => {
+                if (onError !== undefined && !disposed) {
+                    onError(e);
+                }
+            });
+        };
+
+        // 在注册监听器之前定位，以免抛出异常之后监听器无法被移除
+        try {
+            update();
+        } catch (e) {
+            if (onError === undefined) {
+                throw e;
+            }
+            onError(e);
+        }
+
+        // scroll 事件不冒泡，所以在捕获阶段监听，以便获知任意滚动容器的滚动
+        view.addEventListener('scroll', handleChange, true);
+        view.addEventListener('resize', handleChange);
+
+        let resizeObserver;
+        if (typeof ResizeObserver !== 'undefined') {
+            resizeObserver = new ResizeObserver(handleChange);
+            resizeObserver.observe(floating);
+            if (Placement.isElement(anchor)) {
+                resizeObserver.observe(anchor);
+            }
+        }
+
+        return () => {
+            if (disposed) {
+                return;
+            }
+
+            disposed = true;
+            view.removeEventListener('scroll', handleChange, true);
+            view.removeEventListener('resize', handleChange);
+
+            if (resizeObserver !== undefined) {
+                resizeObserver.disconnect();
+            }
+        };
+    }
+
+    /**
+     * 解析位置文本
+     *
+     * @param {*} placement 比如 'top', 'bottom-start'
+     * @returns 返回 {side, alignment}，居中时 alignment 为 undefined
+     */
+    static parsePlacement(placement) {
+        let [side, alignment, ...rest] = String(placement).split('-');
+
+        if (!SIDES.includes(side) ||
+            (alignment !== undefined && !ALIGNMENTS.includes(alignment)) ||
+            rest.length > 0) {
+            throw new IllegalArgumentException(`The placement "${placement}" is not supported.`);
+        }
+
+        return { side, alignment };
+    }
+
+    static isElement(anchor) {
+        return anchor !== null && typeof anchor === 'object' && anchor.nodeType === 1;
+    }
+
+    static getAnchorRect(anchor, provider) {
+        if (Placement.isElement(anchor)) {
+            return new ComputeSize(anchor, { provider }).getBoxModel().borderBox;
+        }
+
+        if (anchor === null || typeof anchor !== 'object' ||
+            typeof anchor.left !== 'number' || typeof anchor.top !== 'number') {
+            throw new IllegalArgumentException(
+                'The anchor should be an element or an object {left, top, width, height}.');
+        }
+
+        return ComputeSize.createRect(anchor.left, anchor.top, anchor.width || 0, anchor.height || 0);
+    }
+
+    /**
+     * 获取边界的矩形（页面坐标）
+     *
+     * @param {*} floating
+     * @param {*} boundary
+     * @param {*} provider
+     * @returns
+     */
+    static getBoundaryRect(floating, boundary, provider) {
+        let layoutProvider = provider || ComputeSize.getDefaultProvider();
+        let viewport = layoutProvider.getViewport(floating.ownerDocument);
+        let rect = ComputeSize.createRect(viewport.scrollX, viewport.scrollY, viewport.width, viewport.height);
+
+        if (boundary === 'viewport') {
+            return rect;
+        }
+
+        if (Placement.isElement(boundary)) {
+            return new ComputeSize(boundary, { provider }).getBoxModel().paddingBox;
+        }
+
+        if (boundary !== 'clippingAncestors') {
+            throw new IllegalArgumentException(
+                'The boundary should be "clippingAncestors", "viewport" or an element.');
+        }
+
+        for (let element = floating.parentElement;
+            element !== null && element.tagName !== 'BODY' && element.tagName !== 'HTML';
+            element = element.parentElement) {
+
+            let computeSize = new ComputeSize(element, { provider });
+            let clipping = ['overflow', 'overflow-x', 'overflow-y'].some((name) => {
+                let value = computeSize.getValue(name);
+                return value !== '' && value !== 'visible';
+            });
+
+            if (clipping) {
+                rect = Placement.intersectRects(rect, computeSize.getBoxModel().paddingBox);
+            }
+        }
+
+        return rect;
+    }
+
+    static intersectRects(first, second) {
+        let left = Math.max(first.left, second.left);
+        let top = Math.max(first.top, second.top);
+        let right = Math.min(first.right, second.right);
+        let bottom = Math.min(first.bottom, second.bottom);
+
+        return ComputeSize.createRect(left, top, Math.max(0, right - left), Math.max(0, bottom - top));
+    }
+
+    /**
+     * 获取矩形在四个方向上超出边界的距离，正数表示溢出。
+     *
+     * @returns 返回 {top, right, bottom, left}
+     */
+    static getOverflow(rect, boundaryRect, padding) {
+        return {
+            top: boundaryRect.top + padding - rect.top,
+            right: rect.right - (boundaryRect.right - padding),
+            bottom: rect.bottom - (boundaryRect.bottom - padding),
+            left: boundaryRect.left + padding - rect.left
+        };
+    }
+
+    /**
+     * 获取浮动元素 border box 左上角的页面坐标
+     *
+     * @returns 返回 {left, top}
+     */
+    static getPlacementPoint(anchorRect, width, height, side, alignment, mainAxis, crossAxis) {
+        let align = (start, anchorSize, size) => {
+            switch (alignment) {
+                case 'start':
+                    return start + crossAxis;
+                case 'end':
+                    return start + anchorSize - size + crossAxis;
+                default:
+                    return start + (anchorSize - size) / 2 + crossAxis;
+            }
+        };
+
+        switch (side) {
+            case 'top':
+                return {
+                    left: align(anchorRect.left, anchorRect.width, width),
+                    top: anchorRect.top - height - mainAxis
+                };
+            case 'bottom':
+                return {
+                    left: align(anchorRect.left, anchorRect.width, width),
+                    top: anchorRect.bottom + mainAxis
+                };
+            case 'left':
+                return {
+                    left: anchorRect.left - width - mainAxis,
+                    top: align(anchorRect.top, anchorRect.height, height)
+                };
+            case 'right':
+                return {
+                    left: anchorRect.right + mainAxis,
+                    top: align(anchorRect.top, anchorRect.height, height)
+                };
+        }
+    }
+
+    /**
+     * 将 border box 的页面坐标转换为样式 left 和 top 的值。
+     *
+     * fixed 元素相对于视口，absolute 元素相对于其 offsetParent 的 padding box
+     * （当 offsetParent 为 BODY 时相对于页面），样式 left 和 top 定位的是
+     * margin box，所以还需要减去 margin。
+     */
+    static toStylePosition(floating, floatingBoxModel, rect, provider) {
+        let computeSize = new ComputeSize(floating, { provider });
+        let left = rect.left - floatingBoxModel.margin.left;
+        let top = rect.top - floatingBoxModel.margin.top;
+
+        if (computeSize.getValue('position') === 'fixed') {
+            let viewport = computeSize.provider.getViewport(floating.ownerDocument);
+            return { left: left - viewport.scrollX, top: top - viewport.scrollY };
+        }
+
+        let offsetParent = computeSize.getMetrics().offsetParent;
+        if (offsetParent === null || offsetParent.tagName === 'BODY') {
+            return { left, top };
+        }
+
+        let paddingBox = new ComputeSize(offsetParent, { provider }).getBoxModel().paddingBox;
+        return {
+            left: left - paddingBox.left + (offsetParent.scrollLeft || 0),
+            top: top - paddingBox.top + (offsetParent.scrollTop || 0)
+        };
+    }
+
+    /**
+     * 计算箭头的位置，箭头对准锚点的中心，但不超出浮动元素的边缘。
+     *
+     * @returns 返回 {left, top, side}，相对于浮动元素的 padding box
+     */
+    static getArrowPosition(arrow, rect, floatingBorder, anchorRect, side, arrowPadding, provider) {
+        let arrowMetrics = new ComputeSize(arrow, { provider }).getMetrics();
+        let arrowSide = OPPOSITE_SIDES[side];
+
+        if (side === 'top' || side === 'bottom') {
+            let center = anchorRect.left + anchorRect.width / 2;
+            let max = rect.width - floatingBorder.left - floatingBorder.right -
+                arrowMetrics.offsetWidth - arrowPadding;
+            let left = center - rect.left - floatingBorder.left - arrowMetrics.offsetWidth / 2;
+            return {
+                left: Math.max(arrowPadding, Math.min(left, max)),
+                top: undefined,
+                side: arrowSide
+            };
+        }
+
+        let center = anchorRect.top + anchorRect.height / 2;
+        let max = rect.height - floatingBorder.top - floatingBorder.bottom -
+            arrowMetrics.offsetHeight - arrowPadding;
+        let top = center - rect.top - floatingBorder.top - arrowMetrics.offsetHeight / 2;
+        return {
+            left: undefined,
+            top: Math.max(arrowPadding, Math.min(top, max)),
+            side: arrowSide
+        };
+    }
+}
+
+module.exports = Placement;
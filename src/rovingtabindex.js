@@ -0,0 +1,320 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DomTraversal = require('./domtraversal');
+const FocusUtils = require('./focusutils');
+
+const ORIENTATIONS = ['horizontal', 'vertical', 'both', 'grid'];
+
+// 方向键等按键用于编辑的元素
+const EDITABLE_TAGS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+/**
+ * 漫游 tabindex（roving tabindex），用于列表、菜单、工具栏、网格等组件的
+ * 键盘导航。
+ *
+ * 容器之内的项目（item）之中只有当前项目的 tabindex 为 0，其他项目为 -1，
+ * 所以按 Tab 键只会进入当前项目一次，在项目之间则使用方向键移动：
+ * - 'horizontal' 使用左右方向键；
+ * - 'vertical' 使用上下方向键；
+ * - 'both' 上下左右方向键都可以（上和左为上一个，下和右为下一个）；
+ * - 'grid' 左右方向键移动一个项目，上下方向键移动一行（columns 个项目）；
+ * - Home 和 End 键移动到第一个和最后一个项目。
+ *
+ * 被禁用或者不可见的项目会被跳过（参见 FocusUtils.isFocusable()）。
+ *
+ * 示例：
+ *
+ * let roving = new RovingTabIndex(menuElement, {
+ *     items: '[role="menuitem"]',
+ *     orientation: 'vertical',
+ *     onChange: (item) => { ... }
+ * });
+ *
+ * roving.dispose();
+ *
+ * 选项（options）有：
+ * - items 项目的匹配条件，参见 DomTraversal.createMatcher()，默认为容器之内
+ *   所有可获得焦点的元素（参见 FocusUtils.isFocusable()）。项目本身不需要
+ *   原本就可以获得焦点（比如 li 元素），它们的 tabindex 属性会被自动设置；
+ * - orientation 方向，默认为 'vertical'；
+ * - columns 网格的列数，orientation 为 'grid' 时必须提供；
+ * - wrap 到达最后一个（或者第一个）项目之后是否回到开头（或者末尾），默认为 true；
+ * - onChange function(item)，当前项目改变之后调用；
+ * - provider 样式和几何信息的提供者，参见 ComputeSize 的构造函数。
+ */
+class RovingTabIndex {
+
+    constructor(container, options = {}) {
+        let {
+            items,
+            orientation = 'vertical',
+            columns,
+            wrap = true,
+            onChange,
+            provider } = options;
+
+        if (!ORIENTATIONS.includes(orientation)) {
+            throw new IllegalArgumentException(
+                `The orientation "${orientation}" is not one value of [${ORIENTATIONS.join(',')}].`);
+        }
+
+        if (orientation === 'grid' && !(Number.isInteger(columns) && columns > 0)) {
+            throw new IllegalArgumentException('The columns option should be a positive integer for grid.');
+        }
+
+        this.container = container;
+        this.orientation = orientation;
+        this.columns = columns;
+        this.wrap = wrap;
+        this.onChange = onChange;
+        this.provider = provider;
+
+        this.itemMatcher = (items === undefined) ? undefined : DomTraversal.createMatcher(items);
+
+        this.handleKeyDown = (event) => {
+            this.onKeyDown(event);
+        };
+
+        this.handleFocusIn = (event) => {
+            let item = this.getItemOf(event.target);
+            if (item !== undefined && item !== this.activeItem) {
+                this.setActiveItem(item, false);
+            }
+        };
+
+        container.addEventListener('keydown', this.handleKeyDown);
+        container.addEventListener('focusin', this.handleFocusIn);
+
+        this.activeItem = undefined;
+        this.refresh();
+    }
+
+    /**
+     * 构造匹配项目的函数，同一个函数之内共享祖先元素的可见性检查结果，
+     * 所以每次遍历都需要构造一个新的函数。
+     *
+     * @returns 返回 function(element) {return boolean;}
+     */
+    createMatcher() {
+        let cache = new Map();
+
+        if (this.itemMatcher === undefined) {
+            return (element) => {
+                return FocusUtils.isFocusable(element, this.provider, cache);
+            };
+        }
+
+        return (element) => {
+            return this.itemMatcher(element) &&
+                !FocusUtils.isDisabled(element) &&
+                !FocusUtils.isHiddenOrInert(element, this.provider, cache);
+        };
+    }
+
+    /**
+     * 获取所有的项目，按文档顺序排列。
+     *
+     * @returns 返回元素数组
+     */
+    getItems() {
+        return DomTraversal.findAll(this.container, this.createMatcher(), 'descendants');
+    }
+
+    /**
+     * 在项目增加或者删除之后，重新设置各个项目的 tabindex。
+     *
+     * 如果当前项目已被删除（或者不可获得焦点），则第一个项目成为当前项目。
+     */
+    refresh() {
+        let items = this.getItems();
+        let active = items.includes(this.activeItem) ?
+            this.activeItem :
+            items.find((item) => {
+                return item.getAttribute('tabindex') === '0';
+            }) || items[0];
+
+        for (let item of items) {
+            item.setAttribute('tabindex', item === active ? '0' : '-1');
+        }
+
+        this.activeItem = active;
+    }
+
+    /**
+     * 设置当前项目
+     *
+     * @param {*} item
+     * @param {*} focus 是否同时让该项目获得焦点，默认为 true
+     */
+    setActiveItem(item, focus = true) {
+        if (this.activeItem !== undefined && this.activeItem !== item) {
+            this.activeItem.setAttribute('tabindex', '-1');
+        }
+
+        item.setAttribute('tabindex', '0');
+
+        let changed = (this.activeItem !== item);
+        this.activeItem = item;
+
+        if (focus) {
+            item.focus();
+        }
+
+        if (changed && this.onChange !== undefined) {
+            this.onChange(item);
+        }
+    }
+
+    /**
+     * 获取节点所在的项目，即沿用 find* 方法的祖先遍历，到容器为止。
+     *
+     * @param {*} node
+     * @returns 如果节点不在任何项目之内则返回 undefined
+     */
+    getItemOf(node) {
+        return DomTraversal.find(node, this.createMatcher(), 'selfAndAncestors', this.container);
+    }
+
+    /**
+     * 移到下一个（或者上一个）项目
+     *
+     * @param {*} forward true 表示下一个，false 表示上一个
+     * @returns 返回新的当前项目，如果没有移动则返回 undefined
+     */
+    moveBy(forward) {
+        let current = this.activeItem;
+        let next;
+
+        if (current !== undefined) {
+            // 按文档顺序寻找相邻的项目（跟 find* 方法的遍历相同），不包括当前项目的子孙元素
+            next = DomTraversal.find(current, this.createMatcher(),
+                forward ? 'nextInDocument' : 'previousInDocument', this.container);
+        }
+
+        if (next === undefined && (this.wrap || current === undefined)) {
+            let items = this.getItems();
+            next = forward ? items[0] : items[items.length - 1];
+        }
+
+        if (next === undefined || next === current) {
+            return;
+        }
+
+        this.setActiveItem(next);
+        return next;
+    }
+
+    /**
+     * 在网格之中移动一行
+     *
+     * @param {*} forward true 表示下一行，false 表示上一行
+     * @returns
+     */
+    moveByRow(forward) {
+        let items = this.getItems();
+        let index = items.indexOf(this.activeItem);
+        let nextIndex = index + (forward ? this.columns : -this.columns);
+
+        if (index === -1 || nextIndex < 0 || nextIndex >= items.length) {
+            return;
+        }
+
+        this.setActiveItem(items[nextIndex]);
+        return items[nextIndex];
+    }
+
+    moveToEdge(first) {
+        let items = this.getItems();
+        let item = first ? items[0] : items[items.length - 1];
+        if (item !== undefined) {
+            this.setActiveItem(item);
+        }
+        return item;
+    }
+
+    onKeyDown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) {
+            return;
+        }
+
+        // 方向键、Home 和 End 键在输入框之内用于移动光标
+        if (RovingTabIndex.isEditable(event.target)) {
+            return;
+        }
+
+        let horizontal = (this.orientation !== 'vertical');
+        let vertical = (this.orientation !== 'horizontal');
+        let moved = true;
+
+        switch (event.key) {
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                if (!horizontal) {
+                    return;
+                }
+                this.moveBy(event.key === 'ArrowRight');
+                break;
+
+            case 'ArrowUp':
+            case 'ArrowDown':
+                if (!vertical) {
+                    return;
+                }
+
+                if (this.orientation === 'grid') {
+                    this.moveByRow(event.key === 'ArrowDown');
+                } else {
+                    this.moveBy(event.key === 'ArrowDown');
+                }
+                break;
+
+            case 'Home':
+            case 'End':
+                this.moveToEdge(event.key === 'Home');
+                break;
+
+            default:
+                moved = false;
+        }
+
+        if (moved) {
+            event.preventDefault();
+        }
+    }
+
+    /**
+     * 判断元素是否可以编辑文本，即输入框、文本框、下拉框或者 contenteditable 的元素
+     *
+     * @param {*} element
+     * @returns
+     */
+    static isEditable(element) {
+        if (element === null || element === undefined || element.nodeType !== 1) {
+            return false;
+        }
+
+        if (EDITABLE_TAGS.includes(element.tagName)) {
+            return true;
+        }
+
+        // 后端的 DOM 实现（比如 domino）没有 isContentEditable 属性
+        if (typeof element.isContentEditable === 'boolean') {
+            return element.isContentEditable;
+        }
+
+        let editable = DomTraversal.find(element, (item) => {
+            return item.hasAttribute('contenteditable');
+        }, 'selfAndAncestors');
+        return editable !== undefined && editable.getAttribute('contenteditable') !== 'false';
+    }
+
+    /**
+     * 停止键盘导航，各个项目的 tabindex 保持不变。
+     */
+    dispose() {
+        this.container.removeEventListener('keydown', this.handleKeyDown);
+        this.container.removeEventListener('focusin', this.handleFocusIn);
+    }
+}
+
+module.exports = RovingTabIndex;
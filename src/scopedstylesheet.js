@@ -0,0 +1,280 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const ComputeSize = require('./computesize');
+const CssText = require('./csstext');
+
+/**
+ * 一个独立的、可以随时删除的样式表，用于组件动态地添加样式规则。
+ *
+ * 在支持可构造样式表（constructable stylesheets，即 new CSSStyleSheet() 和
+ * document.adoptedStyleSheets）的浏览器中使用可构造样式表，否则（包括后端
+ * 环境，比如 domino）在 <head> 之中插入一个 <style> 元素，所以
+ * NodeLayoutProvider 同样可以读取这些规则。
+ *
+ * 规则按选择器储存，每个选择器对应一组样式声明 {name: value}，名称需要使用
+ * 减号分隔格式（比如 'margin-left'），也可以是自定义属性（比如 '--gap'）。
+ *
+ * 如果指定了 scope 选项（一个选择器，比如 '[data-widget="menu"]'），则所有
+ * 规则的选择器都会被限制在 scope 之内，比如选择器 '.item' 会变为
+ * '[data-widget="menu"] .item'，选择器之中的 ':scope' 会被替换为 scope 本身。
+ *
+ * 示例：
+ *
+ * let styleSheet = new ScopedStyleSheet(document, { scope: '#menu' });
+ * styleSheet.setRule('.item', { 'padding': '4px', '--gap': '8px' });
+ * styleSheet.updateRule('.item', { 'padding': undefined, 'color': 'red' });
+ * styleSheet.removeRule('.item');
+ * styleSheet.dispose();
+ */
+class ScopedStyleSheet {
+
+    /**
+     *
+     * @param {*} doc
+     * @param {*} options 可选，{scope, media, constructable}
+     *     - scope 限制规则范围的选择器，默认为 undefined，即不限制；
+     *     - media 媒体查询，比如 '(max-width: 600px)'，默认为 undefined；
+     *     - constructable 是否使用可构造样式表（如果支持的话），默认为 true。
+     */
+    constructor(doc, options = {}) {
+        let { scope, media, constructable = true } = options;
+
+        if (scope !== undefined) {
+            ScopedStyleSheet.checkText(scope, 'scope');
+        }
+
+        if (media !== undefined) {
+            ScopedStyleSheet.checkText(media, 'media');
+        }
+
+        this.doc = doc;
+        this.scope = scope;
+        this.media = media;
+
+        // {selector: {name: value}}，保持插入的顺序
+        this.rules = new Map();
+
+        let view = doc.defaultView;
+        let CSSStyleSheetClass = (view !== null && view !== undefined) ? view.CSSStyleSheet : undefined;
+
+        if (constructable &&
+            Array.isArray(doc.adoptedStyleSheets) &&
+            typeof CSSStyleSheetClass === 'function' &&
+            typeof CSSStyleSheetClass.prototype.replaceSync === 'function') {
+
+            this.styleSheet = new CSSStyleSheetClass();
+            doc.adoptedStyleSheets = doc.adoptedStyleSheets.concat([this.styleSheet]);
+        } else {
+            this.styleElement = doc.createElement('style');
+            (doc.head || doc.documentElement).appendChild(this.styleElement);
+        }
+    }
+
+    /**
+     * 是否使用可构造样式表
+     *
+     * @returns
+     */
+    isConstructable() {
+        return this.styleSheet !== undefined;
+    }
+
+    /**
+     * 设置（添加或者替换）规则
+     *
+     * @param {*} selector 选择器
+     * @param {*} declarations 样式声明 {name: value}，value 为字符串或者数值
+     *     （数值直接转为字符串，不会添加单位），undefined 或者空字符串的声明会被忽略。
+     */
+    setRule(selector, declarations) {
+        this.checkSelector(selector);
+        this.rules.set(selector, ScopedStyleSheet.normalizeDeclarations({}, declarations));
+        this.update();
+    }
+
+    /**
+     * 更新规则，即跟现有的声明合并，值为 undefined 或者空字符串的声明会被删除。
+     * 如果规则不存在，则跟 setRule() 一样。
+     *
+     * @param {*} selector
+     * @param {*} declarations
+     */
+    updateRule(selector, declarations) {
+        this.checkSelector(selector);
+
+        let current = this.rules.get(selector) || {};
+        this.rules.set(selector, ScopedStyleSheet.normalizeDeclarations(current, declarations));
+        this.update();
+    }
+
+    /**
+     * 删除规则
+     *
+     * @param {*} selector
+     * @returns 如果规则存在则返回 true
+     */
+    removeRule(selector) {
+        let removed = this.rules.delete(selector);
+        if (removed) {
+            this.update();
+        }
+        return removed;
+    }
+
+    /**
+     * 获取规则的样式声明
+     *
+     * @param {*} selector
+     * @returns 返回样式声明的副本，如果规则不存在则返回 undefined。
+     */
+    getRule(selector) {
+        let declarations = this.rules.get(selector);
+        return declarations === undefined ? undefined : Object.assign({}, declarations);
+    }
+
+    /**
+     * 获取所有规则的选择器（未加上 scope 的原始选择器）
+     *
+     * @returns
+     */
+    getSelectors() {
+        return Array.from(this.rules.keys());
+    }
+
+    /**
+     * 获取样式表的文本
+     *
+     * @returns
+     */
+    getText() {
+        let lines = [];
+        for (let [selector, declarations] of this.rules) {
+            let body = Object.keys(declarations).map((name) => {
+                return `${name}: ${declarations[name]};`;
+            }).join(' ');
+
+            lines.push(`${this.getScopedSelector(selector)} { ${body} }`);
+        }
+
+        let text = lines.join('\n');
+        if (this.media !== undefined && text !== '') {
+            text = `@media ${this.media} {\n${text}\n}`;
+        }
+        return text;
+    }
+
+    /**
+     * 获取加上 scope 之后的选择器
+     *
+     * @param {*} selector
+     * @returns
+     */
+    getScopedSelector(selector) {
+        if (this.scope === undefined) {
+            return selector;
+        }
+
+        return ScopedStyleSheet.splitSelectors(selector).map((item) => {
+            return item.includes(':scope') ?
+                item.split(':scope').join(this.scope) :
+                `${this.scope} ${item}`;
+        }).join(', ');
+    }
+
+    update() {
+        if (this.disposed) {
+            return;
+        }
+
+        let text = this.getText();
+        if (this.styleSheet !== undefined) {
+            this.styleSheet.replaceSync(text);
+        } else {
+            this.styleElement.textContent = text;
+        }
+    }
+
+    /**
+     * 删除样式表，之后的修改不再有效。可以重复调用。
+     */
+    dispose() {
+        if (this.disposed) {
+            return;
+        }
+
+        this.disposed = true;
+
+        if (this.styleSheet !== undefined) {
+            this.doc.adoptedStyleSheets = this.doc.adoptedStyleSheets.filter((item) => {
+                return item !== this.styleSheet;
+            });
+        } else if (this.styleElement.parentNode !== null) {
+            this.styleElement.parentNode.removeChild(this.styleElement);
+        }
+    }
+
+    checkSelector(selector) {
+        if (this.disposed) {
+            throw new IllegalArgumentException('The style sheet has been disposed.');
+        }
+
+        ScopedStyleSheet.checkText(selector, 'selector');
+    }
+
+    /**
+     * 检查选择器等文本，不允许包含顶层的 '{'、'}'、';' 以及 '<'，以免破坏样式表
+     * 或者 <style> 元素的结构，参见 CssText.isValidSelector()。
+     *
+     * @param {*} text
+     * @param {*} label
+     */
+    static checkText(text, label) {
+        if (typeof text !== 'string' || !CssText.isValidSelector(text)) {
+            throw new IllegalArgumentException(`The ${label} "${text}" is invalid.`);
+        }
+    }
+
+    static normalizeDeclarations(current, declarations) {
+        let result = Object.assign({}, current);
+
+        for (let name of Object.keys(declarations)) {
+            ComputeSize.checkStyleName(name);
+
+            let value = declarations[name];
+            if (value === undefined || value === null || value === '') {
+                delete result[name];
+                continue;
+            }
+
+            if (typeof value === 'number') {
+                value = String(value);
+            }
+
+            // 字符串和括号之内的 ';' 是允许的，比如 'url("data:image/png;base64,...")'
+            if (typeof value !== 'string' || !CssText.isValidValue(value)) {
+                throw new IllegalArgumentException(`The value of style "${name}" is invalid.`);
+            }
+
+            result[name] = value;
+        }
+
+        return result;
+    }
+
+    /**
+     * 按顶层的逗号拆分选择器列表，括号和字符串之内（比如 ':is(a, b)'、
+     * '[title="a, b"]'）的逗号不会被拆分。
+     *
+     * @param {*} selector
+     * @returns
+     */
+    static splitSelectors(selector) {
+        return (CssText.split(selector, ',') || [selector]).map((item) => {
+            return item.trim();
+        }).filter((item) => {
+            return item !== '';
+        });
+    }
+}
+
+module.exports = ScopedStyleSheet;
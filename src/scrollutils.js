@@ -0,0 +1,362 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const ComputeSize = require('./computesize');
+const DomTraversal = require('./domtraversal');
+
+const SCROLLABLE_OVERFLOWS = ['auto', 'scroll', 'overlay'];
+
+const ALIGNMENTS = ['start', 'center', 'end', 'nearest'];
+
+// 已锁定滚动的文档，{document: {count, styles}}
+const scrollLocks = new WeakMap();
+
+/**
+ * 滚动相关的工具方法
+ *
+ * - findScrollParent() 寻找最近的可滚动的祖先元素；
+ * - scrollIntoView() 在指定的容器之内滚动，使元素可见；
+ * - getScrollState() 获取滚动的位置、范围以及剩余的距离；
+ * - lockScroll() 锁定页面的滚动（比如在显示对话框时）。
+ *
+ * 当容器是文档的滚动元素（document.scrollingElement）时，容器的可见区域
+ * 即视口（viewport）。
+ */
+class ScrollUtils {
+
+    /**
+     * 判断元素是否可滚动，即其 overflow 样式是否为 'auto'、'scroll' 或者 'overlay'。
+     *
+     * 注意这个方法只检查样式，不检查内容是否确实超出了元素的大小。
+     *
+     * @param {*} element
+     * @param {*} axis 'x'、'y' 或者 'both'（默认值，任意一个方向可滚动即可）
+     * @param {*} provider 可选，样式和几何信息的提供者，参见 ComputeSize 的构造函数
+     * @returns
+     */
+    static isScrollable(element, axis = 'both', provider) {
+        let computeSize = new ComputeSize(element, { provider });
+        let overflow = computeSize.getValue('overflow');
+        let isScrollableValue = (name) => {
+            let value = computeSize.getValue(name);
+            if (value === '') {
+                // 后端环境可能不展开 overflow 简写样式
+                value = overflow;
+            }
+            return SCROLLABLE_OVERFLOWS.includes(value);
+        };
+
+        switch (axis) {
+            case 'x':
+                return isScrollableValue('overflow-x');
+            case 'y':
+                return isScrollableValue('overflow-y');
+            case 'both':
+                return isScrollableValue('overflow-x') || isScrollableValue('overflow-y');
+            default:
+                throw new IllegalArgumentException(`The axis "${axis}" is not one value of [x,y,both].`);
+        }
+    }
+
+    /**
+     * 寻找最近的可滚动的祖先元素（不包括元素自身）。
+     *
+     * 跟 DomUtils.findParentElement() 一样，搜索到 BODY 为止，
+     * 如果找不到则返回文档的滚动元素（document.scrollingElement）。
+     *
+     * @param {*} node
+     * @param {*} axis 'x'、'y' 或者 'both'（默认值）
+     * @param {*} provider 可选
+     * @returns
+     */
+    static findScrollParent(node, axis = 'both', provider) {
+        let element = DomTraversal.find(node, (item) => {
+            return ScrollUtils.isScrollable(item, axis, provider);
+        }, 'ancestors');
+
+        return element === undefined ?
+            ScrollUtils.getDocumentScroller(node.ownerDocument) :
+            element;
+    }
+
+    /**
+     * 寻找所有可滚动的祖先元素，由近到远排列，最后一项为文档的滚动元素。
+     *
+     * @param {*} node
+     * @param {*} axis
+     * @param {*} provider
+     * @returns 返回元素数组
+     */
+    static findAllScrollParents(node, axis = 'both', provider) {
+        let elements = DomTraversal.findAll(node, (item) => {
+            return ScrollUtils.isScrollable(item, axis, provider);
+        }, 'ancestors');
+
+        elements.push(ScrollUtils.getDocumentScroller(node.ownerDocument));
+        return elements;
+    }
+
+    static getDocumentScroller(doc) {
+        return doc.scrollingElement || doc.documentElement;
+    }
+
+    static isDocumentScroller(element) {
+        let doc = element.ownerDocument;
+        return element === ScrollUtils.getDocumentScroller(doc) ||
+            element === doc.documentElement ||
+            element === doc.body;
+    }
+
+    /**
+     * 获取滚动的位置、范围以及剩余的距离
+     *
+     * @param {*} container 可滚动的元素
+     * @param {*} provider 可选
+     * @returns 返回
+     *     {
+     *         scrollLeft, scrollTop,         // 当前的滚动位置
+     *         scrollWidth, scrollHeight,     // 内容的大小
+     *         clientWidth, clientHeight,     // 可见区域的大小
+     *         maxScrollLeft, maxScrollTop,   // 最大的滚动位置
+     *         remainingRight, remainingBottom // 距离最大滚动位置的剩余距离
+     *     }
+     */
+    static getScrollState(container, provider) {
+        let clientWidth, clientHeight;
+
+        if (ScrollUtils.isDocumentScroller(container)) {
+            let layoutProvider = provider || ComputeSize.getDefaultProvider();
+            let viewport = layoutProvider.getViewport(container.ownerDocument);
+            clientWidth = viewport.width;
+            clientHeight = viewport.height;
+        } else {
+            let metrics = new ComputeSize(container, { provider }).getMetrics();
+            clientWidth = metrics.clientWidth;
+            clientHeight = metrics.clientHeight;
+        }
+
+        let scrollLeft = container.scrollLeft || 0;
+        let scrollTop = container.scrollTop || 0;
+        let scrollWidth = Math.max(container.scrollWidth || 0, clientWidth);
+        let scrollHeight = Math.max(container.scrollHeight || 0, clientHeight);
+        let maxScrollLeft = scrollWidth - clientWidth;
+        let maxScrollTop = scrollHeight - clientHeight;
+
+        return {
+            scrollLeft: scrollLeft,
+            scrollTop: scrollTop,
+            scrollWidth: scrollWidth,
+            scrollHeight: scrollHeight,
+            clientWidth: clientWidth,
+            clientHeight: clientHeight,
+            maxScrollLeft: maxScrollLeft,
+            maxScrollTop: maxScrollTop,
+            remainingRight: Math.max(0, maxScrollLeft - scrollLeft),
+            remainingBottom: Math.max(0, maxScrollTop - scrollTop)
+        };
+    }
+
+    /**
+     * 滚动容器，使元素在容器之内可见。
+     *
+     * 跟原生的 element.scrollIntoView() 不同，这个方法只滚动指定的容器，
+     * 不会滚动其他祖先元素以及页面。
+     *
+     * @param {*} element
+     * @param {*} container 可选，默认为 findScrollParent(element)
+     * @param {*} options 可选，{block, inline, margin, behavior, provider}
+     *     - block 垂直方向的对齐方式：'start'、'center'、'end' 或者
+     *       'nearest'（默认值，即滚动最少的距离，如果元素已经完全可见则不滚动）；
+     *     - inline 水平方向的对齐方式，默认为 'nearest'；
+     *     - margin 元素与容器边缘之间需要保留的距离（px），也可以是
+     *       {top, right, bottom, left}，默认为 0；
+     *     - behavior 'auto'（默认值）或者 'smooth'；
+     *     - provider 样式和几何信息的提供者。
+     * @returns 返回滚动的目标位置 {left, top}
+     */
+    static scrollIntoView(element, container, options = {}) {
+        let {
+            block = 'nearest',
+            inline = 'nearest',
+            margin = 0,
+            behavior = 'auto',
+            provider } = options;
+
+        for (let alignment of [block, inline]) {
+            if (!ALIGNMENTS.includes(alignment)) {
+                throw new IllegalArgumentException(
+                    `The alignment "${alignment}" is not one value of [${ALIGNMENTS.join(',')}].`);
+            }
+        }
+
+        if (container === undefined || container === null) {
+            container = ScrollUtils.findScrollParent(element, 'both', provider);
+        }
+
+        let margins = (typeof margin === 'number') ?
+            { top: margin, right: margin, bottom: margin, left: margin } :
+            Object.assign({ top: 0, right: 0, bottom: 0, left: 0 }, margin);
+
+        let state = ScrollUtils.getScrollState(container, provider);
+        let elementRect = new ComputeSize(element, { provider }).getBoxModel().borderBox;
+
+        // 可见区域（不包括滚动条）的页面坐标
+        let viewLeft, viewTop;
+        if (ScrollUtils.isDocumentScroller(container)) {
+            viewLeft = state.scrollLeft;
+            viewTop = state.scrollTop;
+        } else {
+            let paddingBox = new ComputeSize(container, { provider }).getBoxModel().paddingBox;
+            viewLeft = paddingBox.left;
+            viewTop = paddingBox.top;
+        }
+
+        // 元素在容器的内容之中的位置
+        let offsetLeft = elementRect.left - viewLeft + state.scrollLeft;
+        let offsetTop = elementRect.top - viewTop + state.scrollTop;
+
+        let left = ScrollUtils.getScrollTarget(
+            inline, state.scrollLeft, state.clientWidth,
+            offsetLeft - margins.left, elementRect.width + margins.left + margins.right);
+
+        let top = ScrollUtils.getScrollTarget(
+            block, state.scrollTop, state.clientHeight,
+            offsetTop - margins.top, elementRect.height + margins.top + margins.bottom);
+
+        left = Math.max(0, Math.min(left, state.maxScrollLeft));
+        top = Math.max(0, Math.min(top, state.maxScrollTop));
+
+        ScrollUtils.scrollTo(container, left, top, behavior);
+        return { left, top };
+    }
+
+    /**
+     * 计算一个方向上的滚动位置
+     *
+     * @param {*} alignment
+     * @param {*} scroll 当前的滚动位置
+     * @param {*} viewSize 可见区域的大小
+     * @param {*} start 目标区域在内容之中的起始位置
+     * @param {*} size 目标区域的大小
+     * @returns
+     */
+    static getScrollTarget(alignment, scroll, viewSize, start, size) {
+        switch (alignment) {
+            case 'start':
+                return start;
+            case 'end':
+                return start + size - viewSize;
+            case 'center':
+                return start + (size - viewSize) / 2;
+        }
+
+        // nearest
+        if (start < scroll || size > viewSize) {
+            return start;
+        } else if (start + size > scroll + viewSize) {
+            return start + size - viewSize;
+        }
+
+        return scroll;
+    }
+
+    static scrollTo(container, left, top, behavior) {
+        if (typeof container.scrollTo === 'function') {
+            container.scrollTo({ left, top, behavior });
+        } else {
+            container.scrollLeft = left;
+            container.scrollTop = top;
+        }
+    }
+
+    /**
+     * 锁定页面的滚动，比如在显示对话框时。
+     *
+     * 为了避免隐藏滚动条导致的布局移动（layout shift），会为 BODY 元素
+     * 增加跟滚动条宽度相同的 padding-right。
+     *
+     * 可以多次锁定，当所有的锁定都解除之后才会恢复滚动。
+     *
+     * @param {*} doc 可选，默认为当前的 document 对象
+     * @param {*} options 可选，{provider}
+     * @returns 返回一个函数，调用它可以解除这次锁定，可以重复调用。
+     */
+    static lockScroll(doc, options = {}) {
+        if (doc === undefined) {
+            doc = document;
+        }
+
+        let { provider } = options;
+        let body = doc.body;
+        let lock = scrollLocks.get(doc);
+
+        if (lock === undefined) {
+            let computeSize = new ComputeSize(body, { provider });
+            let scrollbarWidth = ScrollUtils.getPageScrollbarWidth(doc, provider);
+
+            lock = {
+                count: 0,
+                styles: {
+                    'overflow': body.style['overflow'],
+                    'padding-right': body.style['padding-right']
+                }
+            };
+
+            if (scrollbarWidth > 0) {
+                computeSize.paddingRight = (computeSize.paddingRight || 0) + scrollbarWidth;
+            }
+
+            computeSize.setValue('overflow', 'hidden');
+            scrollLocks.set(doc, lock);
+        }
+
+        lock.count++;
+
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+
+            released = true;
+            lock.count--;
+
+            if (lock.count === 0) {
+                let computeSize = new ComputeSize(body, { provider });
+                for (let name of Object.keys(lock.styles)) {
+                    computeSize.setValue(name, lock.styles[name]);
+                }
+
+                scrollLocks.delete(doc);
+            }
+        };
+    }
+
+    /**
+     * 判断页面的滚动是否已被锁定
+     *
+     * @param {*} doc 可选，默认为当前的 document 对象
+     * @returns
+     */
+    static isScrollLocked(doc) {
+        return scrollLocks.has(doc === undefined ? document : doc);
+    }
+
+    /**
+     * 获取页面垂直滚动条的宽度，即窗口的宽度减去视口的宽度。
+     *
+     * @param {*} doc
+     * @param {*} provider
+     * @returns
+     */
+    static getPageScrollbarWidth(doc, provider) {
+        let view = doc.defaultView;
+        if (view === undefined || view === null || typeof view.innerWidth !== 'number') {
+            return 0;
+        }
+
+        let layoutProvider = provider || ComputeSize.getDefaultProvider();
+        return Math.max(0, view.innerWidth - layoutProvider.getViewport(doc).width);
+    }
+}
+
+module.exports = ScrollUtils;
@@ -0,0 +1,406 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const DomTraversal = require('./domtraversal');
+const NodePath = require('./nodepath');
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+const COMMENT_NODE = 8;
+
+/**
+ * 选区（Selection）和范围（Range）的工具方法，主要用于 contenteditable 编辑器。
+ *
+ * 后端环境（比如 domino）没有 Range 和 Selection 对象，所以这里的方法除了
+ * 接受原生的 Range 对象，也接受 "类范围" 对象：
+ * {startContainer, startOffset, endContainer, endOffset}。
+ * 在没有 document.createRange() 的环境里，createRange() 和 restoreRange()
+ * 也返回这种对象。
+ *
+ * - saveRange() 和 restoreRange() 将范围转换为相对于根元素的路径（path），
+ *   所以重新渲染（比如 DomUtils.morph()）之后仍然可以恢复选区；
+ * - findBlockElement() 寻找光标所在的块元素，匹配方式跟 DomUtils 的 find* 方法一样；
+ * - splitRange() 和 wrapRange() 用于将范围之内的文本包裹在行内元素（比如 strong）之中；
+ * - getCaretRect() 获取光标的位置（只支持浏览器环境）。
+ */
+class SelectionUtils {
+
+    /**
+     * 获取文档的选区对象
+     *
+     * @param {*} doc
+     * @returns 如果当前环境不支持选区，则返回 undefined
+     */
+    static getSelection(doc) {
+        if (typeof doc.getSelection === 'function') {
+            return doc.getSelection() || undefined;
+        }
+
+        let view = doc.defaultView;
+        if (view !== null && view !== undefined && typeof view.getSelection === 'function') {
+            return view.getSelection() || undefined;
+        }
+    }
+
+    /**
+     * 获取选区的第一个范围
+     *
+     * @param {*} doc
+     * @returns 如果没有选区则返回 undefined
+     */
+    static getRange(doc) {
+        let selection = SelectionUtils.getSelection(doc);
+        if (selection === undefined || selection.rangeCount === 0) {
+            return;
+        }
+
+        return selection.getRangeAt(0);
+    }
+
+    /**
+     * 创建范围，在浏览器环境里返回原生的 Range 对象，否则返回类范围对象。
+     *
+     * @param {*} doc
+     * @param {*} startContainer
+     * @param {*} startOffset
+     * @param {*} endContainer 可选，默认跟 startContainer 相同
+     * @param {*} endOffset 可选，默认跟 startOffset 相同
+     * @returns
+     */
+    static createRange(doc, startContainer, startOffset,
+        endContainer = startContainer, endOffset = startOffset) {
+
+        if (typeof doc.createRange === 'function') {
+            let range = doc.createRange();
+            range.setStart(startContainer, startOffset);
+            range.setEnd(endContainer, endOffset);
+            return range;
+        }
+
+        return {
+            startContainer: startContainer,
+            startOffset: startOffset,
+            endContainer: endContainer,
+            endOffset: endOffset,
+            collapsed: (startContainer === endContainer && startOffset === endOffset)
+        };
+    }
+
+    /**
+     * 将范围转换为相对于根元素的路径，以便在 DOM 重新渲染之后恢复。
+     *
+     * 路径是从根元素到节点的子节点索引数组，参见 NodePath。
+     *
+     * @param {*} range 原生 Range 对象或者类范围对象
+     * @param {*} root 根元素，范围需要在根元素之内
+     * @returns 返回 {start, startOffset, end, endOffset}，其中 start 和 end 为路径。
+     */
+    static saveRange(range, root) {
+        return {
+            start: NodePath.getPath(range.startContainer, root),
+            startOffset: range.startOffset,
+            end: NodePath.getPath(range.endContainer, root),
+            endOffset: range.endOffset
+        };
+    }
+
+    /**
+     * 根据 saveRange() 的结果恢复范围
+     *
+     * 如果节点的内容变少了，偏移值会被截短到节点的长度。
+     *
+     * @param {*} savedRange
+     * @param {*} root
+     * @returns 返回原生 Range 对象或者类范围对象，如果路径已经不存在，则返回 undefined。
+     */
+    static restoreRange(savedRange, root) {
+        let startContainer = NodePath.resolve(savedRange.start, root);
+        let endContainer = NodePath.resolve(savedRange.end, root);
+
+        if (startContainer === undefined || endContainer === undefined) {
+            return;
+        }
+
+        return SelectionUtils.createRange(root.ownerDocument,
+            startContainer, Math.min(savedRange.startOffset, SelectionUtils.getNodeLength(startContainer)),
+            endContainer, Math.min(savedRange.endOffset, SelectionUtils.getNodeLength(endContainer)));
+    }
+
+    /**
+     * 保存当前的选区（只支持浏览器环境）
+     *
+     * @param {*} root
+     * @returns 返回 saveRange() 的结果，如果没有选区，或者选区不在根元素之内，
+     *     则返回 undefined。
+     */
+    static saveSelection(root) {
+        let range = SelectionUtils.getRange(root.ownerDocument);
+        if (range === undefined ||
+            !root.contains(range.startContainer) ||
+            !root.contains(range.endContainer)) {
+            return;
+        }
+
+        return SelectionUtils.saveRange(range, root);
+    }
+
+    /**
+     * 恢复 saveSelection() 保存的选区
+     *
+     * @param {*} savedRange
+     * @param {*} root
+     * @returns 返回恢复的范围，如果无法恢复则返回 undefined。
+     */
+    static restoreSelection(savedRange, root) {
+        let range = SelectionUtils.restoreRange(savedRange, root);
+        let selection = SelectionUtils.getSelection(root.ownerDocument);
+
+        if (range === undefined || selection === undefined) {
+            return range;
+        }
+
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return range;
+    }
+
+    /**
+     * 寻找范围的起点所在的块元素，即从起点开始往父节点寻找符合的元素，
+     * 跟 DomUtils.findElementAndParent() 一样。
+     *
+     * @param {*} range 原生 Range 对象或者类范围对象
+     * @param {*} className 可选
+     * @param {*} tagName 可选，但不能跟 className 同时为 undefined
+     * @param {*} topElement 可选，通常为编辑器的根元素，默认情况下搜索到 BODY 元素即停止
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findBlockElement(range, className, tagName, topElement) {
+        return DomTraversal.find(range.startContainer, { className, tagName }, 'selfAndAncestors', topElement);
+    }
+
+    /**
+     * 跟 findBlockElement() 一样，但使用 CSS 选择器匹配。
+     *
+     * @param {*} range
+     * @param {*} selector
+     * @param {*} topElement
+     * @returns 如果找不到符合的元素则返回 undefined
+     */
+    static findBlockElementBySelector(range, selector, topElement) {
+        return DomTraversal.find(range.startContainer, selector, 'selfAndAncestors', topElement);
+    }
+
+    /**
+     * 在范围的边界分割文本节点，使得范围的起点和终点都不在文本节点的中间。
+     *
+     * @param {*} range
+     * @returns 返回分割之后的新范围（原生 Range 对象或者类范围对象）
+     */
+    static splitRange(range) {
+        let { startContainer, startOffset, endContainer, endOffset } = range;
+
+        // 先分割终点，这样起点的偏移值不会受影响
+        if (SelectionUtils.isTextNode(endContainer) &&
+            endOffset > 0 && endOffset < endContainer.length) {
+            endContainer.splitText(endOffset);
+        }
+
+        if (SelectionUtils.isTextNode(startContainer) &&
+            startOffset > 0 && startOffset < startContainer.length) {
+            let index = NodePath.getIndex(startContainer);
+            let textNode = startContainer.splitText(startOffset);
+            if (endContainer === startContainer) {
+                endContainer = textNode;
+                endOffset -= startOffset;
+            } else if (endContainer === startContainer.parentNode && endOffset > index) {
+                // 终点在父节点之中，分割出的文本节点使得之后的子节点的索引都加 1
+                endOffset++;
+            }
+
+            startContainer = textNode;
+            startOffset = 0;
+        }
+
+        return SelectionUtils.createRange(startContainer.ownerDocument,
+            startContainer, startOffset, endContainer, endOffset);
+    }
+
+    /**
+     * 将范围之内的文本包裹在行内元素之中。
+     *
+     * 范围的边界会先被分割（参见 splitRange()），然后范围之内的每个
+     * 非空文本节点都会被包裹在一个新的元素之中。
+     *
+     * @param {*} range
+     * @param {*} wrapper 标签名称，比如 'strong'，或者一个函数 function(doc)，返回新的元素。
+     * @returns 返回 {elements, range}，elements 为新的元素数组，range 为包含
+     *     所有新元素的范围。如果范围之内没有文本，则 range 为 undefined。
+     */
+    static wrapRange(range, wrapper) {
+        let createWrapper;
+        if (typeof wrapper === 'string') {
+            createWrapper = (doc) => {
+                return doc.createElement(wrapper);
+            };
+        } else if (typeof wrapper === 'function') {
+            createWrapper = wrapper;
+        } else {
+            throw new IllegalArgumentException('The wrapper should be a tag name or a function.');
+        }
+
+        let splittedRange = SelectionUtils.splitRange(range);
+        let doc = splittedRange.startContainer.ownerDocument;
+
+        let elements = SelectionUtils.getTextNodesInRange(splittedRange).map((textNode) => {
+            let element = createWrapper(doc);
+            textNode.parentNode.insertBefore(element, textNode);
+            element.appendChild(textNode);
+            return element;
+        });
+
+        if (elements.length === 0) {
+            return { elements, range: undefined };
+        }
+
+        let first = elements[0];
+        let last = elements[elements.length - 1];
+
+        return {
+            elements: elements,
+            range: SelectionUtils.createRange(doc,
+                first.parentNode, NodePath.getIndex(first),
+                last.parentNode, NodePath.getIndex(last) + 1)
+        };
+    }
+
+    /**
+     * 获取范围之内（包括部分在范围之内）的所有非空文本节点，按文档顺序排列。
+     *
+     * @param {*} range
+     * @returns 返回文本节点数组
+     */
+    static getTextNodesInRange(range) {
+        let root = NodePath.getCommonAncestor(range.startContainer, range.endContainer);
+        if (root === undefined) {
+            throw new IllegalArgumentException('The range boundaries are not in the same tree.');
+        }
+
+        let start = SelectionUtils.getPointKey(range.startContainer, range.startOffset, root);
+        let end = SelectionUtils.getPointKey(range.endContainer, range.endOffset, root);
+
+        // 折叠的范围之内没有文本
+        if (SelectionUtils.compareKeys(start, end) >= 0) {
+            return [];
+        }
+
+        let textNodes = [];
+        let walk = (node) => {
+            if (SelectionUtils.isTextNode(node)) {
+                if (node.length > 0 &&
+                    SelectionUtils.compareKeys(SelectionUtils.getPointKey(node, node.length, root), start) > 0 &&
+                    SelectionUtils.compareKeys(SelectionUtils.getPointKey(node, 0, root), end) < 0) {
+                    textNodes.push(node);
+                }
+                return;
+            }
+
+            for (let child of Array.from(node.childNodes)) {
+                walk(child);
+            }
+        };
+
+        walk(root);
+        return textNodes;
+    }
+
+    /**
+     * 获取光标（即范围的终点）在视口（viewport）之中的位置，只支持浏览器环境。
+     *
+     * 对于折叠（collapsed）的范围，浏览器有时返回全为 0 的矩形（比如在空元素之内），
+     * 这时会改用所在元素的左边缘。
+     *
+     * @param {*} range 可选，默认为当前选区的第一个范围
+     * @param {*} doc 可选，当 range 为 undefined 时用于获取选区
+     * @returns 返回 {left, top, width, height, right, bottom}，其中 width 为 0，
+     *     如果无法获取则返回 undefined。
+     */
+    static getCaretRect(range, doc) {
+        if (range === undefined && doc !== undefined) {
+            range = SelectionUtils.getRange(doc);
+        }
+
+        if (range === undefined || typeof range.cloneRange !== 'function') {
+            return;
+        }
+
+        let caret = range.cloneRange();
+        caret.collapse(false);
+
+        let rects = caret.getClientRects();
+        let rect = rects.length > 0 ? rects[0] : caret.getBoundingClientRect();
+
+        if (rect.width === 0 && rect.height === 0 && rect.left === 0 && rect.top === 0) {
+            let element = caret.endContainer.nodeType === ELEMENT_NODE ?
+                caret.endContainer : caret.endContainer.parentNode;
+            rect = element.getBoundingClientRect();
+        }
+
+        return {
+            left: rect.left,
+            top: rect.top,
+            width: 0,
+            height: rect.height,
+            right: rect.left,
+            bottom: rect.top + rect.height
+        };
+    }
+
+    static isTextNode(node) {
+        return node.nodeType === TEXT_NODE || node.nodeType === CDATA_SECTION_NODE;
+    }
+
+    /**
+     * 获取节点的长度，即范围偏移值的最大值
+     *
+     * @param {*} node
+     * @returns
+     */
+    static getNodeLength(node) {
+        if (SelectionUtils.isTextNode(node) || node.nodeType === COMMENT_NODE) {
+            return node.length;
+        }
+
+        return node.childNodes.length;
+    }
+
+    /**
+     * 将边界点（node, offset）转换为可以比较先后的键，即节点的路径再加上偏移值。
+     *
+     * @param {*} node
+     * @param {*} offset
+     * @param {*} root
+     * @returns
+     */
+    static getPointKey(node, offset, root) {
+        return NodePath.getPath(node, root).concat([offset]);
+    }
+
+    /**
+     * 比较两个键的先后，当一个键是另一个键的前缀时，较短的键排在前面。
+     *
+     * @param {*} keyA
+     * @param {*} keyB
+     * @returns 负数表示 keyA 在前，正数表示 keyB 在前，0 表示相同。
+     */
+    static compareKeys(keyA, keyB) {
+        let length = Math.min(keyA.length, keyB.length);
+        for (let idx = 0; idx < length; idx++) {
+            if (keyA[idx] !== keyB[idx]) {
+                return keyA[idx] - keyB[idx];
+            }
+        }
+        return keyA.length - keyB.length;
+    }
+}
+
+module.exports = SelectionUtils;
@@ -0,0 +1,340 @@
+const { IllegalArgumentException, UnsupportedOperationException } = require('jsexception');
+
+const ComputeSize = require('./computesize');
+
+/**
+ * 监视元素大小的变化，以及元素是否可见（即是否进入视口或者滚动容器）。
+ *
+ * 基于 ResizeObserver 和 IntersectionObserver 实现，回调函数会收到
+ * 一个通过 ComputeSize 重新测量的尺寸（measurement）：
+ * {
+ *     contentBox: {width, height},  // 内容盒子，不包括 padding 和滚动条
+ *     borderBox: {width, height},   // 边框盒子，即 offsetWidth 和 offsetHeight
+ *     outerWidth,                   // 包括 margin 的宽度
+ *     outerHeight                   // 包括 margin 的高度
+ * }
+ *
+ * 示例：
+ *
+ * let observer = new SizeObserver({debounce: 100});
+ *
+ * for (let panel of panels) {
+ *     observer.observeResize(panel, (change) => {
+ *         // change: {type: 'resize', element, measurement}
+ *     });
+ *
+ *     observer.observeVisibility(panel, (change) => {
+ *         // change: {type: 'visibility', element, visible, intersectionRatio, measurement}
+ *     });
+ * }
+ *
+ * observer.dispose();
+ *
+ * 选项（options）有：
+ * - debounce 毫秒数，同一个元素在指定时间之内的多次变化只触发一次回调
+ *   （使用最后一次的结果），默认为 0，即不合并；
+ * - threshold IntersectionObserver 的 threshold，一个 0 到 1 之间的数字
+ *   或者数字数组，默认为 0，即元素进入或者离开时触发回调；
+ * - root 滚动容器元素，默认为 null，即视口；
+ * - rootMargin IntersectionObserver 的 rootMargin，默认为 '0px'；
+ * - provider 测量尺寸时使用的样式和几何信息提供者，参见 ComputeSize 的构造函数。
+ */
+class SizeObserver {
+
+    constructor(options = {}) {
+        let {
+            debounce = 0,
+            threshold = 0,
+            root = null,
+            rootMargin = '0px',
+            provider } = options;
+
+        if (typeof debounce !== 'number' || debounce < 0) {
+            throw new IllegalArgumentException('The debounce option should be a non-negative number.');
+        }
+
+        let thresholds = Array.isArray(threshold) ? threshold : [threshold];
+        if (thresholds.some((item) => { return typeof item !== 'number' || item < 0 || item > 1; })) {
+            throw new IllegalArgumentException('The threshold option should be numbers between 0 and 1.');
+        }
+
+        this.debounce = debounce;
+        this.threshold = threshold;
+        this.root = root;
+        this.rootMargin = rootMargin;
+        this.provider = provider;
+
+        // 被监视的元素，{element: target}，
+        // target: {callbacks, timer, lastChange}
+        this.resizeTargets = new Map();
+        this.visibilityTargets = new Map();
+
+        // 原生的观察者对象，在第一次监视时才创建
+        this.resizeObserver = undefined;
+        this.intersectionObserver = undefined;
+
+        this.disposed = false;
+    }
+
+    /**
+     * 监视元素大小的变化
+     *
+     * 开始监视时会触发一次回调，报告元素当前的尺寸，之后只有测量所得的尺寸
+     * 确实发生变化时才会触发回调。
+     *
+     * @param {*} element
+     * @param {*} callback function(change)，change 为
+     *     {type: 'resize', element, measurement}
+     * @returns 返回一个函数，调用它可以取消这个监视。
+     */
+    observeResize(element, callback) {
+        this.checkDisposed();
+
+        if (this.resizeObserver === undefined) {
+            if (typeof ResizeObserver === 'undefined') {
+                throw new UnsupportedOperationException(
+                    'ResizeObserver is not supported in the current environment.');
+            }
+
+            this.resizeObserver = new ResizeObserver((entries) => {
+                this.handleResizeEntries(entries);
+            });
+        }
+
+        return this.addTarget(this.resizeTargets, this.resizeObserver, element, callback);
+    }
+
+    /**
+     * 监视元素是否可见，即元素与视口（或者 root 选项指定的滚动容器）是否相交。
+     *
+     * 开始监视时会触发一次回调，报告元素当前的状态。
+     *
+     * @param {*} element
+     * @param {*} callback function(change)，change 为
+     *     {type: 'visibility', element, visible, intersectionRatio, measurement}
+     * @returns 返回一个函数，调用它可以取消这个监视。
+     */
+    observeVisibility(element, callback) {
+        this.checkDisposed();
+
+        if (this.intersectionObserver === undefined) {
+            if (typeof IntersectionObserver === 'undefined') {
+                throw new UnsupportedOperationException(
+                    'IntersectionObserver is not supported in the current environment.');
+            }
+
+            this.intersectionObserver = new IntersectionObserver((entries) => {
+                this.handleIntersectionEntries(entries);
+            }, {
+                root: this.root,
+                rootMargin: this.rootMargin,
+                threshold: this.threshold
+            });
+        }
+
+        return this.addTarget(this.visibilityTargets, this.intersectionObserver, element, callback);
+    }
+
+    checkDisposed() {
+        if (this.disposed) {
+            throw new IllegalArgumentException('The observer has been disposed.');
+        }
+    }
+
+    /**
+     * 添加一个监视
+     *
+     * 原生的观察者只在开始观察一个元素时触发一次回调，所以如果元素已经被
+     * 其他回调监视，并且已经有了结果，则在之后的微任务（microtask）之中把
+     * 最近一次的结果单独报告给新的回调。
+     *
+     * @param {*} targets
+     * @param {*} observer
+     * @param {*} element
+     * @param {*} callback
+     * @returns 返回取消监视的函数
+     */
+    addTarget(targets, observer, element, callback) {
+        let target = targets.get(element);
+        if (target === undefined) {
+            target = {
+                callbacks: [],
+                timer: undefined,
+                lastChange: undefined
+            };
+
+            targets.set(element, target);
+            observer.observe(element);
+        }
+
+        let item = { callback };
+        target.callbacks.push(item);
+
+        if (target.lastChange !== undefined) {
+            let change = target.lastChange;
+            Promise.resolve().then(() => {
+                // 期间可能已经取消监视，或者已经收到了更新的结果
+                if (target.callbacks.includes(item) && target.lastChange === change && !this.disposed) {
+                    callback(change);
+                }
+            });
+        }
+
+        return () => {
+            let index = target.callbacks.indexOf(item);
+            if (index === -1) {
+                return;
+            }
+
+            target.callbacks.splice(index, 1);
+
+            if (target.callbacks.length === 0 && targets.get(element) === target) {
+                clearTimeout(target.timer);
+                targets.delete(element);
+                observer.unobserve(element);
+            }
+        };
+    }
+
+    handleResizeEntries(entries) {
+        for (let entry of entries) {
+            let element = entry.target;
+            let target = this.resizeTargets.get(element);
+            if (target === undefined) {
+                continue;
+            }
+
+            this.schedule(target, () => {
+                let measurement = this.measure(element);
+                if (target.lastChange !== undefined &&
+                    SizeObserver.isSameMeasurement(measurement, target.lastChange.measurement)) {
+                    return;
+                }
+
+                SizeObserver.dispatch(target, {
+                    type: 'resize',
+                    element: element,
+                    measurement: measurement
+                });
+            });
+        }
+    }
+
+    handleIntersectionEntries(entries) {
+        for (let entry of entries) {
+            let element = entry.target;
+            let target = this.visibilityTargets.get(element);
+            if (target === undefined) {
+                continue;
+            }
+
+            let visible = entry.isIntersecting;
+            let intersectionRatio = entry.intersectionRatio;
+
+            this.schedule(target, () => {
+                SizeObserver.dispatch(target, {
+                    type: 'visibility',
+                    element: element,
+                    visible: visible,
+                    intersectionRatio: intersectionRatio,
+                    measurement: this.measure(element)
+                });
+            });
+        }
+    }
+
+    /**
+     * 执行或者延迟执行（debounce）一个元素的回调，
+     * 延迟期间新的变化会取代之前尚未执行的变化。
+     *
+     * @param {*} target
+     * @param {*} fn
+     */
+    schedule(target, fn) {
+        if (this.debounce === 0) {
+            fn();
+            return;
+        }
+
+        clearTimeout(target.timer);
+        target.timer = setTimeout(() => {
+            target.timer = undefined;
+            fn();
+        }, this.debounce);
+    }
+
+    /**
+     * 测量元素的尺寸
+     *
+     * @param {*} element
+     * @returns 返回 measurement 对象，参见类的说明。
+     */
+    measure(element) {
+        let boxModel = new ComputeSize(element, { provider: this.provider }).getBoxModel();
+
+        return {
+            contentBox: {
+                width: boxModel.contentBox.width,
+                height: boxModel.contentBox.height
+            },
+            borderBox: {
+                width: boxModel.borderBox.width,
+                height: boxModel.borderBox.height
+            },
+            outerWidth: boxModel.marginBox.width,
+            outerHeight: boxModel.marginBox.height
+        };
+    }
+
+    /**
+     * 停止所有的监视，并取消尚未执行的回调。
+     *
+     * 可以重复调用。
+     */
+    dispose() {
+        if (this.disposed) {
+            return;
+        }
+
+        this.disposed = true;
+
+        for (let targets of [this.resizeTargets, this.visibilityTargets]) {
+            for (let target of targets.values()) {
+                clearTimeout(target.timer);
+            }
+            targets.clear();
+        }
+
+        if (this.resizeObserver !== undefined) {
+            this.resizeObserver.disconnect();
+        }
+
+        if (this.intersectionObserver !== undefined) {
+            this.intersectionObserver.disconnect();
+        }
+    }
+
+    static dispatch(target, change) {
+        target.lastChange = change;
+
+        // 复制一份，以免回调之中取消监视影响遍历
+        for (let { callback } of target.callbacks.slice()) {
+            callback(change);
+        }
+    }
+
+    static isSameMeasurement(left, right) {
+        if (left === undefined || right === undefined) {
+            return false;
+        }
+
+        return left.contentBox.width === right.contentBox.width &&
+            left.contentBox.height === right.contentBox.height &&
+            left.borderBox.width === right.borderBox.width &&
+            left.borderBox.height === right.borderBox.height &&
+            left.outerWidth === right.outerWidth &&
+            left.outerHeight === right.outerHeight;
+    }
+}
+
+module.exports = SizeObserver;
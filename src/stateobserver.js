@@ -0,0 +1,309 @@
+const { IllegalArgumentException, UnsupportedOperationException } = require('jsexception');
+
+const DatasetSchema = require('./datasetschema');
+
+/**
+ * 监视通过样式列表（classList）和 dataset 来记录的状态的变化。
+ *
+ * 对应 DomUtils 的 setBooleanByClass()、setOptionByClass() 以及
+ * set*InDataset() 等方法，基于 MutationObserver 实现。
+ *
+ * 示例：
+ *
+ * let observer = new StateObserver(listElement, {subtree: true});
+ *
+ * observer.watchBoolean('active', (change) => {
+ *     // change: {type: 'boolean', element, name: 'active', oldValue: false, newValue: true}
+ * });
+ *
+ * observer.watchOption('size', ['small', 'large'], (change) => {
+ *     // change.oldValue, change.newValue 为选项或者 undefined
+ * });
+ *
+ * observer.watchDataset('selectedId', (change) => {
+ *     // change.oldValue, change.newValue 为字符串或者 undefined
+ * });
+ *
+ * observer.disconnect();
+ *
+ * 选项（options）有：
+ * - subtree 是否同时监视所有子孙元素，默认为 false；
+ * - batch 合并变化的方式：
+ *   - false（默认值）每一次修改都会触发一次回调；
+ *   - true 合并同一次 MutationObserver 回调之中同一个元素、同一个状态的
+ *     多次修改，只触发一次回调（oldValue 为第一次修改之前的值，newValue
+ *     为最后的值），如果值最终没有变化，则不触发回调；
+ *   - 一个数字，跟 true 一样，但会累积指定的毫秒数之内的所有修改。
+ */
+class StateObserver {
+
+    constructor(element, options = {}) {
+        if (typeof MutationObserver === 'undefined') {
+            throw new UnsupportedOperationException(
+                'MutationObserver is not supported in the current environment.');
+        }
+
+        let { subtree = false, batch = false } = options;
+
+        if (batch !== true && batch !== false && typeof batch !== 'number') {
+            throw new IllegalArgumentException('The batch option should be a boolean or a number.');
+        }
+
+        this.element = element;
+        this.subtree = subtree;
+        this.batch = batch;
+
+        this.watchers = [];
+        this.pendingChanges = [];
+        this.timer = undefined;
+        this.disconnected = false;
+
+        this.mutationObserver = new MutationObserver((records) => {
+            this.handleRecords(records);
+        });
+    }
+
+    /**
+     * 监视一个 boolean 类型的样式，参见 DomUtils.setBooleanByClass()
+     *
+     * @param {*} className
+     * @param {*} callback function(change)，change 的 oldValue 和 newValue
+     *     为 true 或者 false。
+     * @returns 返回一个函数，调用它可以取消这个监视。
+     */
+    watchBoolean(className, callback) {
+        return this.addWatcher({
+            type: 'boolean',
+            name: className,
+            attributeName: 'class',
+            getValue: (attributeValue) => {
+                return StateObserver.splitClassNames(attributeValue).includes(className);
+            },
+            callback: callback
+        });
+    }
+
+    /**
+     * 监视一个枚举类型的样式组，参见 DomUtils.setOptionByClass()
+     *
+     * @param {*} name 状态的名称，仅用于回调的 change 对象
+     * @param {*} options 值列表（数组）
+     * @param {*} callback function(change)，change 的 oldValue 和 newValue
+     *     为选项或者 undefined。
+     * @returns 返回一个函数，调用它可以取消这个监视。
+     */
+    watchOption(name, options, callback) {
+        if (!Array.isArray(options)) {
+            throw new IllegalArgumentException('The options should be an array.');
+        }
+
+        return this.addWatcher({
+            type: 'option',
+            name: name,
+            attributeName: 'class',
+            getValue: (attributeValue) => {
+                let classNames = StateObserver.splitClassNames(attributeValue);
+                return options.find((option) => {
+                    return classNames.includes(option);
+                });
+            },
+            callback: callback
+        });
+    }
+
+    /**
+     * 监视 dataset 之中的一个属性，参见 DomUtils.setStringInDataset()
+     *
+     * @param {*} name 属性名，camel case 或者 kebab case 格式
+     * @param {*} callback function(change)，change 的 oldValue 和 newValue
+     *     为字符串或者 undefined（即属性不存在）。
+     * @returns 返回一个函数，调用它可以取消这个监视。
+     */
+    watchDataset(name, callback) {
+        let camelCaseName = DatasetSchema.toCamelCaseName(name);
+
+        return this.addWatcher({
+            type: 'dataset',
+            name: camelCaseName,
+            attributeName: DatasetSchema.toAttributeName(camelCaseName),
+            getValue: (attributeValue) => {
+                return attributeValue === null ? undefined : attributeValue;
+            },
+            callback: callback
+        });
+    }
+
+    addWatcher(watcher) {
+        if (this.disconnected) {
+            throw new IllegalArgumentException('The observer has been disconnected.');
+        }
+
+        // 先处理尚未送达的记录，新的监视不会收到在它添加之前发生的变化
+        this.handleRecords(this.mutationObserver.takeRecords());
+
+        this.watchers.push(watcher);
+        this.updateObservation();
+
+        return () => {
+            let index = this.watchers.indexOf(watcher);
+            if (index !== -1) {
+                this.watchers.splice(index, 1);
+                this.updateObservation();
+            }
+        };
+    }
+
+    /**
+     * 根据当前的监视列表更新 MutationObserver 的 attributeFilter
+     */
+    updateObservation() {
+        if (this.disconnected) {
+            return;
+        }
+
+        // 先处理尚未送达的记录，以免它们被新的设置影响
+        this.handleRecords(this.mutationObserver.takeRecords());
+
+        let attributeNames = Array.from(new Set(this.watchers.map((watcher) => {
+            return watcher.attributeName;
+        })));
+
+        if (attributeNames.length === 0) {
+            this.mutationObserver.disconnect();
+            return;
+        }
+
+        // 对同一个节点再次调用 observe() 会替换之前的设置
+        this.mutationObserver.observe(this.element, {
+            attributes: true,
+            attributeOldValue: true,
+            attributeFilter: attributeNames,
+            subtree: this.subtree
+        });
+    }
+
+    handleRecords(records) {
+        let changes = [];
+
+        for (let record of records) {
+            let element = record.target;
+            let newAttributeValue = element.getAttribute(record.attributeName);
+
+            for (let watcher of this.watchers) {
+                if (watcher.attributeName !== record.attributeName) {
+                    continue;
+                }
+
+                changes.push({
+                    watcher: watcher,
+                    element: element,
+                    oldValue: watcher.getValue(record.oldValue),
+                    newValue: watcher.getValue(newAttributeValue)
+                });
+            }
+        }
+
+        if (this.batch === false) {
+            // 同一次回调之中的多条记录，每一条记录的新值即下一条记录的旧值
+            this.fixIntermediateValues(changes);
+            this.dispatch(changes);
+            return;
+        }
+
+        this.pendingChanges.push(...changes);
+
+        if (this.batch === true) {
+            this.flush();
+        } else if (this.timer === undefined) {
+            this.timer = setTimeout(() => {
+                this.timer = undefined;
+                this.flush();
+            }, this.batch);
+        }
+    }
+
+    fixIntermediateValues(changes) {
+        for (let i = 0; i < changes.length; i++) {
+            let change = changes[i];
+            let next = changes.slice(i + 1).find((item) => {
+                return item.watcher === change.watcher && item.element === change.element;
+            });
+
+            if (next !== undefined) {
+                change.newValue = next.oldValue;
+            }
+        }
+    }
+
+    /**
+     * 合并并触发所有待处理的变化
+     */
+    flush() {
+        let merged = [];
+        for (let change of this.pendingChanges) {
+            let existing = merged.find((item) => {
+                return item.watcher === change.watcher && item.element === change.element;
+            });
+
+            if (existing === undefined) {
+                merged.push(change);
+            } else {
+                existing.newValue = change.newValue;
+            }
+        }
+
+        this.pendingChanges = [];
+        this.dispatch(merged);
+    }
+
+    dispatch(changes) {
+        for (let { watcher, element, oldValue, newValue } of changes) {
+            // 被取消的监视不再触发回调
+            if (oldValue === newValue || !this.watchers.includes(watcher)) {
+                continue;
+            }
+
+            watcher.callback({
+                type: watcher.type,
+                element: element,
+                name: watcher.name,
+                oldValue: oldValue,
+                newValue: newValue
+            });
+        }
+    }
+
+    /**
+     * 停止监视，并取消所有的监视及待处理的变化。
+     *
+     * 可以重复调用。
+     */
+    disconnect() {
+        if (this.disconnected) {
+            return;
+        }
+
+        this.disconnected = true;
+        this.mutationObserver.disconnect();
+
+        if (this.timer !== undefined) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+
+        this.watchers = [];
+        this.pendingChanges = [];
+    }
+
+    static splitClassNames(value) {
+        if (value === null || value === undefined) {
+            return [];
+        }
+
+        return value.split(/\s+/).filter((item) => {
+            return item !== '';
+        });
+    }
+}
+
+module.exports = StateObserver;
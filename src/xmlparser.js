@@ -0,0 +1,411 @@
+const { IllegalArgumentException } = require('jsexception');
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+
+const PREDEFINED_ENTITIES = {
+    lt: '<',
+    gt: '>',
+    amp: '&',
+    quot: '"',
+    apos: '\''
+};
+
+// 使用粘性（sticky）标志，以便从指定的位置开始匹配
+const NAME_PATTERN = /[A-Za-z_:][\w.:-]*/y;
+
+/**
+ * 一个简单的 XML 解析器，用于没有 DOMParser 的后端环境（比如 nodejs）。
+ *
+ * 解析的结果会被构造在指定的 document 对象（比如 domino 创建的 XML document）
+ * 当中，支持：
+ *
+ * - 元素、属性以及名称空间（namespace）
+ * - 文本、CDATA（转换为文本节点）、注释和处理指令（processing instruction）
+ * - 预定义的实体（entity）以及数字字符引用，比如 '&amp;', '&#38;', '&#x26;'
+ *
+ * DOCTYPE 会被忽略，不支持自定义的实体。
+ *
+ * 当 XML 文本的格式不正确时，抛出 IllegalArgumentException 异常，
+ * 异常信息包含出错的行号和列号。
+ */
+class XmlParser {
+
+    /**
+     *
+     * @param {*} doc 用于构造节点的 document 对象，节点会被添加到
+     *     这个 document 之中。
+     */
+    constructor(doc) {
+        this.doc = doc;
+    }
+
+    /**
+     * 解析 XML 文本
+     *
+     * @param {*} text
+     * @returns 返回构造时传入的 document 对象
+     */
+    parse(text) {
+        this.text = text;
+        this.position = 0;
+
+        // 名称空间作用域栈，每个元素一层，每层是 {prefix: namespaceURI} 对象。
+        this.namespaceScopes = [{ xml: XML_NAMESPACE, xmlns: XMLNS_NAMESPACE }];
+
+        let parent = this.doc;
+        let openTagNames = [];
+        let hasRootElement = false;
+
+        while (this.position < this.text.length) {
+            if (this.startsWith('<?')) {
+                let node = this.readProcessingInstruction();
+                if (node !== undefined) {
+                    parent.appendChild(node);
+                }
+
+            } else if (this.startsWith('<!--')) {
+                parent.appendChild(this.readComment());
+
+            } else if (this.startsWith('<![CDATA[')) {
+                this.assertInElement(openTagNames, 'CDATA section');
+                parent.appendChild(this.readCData());
+
+            } else if (this.startsWith('<!DOCTYPE')) {
+                if (hasRootElement) {
+                    this.fail('DOCTYPE should be placed before the root element.');
+                }
+                this.skipDoctype();
+
+            } else if (this.startsWith('</')) {
+                let start = this.position;
+                let tagName = this.readEndTag();
+                let expectedTagName = openTagNames.pop();
+                if (tagName !== expectedTagName) {
+                    this.fail(expectedTagName === undefined ?
+                        `Unexpected end tag "${tagName}".` :
+                        `Expected end tag "${expectedTagName}" but got "${tagName}".`, start);
+                }
+
+                this.namespaceScopes.pop();
+                parent = parent.parentNode;
+
+            } else if (this.startsWith('<')) {
+                if (openTagNames.length === 0) {
+                    if (hasRootElement) {
+                        this.fail('Only one root element is allowed.');
+                    }
+                    hasRootElement = true;
+                }
+
+                let { element, tagName, selfClosing } = this.readStartTag();
+                parent.appendChild(element);
+
+                if (selfClosing) {
+                    this.namespaceScopes.pop();
+                } else {
+                    openTagNames.push(tagName);
+                    parent = element;
+                }
+
+            } else {
+                let value = this.readText();
+                if (openTagNames.length === 0) {
+                    if (value.trim() !== '') {
+                        this.fail('Text is not allowed outside the root element.');
+                    }
+                } else {
+                    parent.appendChild(this.doc.createTextNode(value));
+                }
+            }
+        }
+
+        if (openTagNames.length > 0) {
+            this.fail(`Element "${openTagNames[openTagNames.length - 1]}" is not closed.`);
+        }
+
+        if (!hasRootElement) {
+            this.fail('The root element is missing.');
+        }
+
+        return this.doc;
+    }
+
+    startsWith(value) {
+        return this.text.startsWith(value, this.position);
+    }
+
+    /**
+     * 读取直到指定的结束字符串，并将位置移动到结束字符串之后。
+     *
+     * @param {*} terminator
+     * @param {*} description 用于错误信息
+     * @returns 返回结束字符串之前的内容
+     */
+    readUntil(terminator, description) {
+        let index = this.text.indexOf(terminator, this.position);
+        if (index === -1) {
+            this.fail(`Unterminated ${description}.`);
+        }
+
+        let value = this.text.substring(this.position, index);
+        this.position = index + terminator.length;
+        return value;
+    }
+
+    readProcessingInstruction() {
+        this.position += 2;
+        let content = this.readUntil('?>', 'processing instruction');
+        let match = /^([^\s]+)\s*([\s\S]*)$/.exec(content);
+        if (match === null) {
+            this.fail('Processing instruction target is missing.');
+        }
+
+        let [, target, data] = match;
+
+        // XML 声明（declaration）不是一个节点
+        if (target.toLowerCase() === 'xml') {
+            return;
+        }
+
+        return this.doc.createProcessingInstruction(target, data);
+    }
+
+    readComment() {
+        this.position += 4;
+        return this.doc.createComment(this.readUntil('-->', 'comment'));
+    }
+
+    readCData() {
+        this.position += 9;
+
+        // 后端的 DOM 实现（比如 domino）不一定支持 CDATASection，
+        // 所以这里转换为文本节点。
+        return this.doc.createTextNode(this.readUntil(']]>', 'CDATA section'));
+    }
+
+    skipDoctype() {
+        let depth = 0;
+        while (this.position < this.text.length) {
+            let c = this.text[this.position++];
+            if (c === '[') {
+                depth++;
+            } else if (c === ']') {
+                depth--;
+            } else if (c === '>' && depth === 0) {
+                return;
+            }
+        }
+
+        this.fail('Unterminated DOCTYPE.');
+    }
+
+    readText() {
+        let index = this.text.indexOf('<', this.position);
+        if (index === -1) {
+            index = this.text.length;
+        }
+
+        let value = this.text.substring(this.position, index);
+        let decoded = this.decodeEntities(value);
+        this.position = index;
+        return decoded;
+    }
+
+    readName() {
+        NAME_PATTERN.lastIndex = this.position;
+        let match = NAME_PATTERN.exec(this.text);
+        if (match === null) {
+            this.fail('Name expected.');
+        }
+
+        this.position += match[0].length;
+        return match[0];
+    }
+
+    skipWhitespace() {
+        while (this.position < this.text.length && /\s/.test(this.text[this.position])) {
+            this.position++;
+        }
+    }
+
+    readEndTag() {
+        this.position += 2;
+        let tagName = this.readName();
+        this.skipWhitespace();
+        if (!this.startsWith('>')) {
+            this.fail(`Malformed end tag "${tagName}".`);
+        }
+        this.position++;
+        return tagName;
+    }
+
+    readStartTag() {
+        this.position++;
+        let tagName = this.readName();
+        let attributes = [];
+        let selfClosing = false;
+
+        while (true) {
+            let hasWhitespace = /\s/.test(this.text[this.position]);
+            this.skipWhitespace();
+
+            if (this.position >= this.text.length) {
+                this.fail(`Unterminated start tag "${tagName}".`);
+            }
+
+            if (this.startsWith('/>')) {
+                this.position += 2;
+                selfClosing = true;
+                break;
+            }
+
+            if (this.startsWith('>')) {
+                this.position++;
+                break;
+            }
+
+            if (!hasWhitespace) {
+                this.fail(`Whitespace is required between attributes of "${tagName}".`);
+            }
+
+            let name = this.readName();
+            this.skipWhitespace();
+            if (!this.startsWith('=')) {
+                this.fail(`Attribute "${name}" has no value.`);
+            }
+            this.position++;
+            this.skipWhitespace();
+
+            let quote = this.text[this.position];
+            if (quote !== '"' && quote !== '\'') {
+                this.fail(`The value of attribute "${name}" should be quoted.`);
+            }
+            this.position++;
+
+            let rawValue = this.readUntil(quote, `value of attribute "${name}"`);
+            if (rawValue.includes('<')) {
+                this.fail(`The value of attribute "${name}" should not contain "<".`);
+            }
+
+            if (attributes.some((item) => { return item.name === name; })) {
+                this.fail(`Duplicate attribute "${name}".`);
+            }
+
+            attributes.push({ name: name, value: this.decodeEntities(rawValue) });
+        }
+
+        // 先处理名称空间声明，因为它们对当前元素及其属性都有效
+        let scope = Object.assign({}, this.namespaceScopes[this.namespaceScopes.length - 1]);
+        for (let { name, value } of attributes) {
+            if (name === 'xmlns') {
+                scope[''] = value;
+            } else if (name.startsWith('xmlns:')) {
+                scope[name.substring(6)] = value;
+            }
+        }
+        this.namespaceScopes.push(scope);
+
+        let element = this.doc.createElementNS(this.resolveNamespace(tagName, true), tagName);
+        for (let { name, value } of attributes) {
+            if (name === 'xmlns' || name.startsWith('xmlns:')) {
+                element.setAttributeNS(XMLNS_NAMESPACE, name, value);
+            } else if (name.includes(':')) {
+                element.setAttributeNS(this.resolveNamespace(name, false), name, value);
+            } else {
+                element.setAttribute(name, value);
+            }
+        }
+
+        return { element, tagName, selfClosing };
+    }
+
+    /**
+     * 解析名称的名称空间
+     *
+     * @param {*} qualifiedName
+     * @param {*} useDefaultNamespace 元素名称使用默认名称空间，属性名称则不使用
+     * @returns 返回名称空间 URI，如果没有名称空间则返回 null
+     */
+    resolveNamespace(qualifiedName, useDefaultNamespace) {
+        let scope = this.namespaceScopes[this.namespaceScopes.length - 1];
+        let index = qualifiedName.indexOf(':');
+
+        if (index === -1) {
+            return (useDefaultNamespace && scope[''] !== undefined && scope[''] !== '') ?
+                scope[''] : null;
+        }
+
+        let prefix = qualifiedName.substring(0, index);
+        let namespaceURI = scope[prefix];
+        if (namespaceURI === undefined) {
+            this.fail(`Namespace prefix "${prefix}" is not defined.`);
+        }
+
+        return namespaceURI;
+    }
+
+    decodeEntities(value) {
+        return value.replace(/&([^;&\s]*);?/g, (match, name) => {
+            if (!match.endsWith(';')) {
+                this.fail(`Unterminated entity reference "${match}".`);
+            }
+
+            if (name.startsWith('#')) {
+                let digits = /^#(?:x([0-9a-fA-F]+)|([0-9]+))$/.exec(name);
+                let codePoint = (digits === null) ? NaN :
+                    (digits[1] !== undefined) ? parseInt(digits[1], 16) : parseInt(digits[2], 10);
+
+                if (isNaN(codePoint) || !XmlParser.isCharCodePoint(codePoint)) {
+                    this.fail(`Invalid character reference "${match}".`);
+                }
+                return String.fromCodePoint(codePoint);
+            }
+
+            let decoded = PREDEFINED_ENTITIES[name];
+            if (decoded === undefined) {
+                this.fail(`Undefined entity "${match}".`);
+            }
+            return decoded;
+        });
+    }
+
+    assertInElement(openTagNames, description) {
+        if (openTagNames.length === 0) {
+            this.fail(`${description} is not allowed outside the root element.`);
+        }
+    }
+
+    /**
+     * 判断码位是否 XML 允许的字符，即 XML 1.0 规范的 Char：
+     * #x9 | #xA | #xD | [#x20-#xD7FF] | [#xE000-#xFFFD] | [#x10000-#x10FFFF]
+     *
+     * 0、大部分控制字符、代理（surrogate）码位以及超出 Unicode 范围的码位
+     * 都是无效的。
+     *
+     * @param {*} codePoint
+     * @returns
+     */
+    static isCharCodePoint(codePoint) {
+        return codePoint === 0x9 || codePoint === 0xA || codePoint === 0xD ||
+            (codePoint >= 0x20 && codePoint <= 0xD7FF) ||
+            (codePoint >= 0xE000 && codePoint <= 0xFFFD) ||
+            (codePoint >= 0x10000 && codePoint <= 0x10FFFF);
+    }
+
+    /**
+     * 抛出解析错误
+     *
+     * @param {*} message
+     * @param {*} position 可选，出错的位置，默认为当前位置
+     */
+    fail(message, position = this.position) {
+        let lines = this.text.substring(0, position).split('\n');
+        let line = lines.length;
+        let column = lines[lines.length - 1].length + 1;
+        throw new IllegalArgumentException(
+            `XML parse error at line ${line}, column ${column}: ${message}`);
+    }
+}
+
+module.exports = XmlParser;
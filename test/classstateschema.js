@@ -0,0 +1,50 @@
+const assert = require('assert/strict');
+
+const {
+    DomUtils,
+    ClassStateSchema } = require('../index');
+
+describe('ClassStateSchema Test', () => {
+    let schema = new ClassStateSchema({
+        active: { type: 'boolean', prefix: 'is-' },
+        size: { type: 'enum', values: ['small', 'medium', 'large'], prefix: 'size-', default: 'small' },
+        theme: ['light', 'dark']
+    }, { strict: true });
+
+    it('Test read() and write()', () => {
+        let element = DomUtils.parseHTMLbackend('<div class="other"></div>').firstChild;
+
+        assert.deepEqual(schema.read(element), { active: false, size: 'small', theme: undefined });
+
+        schema.write(element, { active: true, size: 'large', theme: 'dark' });
+        assert.equal(element.className, 'other is-active size-large dark');
+        assert.deepEqual(schema.read(element), { active: true, size: 'large', theme: 'dark' });
+
+        schema.write(element, { theme: null });
+        assert.equal(schema.readField(element, 'theme'), undefined);
+
+        assert.throws(() => { schema.write(element, { size: 'huge' }); });
+        assert.throws(() => { schema.write(element, { unknown: true }); });
+    });
+
+    it('Test toggle() and cycle()', () => {
+        let element = DomUtils.parseHTMLbackend('<div></div>').firstChild;
+
+        assert.equal(schema.toggle(element, 'active'), true);
+        assert.equal(schema.toggle(element, 'active'), false);
+        assert.equal(schema.toggle(element, 'active', true), true);
+
+        assert.equal(schema.cycle(element, 'size'), 'medium');
+        assert.equal(schema.cycle(element, 'size'), 'large');
+        assert.equal(schema.cycle(element, 'size'), 'small');
+        assert.equal(element.classList.contains('size-large'), false);
+    });
+
+    it('Test strict mode', () => {
+        let element = DomUtils.parseHTMLbackend('<div class="size-small size-large"></div>').firstChild;
+        assert.throws(() => { schema.read(element); }, /Conflicting/);
+
+        let lenient = new ClassStateSchema({ size: ['size-small', 'size-large'] });
+        assert.equal(lenient.readField(element, 'size'), 'size-small');
+    });
+});
@@ -0,0 +1,213 @@
+const assert = require('assert/strict');
+
+const { DomUtils, ComputeSize, NodeLayoutProvider, BrowserLayoutProvider } = require('../index');
+
+describe('ComputeSize Test', () => {
+    let html =
+        '<style>' +
+        '.box { margin: 10px 5px; padding: 2em; border: 1px solid #000 }' +
+        '#main .box { padding-left: 4px }' +
+        '.wide { width: 50% !important }' +
+        '</style>' +
+        '<div id="main" style="width: 400px; font-size: 10px">' +
+        '<div id="first" class="box" style="height: 30px"></div>' +
+        '<div id="second" class="box wide" style="width: 100px; height: 3em"></div>' +
+        '</div>';
+
+    it('Test getValue()/getPixelValue()', () => {
+        let body = DomUtils.parseHTMLbackend(html);
+        let provider = new NodeLayoutProvider();
+        let first = body.querySelector('#first');
+        let computeSize = new ComputeSize(first, { provider: provider });
+
+        assert.equal(computeSize.getValue('margin-left'), '5px');
+        assert.equal(computeSize.getValue('padding-top'), '2em');
+        assert.equal(computeSize.getValue('font-size'), '10px');
+        assert.equal(computeSize.getValue('border-top-width'), '1px');
+        assert.equal(computeSize.getValue('position'), 'static');
+
+        assert.equal(computeSize.marginTop, 10);
+        assert.equal(computeSize.paddingTop, 20);
+        assert.equal(computeSize.paddingLeft, 4); // 优先级更高的选择器
+        assert.equal(computeSize.height, 30);
+        // auto 和百分比返回布局所得的使用值，即 390 - 4 - 20 - 1 * 2
+        assert.equal(computeSize.width, 364);
+        assert.equal(computeSize.getValue('width'), '364px');
+
+        // 高度为 auto 的元素的高度为子元素的 outer height 之和
+        let main = new ComputeSize(body.querySelector('#main'), { provider: provider });
+        assert.equal(main.height, 92 + 92);
+
+        // !important 覆盖内联样式，百分比相对于父元素的宽度
+        let second = new ComputeSize(body.querySelector('#second'), { provider: provider });
+        assert.equal(second.width, 200);
+        assert.equal(second.height, 30);
+    });
+
+    it('Test outer size and box model', () => {
+        let body = DomUtils.parseHTMLbackend(html);
+        let provider = new NodeLayoutProvider();
+        let first = body.querySelector('#first');
+        let second = body.querySelector('#second');
+
+        // width = 400 - 5 - 5, height = 30 + 20 * 2 + 1 * 2
+        let metrics = provider.getMetrics(first);
+        assert.equal(metrics.offsetWidth, 390);
+        assert.equal(metrics.offsetHeight, 72);
+        assert.equal(metrics.clientWidth, 388);
+
+        assert.equal(DomUtils.getOuterHeight(first, { provider }), 92);
+        assert.equal(DomUtils.getOuterWidth(second, { provider }), 200 + 4 + 20 + 2 + 10);
+
+        // 父元素的高度为子元素的 outer height 之和
+        assert.equal(provider.getMetrics(body.querySelector('#main')).offsetHeight, 92 + 92);
+
+        let boxModel = DomUtils.getBoxModel(second, 'page', { provider });
+        assert.equal(boxModel.borderBox.left, 5);
+        assert.equal(boxModel.borderBox.top, 92 + 10);
+        assert.deepEqual(boxModel.padding, { top: 20, right: 20, bottom: 20, left: 4 });
+        assert.equal(boxModel.contentBox.width, 200);
+    });
+
+    it('Test setBox()', () => {
+        let body = DomUtils.parseHTMLbackend(html);
+        let provider = new NodeLayoutProvider({ scrollY: 50 });
+        let first = body.querySelector('#first');
+
+        provider.setBox(first, { width: 120, height: 80, left: 10, top: 200, scrollbarWidth: 15 });
+
+        let computeSize = new ComputeSize(first, { provider });
+        assert.equal(computeSize.outerWidth, 130);
+        assert.equal(computeSize.outerHeight, 100);
+        assert.equal(computeSize.scrollbarWidth, 15);
+        assert.equal(computeSize.innerWidth, 120 - 2 - 15 - 4 - 20);
+
+        let boxModel = computeSize.getBoxModel('viewport');
+        assert.equal(boxModel.borderBox.top, 150);
+        assert.equal(boxModel.marginBox.left, 5);
+    });
+
+    it('Test default provider', () => {
+        let body = DomUtils.parseHTMLbackend('<div style="width: 10em; margin-top: 4px"></div>');
+        let div = body.firstChild;
+
+        assert.ok(ComputeSize.getDefaultProvider() instanceof NodeLayoutProvider);
+        assert.equal(DomUtils.getPixelValueInStyle(div, 'width'), 160);
+        assert.equal(DomUtils.getOuterHeight(div), 4);
+
+        // 写入的样式会被提供者读取
+        let computeSize = DomUtils.getComputeSize(div);
+        computeSize.height = '2em';
+        assert.equal(DomUtils.getComputeSize(div).height, 32);
+    });
+
+    describe('BrowserLayoutProvider', () => {
+        // 模拟浏览器的 getComputedStyle() 以及元素的几何属性，通过 BrowserLayoutProvider 读取
+        let createFakeView = (doc, styles) => {
+            let view = {
+                pageXOffset: 0,
+                pageYOffset: 100,
+                getComputedStyle: (element) => {
+                    let style = Object.assign({ 'font-size': '16px' }, styles[element.id]);
+                    return {
+                        getPropertyValue: (name) => {
+                            return style[name] || '';
+                        }
+                    };
+                }
+            };
+
+            doc.defaultView = view;
+            return view;
+        };
+
+        let setMetrics = (element, metrics) => {
+            for (let name of Object.keys(metrics)) {
+                Object.defineProperty(element, name, { value: metrics[name], configurable: true });
+            }
+
+            Object.defineProperty(element, 'getBoundingClientRect', {
+                configurable: true,
+                value: () => {
+                    return { left: metrics.offsetLeft, top: metrics.offsetTop };
+                }
+            });
+        };
+
+        let body;
+        let box;
+        let provider = new BrowserLayoutProvider();
+
+        beforeEach(() => {
+            body = DomUtils.parseHTMLbackend('<div id="box"></div>');
+            box = body.querySelector('#box');
+
+            let styles = {
+                box: {
+                    'box-sizing': 'border-box',
+                    'width': '100px',
+                    'height': '50px',
+                    'margin-top': '10px', 'margin-bottom': '10px', 'margin-left': '5px', 'margin-right': '5px',
+                    'border-top-width': '1px', 'border-bottom-width': '1px', 'border-left-width': '1px', 'border-right-width': '1px',
+                    'padding-top': '2px', 'padding-bottom': '2px', 'padding-left': '3px', 'padding-right': '3px'
+                }
+            };
+
+            createFakeView(box.ownerDocument, styles);
+
+            // clientWidth 比 offsetWidth 少了边框以及 8px 的垂直滚动条
+            setMetrics(box, {
+                offsetWidth: 100, offsetHeight: 50,
+                clientWidth: 90, clientHeight: 48,
+                offsetLeft: 20, offsetTop: 30,
+                offsetParent: body
+            });
+        });
+
+        it('Test border widths, box sizing and scrollbar sizes', () => {
+            let computeSize = new ComputeSize(box, { provider });
+
+            assert.equal(computeSize.boxSizing, 'border-box');
+            assert.equal(computeSize.borderLeftWidth, 1);
+            assert.equal(computeSize.borderBottomWidth, 1);
+            assert.equal(computeSize.scrollbarWidth, 8);
+            assert.equal(computeSize.scrollbarHeight, 0);
+        });
+
+        it('Test inner, content and outer sizes', () => {
+            let computeSize = new ComputeSize(box, { provider });
+
+            assert.equal(computeSize.innerWidth, 84);
+            assert.equal(computeSize.innerHeight, 44);
+            assert.equal(computeSize.contentWidth, 92);
+            assert.equal(computeSize.contentHeight, 44);
+            assert.equal(computeSize.outerWidth, 110);
+            assert.equal(computeSize.outerHeight, 70);
+
+            assert.equal(DomUtils.getOuterWidth(box, { provider }), 110);
+            assert.equal(DomUtils.getOuterHeight(box, { provider }), 70);
+        });
+
+        it('Test getBoxModel()', () => {
+            let boxModel = new ComputeSize(box, { provider }).getBoxModel();
+
+            assert.deepEqual(boxModel.margin, { top: 10, right: 5, bottom: 10, left: 5 });
+            assert.deepEqual(boxModel.scrollbar, { width: 8, height: 0 });
+            assert.deepEqual(boxModel.borderBox, ComputeSize.createRect(20, 130, 100, 50));
+            assert.deepEqual(boxModel.paddingBox, ComputeSize.createRect(21, 131, 90, 48));
+            assert.deepEqual(boxModel.contentBox, ComputeSize.createRect(24, 133, 84, 44));
+            assert.deepEqual(boxModel.marginBox, ComputeSize.createRect(15, 120, 110, 70));
+            assert.equal(boxModel.innerWidth, 84);
+
+            let viewportBoxModel = DomUtils.getBoxModel(box, 'viewport', { provider });
+            assert.deepEqual(viewportBoxModel.borderBox, ComputeSize.createRect(20, 30, 100, 50));
+
+            let offsetBoxModel = DomUtils.getBoxModel(box, 'offsetParent', { provider });
+            assert.deepEqual(offsetBoxModel.borderBox, ComputeSize.createRect(20, 30, 100, 50));
+
+            assert.throws(() => {
+                new ComputeSize(box, { provider }).getBoxModel('screen');
+            });
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const assert = require('assert/strict');
+
+const { DomUtils, ComputeSize, CssVariables, Length, NodeLayoutProvider } = require('../index');
+
+describe('CssVariables Test', () => {
+    let html =
+        '<style>' +
+        ':root { --gap: 8px; --Accent: #0af }' +
+        '.card { --ratio: 1.5; --shadow: rgb(0 0 0 / 25%); width: var(--card-width, 120px) }' +
+        '.wide { --card-width: 300px }' +
+        '.loop { --a: var(--a); --b: var(--a, 2px) }' +
+        '</style>' +
+        '<div id="outer" class="wide"><div id="card" class="card"></div></div>' +
+        '<div id="plain" class="card loop"></div>';
+
+    it('Test get() with types', () => {
+        let body = DomUtils.parseHTMLbackend(html);
+        let doc = body.ownerDocument;
+        let card = body.querySelector('#card');
+        let options = { provider: new NodeLayoutProvider() };
+
+        // 变量会被继承
+        assert.equal(CssVariables.get(card, 'gap', 'string', options), '8px');
+        assert.equal(CssVariables.get(doc, '--gap', 'string', options), '8px');
+        assert.deepEqual(CssVariables.get(card, 'gap', 'length', options), new Length(8, 'px'));
+        assert.equal(CssVariables.get(card, 'ratio', 'number', options), 1.5);
+        assert.equal(CssVariables.get(card, 'missing', 'string', options), undefined);
+
+        // 名称区分大小写
+        assert.deepEqual(CssVariables.get(card, 'Accent', 'color', options), { r: 0, g: 170, b: 255, a: 1 });
+        assert.equal(CssVariables.get(card, 'accent', 'color', options), undefined);
+        assert.deepEqual(CssVariables.get(card, 'shadow', 'color', options), { r: 0, g: 0, b: 0, a: 0.25 });
+
+        assert.throws(() => {
+            CssVariables.get(card, 'gap', 'number', options);
+        });
+
+        assert.throws(() => {
+            CssVariables.get(card, 'gap', 'date', options);
+        });
+
+        // var() 的替换
+        let plain = body.querySelector('#plain');
+        assert.equal(new ComputeSize(card, options).getValue('width'), '300px');
+        assert.equal(new ComputeSize(plain, options).getValue('width'), '120px');
+        assert.equal(CssVariables.get(plain, 'a', 'string', options), undefined);
+        assert.equal(CssVariables.get(plain, 'b', 'string', options), '2px');
+    });
+
+    it('Test set() and remove()', () => {
+        let body = DomUtils.parseHTMLbackend(html);
+        let card = body.querySelector('#card');
+        let options = { provider: new NodeLayoutProvider() };
+
+        CssVariables.set(card, 'gap', '12px');
+        CssVariables.set(card, 'ratio', 2);
+        CssVariables.set(card, 'card-width', Length.parse('10em'));
+        CssVariables.set(card, 'shadow', { r: 255, g: 0, b: 0, a: 0.5 });
+
+        assert.equal(CssVariables.get(card, 'gap', 'string', options), '12px');
+        assert.equal(CssVariables.get(card, 'ratio', 'number', options), 2);
+        assert.equal(CssVariables.get(card, 'card-width', 'string', options), '10em');
+        assert.deepEqual(CssVariables.get(card, 'shadow', 'color', options), { r: 255, g: 0, b: 0, a: 0.5 });
+
+        CssVariables.remove(card, 'gap');
+        assert.equal(CssVariables.get(card, 'gap', 'string', options), '8px');
+
+        assert.throws(() => {
+            CssVariables.set(card, 'bad name', '1px');
+        });
+
+        assert.throws(() => {
+            CssVariables.set(card, 'gap', [1]);
+        });
+
+        // ComputeSize 也接受自定义属性
+        let computeSize = new ComputeSize(card, options);
+        computeSize.setValue('--gap', '3px');
+        assert.equal(computeSize.getValue('--gap'), '3px');
+        assert.throws(() => {
+            computeSize.getValue('-gap');
+        });
+
+        // 写入其他样式时保留自定义属性
+        computeSize.setValue('width', '20px');
+        computeSize.setValue('--shadow', 'url("data:image/png;base64,AA==")');
+        assert.equal(computeSize.getValue('width'), '20px');
+        assert.equal(computeSize.getValue('--gap'), '3px');
+        assert.equal(computeSize.getValue('--shadow'), 'url("data:image/png;base64,AA==")');
+
+        CssVariables.remove(card, 'gap');
+        assert.equal(computeSize.getValue('--gap'), '8px');
+        assert.equal(computeSize.getValue('width'), '20px');
+    });
+
+    it('Test parseColor()', () => {
+        assert.deepEqual(CssVariables.parseColor('#ff000080'), { r: 255, g: 0, b: 0, a: 0.502 });
+        assert.deepEqual(CssVariables.parseColor('rgba(10, 20, 30, 0.4)'), { r: 10, g: 20, b: 30, a: 0.4 });
+        assert.deepEqual(CssVariables.parseColor('rgb(100%, 0%, 50%)'), { r: 255, g: 0, b: 128, a: 1 });
+        assert.deepEqual(CssVariables.parseColor('hsl(120, 100%, 25%)'), { r: 0, g: 128, b: 0, a: 1 });
+        assert.deepEqual(CssVariables.parseColor(' Red '), { r: 255, g: 0, b: 0, a: 1 });
+        assert.deepEqual(CssVariables.parseColor('transparent'), { r: 0, g: 0, b: 0, a: 0 });
+
+        assert.throws(() => {
+            CssVariables.parseColor('#12345');
+        });
+
+        assert.throws(() => {
+            CssVariables.parseColor('rgb(1, 2)');
+        });
+
+        assert.equal(CssVariables.formatColor({ r: 1, g: 2, b: 3 }), 'rgb(1, 2, 3)');
+        assert.equal(CssVariables.formatColor({ r: 1, g: 2, b: 3, a: 0.5 }), 'rgba(1, 2, 3, 0.5)');
+    });
+});
@@ -0,0 +1,81 @@
+const assert = require('assert/strict');
+
+const {
+    DomUtils,
+    DatasetSchema } = require('../index');
+
+describe('DatasetSchema Test', () => {
+    let schema = new DatasetSchema({
+        id: 'int',
+        ratio: { type: 'float', default: 1 },
+        open: { type: 'boolean', default: false },
+        'created-at': 'date',
+        size: { type: 'enum', values: ['small', 'large'], default: 'small' },
+        tags: { type: 'stringArray' },
+        options: { type: 'json', default: {} }
+    });
+
+    it('Test read() and write()', () => {
+        let element = DomUtils.parseHTMLbackend('<div></div>').firstChild;
+
+        assert.deepEqual(schema.read(element), {
+            id: undefined,
+            ratio: 1,
+            open: false,
+            createdAt: undefined,
+            size: 'small',
+            tags: undefined,
+            options: {}
+        });
+
+        let date = new Date(Date.UTC(2021, 0, 2));
+        schema.write(element, {
+            id: 12,
+            open: true,
+            createdAt: date,
+            size: 'large',
+            tags: ['a', 'b'],
+            options: { x: [1] }
+        });
+
+        assert.equal(element.getAttribute('data-created-at'), '2021-01-02T00:00:00.000Z');
+        assert.equal(element.getAttribute('data-tags'), 'a,b');
+        assert.deepEqual(schema.read(element), {
+            id: 12,
+            ratio: 1,
+            open: true,
+            createdAt: date,
+            size: 'large',
+            tags: ['a', 'b'],
+            options: { x: [1] }
+        });
+
+        schema.write(element, { 'created-at': null });
+        assert.equal(element.hasAttribute('data-created-at'), false);
+    });
+
+    it('Test validation', () => {
+        let element = DomUtils.parseHTMLbackend(
+            '<div data-id="abc" data-open="yes" data-size="medium"></div>').firstChild;
+
+        assert.throws(() => { schema.readField(element, 'id'); });
+        assert.throws(() => { schema.readField(element, 'open'); });
+        assert.throws(() => { schema.readField(element, 'size'); });
+        assert.throws(() => { schema.write(element, { id: 1.5 }); });
+        assert.throws(() => { schema.write(element, { unknown: 1 }); });
+        assert.throws(() => { new DatasetSchema({ name: 'unknownType' }); });
+    });
+
+    it('Test toCamelCaseName() and toAttributeName()', () => {
+        assert.equal(DatasetSchema.toCamelCaseName('created-at'), 'createdAt');
+        assert.equal(DatasetSchema.toCamelCaseName('createdAt'), 'createdAt');
+
+        // '-' 之后的数字不转换
+        assert.equal(DatasetSchema.toCamelCaseName('item-1'), 'item-1');
+        assert.equal(DatasetSchema.toCamelCaseName('item-1-name'), 'item-1Name');
+        assert.equal(DatasetSchema.toAttributeName('item-1Name'), 'data-item-1-name');
+
+        assert.throws(() => { DatasetSchema.toCamelCaseName('Item'); });
+        assert.throws(() => { DatasetSchema.toCamelCaseName('item--a'); });
+    });
+});
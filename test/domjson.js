@@ -0,0 +1,91 @@
+const assert = require('assert/strict');
+
+const { DomUtils, DomJson } = require('../index');
+
+describe('DomJson Test', () => {
+    it('Test toJSON()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<ul class="list  main" id="list" data-item-count="2" data-item-1="a" data-1x="raw">' +
+            '<li>One</li>\n<!-- note --><li title="t">Two</li></ul>');
+
+        let json = DomUtils.toJSON(body.firstChild);
+        assert.deepEqual(json, {
+            type: 'element',
+            tag: 'ul',
+            attributes: { id: 'list', 'data-1x': 'raw' },
+            dataset: { itemCount: '2', 'item-1': 'a' },
+            classList: ['list', 'main'],
+            children: [
+                { type: 'element', tag: 'li', attributes: {}, dataset: {}, classList: [], children: [{ type: 'text', text: 'One' }] },
+                { type: 'text', text: '\n' },
+                { type: 'comment', text: ' note ' },
+                { type: 'element', tag: 'li', attributes: { title: 't' }, dataset: {}, classList: [], children: [{ type: 'text', text: 'Two' }] }
+            ]
+        });
+
+        let compact = DomUtils.toJSON(body.firstChild, { ignoreWhitespace: true, ignoreComments: true });
+        assert.deepEqual(compact.children.map((child) => { return child.tag; }), ['li', 'li']);
+
+        assert.throws(() => {
+            DomUtils.toJSON({});
+        });
+    });
+
+    it('Test round trip', () => {
+        let html = '<div class="card" data-id="7"><template><b>tpl</b></template>' +
+            '<svg viewBox="0 0 10 10"><use xlink:href="#icon"></use><foreignObject></foreignObject></svg>' +
+            '<!--c--><p>Text &amp; more</p></div>';
+        let body = DomUtils.parseHTMLbackend(html);
+
+        let domJson = new DomJson();
+        let json = domJson.toJSON(body.firstChild);
+
+        // JSON 对象可以被序列化
+        let copy = JSON.parse(JSON.stringify(json));
+
+        let element = DomUtils.fromJSON(copy);
+        assert.equal(DomUtils.serialize(element), DomUtils.serialize(body.firstChild));
+        assert.equal(element.querySelector('template').content.firstChild.tagName, 'B');
+        assert.equal(element.querySelector('svg').namespaceURI, 'http://www.w3.org/2000/svg');
+        assert.equal(element.querySelector('use').getAttributeNS('http://www.w3.org/1999/xlink', 'href'), '#icon');
+        assert.deepEqual(domJson.toJSON(element), json);
+
+        let doc = DomUtils.createHTMLDocument();
+        let fragment = domJson.toDOM({ type: 'fragment', children: [json, { type: 'text', text: ' ' }] }, doc);
+        assert.equal(fragment.childNodes.length, 2);
+        assert.equal(fragment.firstChild.ownerDocument, doc);
+
+        assert.throws(() => {
+            domJson.toDOM({ type: 'unknown' }, doc);
+        });
+
+        assert.throws(() => {
+            domJson.toDOM(json);
+        });
+    });
+
+    it('Test processing instructions and losses', () => {
+        let xml = DomUtils.parse('<?xml-stylesheet href="a.css"?><r><?pi some data?><item/></r>', 'xml');
+
+        let domJson = new DomJson();
+        let json = domJson.toJSON(xml);
+        assert.deepEqual(json.children[0], { type: 'processingInstruction', target: 'xml-stylesheet', text: 'href="a.css"' });
+        assert.deepEqual(json.children[1].children[0], { type: 'processingInstruction', target: 'pi', text: 'some data' });
+
+        let fragment = domJson.toDOM(json, xml);
+        assert.equal(fragment.firstChild.nodeType, 7);
+        assert.equal(fragment.firstChild.target, 'xml-stylesheet');
+        assert.equal(fragment.firstChild.data, 'href="a.css"');
+        assert.deepEqual(domJson.toJSON(fragment), json);
+
+        // 丢失的信息：DOCTYPE、空的 class 属性以及属性的顺序
+        let doc = DomUtils.parse(
+            '<!DOCTYPE html><html><head></head><body>' +
+            '<p data-a="1" class="" title="t"></p><p class="x  y"></p></body></html>', 'document');
+        json = domJson.toJSON(doc);
+        assert.deepEqual(json.children.map((child) => child.type), ['element']);
+
+        let body = DomUtils.fromJSON(json).firstChild.lastChild;
+        assert.equal(body.innerHTML, '<p title="t" data-a="1"></p><p class="x y"></p>');
+    });
+});
@@ -0,0 +1,113 @@
+const assert = require('assert/strict');
+
+const { DomUtils } = require('../index');
+
+describe('DomMorph Test', () => {
+    it('Test morph() keyed children', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<ul id="list" class="a">' +
+            '<li data-key="1">One</li><li data-key="2">Two</li><li data-key="3">Three</li>' +
+            '</ul>');
+
+        let list = body.firstChild;
+        let [one, two, three] = Array.from(list.children);
+        let listener = () => { };
+        two.addEventListener('click', listener);
+
+        let added = [];
+        let removed = [];
+        let result = DomUtils.morph(list, DomUtils.parse(
+            '<ul id="list" class="b" data-count="3">' +
+            '<li data-key="3">Three</li><li data-key="1" class="active">One!</li>' +
+            '<li data-key="4">Four</li><li data-key="2">Two</li>' +
+            '</ul>').firstChild, {
+            onNodeAdded: (node) => { added.push(node.textContent); },
+            onNodeRemoved: (node) => { removed.push(node.textContent); }
+        });
+
+        assert.equal(result, list);
+        assert.equal(list.className, 'b');
+        assert.equal(list.getAttribute('data-count'), '3');
+
+        let children = Array.from(list.children);
+        assert.equal(children[0], three);
+        assert.equal(children[1], one);
+        assert.equal(children[3], two);
+        assert.equal(one.className, 'active');
+        assert.equal(one.textContent, 'One!');
+        assert.deepEqual(added, ['Four']);
+        assert.deepEqual(removed, []);
+
+        DomUtils.morph(list, '<li data-key="2">Two</li>');
+        assert.equal(list.children.length, 1);
+        assert.equal(list.firstChild, two);
+    });
+
+    it('Test morph() unkeyed children and hooks', () => {
+        let body = DomUtils.parseHTMLbackend('<div><p title="x">a</p>text<span>b</span></div>');
+        let div = body.firstChild;
+        let p = div.firstChild;
+
+        let removed = [];
+        DomUtils.morph(div, '<p>A</p><span>B</span><em>c</em>', {
+            onBeforeNodeRemoved: (node) => {
+                removed.push(node.nodeType);
+                return true;
+            },
+            onBeforeNodeUpdated: (fromNode) => {
+                return fromNode.tagName !== 'SPAN';
+            }
+        });
+
+        assert.equal(div.firstChild, p);
+        assert.equal(p.hasAttribute('title'), false);
+        assert.equal(DomUtils.serialize(div), '<div><p>A</p><span>b</span><em>c</em></div>');
+        assert.deepEqual(removed, [3]);
+
+        // 标签名不同时替换节点
+        let result = DomUtils.morph(p, DomUtils.parse('<h1>A</h1>').firstChild);
+        assert.equal(result.tagName, 'H1');
+        assert.equal(div.firstChild, result);
+    });
+
+    it('Test morph() form control properties', () => {
+        let html =
+            '<form><input name="a" value="a"><input type="checkbox" checked>' +
+            '<textarea>text</textarea>' +
+            '<select><option value="1">1</option><option value="2" selected>2</option></select></form>';
+        let body = DomUtils.parseHTMLbackend(html);
+        let form = body.firstChild;
+        let [input, checkbox] = Array.from(form.querySelectorAll('input'));
+        let textarea = form.querySelector('textarea');
+        let options = Array.from(form.querySelectorAll('option'));
+
+        // 模拟用户的输入，即实时状态跟特性不一致
+        let setLiveValue = (element, name, value) => {
+            Object.defineProperty(element, name, { value: value, writable: true, configurable: true });
+        };
+        setLiveValue(input, 'value', 'typed');
+        setLiveValue(checkbox, 'checked', false);
+        setLiveValue(textarea, 'value', 'edited');
+        setLiveValue(options[0], 'selected', true);
+        setLiveValue(options[1], 'selected', false);
+
+        // 特性没有变化，实时状态也会被同步
+        DomUtils.morph(form, DomUtils.parse(html).firstChild);
+        assert.equal(input.value, 'a');
+        assert.equal(checkbox.checked, true);
+        assert.equal(textarea.value, 'text');
+        assert.deepEqual(options.map((option) => option.selected), [false, true]);
+
+        setLiveValue(checkbox, 'checked', true);
+        DomUtils.morph(form, DomUtils.parse(
+            '<form><input name="a" value="b"><input type="checkbox">' +
+            '<textarea>new text</textarea>' +
+            '<select><option value="1" selected>1</option><option value="2">2</option></select></form>').firstChild);
+
+        assert.equal(form.querySelector('input'), input);
+        assert.equal(input.value, 'b');
+        assert.equal(checkbox.checked, false);
+        assert.equal(textarea.value, 'new text');
+        assert.deepEqual(options.map((option) => option.selected), [true, false]);
+    });
+});
@@ -9,4 +9,231 @@ describe('DomUtils Test', () => {
     it('Test parseHtml()', ()=>{
         assert(true);
     });
+
+    it('Test parse()', () => {
+        let fragment = DomUtils.parse(' <tr><td>1</td></tr><li>a</li>');
+        assert.equal(fragment.nodeType, 11);
+        assert.deepEqual(Array.from(fragment.childNodes).map((node) => node.nodeName),
+            ['#text', 'TR', 'LI']);
+
+        let doc = DomUtils.parse('<html><head><title>T</title></head><body></body></html>', 'document');
+        assert.equal(doc.title, 'T');
+
+        let xml = DomUtils.parse(
+            '<?xml version="1.0"?><root xmlns:a="urn:a"><a:item a:id="1">x &amp; y</a:item><empty/></root>',
+            'xml');
+        let item = xml.documentElement.firstChild;
+        assert.equal(item.namespaceURI, 'urn:a');
+        assert.equal(item.getAttributeNS('urn:a', 'id'), '1');
+        assert.equal(item.textContent, 'x & y');
+
+        let svg = DomUtils.parse('<svg xmlns="http://www.w3.org/2000/svg"><circle r="1"/></svg>', 'svg');
+        assert.equal(svg.documentElement.firstChild.namespaceURI, 'http://www.w3.org/2000/svg');
+
+        assert.throws(() => {
+            DomUtils.parse('<root><a></root>', 'xml');
+        }, /line 1, column 10/);
+
+        assert.equal(DomUtils.parse('<r>&#65;&#x1F600;</r>', 'xml').documentElement.textContent, 'A\u{1F600}');
+        for (let reference of ['&#0;', '&#-1;', '&#x110000;', '&#99999999999;', '&#1.5;', '&#x;']) {
+            assert.throws(() => {
+                DomUtils.parse(`<r>${reference}</r>`, 'xml');
+            }, /Invalid character reference/);
+        }
+
+        assert.throws(() => {
+            DomUtils.parse('<div></div>', 'unknown');
+        });
+    });
+
+    it('Test serialize()', () => {
+        let fragment = DomUtils.parse(
+            '<ul class="list" id="a"><li>One <b>two</b></li><li><input type="checkbox" checked=""><br></li></ul>' +
+            '<pre>  x\n  y</pre><svg xmlns="http://www.w3.org/2000/svg"><circle r="1"></circle></svg>');
+
+        assert.equal(DomUtils.serialize(fragment),
+            '<ul class="list" id="a"><li>One <b>two</b></li><li><input type="checkbox" checked=""><br></li></ul>' +
+            '<pre>  x\n  y</pre><svg xmlns="http://www.w3.org/2000/svg"><circle r="1"/></svg>');
+
+        assert.equal(DomUtils.serialize(fragment.firstChild, {
+            indent: 2,
+            sortAttributes: true,
+            minimizeBooleanAttributes: true
+        }), [
+            '<ul class="list" id="a">',
+            '  <li>One <b>two</b></li>',
+            '  <li><input checked type="checkbox"><br></li>',
+            '</ul>'].join('\n'));
+
+        assert.equal(DomUtils.serialize(fragment.firstChild.lastChild, { xhtml: true }),
+            '<li><input type="checkbox" checked="checked" /><br /></li>');
+
+        let text = DomUtils.parse('<p title="a &quot;b&quot;">1 &lt; 2 &amp; 3&nbsp;</p>');
+        assert.equal(DomUtils.serialize(text), '<p title="a &quot;b&quot;">1 &lt; 2 &amp; 3&nbsp;</p>');
+    });
+
+    it('Test sanitize()', () => {
+        let report = [];
+        let fragment = DomUtils.sanitize(
+            '<p onclick="x()" class="a">Hi <a href="java\tscript:alert(1)" title="t">link</a>' +
+            '<a href="/path">ok</a><font color="red">red</font></p>' +
+            '<script>alert(1)</script><!-- note --><iframe src="x"></iframe>',
+            undefined, report);
+
+        assert.equal(fragment.nodeType, 11);
+        assert.equal(DomUtils.serialize(fragment),
+            '<p class="a">Hi <a title="t">link</a><a href="/path">ok</a>red</p>');
+        assert.deepEqual(report.map((item) => item.type + ':' + item.name), [
+            'attribute:href', 'element:font', 'attribute:onclick',
+            'element:script', 'comment:#comment', 'element:iframe']);
+
+        let body = DomUtils.parseHTMLbackend('<span data-id="1">a</span><img src="data:x">');
+        assert.equal(DomUtils.sanitize(body, { allowDataAttributes: true }), body);
+        assert.equal(body.innerHTML, '<span data-id="1">a</span><img>');
+
+        // 其他名称空间的元素即使名称被允许也会被删除
+        body = DomUtils.parseHTMLbackend(
+            '<svg><a href="/x"><text>svg</text></a></svg>' +
+            '<math><a href="/y">math</a><mi><b>ok</b></mi></math><a href="/z">html</a>');
+        report = [];
+        DomUtils.sanitize(body, undefined, report);
+        assert.equal(body.innerHTML, 'svgmath<b>ok</b><a href="/z">html</a>');
+        assert.deepEqual(report.map((item) => item.name), ['text', 'a', 'svg', 'a', 'mi', 'math']);
+
+        // srcset 之中的每个候选项都会被检查，data 等属性同样是 URL
+        body = DomUtils.parseHTMLbackend(
+            '<img srcset="a.png 1x, data:image/png;base64,AA== 2x">' +
+            '<img srcset="a.png 1x, https://example.com/b.png?a,b 2x">' +
+            '<a data="javascript:alert(1)">x</a>');
+        DomUtils.sanitize(body, {
+            allowedTags: ['img', 'a'],
+            allowedAttributes: { img: ['srcset'], a: ['data'] }
+        });
+        assert.equal(body.innerHTML, '<img><img srcset="a.png 1x, https://example.com/b.png?a,b 2x"><a>x</a>');
+
+        // Document 的 head 同样会被净化
+        let doc = DomUtils.parse(
+            '<html><head><script>alert(1)</script>' +
+            '<meta http-equiv="refresh" content="0;url=javascript:alert(1)"></head>' +
+            '<body onload="alert(1)"><p>text</p></body></html>', 'document');
+        report = [];
+        assert.equal(DomUtils.sanitize(doc, undefined, report), doc);
+        assert.equal(doc.head.childNodes.length, 0);
+        assert.equal(doc.body.hasAttribute('onload'), false);
+        assert.equal(doc.body.innerHTML, '<p>text</p>');
+        assert.deepEqual(report.map((item) => item.type + ':' + item.name), [
+            'element:script', 'element:meta', 'attribute:onload']);
+    });
+
+    it('Test findElementAndParent() and findParentElement()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div class="top"><ul class="list"><li class="item"><span>a</span></li></ul></div>');
+        let span = body.querySelector('span');
+        let li = body.querySelector('li');
+        let ul = body.querySelector('ul');
+        let top = body.querySelector('.top');
+
+        assert.equal(DomUtils.findElementAndParent(li, 'item'), li);
+        assert.equal(DomUtils.findElementAndParent(span, undefined, 'UL'), ul);
+        assert.equal(DomUtils.findElementAndParent(span, 'top', undefined, ul), undefined);
+        // 标签名称不区分大小写
+        assert.equal(DomUtils.findElementAndParent(span, undefined, 'ul'), ul);
+
+        assert.equal(DomUtils.findParentElement(li, 'item'), undefined);
+        assert.equal(DomUtils.findParentElement(span, 'list', 'UL'), ul);
+        assert.deepEqual(DomUtils.findAllParentElements(span, undefined, 'DIV'), [top]);
+    });
+
+    it('Test findPreviousElementAndParent()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div class="block a"></div>' +
+            '<div class="block b"><p>1</p><p id="p2">2</p><p>3</p></div>' +
+            '<div class="block c"></div>');
+        let p2 = body.querySelector('#p2');
+
+        assert.equal(DomUtils.findPreviousElementAndParent(p2, 'block').classList.contains('b'), true);
+        assert.equal(DomUtils.findPreviousElementAndParentByClassNames(p2, ['block', 'a']).classList.contains('a'), true);
+        assert.equal(DomUtils.findAllPreviousElementAndParent(p2, 'block').length, 2);
+    });
+
+    it('Test findNextElementAndParent()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div class="block a"></div>' +
+            '<div class="block b"><p>1</p><p id="p2">2</p><p>3</p></div>' +
+            '<div class="block c"></div>');
+        let p2 = body.querySelector('#p2');
+
+        assert.equal(DomUtils.findNextElementAndParent(p2, undefined, 'P').textContent, '3');
+        assert.equal(DomUtils.findNextElementAndParent(p2, 'block').classList.contains('c'), true);
+        assert.equal(DomUtils.findAllNextElementAndParent(p2, undefined, 'DIV').length, 1);
+    });
+
+    it('Test findElement() with attributes, dataset and predicate', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<ul><li data-state="open" title="x">1</li><li data-state="closed">2</li><li>3</li></ul>');
+        let ul = body.firstChild;
+
+        assert.equal(DomUtils.findElement(ul, { dataset: { state: 'closed' } }, 'descendants').textContent, '2');
+        assert.equal(DomUtils.findElement(ul, { attributes: { title: true } }, 'descendants').textContent, '1');
+        assert.equal(DomUtils.findAllElements(ul, { dataset: { state: /^(open|closed)$/ } }, 'descendants').length, 2);
+        assert.deepEqual(
+            DomUtils.findAllElements(ul, (element) => element.textContent === '3', 'descendants')
+                .map((element) => element.tagName), ['LI']);
+
+        assert.throws(() => {
+            DomUtils.findElementAndParent(ul);
+        });
+    });
+
+    it('Test findNextElementInDocument() and findPreviousElementInDocument()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div class="block" id="a"><p class="focusable" id="a1"></p></div>' +
+            '<div class="block" id="b"><span id="start"></span></div>' +
+            '<div class="block" id="c"><p><i class="focusable" id="c1"></i></p></div>');
+        let start = body.querySelector('#start');
+
+        assert.equal(DomUtils.findNextElementAndParentByClassNames(start, ['focusable']), undefined);
+        assert.equal(DomUtils.findNextElementInDocument(start, 'focusable').id, 'c1');
+        assert.equal(DomUtils.findNextElementInDocumentByClassNames(start, ['block']).id, 'c');
+        assert.equal(DomUtils.findPreviousElementInDocument(start, 'focusable').id, 'a1');
+        assert.equal(DomUtils.findPreviousElementInDocument(start, undefined, 'DIV').id, 'b');
+        assert.deepEqual(
+            DomUtils.findAllElements(start, { tagName: 'p' }, 'previousInDocument').map((e) => e.id),
+            ['a1']);
+    });
+
+    it('Test find*BySelector()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<ul class="menu">' +
+            '<li class="item" data-state="open" id="a"></li>' +
+            '<li class="item disabled" data-state="open" id="b"></li>' +
+            '<li class="item" id="c"><span id="start"></span></li>' +
+            '<li class="item" data-state="open" id="d"></li>' +
+            '</ul>');
+        let start = body.querySelector('#start');
+        let selector = 'li.item[data-state="open"]:not(.disabled)';
+
+        assert.equal(DomUtils.findElementAndParentBySelector(start, 'li.item').id, 'c');
+        assert.equal(DomUtils.findParentElementBySelector(start, 'ul.menu > li').id, 'c');
+        assert.equal(DomUtils.findPreviousElementAndParentBySelector(body.querySelector('#c'), selector).id, 'a');
+        assert.equal(DomUtils.findNextElementAndParentBySelector(start, selector).id, 'd');
+        assert.deepEqual(
+            DomUtils.findAllElements(body.firstChild, selector, 'descendants').map((e) => e.id),
+            ['a', 'd']);
+        assert.equal(DomUtils.findElement(start, { selector: 'li', dataset: { state: 'open' } }, 'next').id, 'd');
+
+        let ids = (elements) => elements.map((e) => e.id);
+        assert.deepEqual(ids(DomUtils.findAllElementAndParentBySelector(start, 'li, span')), ['start', 'c']);
+        assert.deepEqual(ids(DomUtils.findAllParentElementsBySelector(start, 'li')), ['c']);
+        assert.deepEqual(ids(DomUtils.findAllPreviousElementAndParentBySelector(start, '[data-state]')), ['b', 'a']);
+        assert.deepEqual(ids(DomUtils.findAllNextElementAndParentBySelector(start, 'li')), ['d']);
+        assert.equal(DomUtils.findPreviousElementInDocumentBySelector(start, 'li').id, 'c');
+        assert.deepEqual(ids(DomUtils.findAllPreviousElementInDocumentBySelector(start, selector)), ['a']);
+        assert.equal(DomUtils.findNextElementInDocumentBySelector(body.querySelector('#a'), 'li').id, 'b');
+        assert.deepEqual(ids(DomUtils.findAllNextElementInDocumentBySelector(body.querySelector('#a'), 'li')), ['b', 'c', 'd']);
+
+        assert.throws(() => {
+            DomUtils.findElementAndParentBySelector(start, 'li[');
+        });
+    });
 });
@@ -0,0 +1,64 @@
+const assert = require('assert/strict');
+
+const { DomUtils, ElementBuilder } = require('../index');
+
+describe('ElementBuilder Test', () => {
+    it('Test create()', () => {
+        let doc = DomUtils.createHTMLDocument();
+        let builder = new ElementBuilder(doc);
+        let h = builder.create.bind(builder);
+
+        let clicks = 0;
+        let element = h('ul#menu.list', {
+            role: 'menu',
+            hidden: false,
+            'aria-busy': true,
+            classList: ['dark', { active: true, disabled: false }],
+            dataset: { itemCount: 2, ignored: undefined },
+            style: { width: 200, '--gap': '4px', lineHeight: 1.5, marginTop: '1em', '--columns': 3, height: 10 },
+            on: { click: () => { clicks++; } }
+        },
+        h('li', 'First'),
+        h('li', null, 'Second', h('b', '!'), [3, null, false]),
+        null);
+
+        assert.equal(element.ownerDocument, doc);
+        assert.equal(element.getAttribute('id'), 'menu');
+        assert.equal(element.className, 'list dark active');
+        assert.equal(element.getAttribute('role'), 'menu');
+        assert.equal(element.hasAttribute('hidden'), false);
+        assert.equal(element.getAttribute('aria-busy'), '');
+        assert.equal(element.getAttribute('data-item-count'), '2');
+        assert.equal(element.hasAttribute('data-ignored'), false);
+        assert.equal(element.style.getPropertyValue('width'), '200px');
+        assert.equal(element.style.getPropertyValue('line-height'), '1.5');
+        assert.equal(element.style.getPropertyValue('margin-top'), '1em');
+        assert.equal(element.style.getPropertyValue('height'), '10px');
+        assert.match(element.getAttribute('style'), /--gap: 4px;/);
+        assert.match(element.getAttribute('style'), /--columns: 3;/);
+        assert.equal(element.innerHTML, '<li>First</li><li>Second<b>!</b>3</li>');
+
+        let event = doc.createEvent('Event');
+        event.initEvent('click', true, true);
+        element.dispatchEvent(event);
+        assert.equal(clicks, 1);
+
+        assert.throws(() => { h('div', { dataset: { 'item-count': 1 } }); });
+        assert.throws(() => { h('div#a b'); });
+    });
+
+    it('Test svg() and fragment()', () => {
+        let builder = new ElementBuilder(DomUtils.createHTMLDocument());
+
+        let svg = builder.create('svg', { viewBox: '0 0 10 10' },
+            builder.svg('circle', { r: 5 }));
+        assert.equal(svg.namespaceURI, 'http://www.w3.org/2000/svg');
+        assert.equal(svg.firstChild.namespaceURI, 'http://www.w3.org/2000/svg');
+        assert.equal(svg.firstChild.getAttribute('r'), '5');
+
+        let fragment = builder.fragment(builder.create('.item'), 'text');
+        assert.equal(fragment.childNodes.length, 2);
+        assert.equal(fragment.firstChild.tagName, 'DIV');
+        assert.equal(fragment.firstChild.className, 'item');
+    });
+});
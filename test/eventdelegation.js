@@ -0,0 +1,57 @@
+const assert = require('assert/strict');
+
+const { DomUtils, EventDelegation } = require('../index');
+
+describe('EventDelegation Test', () => {
+    let click = (node) => {
+        let event = node.ownerDocument.createEvent('Event');
+        event.initEvent('click', true, true);
+        node.dispatchEvent(event);
+    };
+
+    it('Test on() and unsubscribe', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div class="item" id="outer"><ul id="list">' +
+            '<li class="item" id="a"><b>A</b></li><li id="b">B</li></ul></div>');
+
+        let list = body.querySelector('#list');
+        let matched = [];
+        let unsubscribe = EventDelegation.on(list, 'click', { className: 'item' }, (event, element) => {
+            matched.push(element.id);
+        });
+
+        click(body.querySelector('#a b').firstChild.parentNode);
+        click(body.querySelector('#b'));
+        click(list);
+        // 不会越过容器找到外层的 '.item'
+        assert.deepEqual(matched, ['a']);
+
+        unsubscribe();
+        unsubscribe();
+        click(body.querySelector('#a'));
+        assert.deepEqual(matched, ['a']);
+    });
+
+    it('Test once and off()', () => {
+        let body = DomUtils.parseHTMLbackend('<ul><li id="a">A</li><li id="b">B</li></ul>');
+        let list = body.firstChild;
+
+        let onceCount = 0;
+        let count = 0;
+        EventDelegation.on(list, 'click', '#b', () => { onceCount++; }, { once: true });
+        EventDelegation.on(list, 'click', 'li', () => { count++; });
+
+        // 没有匹配时不会取消 once 委托
+        click(body.querySelector('#a'));
+        click(body.querySelector('#b'));
+        click(body.querySelector('#b'));
+        assert.equal(onceCount, 1);
+        assert.equal(count, 3);
+
+        EventDelegation.off(list);
+        click(body.querySelector('#b'));
+        assert.equal(count, 3);
+
+        assert.throws(() => { EventDelegation.on(list, 'click', 'li'); });
+    });
+});
@@ -0,0 +1,250 @@
+const assert = require('assert/strict');
+
+const { DomUtils, FocusUtils, NodeLayoutProvider, RovingTabIndex } = require('../index');
+
+describe('FocusUtils Test', () => {
+    // 后端环境的 focus() 不做任何事，所以这里模拟焦点的移动
+    let simulateFocus = (body) => {
+        let doc = body.ownerDocument;
+        let active = body;
+
+        Object.defineProperty(doc, 'activeElement', {
+            configurable: true,
+            get: () => { return active; }
+        });
+
+        for (let element of [body, ...body.querySelectorAll('*')]) {
+            Object.defineProperty(element, 'focus', {
+                value: () => {
+                    active = element;
+                    let event = doc.createEvent('Event');
+                    event.initEvent('focusin', true, false);
+                    element.dispatchEvent(event);
+                }
+            });
+        }
+    };
+
+    let keyDown = (node, key, shiftKey = false) => {
+        let event = node.ownerDocument.createEvent('Event');
+        event.initEvent('keydown', true, true);
+        event.key = key;
+        event.shiftKey = shiftKey;
+        node.dispatchEvent(event);
+        return event;
+    };
+
+    let ids = (elements) => {
+        return elements.map((element) => {
+            return element.id;
+        });
+    };
+
+    it('Test getFocusableElements() and getTabbableElements()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="root">' +
+            '<a id="a1" href="#">A</a><a id="a2">no href</a>' +
+            '<button id="b1" tabindex="2">B</button>' +
+            '<input id="i1"><input id="i2" type="hidden"><input id="i3" disabled>' +
+            '<span id="s1" tabindex="-1">S</span><span id="s2" tabindex="1">S</span>' +
+            '<div hidden><button id="b2">hidden</button></div>' +
+            '<div inert><button id="b3">inert</button></div>' +
+            '<div style="display:none"><button id="b4">none</button></div>' +
+            '<button id="b5" style="visibility:hidden">invisible</button>' +
+            '<fieldset disabled><legend><input id="i4"></legend><input id="i5"></fieldset>' +
+            '<textarea id="t1"></textarea>' +
+            '</div>');
+
+        let root = body.querySelector('#root');
+
+        assert.deepEqual(ids(FocusUtils.getFocusableElements(root)),
+            ['a1', 'b1', 'i1', 's1', 's2', 'i4', 't1']);
+
+        assert.deepEqual(ids(FocusUtils.getTabbableElements(root)),
+            ['s2', 'b1', 'a1', 'i1', 'i4', 't1']);
+
+        assert(FocusUtils.isFocusable(body.querySelector('#s1')));
+        assert(!FocusUtils.isTabbable(body.querySelector('#s1')));
+        assert(!FocusUtils.isFocusable(body.querySelector('#i5')));
+    });
+
+    it('Test checking ancestors once per call', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="root"><div><div><div>' + '<button>b</button>'.repeat(5) + '</div></div></div></div>');
+
+        let provider = new NodeLayoutProvider();
+        let getComputedStyle = provider.getComputedStyle.bind(provider);
+        let count = 0;
+        provider.getComputedStyle = (element) => {
+            count++;
+            return getComputedStyle(element);
+        };
+
+        // 4 个祖先元素各检查一次，5 个按钮各检查 display 和 visibility
+        assert.equal(FocusUtils.getTabbableElements(body.querySelector('#root'), provider).length, 5);
+        assert.equal(count, 4 + 5 * 2);
+    });
+
+    it('Test findNextFocusable() and findPreviousFocusable()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="root"><button id="b1">1</button>' +
+            '<div id="group"><input id="i1" disabled><input id="i2"></div>' +
+            '<button id="b2">2</button></div><button id="b3">3</button>');
+
+        let root = body.querySelector('#root');
+
+        assert.equal(FocusUtils.findNextFocusable(body.querySelector('#b1')).id, 'i2');
+        assert.equal(FocusUtils.findNextFocusable(body.querySelector('#group')).id, 'i2');
+        assert.equal(FocusUtils.findNextFocusable(body.querySelector('#b2')).id, 'b3');
+        assert.equal(FocusUtils.findNextFocusable(body.querySelector('#b2'), root), undefined);
+
+        assert.equal(FocusUtils.findPreviousFocusable(body.querySelector('#b2')).id, 'i2');
+        assert.equal(FocusUtils.findPreviousFocusable(body.querySelector('#i2')).id, 'b1');
+        assert.equal(FocusUtils.findPreviousFocusable(body.querySelector('#b1'), root), undefined);
+    });
+
+    it('Test trapFocus()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<button id="opener">open</button>' +
+            '<div id="dialog"><button id="first">1</button><button id="last">2</button></div>');
+
+        simulateFocus(body);
+        let doc = body.ownerDocument;
+        body.querySelector('#opener').focus();
+
+        let release = FocusUtils.trapFocus(body.querySelector('#dialog'));
+        assert.equal(doc.activeElement.id, 'first');
+
+        // Tab 键在容器之内循环
+        body.querySelector('#last').focus();
+        assert(keyDown(doc.activeElement, 'Tab').defaultPrevented);
+        assert.equal(doc.activeElement.id, 'first');
+
+        assert(keyDown(doc.activeElement, 'Tab', true).defaultPrevented);
+        assert.equal(doc.activeElement.id, 'last');
+
+        assert(!keyDown(doc.activeElement, 'Tab', true).defaultPrevented);
+
+        // 焦点移到容器之外会被移回容器之内
+        body.querySelector('#opener').focus();
+        assert.equal(doc.activeElement.id, 'first');
+
+        release();
+        assert.equal(doc.activeElement.id, 'opener');
+
+        body.querySelector('#last').focus();
+        release();
+        assert.equal(doc.activeElement.id, 'last');
+    });
+
+    it('Test RovingTabIndex', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<ul id="list">' +
+            '<li id="a" role="option">A</li><li id="b" role="option" hidden>B</li>' +
+            '<li id="c" role="option">C</li><li id="d" role="option">D</li>' +
+            '<li id="e">not option</li></ul>');
+
+        simulateFocus(body);
+        let doc = body.ownerDocument;
+        let list = body.querySelector('#list');
+        let changes = [];
+
+        let roving = new RovingTabIndex(list, {
+            items: '[role="option"]',
+            onChange: (item) => { changes.push(item.id); }
+        });
+
+        assert.deepEqual(ids(roving.getItems()), ['a', 'c', 'd']);
+        assert.equal(body.querySelector('#a').getAttribute('tabindex'), '0');
+        assert.equal(body.querySelector('#c').getAttribute('tabindex'), '-1');
+        assert.equal(body.querySelector('#e').hasAttribute('tabindex'), false);
+
+        keyDown(body.querySelector('#a'), 'ArrowDown');
+        assert.equal(doc.activeElement.id, 'c');
+        assert.equal(body.querySelector('#a').getAttribute('tabindex'), '-1');
+        assert.equal(body.querySelector('#c').getAttribute('tabindex'), '0');
+
+        // vertical 方向忽略左右方向键
+        assert(!keyDown(doc.activeElement, 'ArrowRight').defaultPrevented);
+
+        keyDown(doc.activeElement, 'End');
+        keyDown(doc.activeElement, 'ArrowDown');
+        assert.equal(doc.activeElement.id, 'a');
+
+        keyDown(doc.activeElement, 'ArrowUp');
+        assert.equal(doc.activeElement.id, 'd');
+
+        // 通过鼠标等方式获得焦点的项目成为当前项目
+        body.querySelector('#c').focus();
+        assert.equal(roving.activeItem.id, 'c');
+        assert.deepEqual(changes, ['c', 'd', 'a', 'd', 'c']);
+
+        roving.dispose();
+        keyDown(doc.activeElement, 'ArrowDown');
+        assert.equal(doc.activeElement.id, 'c');
+    });
+
+    it('Test RovingTabIndex with editable targets', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="toolbar">' +
+            '<button id="b1">1</button><input id="i1"><textarea id="t1"></textarea>' +
+            '<div id="e1" contenteditable="true"><span id="s1">text</span></div>' +
+            '<div contenteditable="false"><button id="b2">2</button></div></div>');
+
+        simulateFocus(body);
+        let doc = body.ownerDocument;
+        let roving = new RovingTabIndex(body.querySelector('#toolbar'), { orientation: 'horizontal' });
+        assert.deepEqual(ids(roving.getItems()), ['b1', 'i1', 't1', 'e1', 'b2']);
+
+        keyDown(body.querySelector('#b1'), 'ArrowRight');
+        assert.equal(doc.activeElement.id, 'i1');
+
+        // 方向键、Home 和 End 键在输入框之内用于移动光标
+        for (let id of ['i1', 't1', 's1']) {
+            let target = body.querySelector('#' + id);
+            for (let key of ['ArrowRight', 'ArrowLeft', 'Home', 'End']) {
+                assert(!keyDown(target, key).defaultPrevented);
+            }
+        }
+        assert.equal(doc.activeElement.id, 'i1');
+        assert.equal(roving.activeItem.id, 'i1');
+
+        assert(keyDown(body.querySelector('#b2'), 'ArrowLeft').defaultPrevented);
+        assert.equal(doc.activeElement.id, 'b1');
+
+        roving.dispose();
+    });
+
+    it('Test RovingTabIndex grid', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="grid">' +
+            '<button id="b0">0</button><button id="b1">1</button><button id="b2">2</button>' +
+            '<button id="b3">3</button><button id="b4">4</button></div>');
+
+        simulateFocus(body);
+        let doc = body.ownerDocument;
+        let grid = body.querySelector('#grid');
+
+        assert.throws(() => {
+            new RovingTabIndex(grid, { orientation: 'grid' });
+        });
+
+        let roving = new RovingTabIndex(grid, { orientation: 'grid', columns: 3, wrap: false });
+
+        keyDown(grid.firstChild, 'ArrowRight');
+        assert.equal(doc.activeElement.id, 'b1');
+
+        keyDown(doc.activeElement, 'ArrowDown');
+        assert.equal(doc.activeElement.id, 'b4');
+
+        keyDown(doc.activeElement, 'ArrowDown');
+        keyDown(doc.activeElement, 'ArrowRight');
+        assert.equal(doc.activeElement.id, 'b4');
+
+        keyDown(doc.activeElement, 'ArrowUp');
+        keyDown(doc.activeElement, 'ArrowLeft');
+        assert.equal(doc.activeElement.id, 'b0');
+
+        roving.dispose();
+    });
+});
@@ -0,0 +1,84 @@
+const assert = require('assert/strict');
+
+const { IllegalArgumentException } = require('jsexception');
+
+const { DomUtils, HtmlTemplate } = require('../index');
+
+const html = HtmlTemplate.html;
+
+describe('HtmlTemplate Test', () => {
+    it('Test toString() escaping', () => {
+        let items = ['<b>', 'a & b'];
+        let template = html`<ul class="${'x" onclick="y'}">${items.map((item) => html`<li>${item}</li>`)}</ul>`;
+        assert.equal(template.toString(),
+            '<ul class="x&quot; onclick=&quot;y"><li>&lt;b&gt;</li><li>a &amp; b</li></ul>');
+
+        assert.equal(html`<p>${null}${false}${0}${HtmlTemplate.raw('<br>')}</p>`.toString(), '<p>0<br></p>');
+
+        // URL 属性
+        assert.equal(html`<a href="${'javascript:alert(1)'}">x</a>`.toString(),
+            '<a href="about:invalid">x</a>');
+        assert.equal(html`<a href="${'https://example.com/?a=1&b=2'}">x</a>`.toString(),
+            '<a href="https://example.com/?a=1&amp;b=2">x</a>');
+        assert.equal(html`<a href='/users/${'a/b?c'}'>x</a>`.toString(),
+            '<a href=\'/users/a%2Fb%3Fc\'>x</a>');
+        assert.equal(html`<object data="${'javascript:alert(1)'}"></object>`.toString(),
+            '<object data="about:invalid"></object>');
+        assert.equal(html`<a href=" ${'javascript:alert(1)'}">x</a>`.toString(),
+            '<a href=" about:invalid">x</a>');
+
+        // srcset 逐个检查候选项
+        assert.equal(html`<img srcset="${'a.png 1x, javascript:alert(1) 2x'}">`.toString(),
+            '<img srcset="about:invalid">');
+        assert.equal(html`<img srcset="${'a.png'} 1x, ${'https://example.com/b.png'} 2x">`.toString(),
+            '<img srcset="a.png 1x, https://example.com/b.png 2x">');
+        assert.equal(html`<img srcset="a.png 1x, ${'javascript:alert(1)'} 2x">`.toString(),
+            '<img srcset="a.png 1x, about:invalid 2x">');
+        assert.equal(html`<img srcset="/img/${'a.png 1x, javascript:alert(1)'} 2x">`.toString(),
+            '<img srcset="/img/a.png%201x%2C%20javascript%3Aalert(1) 2x">');
+        assert.equal(html`<img srcset="${'data:image/png;base64,AA== 1x'}">`.toString(),
+            '<img srcset="about:invalid">');
+    });
+
+    it('Test unsafe contexts', () => {
+        assert.throws(() => { html`<div class=${'a'}></div>`.toString(); });
+        assert.throws(() => { html`<div ${'hidden'}></div>`.toString(); });
+        assert.throws(() => { html`<button onclick="${'f()'}"></button>`.toString(); });
+        assert.throws(() => {
+            html`<iframe srcdoc="${'<script>alert(1)</script>'}"></iframe>`.toString();
+        }, IllegalArgumentException);
+        assert.throws(() => { html`<script>${'1'}</script>`.toString(); });
+        assert.throws(() => { html`<!-- ${'x'} -->`.toString(); });
+        assert.throws(() => { html`<p title="${[1]}"></p>`.toString(); });
+
+        // 标签名的位置不允许插值
+        assert.throws(() => {
+            html`<${'script'}>alert(1)</${'script'}>`.toString();
+        }, IllegalArgumentException);
+        assert.throws(() => { html`<p></${'p'}>`.toString(); }, IllegalArgumentException);
+        assert.throws(() => { html`<h${1}></h1>`.toString(); }, IllegalArgumentException);
+        assert.equal(html`<p>1 < ${2}</p>`.toString(), '<p>1 < 2</p>');
+
+        // 原始文本元素结束之后可以插值
+        assert.equal(html`<style>p{}</style><p>${'<'}</p>`.toString(), '<style>p{}</style><p>&lt;</p>');
+    });
+
+    it('Test toFragment() and toElement()', () => {
+        let doc = DomUtils.createHTMLDocument();
+        let strong = doc.createElement('strong');
+        strong.textContent = 'bold';
+
+        let fragment = html`<p>${'<i>'}</p><div>${strong}</div>`.toFragment();
+        assert.equal(fragment.nodeType, 11);
+        assert.equal(fragment.firstChild.textContent, '<i>');
+        assert.equal(fragment.lastChild.firstChild, strong);
+
+        let element = html` <ul>${[1, 2].map((n) => html`<li>${n}</li>`)}</ul> `.toElement(doc);
+        assert.equal(element.tagName, 'UL');
+        assert.equal(element.childNodes.length, 2);
+
+        assert.throws(() => { html`<p></p><p></p>`.toElement(); });
+
+        assert.equal(html`<div>${strong}</div>`.toString(), '<div><strong>bold</strong></div>');
+    });
+});
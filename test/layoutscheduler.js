@@ -0,0 +1,67 @@
+const assert = require('assert/strict');
+
+const { DomUtils, ComputeSize, LayoutScheduler } = require('../index');
+
+describe('LayoutScheduler Test', () => {
+    it('Test measure() and mutate() order', async () => {
+        let frames = [];
+        let scheduler = new LayoutScheduler((callback) => {
+            frames.push(callback);
+        });
+
+        let log = [];
+        scheduler.mutate(() => { log.push('write 1'); });
+        let read = scheduler.measure(() => {
+            log.push('read 1');
+            scheduler.mutate(() => {
+                log.push('write 2');
+                scheduler.measure(() => { log.push('read 3'); });
+            });
+            return 42;
+        });
+        scheduler.measure(() => { log.push('read 2'); });
+
+        assert.equal(frames.length, 1);
+        frames.shift()();
+        assert.deepEqual(log, ['read 1', 'read 2', 'write 1', 'write 2']);
+        assert.equal(await read, 42);
+
+        assert.equal(frames.length, 1);
+        frames.shift()();
+        assert.deepEqual(log.slice(4), ['read 3']);
+    });
+
+    it('Test failed task', async () => {
+        let scheduler = new LayoutScheduler((callback) => { callback(); });
+        await assert.rejects(scheduler.measure(() => { throw new Error('x'); }));
+        assert.equal(await scheduler.mutate(() => 1), 1);
+    });
+
+    it('Test deferred ComputeSize', async () => {
+        let frames = [];
+        let scheduler = new LayoutScheduler((callback) => {
+            frames.push(callback);
+        });
+
+        let div = DomUtils.parseHTMLbackend('<div></div>').firstChild;
+        let computeSize = new ComputeSize(div, { deferred: true, scheduler });
+        computeSize.setValue('width', '10px');
+        computeSize.setValue('width', '20px');
+        assert.equal(div.style.width, '');
+
+        frames.shift()();
+        await computeSize.whenWritten();
+        assert.equal(div.style.width, '20px');
+
+        // 写入失败时不会产生未处理的 Promise 拒绝
+        let failed = new ComputeSize({
+            style: {
+                setProperty: () => { throw new Error('x'); }
+            }
+        }, { deferred: true, scheduler });
+        failed.setValue('--gap', '1px');
+
+        frames.shift()();
+        await assert.rejects(failed.whenWritten());
+    });
+});
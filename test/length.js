@@ -0,0 +1,95 @@
+const assert = require('assert/strict');
+
+const { DomUtils, ComputeSize, Length } = require('../index');
+
+describe('Length Test', () => {
+    it('Test parse()', () => {
+        let length = Length.parse('12.5px');
+        assert.equal(length.value, 12.5);
+        assert.equal(length.unit, 'px');
+
+        assert.equal(Length.parse('-1.5EM').toString(), '-1.5em');
+        assert.equal(Length.parse('50%').unit, '%');
+        assert.equal(Length.parse('0').toString(), '0px');
+        assert.equal(Length.parse(8).toString(), '8px');
+        assert.equal(Length.parse('auto'), Length.AUTO);
+        assert.equal(Length.parse(' normal '), Length.NORMAL);
+        assert.equal(Length.parse('calc(100% - 2em)').toString(), 'calc(100% - 2em)');
+
+        assert.throws(() => { Length.parse('12'); });
+        assert.throws(() => { Length.parse('12furlongs'); });
+        assert.throws(() => { Length.parse('calc(1px +)'); });
+
+        assert.equal(Length.tryParse('2em').toString(), '2em');
+        assert.equal(Length.tryParse('none'), undefined);
+        assert.equal(Length.tryParse('inherit'), undefined);
+    });
+
+    it('Test toPixels()', () => {
+        let context = {
+            fontSize: 20,
+            rootFontSize: 16,
+            percentBase: 300,
+            viewportWidth: 1000,
+            viewportHeight: 500
+        };
+
+        assert.equal(Length.parse('1in').toPixels(), 96);
+        assert.equal(Length.parse('1.5em').toPixels(context), 30);
+        assert.equal(Length.parse('2rem').toPixels(context), 32);
+        assert.equal(Length.parse('10%').toPixels(context), 30);
+        assert.equal(Length.parse('10vh').toPixels(context), 50);
+        assert.equal(Length.parse('10vmax').toPixels(context), 100);
+        assert.equal(Length.parse('calc(100% - (1em + 4px) * 2)').toPixels(context), 252);
+        assert.equal(Length.parse('calc(-2px + 10px / 2)').toPixels(context), 3);
+
+        assert.throws(() => { Length.AUTO.toPixels(context); });
+        assert.throws(() => { Length.parse('1em').toPixels(); });
+    });
+
+    it('Test ComputeSize length setters', () => {
+        let div = DomUtils.parseHTMLbackend('<div></div>').firstChild;
+        let computeSize = new ComputeSize(div);
+
+        computeSize.width = 12;
+        computeSize.height = '2em';
+        computeSize.marginLeft = Length.parse('50%');
+        assert.equal(div.style.width, '12px');
+        assert.equal(div.style.height, '2em');
+        assert.equal(div.style.marginLeft, '50%');
+
+        // 不带单位的数值字符串按 px 处理
+        computeSize.width = '10';
+        computeSize.top = ' -2.5 ';
+        assert.equal(div.style.width, '10px');
+        assert.equal(div.style.top, '-2.5px');
+
+        computeSize.width = '';
+        assert.equal(div.style.width, '');
+        assert.throws(() => { computeSize.width = '10furlongs'; });
+    });
+
+    it('Test non-length values', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<style>div { max-width: none }</style><div style="width: inherit; height: none"></div>');
+        let div = body.querySelector('div');
+
+        // 不是长度的值返回 undefined，而不是抛出异常
+        assert.equal(DomUtils.getPixelValueInStyle(div, 'width'), undefined);
+        assert.equal(DomUtils.getPixelValueInStyle(div, 'height'), undefined);
+        assert.equal(new ComputeSize(div).getPixelValue('max-width'), undefined);
+
+        // 设置时可以使用任何单位
+        DomUtils.setPixelValueInStyle(div, 'width', 20);
+        assert.equal(div.style.width, '20px');
+        DomUtils.setPixelValueInStyle(div, 'width', '2em');
+        assert.equal(div.style.width, '2em');
+        DomUtils.setPixelValueInStyle(div, 'marginLeft', Length.parse('calc(100% - 10px)'));
+        assert.equal(div.style.marginLeft, 'calc(100% - 10px)');
+        assert.equal(DomUtils.getPixelValueInStyle(div, 'width'), 32);
+
+        DomUtils.setPixelValueInStyle(div, 'width', undefined);
+        assert.equal(div.style.width, '');
+        assert.throws(() => { DomUtils.setPixelValueInStyle(div, 'width', 'none'); });
+    });
+});
@@ -0,0 +1,67 @@
+const assert = require('assert/strict');
+
+const { DomUtils, NodePath } = require('../index');
+
+describe('NodePath Test', () => {
+    it('Test getPath() and resolve()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="root">\n  <p>One</p>\n  <p>Two <b id="bold">bold</b></p>\n</div>');
+
+        let root = body.querySelector('#root');
+        let bold = body.querySelector('#bold');
+
+        assert.deepEqual(NodePath.getPath(bold, root), [3, 1]);
+        assert.deepEqual(NodePath.getPath(bold.firstChild, root), [3, 1, 0]);
+        assert.deepEqual(NodePath.getPath(root, root), []);
+        assert.equal(NodePath.resolve([3, 1], root), bold);
+        assert.equal(NodePath.resolve([], root), root);
+        assert.equal(NodePath.resolve([3, 5], root), undefined);
+
+        // 跳过空白文本节点
+        let options = { ignoreWhitespace: true };
+        assert.deepEqual(NodePath.getPath(bold, root, options), [1, 1]);
+        assert.equal(NodePath.resolve([1, 1], root, options), bold);
+
+        assert.throws(() => {
+            NodePath.getPath(root.firstChild, root, options);
+        });
+
+        assert.throws(() => {
+            NodePath.getPath(body, root);
+        });
+
+        // 同一个路径可以在另一个节点树之中使用
+        let copy = DomUtils.parseHTMLbackend('<div><p>One</p><p>Two <b>bold</b></p></div>').firstChild;
+        assert.equal(NodePath.resolve(NodePath.getPath(bold, root, options), copy, options).textContent, 'bold');
+    });
+
+    it('Test compare() and getCommonAncestor()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="root"><p id="p1"><i id="i1">I</i></p><p id="p2"><b id="b1">B</b></p></div>');
+
+        let root = body.querySelector('#root');
+        let p1 = body.querySelector('#p1');
+        let i1 = body.querySelector('#i1');
+        let b1 = body.querySelector('#b1');
+
+        assert.equal(NodePath.compare(i1, b1), -1);
+        assert.equal(NodePath.compare(b1, i1), 1);
+        assert.equal(NodePath.compare(p1, i1), -1);
+        assert.equal(NodePath.compare(i1, p1), 1);
+        assert.equal(NodePath.compare(b1, b1), 0);
+
+        assert.equal(NodePath.getCommonAncestor(i1.firstChild, b1), root);
+        assert.equal(NodePath.getCommonAncestor(p1, i1), p1);
+        assert.equal(NodePath.getCommonAncestor(i1, i1), i1);
+
+        let other = DomUtils.parseHTMLbackend('<div></div>').firstChild;
+        assert.equal(NodePath.getCommonAncestor(i1, other), undefined);
+        assert.throws(() => {
+            NodePath.compare(i1, other);
+        });
+
+        assert.equal(DomUtils.compareNodePosition(i1, b1), -1);
+        assert.equal(DomUtils.findCommonAncestor(i1, b1), root);
+        assert.equal(DomUtils.resolveNodePath(DomUtils.getNodePath(b1, root), root), b1);
+    });
+});
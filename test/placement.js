@@ -0,0 +1,167 @@
+const assert = require('assert/strict');
+
+const { DomUtils, LayoutScheduler, NodeLayoutProvider, Placement } = require('../index');
+
+describe('Placement Test', () => {
+    let create = () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<button id="anchor"></button>' +
+            '<div id="menu" style="position: absolute; margin-top: 2px">' +
+            '<i id="arrow" style="position: absolute"></i></div>');
+
+        let provider = new NodeLayoutProvider({ viewportWidth: 300, viewportHeight: 200 });
+        let anchor = body.querySelector('#anchor');
+        let menu = body.querySelector('#menu');
+        let arrow = body.querySelector('#arrow');
+
+        provider.setBox(anchor, { left: 100, top: 50, width: 40, height: 20 });
+        provider.setBox(menu, { width: 80, height: 60 });
+        provider.setBox(arrow, { width: 10, height: 5 });
+
+        return { anchor, menu, arrow, provider };
+    };
+
+    it('Test compute() placements', () => {
+        let { anchor, menu, provider } = create();
+
+        let result = Placement.compute(menu, anchor, { placement: 'bottom-start', offset: 4, provider });
+        assert.equal(result.placement, 'bottom-start');
+        assert.equal(result.rect.left, 100);
+        assert.equal(result.rect.top, 74);
+        // 样式定位的是 margin box
+        assert.equal(result.left, 100);
+        assert.equal(result.top, 72);
+
+        result = Placement.compute(menu, anchor, { placement: 'bottom-end', provider });
+        assert.equal(result.rect.left, 60);
+
+        result = Placement.compute(menu, anchor, { placement: 'right', provider });
+        assert.equal(result.rect.left, 140);
+        assert.equal(result.rect.top, 30);
+
+        result = Placement.compute(menu, { left: 10, top: 10 }, { placement: 'bottom-start', provider });
+        assert.equal(result.rect.left, 10);
+        assert.equal(result.rect.top, 10);
+
+        assert.throws(() => { Placement.compute(menu, anchor, { placement: 'middle', provider }); });
+    });
+
+    it('Test flip and shift', () => {
+        let { anchor, menu, provider } = create();
+
+        // 上方只有 50px，放不下 60px 高的浮动元素，下方的空间更大，所以翻转
+        let result = Placement.compute(menu, anchor, { placement: 'top', provider });
+        assert.equal(result.placement, 'bottom');
+        assert.equal(result.flipped, true);
+
+        result = Placement.compute(menu, anchor, { placement: 'top', flip: false, provider });
+        assert.equal(result.placement, 'top');
+
+        // 靠近视口右边缘时向左移动
+        provider.setBox(anchor, { left: 270, top: 50, width: 20, height: 20 });
+        result = Placement.compute(menu, anchor, { placement: 'bottom-start', padding: 5, provider });
+        assert.equal(result.rect.left, 215);
+        assert.equal(result.shift, -55);
+
+        result = Placement.compute(menu, anchor, { placement: 'bottom-start', shift: false, provider });
+        assert.equal(result.rect.left, 270);
+    });
+
+    it('Test position() with arrow', () => {
+        let { anchor, menu, arrow, provider } = create();
+
+        let result = Placement.position(menu, anchor, { placement: 'bottom-start', arrow, provider });
+        assert.deepEqual(result.arrow, { left: 15, top: undefined, side: 'top' });
+
+        assert.equal(menu.style.left, '100px');
+        assert.equal(menu.style.top, '68px');
+        assert.equal(arrow.style.left, '15px');
+        assert.equal(arrow.style.top, '');
+    });
+
+    it('Test autoUpdate()', async () => {
+        let { anchor, menu, provider } = create();
+
+        let listeners = {};
+        menu.ownerDocument.defaultView = {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            removeEventListener: (type) => { delete listeners[type]; }
+        };
+
+        let frames = [];
+        let scheduler = new LayoutScheduler((callback) => {
+            frames.push(callback);
+        });
+
+        let results = [];
+        let errors = [];
+        let stop = Placement.autoUpdate(menu, anchor, {
+            placement: 'bottom-start',
+            provider,
+            scheduler,
+            onUpdate: (result) => { results.push(result); },
+            onError: (e) => { errors.push(e); }
+        });
+
+        assert.equal(results.length, 1);
+        assert.equal(menu.style.left, '100px');
+
+        provider.setBox(anchor, { left: 120, top: 50, width: 40, height: 20 });
+        listeners.scroll();
+        listeners.resize();
+        assert.equal(frames.length, 1);
+        frames.shift()();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.equal(results.length, 2);
+        assert.equal(menu.style.left, '120px');
+
+        // 重新定位失败时调用 onError
+        provider.getMetrics = () => { throw new Error('metrics'); };
+        listeners.scroll();
+        frames.shift()();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+
+        assert.equal(results.length, 2);
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].message, 'metrics');
+
+        stop();
+        stop();
+        assert.deepEqual(listeners, {});
+    });
+
+    it('Test autoUpdate() when the first update fails', () => {
+        let { anchor, menu, provider } = create();
+
+        let listeners = {};
+        menu.ownerDocument.defaultView = {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            removeEventListener: (type) => { delete listeners[type]; }
+        };
+
+        provider.getMetrics = () => { throw new Error('metrics'); };
+        let scheduler = new LayoutScheduler(() => {});
+
+        // 没有 onError 时抛出异常，并且不会留下监听器
+        assert.throws(() => {
+            Placement.autoUpdate(menu, anchor, { provider, scheduler });
+        }, /metrics/);
+        assert.deepEqual(listeners, {});
+
+        // 有 onError 时调用 onError，之后仍然会重新定位
+        let errors = [];
+        let stop = Placement.autoUpdate(menu, anchor, {
+            provider,
+            scheduler,
+            onError: (e) => { errors.push(e); }
+        });
+
+        assert.equal(errors.length, 1);
+        assert.equal(errors[0].message, 'metrics');
+        assert.deepEqual(Object.keys(listeners).sort(), ['resize', 'scroll']);
+
+        stop();
+        assert.deepEqual(listeners, {});
+    });
+});
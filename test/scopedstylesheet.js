@@ -0,0 +1,118 @@
+const assert = require('assert/strict');
+
+const { DomUtils, ComputeSize, NodeLayoutProvider, ScopedStyleSheet } = require('../index');
+
+describe('ScopedStyleSheet Test', () => {
+    it('Test rules', () => {
+        let doc = DomUtils.createHTMLDocument(
+            '<div id="menu"><div class="item" id="a"></div></div><div class="item" id="b"></div>');
+
+        let styleSheet = new ScopedStyleSheet(doc, { scope: '#menu' });
+        assert.equal(styleSheet.isConstructable(), false);
+        assert.equal(doc.head.querySelectorAll('style').length, 1);
+
+        styleSheet.setRule('.item', { 'padding-left': '4px', '--gap': 8, 'color': undefined });
+        styleSheet.setRule(':scope, :is(.x, .y)', { 'margin-top': '2px' });
+
+        assert.equal(styleSheet.getText(),
+            '#menu .item { padding-left: 4px; --gap: 8; }\n' +
+            '#menu, #menu :is(.x, .y) { margin-top: 2px; }');
+
+        let provider = new NodeLayoutProvider();
+        let a = new ComputeSize(doc.getElementById('a'), { provider });
+        let b = new ComputeSize(doc.getElementById('b'), { provider });
+        assert.equal(a.getValue('padding-left'), '4px');
+        assert.equal(a.getValue('--gap'), '8');
+        assert.equal(b.getValue('padding-left'), '0px');
+        assert.equal(new ComputeSize(doc.getElementById('menu'), { provider }).getValue('margin-top'), '2px');
+
+        styleSheet.updateRule('.item', { 'padding-left': undefined, 'padding-top': '1px' });
+        assert.deepEqual(styleSheet.getRule('.item'), { '--gap': '8', 'padding-top': '1px' });
+        assert.equal(a.getValue('padding-left'), '0px');
+
+        assert.equal(styleSheet.removeRule('.item'), true);
+        assert.equal(styleSheet.removeRule('.item'), false);
+        assert.deepEqual(styleSheet.getSelectors(), [':scope, :is(.x, .y)']);
+
+        assert.throws(() => {
+            styleSheet.setRule('.item { } .evil', { 'color': 'red' });
+        });
+
+        assert.throws(() => {
+            styleSheet.setRule('.item', { 'color': 'red; background: blue' });
+        });
+
+        assert.throws(() => {
+            styleSheet.setRule('.item', { 'marginTop': '1px' });
+        });
+
+        // 字符串和括号之内的 ';' 不影响样式表的结构
+        let image = 'url("data:image/png;base64,AA==")';
+        styleSheet.setRule('[title="a, b"]', { 'background-image': image });
+        assert.equal(styleSheet.getText().split('\n')[1], `#menu [title="a, b"] { background-image: ${image}; }`);
+        styleSheet.removeRule('[title="a, b"]');
+
+        // 不允许提前结束 <style> 元素
+        assert.throws(() => {
+            styleSheet.setRule('.item', { 'color': 'red</style><script>alert(1)</script>' });
+        });
+
+        assert.throws(() => {
+            styleSheet.setRule('.item', { 'content': '"</STYLE>"' });
+        });
+
+        assert.throws(() => {
+            styleSheet.setRule('.item</style><script>', { 'color': 'red' });
+        });
+
+        assert.throws(() => {
+            styleSheet.setRule('.item', { 'background': 'url("a.png' });
+        });
+
+        assert.throws(() => {
+            new ScopedStyleSheet(doc, { scope: '#menu</style>' });
+        });
+
+        assert.throws(() => {
+            new ScopedStyleSheet(doc, { media: '(min-width: 1px) { } <' });
+        });
+
+        assert.deepEqual(styleSheet.getSelectors(), [':scope, :is(.x, .y)']);
+
+        styleSheet.dispose();
+        styleSheet.dispose();
+        assert.equal(doc.head.querySelectorAll('style').length, 0);
+
+        assert.throws(() => {
+            styleSheet.setRule('.item', { 'color': 'red' });
+        });
+    });
+
+    it('Test constructable stylesheets', () => {
+        let doc = DomUtils.createHTMLDocument();
+
+        // 模拟支持可构造样式表的浏览器
+        class FakeStyleSheet {
+            replaceSync(text) {
+                this.text = text;
+            }
+        }
+
+        doc.defaultView = { CSSStyleSheet: FakeStyleSheet };
+        doc.adoptedStyleSheets = [];
+
+        let styleSheet = new ScopedStyleSheet(doc, { media: '(max-width: 600px)' });
+        assert.equal(styleSheet.isConstructable(), true);
+        assert.equal(doc.adoptedStyleSheets.length, 1);
+
+        styleSheet.setRule('p', { 'color': 'red' });
+        assert.equal(doc.adoptedStyleSheets[0].text, '@media (max-width: 600px) {\np { color: red; }\n}');
+
+        styleSheet.dispose();
+        assert.equal(doc.adoptedStyleSheets.length, 0);
+
+        let fallback = new ScopedStyleSheet(doc, { constructable: false });
+        assert.equal(fallback.isConstructable(), false);
+        fallback.dispose();
+    });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert/strict');
+
+const { DomUtils, NodeLayoutProvider, ScrollUtils } = require('../index');
+
+describe('ScrollUtils Test', () => {
+    let create = () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="list" style="overflow-y: auto; height: 100px; padding: 10px">' +
+            '<div id="group"><div class="item" style="height: 40px"></div>' +
+            '<div class="item" style="height: 40px"></div>' +
+            '<div class="item" style="height: 40px"></div>' +
+            '<div class="item" style="height: 40px"></div></div></div>');
+
+        let list = body.querySelector('#list');
+        list.scrollTop = 0;
+        list.scrollHeight = 180;
+        return { body, list, items: Array.from(body.querySelectorAll('.item')) };
+    };
+
+    it('Test findScrollParent()', () => {
+        let { body, list, items } = create();
+        let provider = new NodeLayoutProvider();
+
+        assert.equal(ScrollUtils.isScrollable(list, 'y', provider), true);
+        assert.equal(ScrollUtils.isScrollable(list, 'x', provider), false);
+        assert.equal(ScrollUtils.findScrollParent(items[0], 'both', provider), list);
+        assert.equal(ScrollUtils.findScrollParent(items[0], 'x', provider), body.ownerDocument.scrollingElement);
+        assert.deepEqual(ScrollUtils.findAllScrollParents(items[0], 'y', provider),
+            [list, body.ownerDocument.scrollingElement]);
+    });
+
+    it('Test getScrollState() and scrollIntoView()', () => {
+        let { list, items } = create();
+        let provider = new NodeLayoutProvider();
+
+        let state = ScrollUtils.getScrollState(list, provider);
+        assert.equal(state.clientHeight, 120);
+        assert.equal(state.maxScrollTop, 60);
+        assert.equal(state.remainingBottom, 60);
+
+        // 第 3 个元素的底部在 10 + 120 = 130，可见区域的底部为 120
+        assert.deepEqual(ScrollUtils.scrollIntoView(items[2], list, { provider }), { left: 0, top: 10 });
+        assert.equal(list.scrollTop, 10);
+
+        // 已经可见则不滚动
+        ScrollUtils.scrollIntoView(items[1], list, { provider });
+        assert.equal(list.scrollTop, 10);
+
+        ScrollUtils.scrollIntoView(items[1], list, { block: 'start', margin: 5, provider });
+        assert.equal(list.scrollTop, 45);
+
+        // 不超出最大的滚动位置
+        ScrollUtils.scrollIntoView(items[3], list, { block: 'start', provider });
+        assert.equal(list.scrollTop, 60);
+        assert.equal(ScrollUtils.getScrollState(list, provider).remainingBottom, 0);
+
+        assert.throws(() => { ScrollUtils.scrollIntoView(items[0], list, { block: 'top' }); });
+    });
+
+    it('Test lockScroll()', () => {
+        let { body } = create();
+        let doc = body.ownerDocument;
+        doc.defaultView = { innerWidth: 1039 };
+        body.style['padding-right'] = '4px';
+
+        let provider = new NodeLayoutProvider({ viewportWidth: 1024 });
+        let unlock1 = ScrollUtils.lockScroll(doc, { provider });
+        let unlock2 = ScrollUtils.lockScroll(doc, { provider });
+
+        assert.equal(ScrollUtils.isScrollLocked(doc), true);
+        assert.equal(body.style['overflow'], 'hidden');
+        assert.equal(body.style['padding-right'], '19px');
+
+        unlock1();
+        unlock1();
+        assert.equal(body.style['overflow'], 'hidden');
+
+        unlock2();
+        assert.equal(ScrollUtils.isScrollLocked(doc), false);
+        assert.equal(body.style['overflow'], '');
+        assert.equal(body.style['padding-right'], '4px');
+    });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert/strict');
+
+const { DomUtils, SelectionUtils } = require('../index');
+
+describe('SelectionUtils Test', () => {
+    it('Test saveRange() and restoreRange()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="editor"><p>Hello <b>bold</b> world</p><p class="block">Second</p></div>');
+
+        let editor = body.querySelector('#editor');
+        let bold = body.querySelector('b').firstChild;
+        let second = body.querySelector('.block').firstChild;
+
+        let range = SelectionUtils.createRange(body.ownerDocument, bold, 2, second, 3);
+        let saved = SelectionUtils.saveRange(range, editor);
+        assert.deepEqual(saved, { start: [0, 1, 0], startOffset: 2, end: [1, 0], endOffset: 3 });
+
+        // 重新渲染之后，路径仍然有效
+        DomUtils.morph(editor, '<p>Hello <b>bolder</b> world</p><p class="block">2nd</p>');
+
+        let restored = SelectionUtils.restoreRange(saved, editor);
+        assert.equal(restored.startContainer.data, 'bolder');
+        assert.equal(restored.startOffset, 2);
+        assert.equal(restored.endContainer.data, '2nd');
+        assert.equal(restored.endOffset, 3);
+
+        assert.equal(SelectionUtils.restoreRange({ start: [5], startOffset: 0, end: [5], endOffset: 0 }, editor),
+            undefined);
+
+        assert.throws(() => {
+            SelectionUtils.saveRange(SelectionUtils.createRange(body.ownerDocument, body, 0), editor);
+        });
+
+        // 后端环境没有选区
+        assert.equal(SelectionUtils.saveSelection(editor), undefined);
+    });
+
+    it('Test findBlockElement()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="editor"><p class="block">Hello <b>bold</b></p></div>');
+
+        let editor = body.querySelector('#editor');
+        let range = SelectionUtils.createRange(body.ownerDocument, body.querySelector('b').firstChild, 1);
+
+        assert.equal(SelectionUtils.findBlockElement(range, 'block', undefined, editor).tagName, 'P');
+        assert.equal(SelectionUtils.findBlockElement(range, undefined, 'div', editor), undefined);
+        assert.equal(SelectionUtils.findBlockElementBySelector(range, 'p.block', editor).tagName, 'P');
+    });
+
+    it('Test splitRange() and wrapRange()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="editor"><p>Hello <i>italic</i> world</p><p>Second line</p></div>');
+
+        let editor = body.querySelector('#editor');
+        let doc = body.ownerDocument;
+        let first = editor.firstChild.firstChild;
+        let second = editor.lastChild.firstChild;
+
+        let range = SelectionUtils.splitRange(SelectionUtils.createRange(doc, first, 2, first, 4));
+        assert.equal(range.startContainer.data, 'll');
+        assert.equal(range.startOffset, 0);
+        assert.equal(range.endContainer.data, 'll');
+        assert.equal(range.endOffset, 2);
+        editor.normalize();
+
+        first = editor.firstChild.firstChild;
+        let result = SelectionUtils.wrapRange(SelectionUtils.createRange(doc, first, 3, second, 6), 'strong');
+
+        assert.equal(result.elements.length, 4);
+        assert.equal(editor.innerHTML,
+            '<p>Hel<strong>lo </strong><i><strong>italic</strong></i><strong> world</strong></p>' +
+            '<p><strong>Second</strong> line</p>');
+
+        assert.equal(result.range.startContainer, editor.firstChild);
+        assert.equal(result.range.startOffset, 1);
+        assert.equal(result.range.endContainer, editor.lastChild);
+        assert.equal(result.range.endOffset, 1);
+
+        let collapsed = SelectionUtils.wrapRange(SelectionUtils.createRange(doc, second, 2), (ownerDocument) => {
+            return ownerDocument.createElement('em');
+        });
+        assert.deepEqual(collapsed, { elements: [], range: undefined });
+
+        // 后端环境无法获取光标的位置
+        assert.equal(SelectionUtils.getCaretRect(result.range), undefined);
+    });
+
+    it('Test wrapRange() with the end point in the parent of the start text node', () => {
+        let body = DomUtils.parseHTMLbackend('<p>hello<b>x</b></p>');
+        let p = body.firstChild;
+        let text = p.firstChild;
+
+        let result = SelectionUtils.wrapRange(SelectionUtils.createRange(body.ownerDocument, text, 2, p, 2), 'i');
+
+        assert.equal(result.elements.length, 2);
+        assert.equal(p.innerHTML, 'he<i>llo</i><b><i>x</i></b>');
+        assert.equal(result.range.startContainer, p);
+        assert.equal(result.range.startOffset, 1);
+        assert.equal(result.range.endContainer, p.lastChild);
+        assert.equal(result.range.endOffset, 1);
+    });
+});
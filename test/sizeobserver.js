@@ -0,0 +1,158 @@
+const assert = require('assert/strict');
+
+const { DomUtils, NodeLayoutProvider, SizeObserver } = require('../index');
+
+// 模拟浏览器的 ResizeObserver 和 IntersectionObserver
+class FakeObserver {
+    constructor(callback, options) {
+        this.callback = callback;
+        this.options = options;
+        this.elements = [];
+        FakeObserver.instances.push(this);
+    }
+
+    observe(element) {
+        this.elements.push(element);
+    }
+
+    unobserve(element) {
+        this.elements.splice(this.elements.indexOf(element), 1);
+    }
+
+    disconnect() {
+        this.elements = [];
+    }
+
+    trigger(entries) {
+        this.callback(entries);
+    }
+}
+
+describe('SizeObserver Test', () => {
+    before(() => {
+        global.ResizeObserver = FakeObserver;
+        global.IntersectionObserver = FakeObserver;
+    });
+
+    after(() => {
+        delete global.ResizeObserver;
+        delete global.IntersectionObserver;
+    });
+
+    beforeEach(() => {
+        FakeObserver.instances = [];
+    });
+
+    it('Test observeResize()', () => {
+        let body = DomUtils.parseHTMLbackend(
+            '<div id="a" style="margin: 5px; padding: 10px"></div><div id="b"></div>');
+        let a = body.querySelector('#a');
+        let b = body.querySelector('#b');
+
+        let provider = new NodeLayoutProvider();
+        provider.setBox(a, { width: 100, height: 50 });
+
+        let observer = new SizeObserver({ provider });
+        let changes = [];
+        observer.observeResize(a, (change) => { changes.push(change); });
+        let unobserveB = observer.observeResize(b, (change) => { changes.push(change); });
+
+        let resizeObserver = FakeObserver.instances[0];
+        assert.deepEqual(resizeObserver.elements, [a, b]);
+
+        resizeObserver.trigger([{ target: a }]);
+        assert.equal(changes.length, 1);
+        assert.equal(changes[0].type, 'resize');
+        assert.equal(changes[0].element, a);
+        assert.deepEqual(changes[0].measurement, {
+            contentBox: { width: 80, height: 30 },
+            borderBox: { width: 100, height: 50 },
+            outerWidth: 110,
+            outerHeight: 60
+        });
+
+        // 尺寸没有变化则不触发回调
+        resizeObserver.trigger([{ target: a }]);
+        assert.equal(changes.length, 1);
+
+        provider.setBox(a, { width: 120, height: 50 });
+        resizeObserver.trigger([{ target: a }]);
+        assert.equal(changes.length, 2);
+        assert.equal(changes[1].measurement.outerWidth, 130);
+
+        unobserveB();
+        assert.deepEqual(resizeObserver.elements, [a]);
+
+        observer.dispose();
+        observer.dispose();
+        assert.deepEqual(resizeObserver.elements, []);
+        assert.throws(() => { observer.observeResize(b, () => { }); });
+    });
+
+    it('Test late subscribers', async () => {
+        let body = DomUtils.parseHTMLbackend('<div></div><div></div>');
+        let [a, b] = Array.from(body.childNodes);
+
+        let provider = new NodeLayoutProvider();
+        provider.setBox(a, { width: 100, height: 50 });
+
+        let observer = new SizeObserver({ provider });
+        let first = [];
+        observer.observeResize(a, (change) => { first.push(change); });
+        observer.observeVisibility(a, (change) => { first.push(change); });
+
+        let [resizeObserver, intersectionObserver] = FakeObserver.instances;
+        resizeObserver.trigger([{ target: a }]);
+        intersectionObserver.trigger([{ target: a, isIntersecting: true, intersectionRatio: 1 }]);
+        assert.equal(first.length, 2);
+
+        // 已经被监视的元素，新的回调同样会收到当前的结果
+        let late = [];
+        observer.observeResize(a, (change) => { late.push(change); });
+        observer.observeVisibility(a, (change) => { late.push(change); });
+        let unobserve = observer.observeResize(a, (change) => { late.push(change); });
+        unobserve();
+        assert.equal(late.length, 0);
+
+        await Promise.resolve();
+        assert.deepEqual(late, first);
+        assert.equal(first.length, 2);
+        assert.deepEqual(resizeObserver.elements, [a]);
+
+        // 还没有结果时，新的回调跟第一个回调一起收到原生观察者的回调
+        let changes = [];
+        observer.observeResize(b, (change) => { changes.push(change); });
+        observer.observeResize(b, (change) => { changes.push(change); });
+        await Promise.resolve();
+        assert.equal(changes.length, 0);
+        resizeObserver.trigger([{ target: b }]);
+        assert.equal(changes.length, 2);
+
+        observer.dispose();
+    });
+
+    it('Test observeVisibility() with debounce', (done) => {
+        let body = DomUtils.parseHTMLbackend('<div style="height: 20px"></div>');
+        let div = body.firstChild;
+
+        let observer = new SizeObserver({ debounce: 10, threshold: [0, 0.5] });
+        let changes = [];
+        observer.observeVisibility(div, (change) => { changes.push(change); });
+
+        let intersectionObserver = FakeObserver.instances[0];
+        assert.deepEqual(intersectionObserver.options.threshold, [0, 0.5]);
+
+        intersectionObserver.trigger([{ target: div, isIntersecting: true, intersectionRatio: 0.2 }]);
+        intersectionObserver.trigger([{ target: div, isIntersecting: false, intersectionRatio: 0 }]);
+        assert.equal(changes.length, 0);
+
+        setTimeout(() => {
+            assert.equal(changes.length, 1);
+            assert.equal(changes[0].visible, false);
+            assert.equal(changes[0].intersectionRatio, 0);
+            assert.equal(changes[0].measurement.borderBox.height, 20);
+            observer.dispose();
+            done();
+        }, 30);
+    });
+});
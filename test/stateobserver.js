@@ -0,0 +1,221 @@
+const assert = require('assert/strict');
+
+const { DomUtils, StateObserver } = require('../index');
+
+// 模拟浏览器的 MutationObserver，修改属性需要通过 setAttribute() 函数，
+// 记录会在调用 deliver() 时送达
+class FakeMutationObserver {
+    constructor(callback) {
+        this.callback = callback;
+        this.target = undefined;
+        this.options = undefined;
+        this.records = [];
+        FakeMutationObserver.instances.push(this);
+    }
+
+    observe(target, options) {
+        this.target = target;
+        this.options = options;
+    }
+
+    disconnect() {
+        this.target = undefined;
+        this.options = undefined;
+        this.records = [];
+    }
+
+    takeRecords() {
+        let records = this.records;
+        this.records = [];
+        return records;
+    }
+
+    isObserved(element, attributeName) {
+        if (this.target === undefined || !this.options.attributeFilter.includes(attributeName)) {
+            return false;
+        }
+
+        return element === this.target || (this.options.subtree && this.target.contains(element));
+    }
+
+    deliver() {
+        let records = this.takeRecords();
+        if (records.length > 0) {
+            this.callback(records);
+        }
+    }
+}
+
+let setAttribute = (element, name, value) => {
+    let oldValue = element.getAttribute(name);
+    if (value === null) {
+        element.removeAttribute(name);
+    } else {
+        element.setAttribute(name, value);
+    }
+
+    for (let observer of FakeMutationObserver.instances) {
+        if (observer.isObserved(element, name)) {
+            observer.records.push({ type: 'attributes', target: element, attributeName: name, oldValue: oldValue });
+        }
+    }
+};
+
+describe('StateObserver Test', () => {
+    before(() => {
+        global.MutationObserver = FakeMutationObserver;
+    });
+
+    after(() => {
+        delete global.MutationObserver;
+    });
+
+    beforeEach(() => {
+        FakeMutationObserver.instances = [];
+    });
+
+    it('Test watchBoolean(), watchOption() and watchDataset()', () => {
+        let body = DomUtils.parseHTMLbackend('<ul id="list"><li class="item small"></li></ul>');
+        let list = body.querySelector('#list');
+        let item = body.querySelector('li');
+
+        let observer = new StateObserver(list, { subtree: true });
+        let changes = [];
+        let unwatchActive = observer.watchBoolean('active', (change) => { changes.push(change); });
+        observer.watchOption('size', ['small', 'large'], (change) => { changes.push(change); });
+        observer.watchDataset('selected-id', (change) => { changes.push(change); });
+
+        let mutationObserver = FakeMutationObserver.instances[0];
+        assert.deepEqual(mutationObserver.options, {
+            attributes: true,
+            attributeOldValue: true,
+            attributeFilter: ['class', 'data-selected-id'],
+            subtree: true
+        });
+
+        // 同一次回调之中的多条记录会逐一触发回调
+        setAttribute(item, 'class', 'item small active');
+        setAttribute(item, 'class', 'item large');
+        setAttribute(list, 'data-selected-id', '3');
+        mutationObserver.deliver();
+
+        assert.deepEqual(changes, [
+            { type: 'boolean', element: item, name: 'active', oldValue: false, newValue: true },
+            { type: 'boolean', element: item, name: 'active', oldValue: true, newValue: false },
+            { type: 'option', element: item, name: 'size', oldValue: 'small', newValue: 'large' },
+            { type: 'dataset', element: list, name: 'selectedId', oldValue: undefined, newValue: '3' }
+        ]);
+
+        // 取消监视之后不再触发回调
+        changes = [];
+        unwatchActive();
+        setAttribute(item, 'class', 'item active');
+        setAttribute(list, 'data-selected-id', null);
+        mutationObserver.deliver();
+
+        assert.deepEqual(changes, [
+            { type: 'option', element: item, name: 'size', oldValue: 'large', newValue: undefined },
+            { type: 'dataset', element: list, name: 'selectedId', oldValue: '3', newValue: undefined }
+        ]);
+
+        // 新的监视不会收到在它添加之前发生的变化
+        changes = [];
+        let lateChanges = [];
+        setAttribute(item, 'class', 'item large disabled');
+        observer.watchBoolean('disabled', (change) => { lateChanges.push(change); });
+        assert.deepEqual(changes, [
+            { type: 'option', element: item, name: 'size', oldValue: undefined, newValue: 'large' }
+        ]);
+
+        setAttribute(item, 'class', 'item large');
+        mutationObserver.deliver();
+        assert.deepEqual(lateChanges, [
+            { type: 'boolean', element: item, name: 'disabled', oldValue: true, newValue: false }
+        ]);
+
+        observer.disconnect();
+    });
+
+    it('Test batch', () => {
+        let body = DomUtils.parseHTMLbackend('<div class="box"></div>');
+        let div = body.firstChild;
+
+        let observer = new StateObserver(div, { batch: true });
+        let changes = [];
+        observer.watchBoolean('active', (change) => { changes.push(change); });
+        observer.watchOption('size', ['small', 'large'], (change) => { changes.push(change); });
+
+        let mutationObserver = FakeMutationObserver.instances[0];
+        assert.equal(mutationObserver.options.subtree, false);
+
+        // 合并为一次回调，值最终没有变化的则不触发回调
+        setAttribute(div, 'class', 'box active small');
+        setAttribute(div, 'class', 'box small');
+        setAttribute(div, 'class', 'box large');
+        mutationObserver.deliver();
+
+        assert.deepEqual(changes, [
+            { type: 'option', element: div, name: 'size', oldValue: undefined, newValue: 'large' }
+        ]);
+
+        observer.disconnect();
+    });
+
+    it('Test batch with delay', (done) => {
+        let body = DomUtils.parseHTMLbackend('<div></div>');
+        let div = body.firstChild;
+
+        let observer = new StateObserver(div, { batch: 10 });
+        let changes = [];
+        observer.watchDataset('state', (change) => { changes.push(change); });
+
+        let mutationObserver = FakeMutationObserver.instances[0];
+        setAttribute(div, 'data-state', 'loading');
+        mutationObserver.deliver();
+        setAttribute(div, 'data-state', 'done');
+        mutationObserver.deliver();
+        assert.equal(changes.length, 0);
+
+        setTimeout(() => {
+            assert.deepEqual(changes, [
+                { type: 'dataset', element: div, name: 'state', oldValue: undefined, newValue: 'done' }
+            ]);
+            observer.disconnect();
+            done();
+        }, 30);
+    });
+
+    it('Test disconnect()', () => {
+        let body = DomUtils.parseHTMLbackend('<div></div>');
+        let div = body.firstChild;
+
+        let observer = new StateObserver(div, { batch: 10 });
+        let changes = [];
+        observer.watchBoolean('active', (change) => { changes.push(change); });
+
+        let mutationObserver = FakeMutationObserver.instances[0];
+        setAttribute(div, 'class', 'active');
+        mutationObserver.deliver();
+
+        // 待处理的变化会被取消
+        observer.disconnect();
+        observer.disconnect();
+        assert.equal(mutationObserver.target, undefined);
+        assert.equal(observer.timer, undefined);
+        assert.equal(changes.length, 0);
+
+        assert.throws(() => { observer.watchBoolean('hidden', () => { }); });
+        assert.throws(() => { new StateObserver(div, { batch: 'yes' }); });
+    });
+
+    it('Test unsupported environment', () => {
+        let body = DomUtils.parseHTMLbackend('<div></div>');
+
+        delete global.MutationObserver;
+        try {
+            assert.throws(() => { new StateObserver(body.firstChild); });
+        } finally {
+            global.MutationObserver = FakeMutationObserver;
+        }
+    });
+});
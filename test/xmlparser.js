@@ -0,0 +1,180 @@
+const assert = require('assert/strict');
+
+const { DomUtils } = require('../index');
+
+describe('XmlParser Test', () => {
+    let parse = (text) => {
+        return DomUtils.parse(text, 'xml');
+    };
+
+    it('Test CDATA sections', () => {
+        let root = parse('<r>a<![CDATA[<b> & &amp; ]]]]>c</r>').documentElement;
+
+        // CDATA 转换为文本节点，其中的内容不会被解码
+        assert.deepEqual(Array.from(root.childNodes).map((node) => node.nodeType), [3, 3, 3]);
+        assert.equal(root.textContent, 'a<b> & &amp; ]]c');
+
+        assert.throws(() => {
+            parse('<![CDATA[x]]><r></r>');
+        }, /CDATA section is not allowed outside the root element/);
+
+        assert.throws(() => {
+            parse('<r><![CDATA[x</r>');
+        }, /Unterminated CDATA section/);
+    });
+
+    it('Test processing instructions and comments', () => {
+        let doc = parse('<?xml version="1.0"?><?style href="a.css"?><!-- c --><r><?pi  data ?></r>');
+
+        // XML 声明不是一个节点
+        assert.deepEqual(Array.from(doc.childNodes).map((node) => node.nodeType), [7, 8, 1]);
+        assert.equal(doc.firstChild.target, 'style');
+        assert.equal(doc.firstChild.data, 'href="a.css"');
+        assert.equal(doc.childNodes[1].data, ' c ');
+        assert.equal(doc.documentElement.firstChild.target, 'pi');
+        assert.equal(doc.documentElement.firstChild.data, 'data ');
+
+        assert.throws(() => {
+            parse('<r><? ?></r>');
+        }, /Processing instruction target is missing/);
+
+        assert.throws(() => {
+            parse('<r><?pi data</r>');
+        }, /Unterminated processing instruction/);
+
+        assert.throws(() => {
+            parse('<r><!-- x</r>');
+        }, /Unterminated comment/);
+    });
+
+    it('Test DOCTYPE', () => {
+        let doc = parse(
+            '<!DOCTYPE note [\n<!ELEMENT note (#PCDATA)>\n<!ENTITY a "b">\n]>\n<note>text</note>');
+
+        // DOCTYPE 被忽略
+        assert.equal(doc.doctype, null);
+        assert.equal(doc.documentElement.textContent, 'text');
+
+        assert.throws(() => {
+            parse('<r></r><!DOCTYPE r>');
+        }, /DOCTYPE should be placed before the root element/);
+
+        assert.throws(() => {
+            parse('<!DOCTYPE r [ <!ELEMENT r ANY> <r></r>');
+        }, /Unterminated DOCTYPE/);
+    });
+
+    it('Test namespaces', () => {
+        let root = parse(
+            '<r xmlns="urn:default" xmlns:a="urn:a">' +
+            '<item a:id="1" id="2"><a:child xmlns:a="urn:b"/></item>' +
+            '<plain xmlns=""/>' +
+            '<x:y xml:lang="en" xmlns:x="urn:x"/>' +
+            '</r>').documentElement;
+
+        assert.equal(root.namespaceURI, 'urn:default');
+
+        let item = root.firstChild;
+        assert.equal(item.namespaceURI, 'urn:default');
+        assert.equal(item.getAttributeNS('urn:a', 'id'), '1');
+        // 没有前缀的属性不使用默认名称空间
+        assert.equal(item.getAttributeNS(null, 'id'), '2');
+
+        // 内层的声明覆盖外层的声明
+        assert.equal(item.firstChild.namespaceURI, 'urn:b');
+        assert.equal(item.firstChild.localName, 'child');
+
+        assert.equal(root.childNodes[1].namespaceURI, null);
+
+        let y = root.childNodes[2];
+        assert.equal(y.namespaceURI, 'urn:x');
+        assert.equal(y.getAttributeNS('http://www.w3.org/XML/1998/namespace', 'lang'), 'en');
+
+        assert.throws(() => {
+            parse('<r><a:item/></r>');
+        }, /Namespace prefix "a" is not defined/);
+
+        assert.throws(() => {
+            parse('<r b:id="1"></r>');
+        }, /Namespace prefix "b" is not defined/);
+    });
+
+    it('Test entities and character references', () => {
+        let root = parse('<r a="&lt;&quot;&#x9;">&amp;&apos;&gt;&#65;&#x1F600;&#xD7FF;&#xE000;</r>').documentElement;
+        assert.equal(root.getAttribute('a'), '<"\t');
+        assert.equal(root.textContent, '&\'>A\u{1F600}\uD7FF\uE000');
+
+        assert.throws(() => {
+            parse('<r>&nbsp;</r>');
+        }, /Undefined entity "&nbsp;"/);
+
+        assert.throws(() => {
+            parse('<r>a & b</r>');
+        }, /Unterminated entity reference/);
+
+        assert.throws(() => {
+            parse('<r a="&amp"></r>');
+        }, /Unterminated entity reference/);
+
+        // 代理码位、0、控制字符、U+FFFE/U+FFFF 以及超出 Unicode 范围的码位都是无效的
+        for (let reference of ['&#xD800;', '&#xDFFF;', '&#55296;', '&#x1;', '&#xFFFE;', '&#xFFFF;', '&#x110000;']) {
+            assert.throws(() => {
+                parse(`<r>${reference}</r>`);
+            }, /Invalid character reference/);
+        }
+    });
+
+    it('Test malformed documents', () => {
+        assert.throws(() => {
+            parse('<r>\n  <a></b>\n</r>');
+        }, /line 2, column 6: Expected end tag "a" but got "b"/);
+
+        assert.throws(() => {
+            parse('<r></r></r>');
+        }, /Unexpected end tag "r"/);
+
+        assert.throws(() => {
+            parse('<r><a></r>');
+        }, /Expected end tag "a" but got "r"/);
+
+        assert.throws(() => {
+            parse('<r><a>');
+        }, /Element "a" is not closed/);
+
+        assert.throws(() => {
+            parse('<r></r><s></s>');
+        }, /Only one root element is allowed/);
+
+        assert.throws(() => {
+            parse('text<r></r>');
+        }, /Text is not allowed outside the root element/);
+
+        assert.throws(() => {
+            parse('<!-- only a comment -->');
+        }, /The root element is missing/);
+
+        assert.throws(() => {
+            parse('<r a="1" a="2"></r>');
+        }, /Duplicate attribute "a"/);
+
+        assert.throws(() => {
+            parse('<r a="1"b="2"></r>');
+        }, /Whitespace is required between attributes/);
+
+        assert.throws(() => {
+            parse('<r a=1></r>');
+        }, /should be quoted/);
+
+        assert.throws(() => {
+            parse('<r a="<"></r>');
+        }, /should not contain "<"/);
+
+        assert.throws(() => {
+            parse('<r disabled></r>');
+        }, /Attribute "disabled" has no value/);
+
+        assert.throws(() => {
+            parse('<r></r foo>');
+        }, /Malformed end tag "r"/);
+    });
+});